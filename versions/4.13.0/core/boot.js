@@ -85,13 +85,23 @@ async function initCore({ghostServer, config}) {
     await settings.syncEmailSettings(config.get('hostSettings:emailVerification:verified'));
     debug('End: settings');
 
+    // Automatic redirects compare every generated url with the previous one, so they have to listen from the first url on
+    debug('Begin: Automatic redirects');
+    const redirects = require('./server/services/redirects');
+    redirects.listen();
+    debug('End: Automatic redirects');
+
     // The URLService is a core part of Ghost, which depends on models. It needs moving from the frontend to make this clear.
     debug('Begin: Url Service');
     const urlService = require('./frontend/services/url');
     // Note: there is no await here, we do not wait for the url service to finish
     // We can return, but the site will remain in (the shared, not global) maintenance mode until this finishes
     // This is managed on request: https://github.com/TryGhost/Ghost/blob/main/core/server/web/shared/middlewares/maintenance.js#L13
+    // With a url cache (see config `urlCache`) the urls are generated from the cache and reconciled with the database afterwards
     urlService.init();
+    ghostServer.registerCleanupTask(async () => {
+        await urlService.persist();
+    });
     debug('End: Url Service');
 
     // Job Service allows parts of Ghost to run in the background
@@ -184,6 +194,10 @@ async function initServices({config}) {
     const slack = require('./server/services/slack');
     const {mega} = require('./server/services/mega');
     const webhooks = require('./server/services/webhooks');
+    const search = require('./server/services/search');
+    const staticSite = require('./server/services/static-site');
+    const activityPub = require('./server/services/activitypub');
+    const offers = require('./server/services/offers');
     const appService = require('./frontend/services/apps');
     const limits = require('./server/services/limits');
     const scheduling = require('./server/adapters/scheduling');
@@ -201,6 +215,10 @@ async function initServices({config}) {
         slack.listen(),
         mega.listen(),
         webhooks.listen(),
+        search.listen(),
+        staticSite.listen(),
+        activityPub.listen(),
+        offers.listen(),
         appService.init(),
         scheduling.init({
             apiUrl: urlUtils.urlFor('api', {version: defaultApiVersion, versionType: 'admin'}, true)
@@ -242,6 +260,18 @@ async function initBackgroundServices({config}) {
         await emailAnalyticsJobs.scheduleRecurringJobs();
     }
 
+    // Quarantine and delete unused images when enabled
+    const mediaGC = require('./server/services/media-gc');
+    mediaGC.jobs.scheduleRecurringJobs();
+
+    // Remove webhook deliveries once they are past the retention period
+    const webhooks = require('./server/services/webhooks');
+    webhooks.jobs.schedulePruneJob();
+
+    // Write scheduled database backups when enabled
+    const backups = require('./server/services/backups');
+    backups.jobs.scheduleRecurringJobs();
+
     const updateCheck = require('./server/update-check');
     updateCheck.scheduleRecurringJobs();
 
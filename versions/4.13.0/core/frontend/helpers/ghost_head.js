@@ -2,7 +2,7 @@
 // Usage: `{{ghost_head}}`
 //
 // Outputs scripts and other assets at the top of a Ghost theme
-const {metaData, escapeExpression, SafeString, logging, settingsCache, config, blogIcon, urlUtils} = require('../services/proxy');
+const {metaData, escapeExpression, SafeString, logging, settingsCache, config, blogIcon, urlUtils, api} = require('../services/proxy');
 const _ = require('lodash');
 const debug = require('@tryghost/debug')('ghost_head');
 const templateStyles = require('./tpl/styles');
@@ -54,6 +54,51 @@ function getMembersHelper(data) {
     return membersHelper;
 }
 
+/**
+ * hreflang alternates of a post or page which has translations, posts without a locale are written in the site language.
+ * The first post of the translation group is the default for other languages.
+ */
+function getAlternateLinks(dataRoot, context) {
+    const post = dataRoot.post;
+
+    if (!post || !post.translation_id || _.includes(context, 'preview') || _.includes(context, 'amp')) {
+        return Promise.resolve([]);
+    }
+
+    const apiVersion = dataRoot._locals.apiVersion;
+    const controller = _.includes(context, 'page') ? api[apiVersion].pagesPublic : api[apiVersion].postsPublic;
+
+    return controller
+        .browse({
+            filter: `translation_id:'${post.translation_id}'`,
+            fields: 'id,url,locale',
+            limit: 'all'
+        })
+        .then((result) => {
+            const translations = result.posts || result.pages || [];
+
+            if (translations.length < 2) {
+                return [];
+            }
+
+            const writeLink = (hreflang, url) => {
+                return '<link rel="alternate" hreflang="' + escapeExpression(hreflang) + '" href="' + escapeExpression(url) + '" />';
+            };
+            const links = translations.map(translation => writeLink(translation.locale || settingsCache.get('lang'), translation.url));
+            const original = _.find(translations, {id: post.translation_id});
+
+            if (original) {
+                links.push(writeLink('x-default', original.url));
+            }
+
+            return links;
+        })
+        .catch((err) => {
+            logging.error(err);
+            return [];
+        });
+}
+
 /**
  * **NOTE**
  * Express adds `_locals`, see https://github.com/expressjs/express/blob/4.15.4/lib/response.js#L962.
@@ -120,8 +165,8 @@ module.exports = function ghost_head(options) { // eslint-disable-line camelcase
      *   - dataRoot has access to *ALL* locals, see function description
      *   - it should not break anything
      */
-    return getMetaData(dataRoot, dataRoot)
-        .then(function handleMetaData(meta) {
+    return Promise.all([getMetaData(dataRoot, dataRoot), getAlternateLinks(dataRoot, context)])
+        .then(function handleMetaData([meta, alternateLinks]) {
             debug('end fetch');
 
             if (context) {
@@ -150,6 +195,8 @@ module.exports = function ghost_head(options) { // eslint-disable-line camelcase
                         escapeExpression(meta.ampUrl) + '" />');
                 }
 
+                head.push.apply(head, alternateLinks);
+
                 if (meta.previousUrl) {
                     head.push('<link rel="prev" href="' +
                         escapeExpression(meta.previousUrl) + '" />');
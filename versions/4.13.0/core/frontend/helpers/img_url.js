@@ -1,11 +1,13 @@
 // Usage:
 // `{{img_url feature_image}}`
 // `{{img_url profile_image absolute="true"}}`
+// `{{img_url feature_image size="m" format="webp"}}`
 // Note:
 // `{{img_url}}` - does not work, argument is required
 //
 // Returns the URL for the current object scope i.e. If inside a post scope will return image permalink
 // `absolute` flag outputs absolute URL, else URL is relative.
+// `format` converts the image to the given format, only works together with `size`.
 
 const url = require('url');
 const _ = require('lodash');
@@ -39,11 +41,11 @@ module.exports = function imgUrl(requestedImageUrl, options) {
         return requestedImageUrl;
     }
 
-    const {requestedSize, imageSizes} = getImageSizeOptions(options);
+    const {requestedSize, requestedFormat, imageSizes} = getImageSizeOptions(options);
     const absoluteUrlRequested = getAbsoluteOption(options);
 
     function applyImageSizes(image) {
-        return getImageWithSize(image, requestedSize, imageSizes);
+        return getImageWithSize(image, requestedSize, requestedFormat, imageSizes);
     }
 
     function getImageUrl(image) {
@@ -72,10 +74,12 @@ function getAbsoluteOption(options) {
 
 function getImageSizeOptions(options) {
     const requestedSize = options && options.hash && options.hash.size;
+    const requestedFormat = options && options.hash && options.hash.format;
     const imageSizes = options && options.data && options.data.config && options.data.config.image_sizes;
 
     return {
         requestedSize,
+        requestedFormat,
         imageSizes
     };
 }
@@ -93,11 +97,11 @@ function detectInternalImage(requestedImageUrl) {
     return isAbsoluteInternalImage || isRelativeInternalImage;
 }
 
-function getImageWithSize(imagePath, requestedSize, imageSizes) {
+function getImageWithSize(imagePath, requestedSize, requestedFormat, imageSizes) {
     const hasLeadingSlash = imagePath[0] === '/';
 
     if (hasLeadingSlash) {
-        return '/' + getImageWithSize(imagePath.slice(1), requestedSize, imageSizes);
+        return '/' + getImageWithSize(imagePath.slice(1), requestedSize, requestedFormat, imageSizes);
     }
 
     if (!requestedSize) {
@@ -117,8 +121,9 @@ function getImageWithSize(imagePath, requestedSize, imageSizes) {
     const [imgBlogUrl, imageName] = imagePath.split(STATIC_IMAGE_URL_PREFIX);
 
     const sizeDirectoryName = prefixIfPresent('w', width) + prefixIfPresent('h', height);
+    const formatDirectoryName = requestedFormat ? `/format/${requestedFormat}` : '';
 
-    return [imgBlogUrl, STATIC_IMAGE_URL_PREFIX, `/size/${sizeDirectoryName}`, imageName].join('');
+    return [imgBlogUrl, STATIC_IMAGE_URL_PREFIX, `/size/${sizeDirectoryName}`, formatDirectoryName, imageName].join('');
 }
 
 function prefixIfPresent(prefix, string) {
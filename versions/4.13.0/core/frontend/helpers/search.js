@@ -0,0 +1,58 @@
+// # Search Helper
+// Usage: `{{#search}}{{#foreach results}}<a href="{{url}}">{{title}}</a> {{highlight}}{{/foreach}}{{/search}}`
+//        `{{#search query="ghost" types="posts,pages" limit="5"}}`
+//
+// Searches published content, the query defaults to the `?q=` parameter of the current page
+const {logging, i18n, hbs, api, SafeString} = require('../services/proxy');
+const _ = require('lodash');
+const Promise = require('bluebird');
+
+const createFrame = hbs.handlebars.createFrame;
+
+module.exports = function search(options) {
+    options = options || {};
+    options.hash = options.hash || {};
+    options.data = options.data || {};
+
+    const self = this;
+    const data = createFrame(options.data);
+    const query = options.hash.query || _.get(data, 'root._locals.searchQuery');
+
+    if (!options.fn) {
+        data.error = i18n.t('warnings.helpers.mustBeCalledAsBlock', {helperName: 'search'});
+        logging.warn(data.error);
+        return Promise.resolve();
+    }
+
+    if (!query) {
+        return Promise.resolve(options.inverse(self, {data: data}));
+    }
+
+    const apiOptions = Object.assign(_.pick(options.hash, ['types', 'limit']), {
+        q: query,
+        context: {
+            member: _.get(data, 'root._locals.member')
+        }
+    });
+
+    // NOTE: search is only available in the canary API, it's used whatever API version the theme is on
+    return api.canary.searchPublic.browse(apiOptions).then(function success(response) {
+        if (!response.results.length) {
+            return options.inverse(self, {data: data});
+        }
+
+        // highlights contain <mark> tags, making them a SafeString spares theme devs from triple-curlies
+        response.results.forEach((result) => {
+            result.highlight = new SafeString(result.highlight);
+        });
+
+        return options.fn(response, {
+            data: data,
+            blockParams: [response.results]
+        });
+    }).catch(function error(err) {
+        logging.error(err);
+        data.error = err.message;
+        return options.inverse(self, {data: data});
+    });
+};
@@ -1,6 +1,6 @@
+const _ = require('lodash');
 const fs = require('fs-extra');
 const path = require('path');
-const moment = require('moment-timezone');
 const yaml = require('js-yaml');
 const Promise = require('bluebird');
 const validation = require('./validation');
@@ -15,6 +15,9 @@ const errors = require('@tryghost/errors');
  * @property {String} from - Defines the relative incoming URL or pattern (regex)
  * @property {String} to - Defines where the incoming traffic should be redirected to, which can be a static URL, or a dynamic value using regex (example: "to": "/$1/")
  * @property {boolean} permanent - Can be defined with true for a permanent HTTP 301 redirect, or false for a temporary HTTP 302 redirect
+ * @property {String} [match_type] - "regex" (default for files) or "exact", only present in files exported from the database
+ * @property {boolean} [preserve_query] - Whether the incoming query string is passed on to the target, defaults to true
+ * @property {String} [source] - "manual" (default) or "automatic" for redirects Ghost created after a url change
  */
 
 const readRedirectsFile = (redirectsPath) => {
@@ -137,51 +140,23 @@ const getCurrentRedirectsFilePathSync = () => {
     return null;
 };
 
-const getBackupRedirectsFilePath = (filePath) => {
-    const {dir, name, ext} = path.parse(filePath);
-
-    return path.join(dir, `${name}-${moment().format('YYYY-MM-DD-HH-mm-ss')}${ext}`);
-};
-
-// '.json' is the default here because 'yaml' redirects file format is added later in v3.
-// @TODO: change the default to '.yaml' in v4. It may be even removed if '.json' format is deprecated.
-const setFromFilePath = (filePath, ext = '.json') => {
-    return getRedirectsFilePath()
-        .then((redirectsFilePath) => {
-            if (!redirectsFilePath) {
-                return null;
-            }
-
-            const backupRedirectsPath = getBackupRedirectsFilePath(redirectsFilePath);
-
-            return fs.pathExists(backupRedirectsPath)
-                .then((backupExists) => {
-                    if (!backupExists) {
-                        return null;
-                    }
-
-                    return fs.unlink(backupRedirectsPath);
-                })
-                .then(() => {
-                    return fs.move(redirectsFilePath, backupRedirectsPath);
-                });
+/**
+ * Reads, parses and validates an uploaded redirects file
+ *
+ * @param {String} filePath
+ * @param {String} ext one of `.json` or `.yaml` extensions
+ *
+ * @returns {Promise<RedirectConfig[]>} of parsed redirect config objects
+ */
+const loadFromFilePath = (filePath, ext = '.json') => {
+    return readRedirectsFile(filePath)
+        .then((content) => {
+            return parseRedirectsFile(content, ext);
         })
-        .then(() => {
-            return readRedirectsFile(filePath)
-                .then((content) => {
-                    return parseRedirectsFile(content, ext);
-                })
-                .then((content) => {
-                    validation.validate(content);
-
-                    if (ext === '.json') {
-                        return fs.writeFile(createRedirectsFilePath('.json'), JSON.stringify(content), 'utf-8');
-                    }
-
-                    if (ext === '.yaml') {
-                        return fs.copy(filePath, createRedirectsFilePath('.yaml'));
-                    }
-                });
+        .then((redirects) => {
+            validation.validate(redirects);
+
+            return redirects;
         });
 };
 
@@ -190,20 +165,6 @@ const setFromFilePath = (filePath, ext = '.json') => {
 // Default json content is []. But the default YAML content is an empty string.
 const defaultJsonFileContent = [];
 
-const get = () => {
-    return getRedirectsFilePath().then((filePath) => {
-        if (filePath === null) {
-            return defaultJsonFileContent;
-        }
-
-        return readRedirectsFile(filePath).then((content) => {
-            return path.extname(filePath) === '.json'
-                ? parseRedirectsFile(content, '.json')
-                : content;
-        });
-    });
-};
-
 /**
  * Syncrounously loads current oncifg file and parses it's content
  *
@@ -221,7 +182,57 @@ const loadRedirectsFile = () => {
     return parseRedirectsFile(content, path.extname(filePath));
 };
 
-module.exports.get = get;
-module.exports.setFromFilePath = setFromFilePath;
+/**
+ * Serializes redirects into the content of a redirects file
+ *
+ * YAML files only know permanent and temporary regex redirects, exact redirects are turned into the
+ * equivalent regex and `preserve_query: false` can't be expressed.
+ *
+ * @param {RedirectConfig[]} redirects
+ * @param {String} ext one of `.json` or `.yaml` extensions
+ *
+ * @returns {String}
+ */
+const serializeRedirects = (redirects, ext) => {
+    if (ext === '.json') {
+        return JSON.stringify(redirects);
+    }
+
+    const configYaml = {};
+
+    redirects.forEach((redirect) => {
+        const status = redirect.permanent ? '301' : '302';
+        const from = redirect.match_type === 'exact'
+            ? `^${_.escapeRegExp(redirect.from.replace(/\/$/, ''))}/?$`
+            : redirect.from;
+
+        configYaml[status] = configYaml[status] || {};
+        configYaml[status][from] = redirect.to;
+    });
+
+    return _.isEmpty(configYaml) ? '' : yaml.dump(configYaml);
+};
+
+/**
+ * Writes the redirects file in the given format and removes a file in the other format
+ *
+ * @param {RedirectConfig[]} redirects
+ * @param {String} ext one of `.json` or `.yaml` extensions
+ *
+ * @returns {Promise<void>}
+ */
+const writeRedirectsFile = async (redirects, ext) => {
+    const filePath = createRedirectsFilePath(ext);
+    const otherFilePath = createRedirectsFilePath(ext === '.json' ? '.yaml' : '.json');
+
+    // NOTE: write next to the target and rename, the file is read as a fallback when the database is not available
+    await fs.writeFile(`${filePath}.tmp`, serializeRedirects(redirects, ext), 'utf-8');
+    await fs.move(`${filePath}.tmp`, filePath, {overwrite: true});
+    await fs.remove(otherFilePath);
+};
+
+module.exports.loadFromFilePath = loadFromFilePath;
 module.exports.getRedirectsFilePath = getRedirectsFilePath;
+module.exports.serializeRedirects = serializeRedirects;
+module.exports.writeRedirectsFile = writeRedirectsFile;
 module.exports.loadRedirectsFile = loadRedirectsFile;
@@ -3,7 +3,7 @@ const i18n = require('../../../shared/i18n');
 const errors = require('@tryghost/errors');
 
 /**
- * Redirects are file based at the moment, but they will live in the database in the future.
+ * Validates the format of redirects coming from an uploaded file before they get imported into the database.
  * See V2 of https://github.com/TryGhost/Ghost/issues/7707.
  */
 const validate = (redirects) => {
@@ -15,7 +15,7 @@ const validate = (redirects) => {
     }
 
     _.each(redirects, function (redirect) {
-        if (!redirect.from || !redirect.to) {
+        if (!redirect.from || !redirect.to || (redirect.match_type && !['exact', 'regex'].includes(redirect.match_type))) {
             throw new errors.ValidationError({
                 message: i18n.t('errors.utils.redirectsWrongFormat'),
                 context: redirect,
@@ -1,3 +1,4 @@
+const bodyParser = require('body-parser');
 const ParentRouter = require('./ParentRouter');
 const controllers = require('./controllers');
 
@@ -20,6 +21,8 @@ class UnsubscribeRouter extends ParentRouter {
      * @private
      */
     _registerRoutes() {
+        // newsletter preferences are submitted as a regular form
+        this.router().post(this.route.value, bodyParser.urlencoded({extended: true}));
         this.mountRoute(this.route.value, controllers.unsubscribe);
     }
 }
@@ -10,6 +10,9 @@ module.exports = async function unsubscribeController(req, res) {
 
     try {
         data.member = await megaService.mega.handleUnsubscribeRequest(req);
+        data.newsletters = data.member.newsletters;
+        data.newsletter = data.newsletters.find(newsletter => newsletter.id === req.query.newsletter);
+        data.updated = req.method === 'POST';
     } catch (err) {
         data.error = err.message;
     }
@@ -321,6 +321,23 @@ _private.validateCollections = function validateCollections(collections) {
             routingTypeObject.permalink = routingTypeObject.permalink.replace(/{(\w+)}/g, ':$1');
         }
 
+        // CASE: `locale: es` restricts the collection to posts in that language, it's combined with the filter
+        if (Object.prototype.hasOwnProperty.call(routingTypeObject, 'locale')) {
+            if (typeof routingTypeObject.locale !== 'string' || !routingTypeObject.locale.match(/^[a-z]{2,3}(-[a-z0-9]{2,3})?$/i)) {
+                throw new errors.ValidationError({
+                    message: i18n.t('errors.services.settings.yaml.validate', {
+                        at: routingTypeObject.locale,
+                        reason: 'Please use a language code.'
+                    }),
+                    help: 'e.g. locale: es'
+                });
+            }
+
+            const localeFilter = `locale:'${routingTypeObject.locale}'`;
+
+            routingTypeObject.filter = routingTypeObject.filter ? `${routingTypeObject.filter}+${localeFilter}` : localeFilter;
+        }
+
         collections[routingTypeObjectKey] = _private.validateTemplate(routingTypeObject);
         collections[routingTypeObjectKey] = _private.validateData(collections[routingTypeObjectKey]);
     });
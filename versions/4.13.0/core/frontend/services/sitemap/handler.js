@@ -5,7 +5,7 @@ const manager = new Manager();
 // Responsible for handling requests for sitemap files
 module.exports = function handler(siteApp) {
     const verifyResourceType = function verifyResourceType(req, res, next) {
-        if (!Object.prototype.hasOwnProperty.call(manager, req.params.resource)) {
+        if (!manager.getSiteMap(req.params.resource)) {
             return res.sendStatus(404);
         }
 
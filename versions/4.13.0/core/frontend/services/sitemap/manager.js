@@ -3,6 +3,10 @@ const PagesMapGenerator = require('./page-generator');
 const PostsMapGenerator = require('./post-generator');
 const UsersMapGenerator = require('./user-generator');
 const TagsMapGenerator = require('./tag-generator');
+const settingsCache = require('../../../shared/settings-cache');
+
+// posts and pages in another language than the site language are listed in their own sitemaps, e.g. sitemap-posts-es.xml
+const LOCALIZED_TYPES = ['posts', 'pages'];
 
 // This uses events from the routing service and the URL service
 const events = require('../../../server/lib/common/events');
@@ -16,6 +20,8 @@ class SiteMapManager {
         this.users = this.authors = options.authors || this.createUsersGenerator(options);
         this.tags = options.tags || this.createTagsGenerator(options);
         this.index = options.index || this.createIndexGenerator(options);
+        this.localized = {posts: {}, pages: {}};
+        this.options = options;
 
         events.on('router.created', (router) => {
             if (router.name === 'StaticRoutesRouter') {
@@ -28,11 +34,32 @@ class SiteMapManager {
         });
 
         events.on('url.added', (obj) => {
-            this[obj.resource.config.type].addUrl(obj.url.absolute, obj.resource.data);
+            const type = obj.resource.config.type;
+            const generator = this.getGenerator(type, obj.resource.data);
+
+            // CASE: the locale of the resource changed
+            this.getGenerators(type)
+                .filter(otherGenerator => otherGenerator !== generator && otherGenerator.nodeLookup[obj.resource.data.id])
+                .forEach(otherGenerator => otherGenerator.removeUrl(obj.url.absolute, obj.resource.data));
+
+            generator.addUrl(obj.url.absolute, obj.resource.data);
         });
 
         events.on('url.removed', (obj) => {
-            this[obj.resource.config.type].removeUrl(obj.url.absolute, obj.resource.data);
+            const type = obj.resource.config.type;
+            const generators = this.getGenerators(type).filter(generator => generator.nodeLookup[obj.resource.data.id]);
+
+            (generators.length ? generators : [this.getGenerator(type, obj.resource.data)]).forEach((generator) => {
+                generator.removeUrl(obj.url.absolute, obj.resource.data);
+            });
+        });
+
+        // CASE: updated resources only get their url.added once they went through the url service's queue again,
+        //       a post or page whose locale was edited is moved to the sitemap of its language straight away
+        LOCALIZED_TYPES.forEach((type) => {
+            events.on(`${type.replace(/s$/, '')}.published.edited`, (model) => {
+                this.updateLocale(type, model);
+            });
         });
 
         events.on('routers.reset', () => {
@@ -40,9 +67,83 @@ class SiteMapManager {
             this.posts && this.posts.reset();
             this.users && this.users.reset();
             this.tags && this.tags.reset();
+
+            LOCALIZED_TYPES.forEach((type) => {
+                Object.values(this.localized[type]).forEach((generator) => {
+                    delete this.index.types[generator.name];
+                });
+
+                this.localized[type] = {};
+            });
         });
     }
 
+    /**
+     * @param {string} type
+     * @param {Object} datum - resource data
+     * @returns {Object} - generator of the sitemap the resource is listed in
+     */
+    getGenerator(type, datum) {
+        const locale = datum && datum.locale && datum.locale.toLowerCase();
+
+        if (!LOCALIZED_TYPES.includes(type) || !locale || locale === String(settingsCache.get('lang')).toLowerCase()) {
+            return this[type];
+        }
+
+        if (!this.localized[type][locale]) {
+            const generator = type === 'posts' ? this.createPostsGenerator(this.options) : this.createPagesGenerator(this.options);
+
+            generator.name = `${type}-${locale}`;
+            this.localized[type][locale] = generator;
+            this.index.types[generator.name] = generator;
+        }
+
+        return this.localized[type][locale];
+    }
+
+    /**
+     * Moves a listed post or page to the sitemap of its language if that changed
+     *
+     * @param {string} type - posts or pages
+     * @param {Object} model - Post model
+     */
+    updateLocale(type, model) {
+        const currentGenerator = this.getGenerators(type).find(generator => generator.nodeLookup[model.id]);
+
+        if (!currentGenerator) {
+            return;
+        }
+
+        const generator = this.getGenerator(type, {locale: model.get('locale')});
+
+        if (generator === currentGenerator) {
+            return;
+        }
+
+        const url = currentGenerator.nodeLookup[model.id].url[0].loc;
+
+        currentGenerator.removeUrl(url, {id: model.id});
+        generator.addUrl(url, model.toJSON());
+    }
+
+    /**
+     * @param {string} type
+     * @returns {Object[]} - the generator of the type and the generators of its languages
+     */
+    getGenerators(type) {
+        return [this[type]].concat(LOCALIZED_TYPES.includes(type) ? Object.values(this.localized[type]) : []);
+    }
+
+    /**
+     * @param {string} name - e.g. posts or posts-es
+     * @returns {Object|null}
+     */
+    getSiteMap(name) {
+        const generator = Object.prototype.hasOwnProperty.call(this, name) ? this[name] : this.index.types[name];
+
+        return generator && generator.getXml ? generator : null;
+    }
+
     createIndexGenerator() {
         return new IndexMapGenerator({
             types: {
@@ -75,7 +176,7 @@ class SiteMapManager {
     }
 
     getSiteMapXml(type) {
-        return this[type].getXml();
+        return this.getSiteMap(type).getXml();
     }
 }
 
@@ -46,6 +46,7 @@ const registerAllCoreHelpers = function registerAllCoreHelpers() {
     registerAsyncThemeHelper('next_post', coreHelpers.prev_post);
     registerAsyncThemeHelper('prev_post', coreHelpers.prev_post);
     registerAsyncThemeHelper('get', coreHelpers.get);
+    registerAsyncThemeHelper('search', coreHelpers.search);
 };
 
 module.exports = coreHelpers;
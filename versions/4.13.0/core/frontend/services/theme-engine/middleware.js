@@ -149,6 +149,9 @@ function updateLocalTemplateData(req, res, next) {
     // so that templates can choose to render https or http 'url', see url utility
     res.locals.secure = req.secure;
 
+    // Pass the search query so that `{{#search}}` can be used on any page, e.g. `/?q=ghost`
+    res.locals.searchQuery = typeof req.query.q === 'string' ? req.query.q : null;
+
     next();
 }
 
@@ -1,13 +1,22 @@
 const _ = require('lodash');
 const Promise = require('bluebird');
+const moment = require('moment');
 const debug = require('@tryghost/debug')('services:url:resources');
+const logging = require('@tryghost/logging');
 const Resource = require('./Resource');
+const UrlCache = require('./UrlCache');
 const config = require('../../../shared/config');
 const models = require('../../../server/models');
 
 // This listens to all manner of model events to find new content that needs a URL...
 const events = require('../../../server/lib/common/events');
 
+// resources change in bursts e.g. on an import, the cache is written once things calm down
+const PERSIST_DELAY = 10 * 1000;
+
+// CASE: prevent "too many SQL variables" error on SQLite3 when resources are refetched by id
+const RECONCILE_CHUNK_SIZE = 500;
+
 /**
  * @description At the moment the resources class is directly responsible for data population
  * for URLs...but because it's actually a storage cache of all published
@@ -23,6 +32,11 @@ class Resources {
         this.data = {};
 
         this.listeners = [];
+
+        this.cache = new UrlCache();
+        // the cache is only written once the resources are complete, either fetched or reconciled
+        this.loaded = false;
+        this._schedulePersist = _.debounce(() => this.persist(), PERSIST_DELAY);
     }
 
     /**
@@ -62,20 +76,24 @@ class Resources {
     /**
      * @description Helper function to initialise data fetching. Each resource type needs to register resource/model
      *              events to get notified about updates/deletions/inserts.
+     *
+     * If the resources were persisted by a previous run (see UrlCache.js), the urls are generated from the cache
+     * without waiting for the database. The cache is reconciled with the database once the urls exist, the site
+     * is served in the meantime and the url generators pick up the differences like any other model event.
      */
     fetchResources() {
-        const ops = [];
         debug('fetchResources');
 
         this._initResourceConfig();
+        this.loaded = false;
+
+        // @NOTE: Notify the whole system, urls can come from an outdated cache until the resources are loaded.
+        events.emit('url.resources.loading');
 
-        // NOTE: Iterate over all resource types (posts, users etc..) and call `_fetch`.
+        // NOTE: Iterate over all resource types (posts, users etc..) and register the model events.
         _.each(this.resourcesConfig, (resourceConfig) => {
             this.data[resourceConfig.type] = [];
 
-            // NOTE: We are querying knex directly, because the Bookshelf ORM overhead is too slow.
-            ops.push(this._fetch(resourceConfig));
-
             this._listenOn(resourceConfig.events.add, (model) => {
                 return this._onResourceAdded.bind(this)(resourceConfig.type, model);
             });
@@ -97,17 +115,303 @@ class Resources {
             });
         });
 
-        Promise.all(ops)
+        const data = this.data;
+
+        return this.cache.read(this.resourcesAPIVersion)
+            .then((cache) => {
+                // CASE: the service was reset while the cache was read
+                if (this.data !== data) {
+                    return;
+                }
+
+                if (cache) {
+                    debug('fetched from cache', cache.savedAt);
+                    this._loadFromCache(cache);
+                    this._startInit(() => this._reconcile(data, cache.savedAt));
+                    return;
+                }
+
+                // NOTE: We are querying knex directly, because the Bookshelf ORM overhead is too slow.
+                return Promise.all(this.resourcesConfig.map(resourceConfig => this._fetch(resourceConfig)))
+                    .then(() => {
+                        // CASE: all resources are fetched, start the queue
+                        this._startInit(() => this._onLoaded(data));
+                    });
+            });
+    }
+
+    /**
+     * @description Start generating the urls of all resources and call `onEnded` once every url generator is done.
+     * @param {Function} onEnded
+     * @private
+     */
+    _startInit(onEnded) {
+        const onQueueEnded = (event) => {
+            if (event !== 'init') {
+                return;
+            }
+
+            this.queue.removeListener('ended', onQueueEnded);
+            onEnded();
+        };
+
+        this.queue.addListener('ended', onQueueEnded);
+
+        this.queue.start({
+            event: 'init',
+            tolerance: 100,
+            requiredSubscriberCount: 1
+        });
+    }
+
+    /**
+     * @description Fill the resources from the persisted cache.
+     * @param {Object} cache
+     * @private
+     */
+    _loadFromCache(cache) {
+        _.each(this.resourcesConfig, (resourceConfig) => {
+            _.each(cache.resources[resourceConfig.type], (object) => {
+                this.data[resourceConfig.type].push(new Resource(resourceConfig.type, object));
+            });
+        });
+    }
+
+    /**
+     * @description The resources are complete, from now on every change is persisted.
+     * @param {Object} data - the resources the load was started for
+     * @private
+     */
+    _onLoaded(data) {
+        if (this.data !== data) {
+            return;
+        }
+
+        this.loaded = true;
+        this.persist();
+
+        // @NOTE: Notify the whole system. Currently used for automatic redirects.
+        events.emit('url.resources.loaded');
+    }
+
+    /**
+     * @description Bring the cached resources up to date with the database.
+     *
+     * Only ids and `updated_at` dates are fetched for every type. New and changed resources are refetched by id,
+     * resources which no longer exist or no longer match the filters of the api version are removed.
+     *
+     * @param {Object} data - the resources the load was started for
+     * @param {Date} savedAt - when the cache was written
+     * @returns {Promise}
+     * @private
+     */
+    _reconcile(data, savedAt) {
+        debug('reconcile', savedAt);
+
+        return this._fetchIdsWithChangedRelations(savedAt)
+            .then((changedIds) => {
+                return Promise.each(this.resourcesConfig, (resourceConfig) => {
+                    if (this.data !== data) {
+                        return;
+                    }
+
+                    return this._reconcileType(resourceConfig, changedIds);
+                });
+            })
             .then(() => {
-                // CASE: all resources are fetched, start the queue
-                this.queue.start({
-                    event: 'init',
-                    tolerance: 100,
-                    requiredSubscriberCount: 1
+                debug('reconciled');
+                this._onLoaded(data);
+            })
+            .catch((err) => {
+                logging.error(err);
+
+                // CASE: the urls might be outdated, the next bootstrap loads everything from the database again
+                return this.cache.clear();
+            });
+    }
+
+    /**
+     * @description Posts carry the slugs of their tags and authors, which can change without changing the post.
+     * Deleting a tag or a user (whose posts are reassigned) changes the relations without touching any `updated_at`,
+     * the relations of the cached resources are compared with the relation tables for that.
+     * @param {Date} savedAt
+     * @returns {Promise<Set>} - ids of posts and pages with a tag or author which was edited after `savedAt`
+     *                           or with different tags or authors than the cached resource
+     * @private
+     */
+    _fetchIdsWithChangedRelations(savedAt) {
+        const knex = models.Base.knex;
+        const since = moment.utc(savedAt).format('YYYY-MM-DD HH:mm:ss');
+
+        return Promise.all([
+            knex('posts_tags')
+                .distinct('posts_tags.post_id')
+                .innerJoin('tags', 'tags.id', 'posts_tags.tag_id')
+                .where('tags.updated_at', '>=', since),
+            knex('posts_authors')
+                .distinct('posts_authors.post_id')
+                .innerJoin('users', 'users.id', 'posts_authors.author_id')
+                .where('users.updated_at', '>=', since),
+            knex('posts_tags')
+                .select('post_id', 'tag_id as id')
+                .orderBy(['post_id', 'sort_order']),
+            knex('posts_authors')
+                .select('post_id', 'author_id as id')
+                .orderBy(['post_id', 'sort_order'])
+        ]).then(([tagged, authored, postsTags, postsAuthors]) => {
+            const changedIds = new Set([...tagged, ...authored].map(row => row.post_id));
+
+            this._addIdsWithChangedRelationRows('tags', postsTags, changedIds);
+            this._addIdsWithChangedRelationRows('authors', postsAuthors, changedIds);
+
+            return changedIds;
+        });
+    }
+
+    /**
+     * @description Compare the related ids of the cached resources with the rows of a relation table.
+     * @param {String} relationName - tags or authors
+     * @param {Object[]} rows - `{post_id, id}` ordered like the relation is fetched
+     * @param {Set} changedIds - ids of resources whose relations differ are added
+     * @private
+     */
+    _addIdsWithChangedRelationRows(relationName, rows, changedIds) {
+        const relatedIds = _.mapValues(_.groupBy(rows, 'post_id'), relations => _.map(relations, 'id'));
+
+        _.each(this.resourcesConfig, (resourceConfig) => {
+            if (!_.includes(resourceConfig.modelOptions.withRelated, relationName)) {
+                return;
+            }
+
+            _.each(this.data[resourceConfig.type], (resource) => {
+                const cachedIds = _.map(resource.data[relationName], 'id');
+
+                if (!_.isEqual(cachedIds, relatedIds[resource.data.id] || [])) {
+                    changedIds.add(resource.data.id);
+                }
+            });
+        });
+    }
+
+    /**
+     * @description Reconcile the cached resources of a single type.
+     * @param {Object} resourceConfig
+     * @param {Set} changedIds - ids which have to be refetched in any case
+     * @returns {Promise}
+     * @private
+     */
+    _reconcileType(resourceConfig, changedIds) {
+        const type = resourceConfig.type;
+        const modelOptions = _.omit(resourceConfig.modelOptions, ['exclude', 'withRelated', 'withRelatedPrimary', 'withRelatedFields']);
+        modelOptions.columns = ['id', 'updated_at'];
+
+        return models.Base.Model.raw_knex.fetchAll(modelOptions)
+            .then((objects) => {
+                const cached = _.keyBy(this.data[type], 'data.id');
+                const existingIds = new Set(objects.map(object => object.id));
+
+                const idsToFetch = objects
+                    .filter((object) => {
+                        const resource = cached[object.id];
+
+                        return !resource ||
+                            changedIds.has(object.id) ||
+                            new Date(resource.data.updated_at).getTime() !== new Date(object.updated_at).getTime();
+                    })
+                    .map(object => object.id);
+
+                const idsToRemove = this.data[type]
+                    .map(resource => resource.data.id)
+                    .filter(id => !existingIds.has(id));
+
+                debug('reconcile', type, idsToFetch.length, idsToRemove.length);
+
+                idsToRemove.forEach(id => this._removeById(type, id));
+
+                return Promise.each(_.chunk(idsToFetch, RECONCILE_CHUNK_SIZE), (ids) => {
+                    const chunkOptions = _.cloneDeep(resourceConfig.modelOptions);
+                    const idFilter = `id:[${ids.map(id => `'${id}'`).join(',')}]`;
+                    chunkOptions.filter = chunkOptions.filter ? `${chunkOptions.filter}+${idFilter}` : idFilter;
+
+                    return models.Base.Model.raw_knex.fetchAll(chunkOptions)
+                        .then((dbResources) => {
+                            const fetchedIds = new Set();
+
+                            dbResources.forEach((dbResource) => {
+                                fetchedIds.add(dbResource.id);
+                                this._upsert(type, dbResource);
+                            });
+
+                            // CASE: the resource was unpublished in between
+                            ids.filter(id => !fetchedIds.has(id)).forEach(id => this._removeById(type, id));
+                        });
                 });
             });
     }
 
+    /**
+     * @description Add or update a resource with data fetched from the database and let the url generators know.
+     * @param {String} type
+     * @param {Object} dbResource
+     * @private
+     */
+    _upsert(type, dbResource) {
+        let resource = this.getByIdAndType(type, dbResource.id);
+
+        if (resource) {
+            resource.update(dbResource);
+
+            // CASE: owned resources notify their url generator themselves
+            if (resource.isReserved()) {
+                return;
+            }
+        } else {
+            resource = new Resource(type, dbResource);
+            this.data[type].push(resource);
+        }
+
+        this.queue.start({
+            event: 'added',
+            action: 'added:' + dbResource.id,
+            eventData: {
+                id: dbResource.id,
+                type: type
+            }
+        });
+    }
+
+    /**
+     * @description Remove a resource from the cache and release its url.
+     * @param {String} type
+     * @param {String} id
+     * @private
+     */
+    _removeById(type, id) {
+        const index = _.findIndex(this.data[type], {data: {id: id}});
+
+        if (index === -1) {
+            return;
+        }
+
+        const [resource] = this.data[type].splice(index, 1);
+        resource.remove();
+    }
+
+    /**
+     * @description Write the resources to the cache file.
+     * @returns {Promise}
+     */
+    persist() {
+        this._schedulePersist.cancel();
+
+        if (!this.loaded) {
+            return Promise.resolve();
+        }
+
+        const resources = _.mapValues(this.data, resourcesOfType => resourcesOfType.map(resource => resource.data));
+        return this.cache.write(this.resourcesAPIVersion, resources);
+    }
+
     /**
      * @description The actual call to the model layer, which will execute raw knex queries to ensure performance.
      * @param {Object} resourceConfig
@@ -233,6 +537,8 @@ class Resources {
     _onResourceAdded(type, model) {
         debug('_onResourceAdded', type);
 
+        this._schedulePersist();
+
         const resourceConfig = _.find(this.resourcesConfig, {type: type});
 
         // NOTE: synchronous handling for post and pages so that their URL is available without a delay
@@ -302,6 +608,8 @@ class Resources {
     _onResourceUpdated(type, model) {
         debug('_onResourceUpdated', type);
 
+        this._schedulePersist();
+
         const resourceConfig = _.find(this.resourcesConfig, {type: type});
 
         // NOTE: synchronous handling for post and pages so that their URL is available without a delay
@@ -373,6 +681,8 @@ class Resources {
     _onResourceRemoved(type, model) {
         debug('_onResourceRemoved', type);
 
+        this._schedulePersist();
+
         let index = null;
         let resource;
 
@@ -441,6 +751,9 @@ class Resources {
         this.listeners = [];
         this.data = {};
         this.resourcesConfig = null;
+
+        this.loaded = false;
+        this._schedulePersist.cancel();
     }
 
     /**
@@ -449,6 +762,8 @@ class Resources {
      */
     softReset() {
         this.data = {};
+        this.loaded = false;
+        this._schedulePersist.cancel();
 
         _.each(this.resourcesConfig, (resourceConfig) => {
             this.data[resourceConfig.type] = [];
@@ -0,0 +1,151 @@
+const fs = require('fs-extra');
+const path = require('path');
+const debug = require('@tryghost/debug')('services:url:cache');
+const logging = require('@tryghost/logging');
+const ghostVersion = require('@tryghost/version');
+const config = require('../../../shared/config');
+
+// bump if the structure of the persisted resources changes
+const CACHE_VERSION = 1;
+
+// dates are persisted as ISO strings, resource filters and permalinks expect Date objects
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+/**
+ * @description Persists the resources of the url service to a file in the content folder.
+ *
+ * Loading the resources from the database on bootstrap is slow for big sites. If a cache file exists,
+ * the url service generates the urls from it straight away and only asks the database for the resources
+ * which have changed since the file was written (see Resources.js).
+ */
+class UrlCache {
+    constructor() {
+        this.writing = Promise.resolve();
+    }
+
+    /**
+     * @description The cache is bound to the Ghost version and to the api version of the active theme,
+     * both define which fields a resource has.
+     * @param {String} apiVersion
+     * @returns {String}
+     * @private
+     */
+    _getKey(apiVersion) {
+        return `${CACHE_VERSION}:${ghostVersion.full}:${apiVersion}`;
+    }
+
+    /**
+     * @returns {String}
+     * @private
+     */
+    _getPath() {
+        return path.join(config.getContentPath('data'), 'url-cache.json');
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return config.get('urlCache:enabled') === true;
+    }
+
+    /**
+     * @description Read the cached resources.
+     * @param {String} apiVersion
+     * @returns {Promise<{savedAt: Date, resources: Object}|null>} - null if there is no usable cache
+     */
+    async read(apiVersion) {
+        if (!this.isEnabled()) {
+            return null;
+        }
+
+        let contents;
+
+        try {
+            contents = await fs.readFile(this._getPath(), 'utf8');
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                logging.warn(`Could not read the url cache: ${err.message}`);
+            }
+
+            return null;
+        }
+
+        try {
+            const cache = JSON.parse(contents, (key, value) => {
+                if (typeof value === 'string' && ISO_DATE.test(value)) {
+                    return new Date(value);
+                }
+
+                return value;
+            });
+
+            if (cache.key !== this._getKey(apiVersion)) {
+                debug('outdated cache', cache.key);
+                return null;
+            }
+
+            return {
+                savedAt: cache.saved_at,
+                resources: cache.resources
+            };
+        } catch (err) {
+            logging.warn(`Could not parse the url cache: ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * @description Write the resources to the cache.
+     *
+     * The file is written next to the target and renamed afterwards, a crash while writing never leaves
+     * a half written cache behind. Writes are serialized.
+     *
+     * @param {String} apiVersion
+     * @param {Object} resources - raw resource data by type
+     * @returns {Promise}
+     */
+    write(apiVersion, resources) {
+        if (!this.isEnabled()) {
+            return Promise.resolve();
+        }
+
+        const contents = JSON.stringify({
+            key: this._getKey(apiVersion),
+            saved_at: new Date(),
+            resources
+        });
+
+        this.writing = this.writing
+            .then(async () => {
+                const target = this._getPath();
+                const tmp = `${target}.tmp`;
+
+                await fs.writeFile(tmp, contents);
+                await fs.rename(tmp, target);
+
+                debug('written', target);
+            })
+            .catch((err) => {
+                logging.warn(`Could not write the url cache: ${err.message}`);
+            });
+
+        return this.writing;
+    }
+
+    /**
+     * @description Remove the cache file e.g. if the resources could not be reconciled.
+     * @returns {Promise}
+     */
+    clear() {
+        this.writing = this.writing
+            .then(() => fs.remove(this._getPath()))
+            .catch((err) => {
+                logging.warn(`Could not remove the url cache: ${err.message}`);
+            });
+
+        return this.writing;
+    }
+}
+
+module.exports = UrlCache;
@@ -186,6 +186,16 @@ class UrlService {
         return object.resource;
     }
 
+    /**
+     * @description Get the urls of all resources, e.g. to build a static copy of the site.
+     * @returns {Array<{url: String, resource: Object}>}
+     */
+    getAllUrls() {
+        return this.urls.getAll().map(({url, resource}) => {
+            return {url, resource};
+        });
+    }
+
     /**
      * @description Figure out if url generation is in progress or not.
      * @returns {boolean}
@@ -292,6 +302,14 @@ class UrlService {
         this.resources.fetchResources();
     }
 
+    /**
+     * @description Write the resources to the cache file, the next bootstrap generates the urls from it.
+     * @returns {Promise}
+     */
+    persist() {
+        return this.resources.persist();
+    }
+
     /**
      * @description Reset this service.
      * @param {Object} options
@@ -60,6 +60,14 @@ class Urls {
         });
     }
 
+    /**
+     * @description Get all urls.
+     * @returns {Array}
+     */
+    getAll() {
+        return Object.values(this.urls);
+    }
+
     /**
      * @description Get url by resource id.
      * @param {String} id
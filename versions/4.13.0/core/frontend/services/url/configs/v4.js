@@ -31,8 +31,7 @@ module.exports = [
                 'twitter_image',
                 'twitter_title',
                 'twitter_description',
-                'custom_template',
-                'locale'
+                'custom_template'
             ],
             withRelated: ['tags', 'authors'],
             withRelatedPrimary: {
@@ -75,7 +74,6 @@ module.exports = [
                 'twitter_title',
                 'twitter_description',
                 'custom_template',
-                'locale',
                 'tags',
                 'authors',
                 'primary_tag',
@@ -0,0 +1,84 @@
+const DEFAULT_BATCH_SIZE = 1000;
+
+/**
+ * Recipient data keyed by email address, every value is available as a replacement variable
+ * @typedef {Object.<string, Object.<string, string>>} RecipientData
+ *
+ * @example
+ * {
+ *     'test@example.com': {
+ *         unique_id: '12345abcde',
+ *         unsubscribe_url: 'https://example.com/unsub/me',
+ *         replacement_1: 'Test'
+ *     }
+ * }
+ */
+
+/**
+ * Replacement parsed out of email content by `postEmailSerializer.parseReplacements`
+ * @typedef {Object} Replacement
+ * @property {'html'|'plaintext'} format - content format the match was found in
+ * @property {string} id - key of the value in each recipient's data, e.g. `replacement_1`
+ * @property {string} match - the original string in the content, e.g. `%%{first_name}%%`
+ */
+
+/**
+ * Bulk email adapters receive batches of up to `getBatchSize()` recipients.
+ *
+ * Email content uses `%recipient.<key>%` placeholders for per-recipient values,
+ * e.g. `%recipient.unsubscribe_url%`, where `<key>` is any property of that recipient's data.
+ * Providers that support recipient variables natively can pass the placeholders through,
+ * others render the content per recipient with `renderForRecipient`.
+ */
+module.exports = class BulkEmailBase {
+    constructor() {
+        Object.defineProperty(this, 'requiredFns', {
+            value: ['isConfigured', 'getBatchSize', 'send'],
+            writable: false
+        });
+    }
+
+    /**
+     * @returns {number} - maximum number of recipients passed to a single `send` call
+     */
+    getBatchSize() {
+        return DEFAULT_BATCH_SIZE;
+    }
+
+    /**
+     * Swaps parsed replacement strings for `%recipient.<id>%` placeholders
+     *
+     * @param {Object} content - object with `html`, `plaintext` and `subject` properties
+     * @param {Replacement[]} replacements
+     * @returns {Object} - copy of content with placeholders in place of replacement strings
+     */
+    applyReplacements(content, replacements) {
+        const result = Object.assign({}, content);
+
+        replacements.forEach((replacement) => {
+            result[replacement.format] = result[replacement.format].replace(
+                replacement.match,
+                `%recipient.${replacement.id}%`
+            );
+        });
+
+        return result;
+    }
+
+    /**
+     * Fills in all `%recipient.<key>%` placeholders with a single recipient's values
+     *
+     * @param {string} content
+     * @param {Object.<string, string>} data - recipient data for a single recipient
+     * @returns {string}
+     */
+    renderForRecipient(content, data) {
+        if (!content) {
+            return content;
+        }
+
+        return content.replace(/%recipient\.(\w+)%/g, (placeholder, key) => {
+            return Object.prototype.hasOwnProperty.call(data, key) ? data[key] : '';
+        });
+    }
+};
@@ -0,0 +1,129 @@
+const _ = require('lodash');
+const {URL} = require('url');
+const mailgun = require('mailgun-js');
+const settingsCache = require('../../../shared/settings-cache');
+const Base = require('./Base');
+
+const BATCH_SIZE = 1000;
+
+function createMailgun(config) {
+    const baseUrl = new URL(config.baseUrl);
+
+    return mailgun({
+        apiKey: config.apiKey,
+        domain: config.domain,
+        protocol: baseUrl.protocol,
+        host: baseUrl.hostname,
+        port: baseUrl.port,
+        endpoint: baseUrl.pathname,
+        retry: 5
+    });
+}
+
+/**
+ * Sends bulk email through the Mailgun API.
+ *
+ * Credentials are read from `bulkEmail.mailgun` config when present,
+ * falling back to the `mailgun_*` settings configured in Admin.
+ */
+module.exports = class MailgunBulkEmailAdapter extends Base {
+    /**
+     * @param {Object} [config] - `bulkEmail.mailgun` config
+     * @param {string} [config.apiKey]
+     * @param {string} [config.domain]
+     * @param {string} [config.baseUrl]
+     * @param {string} [config.tag] - extra tag added to every message
+     * @param {boolean} [config.testmode]
+     */
+    constructor(config) {
+        super();
+        this.config = config || {};
+    }
+
+    getMailgunConfig() {
+        if (this.config.apiKey) {
+            return this.config;
+        }
+
+        const mailgunSetting = {
+            apiKey: settingsCache.get('mailgun_api_key'),
+            domain: settingsCache.get('mailgun_domain'),
+            baseUrl: settingsCache.get('mailgun_base_url')
+        };
+
+        if (mailgunSetting.apiKey && mailgunSetting.baseUrl && mailgunSetting.domain) {
+            return mailgunSetting;
+        }
+
+        return null;
+    }
+
+    isConfigured() {
+        return !!this.getMailgunConfig();
+    }
+
+    getBatchSize() {
+        return BATCH_SIZE;
+    }
+
+    /**
+     * @param {Object} message
+     * @param {import('./Base').RecipientData} recipientData
+     * @param {import('./Base').Replacement[]} replacements
+     * @returns {Promise<{id: string}>}
+     */
+    send(message, recipientData, replacements) {
+        let messageData = {};
+
+        try {
+            const mailgunInstance = createMailgun(this.getMailgunConfig());
+
+            // update content to use Mailgun variable syntax for replacements
+            const messageContent = this.applyReplacements(_.pick(message, 'subject', 'html', 'plaintext'), replacements);
+
+            messageData = {
+                to: Object.keys(recipientData),
+                from: message.from,
+                'h:Reply-To': message.replyTo || message.reply_to,
+                subject: messageContent.subject,
+                html: messageContent.html,
+                text: messageContent.plaintext,
+                'recipient-variables': recipientData
+            };
+
+            // add a reference to the original email record for easier mapping of mailgun event -> email
+            if (message.id) {
+                messageData['v:email-id'] = message.id;
+            }
+
+            const tags = ['bulk-email'];
+            if (this.config.tag) {
+                tags.push(this.config.tag);
+            }
+            messageData['o:tag'] = tags;
+
+            if (this.config.testmode) {
+                messageData['o:testmode'] = true;
+            }
+
+            // enable tracking if turned on for this email
+            if (message.track_opens) {
+                messageData['o:tracking-opens'] = true;
+            }
+
+            return new Promise((resolve, reject) => {
+                mailgunInstance.messages().send(messageData, (error, body) => {
+                    if (error || !body) {
+                        return reject(error);
+                    }
+
+                    return resolve({
+                        id: body.id
+                    });
+                });
+            });
+        } catch (error) {
+            return Promise.reject({error, messageData});
+        }
+    }
+};
@@ -0,0 +1,122 @@
+const _ = require('lodash');
+const Promise = require('bluebird');
+const ObjectID = require('bson-objectid');
+const logging = require('@tryghost/logging');
+const Base = require('./Base');
+
+const DEFAULT_BATCH_SIZE = 100;
+const DEFAULT_CONCURRENCY = 5;
+
+/**
+ * Sends bulk email through any nodemailer transport, one message per recipient.
+ *
+ * Example config:
+ * "bulkEmail": {
+ *     "active": "SMTP",
+ *     "smtp": {
+ *         "transport": "SMTP",
+ *         "options": {"host": "smtp.example.com", "port": 465, "secureConnection": true, "auth": {...}},
+ *         "batchSize": 100,
+ *         "concurrency": 5
+ *     }
+ * }
+ */
+module.exports = class SMTPBulkEmailAdapter extends Base {
+    /**
+     * @param {Object} [config] - `bulkEmail.smtp` config
+     * @param {string} [config.transport] - nodemailer transport type, defaults to "SMTP"
+     * @param {Object} [config.options] - nodemailer transport options
+     * @param {number} [config.batchSize] - recipients per batch
+     * @param {number} [config.concurrency] - messages sent in parallel within a batch
+     */
+    constructor(config) {
+        super();
+        this.config = config || {};
+        this.transport = null;
+    }
+
+    getTransport() {
+        if (!this.transport) {
+            const nodemailer = require('nodemailer');
+            // nodemailer mutates the options passed to createTransport
+            this.transport = nodemailer.createTransport(this.config.transport || 'SMTP', _.cloneDeep(this.config.options));
+        }
+
+        return this.transport;
+    }
+
+    isConfigured() {
+        return !!this.config.options;
+    }
+
+    getBatchSize() {
+        return this.config.batchSize || DEFAULT_BATCH_SIZE;
+    }
+
+    sendMail(message) {
+        return new Promise((resolve, reject) => {
+            this.getTransport().sendMail(message, (err, response) => {
+                if (err) {
+                    return reject(err);
+                }
+
+                resolve(response);
+            });
+        });
+    }
+
+    /**
+     * Rejects only when no message in the batch could be sent so that a retry
+     * of the batch doesn't deliver duplicates to recipients that already received it
+     *
+     * @param {Object} message
+     * @param {import('./Base').RecipientData} recipientData
+     * @param {import('./Base').Replacement[]} replacements
+     * @returns {Promise<{id: string}>}
+     */
+    async send(message, recipientData, replacements) {
+        const messageContent = this.applyReplacements(_.pick(message, 'subject', 'html', 'plaintext'), replacements);
+        const batchId = ObjectID().toHexString();
+        const headers = {
+            'X-Ghost-Batch-Id': batchId
+        };
+
+        if (message.id) {
+            headers['X-Ghost-Email-Id'] = message.id;
+        }
+
+        const failures = [];
+        const emails = Object.keys(recipientData);
+
+        await Promise.map(emails, async (email) => {
+            const data = recipientData[email];
+
+            try {
+                await this.sendMail({
+                    to: email,
+                    from: message.from,
+                    replyTo: message.replyTo || message.reply_to,
+                    subject: this.renderForRecipient(messageContent.subject, data),
+                    html: this.renderForRecipient(messageContent.html, data),
+                    text: this.renderForRecipient(messageContent.plaintext, data),
+                    headers,
+                    encoding: 'base64'
+                });
+            } catch (err) {
+                failures.push({email, err});
+            }
+        }, {concurrency: this.config.concurrency || DEFAULT_CONCURRENCY});
+
+        if (failures.length && failures.length === emails.length) {
+            throw failures[0].err;
+        }
+
+        failures.forEach(({email, err}) => {
+            logging.warn(`Bulk email to ${email} failed: ${err.message}`);
+        });
+
+        return {
+            id: batchId
+        };
+    }
+};
@@ -6,15 +6,16 @@ const getSchedulerIntegration = require('./scheduler-intergation');
 
 /**
  * @description Load all scheduled posts/pages from database.
+ * @param {string} [method] - "getScheduled" for resources to publish, "getScheduledUnpublishing" for resources to unpublish
  * @return {Promise}
  */
-const loadScheduledResources = async function () {
+const loadScheduledResources = async function (method = 'getScheduled') {
     const api = require('../../../api');
     const SCHEDULED_RESOURCES = ['post', 'page'];
 
     // Fetches all scheduled resources(posts/pages) with default API
     const results = await Promise.mapSeries(SCHEDULED_RESOURCES, async (resourceType) => {
-        const result = await api.schedules.getScheduled.query({
+        const result = await api.schedules[method].query({
             options: {
                 resource: resourceType
             }
@@ -35,11 +36,14 @@ const init = async (options) => {
     const adapter = await localUtils.createAdapter();
 
     let scheduledResources;
+    let unpublishingResources;
 
     if (!adapter.rescheduleOnBoot) {
         scheduledResources = [];
+        unpublishingResources = [];
     } else {
         scheduledResources = await loadScheduledResources();
+        unpublishingResources = await loadScheduledResources('getScheduledUnpublishing');
     }
 
     return new PostScheduler({
@@ -47,6 +51,7 @@ const init = async (options) => {
         integration,
         adapter,
         scheduledResources,
+        unpublishingResources,
         events
     });
 };
@@ -5,7 +5,7 @@ const urlUtils = require('../../../../shared/url-utils');
 const getSignedAdminToken = require('./scheduling-auth-token');
 
 class PostScheduler {
-    constructor({apiUrl, integration, adapter, scheduledResources, events} = {}) {
+    constructor({apiUrl, integration, adapter, scheduledResources, unpublishingResources = {}, events} = {}) {
         if (!apiUrl) {
             throw new errors.IncorrectUsageError({message: 'post-scheduling: no apiUrl was provided'});
         }
@@ -22,6 +22,14 @@ class PostScheduler {
             });
         }
 
+        // Reschedules all resources which get unpublished at their `unpublish_at` on boot
+        Object.keys(unpublishingResources).forEach((resourceType) => {
+            unpublishingResources[resourceType].forEach((model) => {
+                adapter.unschedule(this.normalize({model, apiUrl, integration, resourceType, field: 'unpublish_at'}, 'unscheduled'), {bootstrap: true});
+                adapter.schedule(this.normalize({model, apiUrl, integration, resourceType, field: 'unpublish_at'}));
+            });
+        });
+
         adapter.run();
 
         const SCHEDULED_RESOURCES = ['post', 'page'];
@@ -42,19 +50,34 @@ class PostScheduler {
             events.on(`${resource}.unscheduled`, (model) => {
                 adapter.unschedule(this.normalize({model, apiUrl, integration, resourceType: resource}, 'unscheduled'));
             });
+
+            // NOTE: unpublishing uses the same schedules endpoint, the job's time is the resource's `unpublish_at`
+            events.on(`${resource}.unpublish.scheduled`, (model) => {
+                adapter.schedule(this.normalize({model, apiUrl, integration, resourceType: resource, field: 'unpublish_at'}));
+            });
+
+            events.on(`${resource}.unpublish.rescheduled`, (model) => {
+                adapter.unschedule(this.normalize({model, apiUrl, integration, resourceType: resource, field: 'unpublish_at'}, 'unscheduled'));
+                adapter.schedule(this.normalize({model, apiUrl, integration, resourceType: resource, field: 'unpublish_at'}));
+            });
+
+            events.on(`${resource}.unpublish.unscheduled`, (model) => {
+                adapter.unschedule(this.normalize({model, apiUrl, integration, resourceType: resource, field: 'unpublish_at'}, 'unscheduled'));
+            });
         });
     }
 
     /**
      * @description Normalize model data into scheduler notation.
      * @param {Object} options
+     * @param {string} [options.field] - date attribute the job gets executed at, "published_at" or "unpublish_at"
      * @return {Object}
      */
-    normalize({model, apiUrl, resourceType, integration}, event = '') {
+    normalize({model, apiUrl, resourceType, integration, field = 'published_at'}, event = '') {
         const resource = `${resourceType}s`;
-        const publishedAt = (event === 'unscheduled') ? model.previous('published_at') : model.get('published_at');
+        const scheduledAt = (event === 'unscheduled') ? model.previous(field) : model.get(field);
         const signedAdminToken = getSignedAdminToken({
-            publishedAt,
+            publishedAt: scheduledAt,
             apiUrl,
             key: {
                 id: integration.api_keys[0].id,
@@ -65,11 +88,11 @@ class PostScheduler {
 
         return {
             // NOTE: The scheduler expects a unix timestamp.
-            time: moment(publishedAt).valueOf(),
+            time: moment(scheduledAt).valueOf(),
             url: url,
             extra: {
                 httpMethod: 'PUT',
-                oldTime: model.previous('published_at') ? moment(model.previous('published_at')).valueOf() : null
+                oldTime: model.previous(field) ? moment(model.previous(field)).valueOf() : null
             }
         };
     }
@@ -0,0 +1,51 @@
+/**
+ * Search hit returned by adapters, the search service loads the resources and applies members content gating
+ * @typedef {Object} SearchHit
+ * @property {'posts'|'pages'|'tags'|'authors'} type
+ * @property {string} id
+ * @property {number} score - higher is more relevant, hits of all types are ranked together
+ */
+
+/**
+ * Search adapters find published content matching a query.
+ *
+ * Engines keeping their own index can implement `indexResource` and `removeResource`,
+ * they get called whenever published content changes.
+ */
+module.exports = class SearchBase {
+    constructor() {
+        Object.defineProperty(this, 'requiredFns', {
+            value: ['search'],
+            writable: false
+        });
+    }
+
+    /**
+     * Splits a query into lowercased, unique search terms
+     *
+     * @param {string} query
+     * @returns {string[]}
+     */
+    getTerms(query) {
+        const terms = (query || '')
+            .toLowerCase()
+            .split(/\s+/)
+            .filter(term => term.length > 1);
+
+        return [...new Set(terms)];
+    }
+
+    /**
+     * @param {'posts'|'pages'|'tags'|'authors'} type
+     * @param {Object} resource - JSON of the published resource
+     * @returns {Promise<void>}
+     */
+    async indexResource() {}
+
+    /**
+     * @param {'posts'|'pages'|'tags'|'authors'} type
+     * @param {string} id
+     * @returns {Promise<void>}
+     */
+    async removeResource() {}
+};
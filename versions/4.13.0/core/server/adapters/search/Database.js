@@ -0,0 +1,209 @@
+const Base = require('./Base');
+
+const MAX_TERMS = 6;
+const MAX_CANDIDATES = 100;
+const ACTIVE_USER_STATES = ['active', 'warn-1', 'warn-2', 'warn-3', 'warn-4'];
+
+// points per term found in a field
+const WEIGHTS = {
+    title: 10,
+    excerpt: 3,
+    description: 2,
+    // per occurrence in the body, capped so long posts don't outrank relevant titles
+    body: 1,
+    maxBodyScore: 5,
+    // bonus for matching every term of the query
+    allTerms: 5
+};
+
+// InnoDB doesn't index shorter words by default (innodb_ft_min_token_size)
+const MIN_FULLTEXT_TERM_LENGTH = 3;
+const FULLTEXT_COLUMNS = ['title', 'custom_excerpt', 'plaintext'];
+
+const escapeLike = term => term.replace(/[\\%_]/g, '\\$&');
+
+// strips the operators of MySQL's boolean full-text search
+const toFullTextTerm = term => term.replace(/[+\-<>()~*"@]/g, '');
+
+const countOccurrences = (text, term) => {
+    let count = 0;
+    let index = text.indexOf(term);
+
+    while (index !== -1) {
+        count += 1;
+        index = text.indexOf(term, index + term.length);
+    }
+
+    return count;
+};
+
+/**
+ * Default search adapter, queries the posts, tags and users tables of the Ghost database directly.
+ * Posts and pages are matched on their title, custom excerpt and `plaintext`.
+ *
+ * On MySQL posts are matched with the full-text index of these columns (word prefixes).
+ * SQLite has no full-text index on them, posts are matched with `LIKE '%term%'` there which scans the whole
+ * posts table - fine for the size of sites running on SQLite. Tags and users are always matched with LIKE,
+ * these tables are small. Every query reads at most MAX_CANDIDATES rows.
+ */
+module.exports = class DatabaseSearchAdapter extends Base {
+    get knex() {
+        return require('../../data/db').knex;
+    }
+
+    /**
+     * @param {import('knex').QueryBuilder} qb
+     * @param {string[]} columns
+     * @param {string[]} terms
+     */
+    whereAnyTermMatches(qb, columns, terms) {
+        qb.where((builder) => {
+            columns.forEach((column) => {
+                terms.forEach((term) => {
+                    // NOTE: SQLite has no default escape character for LIKE
+                    builder.orWhereRaw('?? LIKE ? ESCAPE ?', [column, `%${escapeLike(term)}%`, '\\']);
+                });
+            });
+        });
+    }
+
+    /**
+     * @param {Object.<string, string>} fields - field weight name to the field's content
+     * @param {string[]} terms
+     * @returns {number}
+     */
+    score(fields, terms) {
+        let score = 0;
+        let matchedTerms = 0;
+
+        terms.forEach((term) => {
+            let termScore = 0;
+
+            Object.keys(fields).forEach((weight) => {
+                const text = (fields[weight] || '').toLowerCase();
+
+                if (weight === 'body') {
+                    termScore += Math.min(countOccurrences(text, term) * WEIGHTS.body, WEIGHTS.maxBodyScore);
+                } else if (text.includes(term)) {
+                    termScore += WEIGHTS[weight];
+                }
+            });
+
+            if (termScore > 0) {
+                matchedTerms += 1;
+            }
+
+            score += termScore;
+        });
+
+        if (terms.length > 1 && matchedTerms === terms.length) {
+            score += WEIGHTS.allTerms;
+        }
+
+        return score;
+    }
+
+    /**
+     * @param {import('knex').QueryBuilder} qb
+     * @param {string[]} terms
+     */
+    wherePostMatches(qb, terms) {
+        const fullTextTerms = terms
+            .map(toFullTextTerm)
+            .filter(term => term.length >= MIN_FULLTEXT_TERM_LENGTH);
+
+        // CASE: short terms are not in the full-text index
+        if (this.knex.client.config.client !== 'mysql' || !fullTextTerms.length) {
+            return this.whereAnyTermMatches(qb, FULLTEXT_COLUMNS, terms);
+        }
+
+        qb.whereRaw(`MATCH (${FULLTEXT_COLUMNS.map(() => '??').join(', ')}) AGAINST (? IN BOOLEAN MODE)`, [
+            ...FULLTEXT_COLUMNS,
+            fullTextTerms.map(term => `${term}*`).join(' ')
+        ]);
+    }
+
+    async searchPosts(terms) {
+        const rows = await this.knex('posts')
+            .select('id', 'type', 'title', 'custom_excerpt', 'plaintext')
+            .where('status', 'published')
+            .where(qb => this.wherePostMatches(qb, terms))
+            .orderBy('published_at', 'desc')
+            .limit(MAX_CANDIDATES);
+
+        return rows.map((row) => {
+            return {
+                type: row.type === 'page' ? 'pages' : 'posts',
+                id: row.id,
+                score: this.score({title: row.title, excerpt: row.custom_excerpt, body: row.plaintext}, terms)
+            };
+        });
+    }
+
+    async searchTags(terms) {
+        const rows = await this.knex('tags')
+            .select('id', 'name', 'description')
+            .where('visibility', 'public')
+            .where(qb => this.whereAnyTermMatches(qb, ['name', 'description'], terms))
+            .limit(MAX_CANDIDATES);
+
+        return rows.map((row) => {
+            return {
+                type: 'tags',
+                id: row.id,
+                score: this.score({title: row.name, description: row.description}, terms)
+            };
+        });
+    }
+
+    async searchAuthors(terms) {
+        const rows = await this.knex('users')
+            .select('id', 'name', 'bio')
+            .whereIn('status', ACTIVE_USER_STATES)
+            .where(qb => this.whereAnyTermMatches(qb, ['name', 'bio'], terms))
+            .limit(MAX_CANDIDATES);
+
+        return rows.map((row) => {
+            return {
+                type: 'authors',
+                id: row.id,
+                score: this.score({title: row.name, description: row.bio}, terms)
+            };
+        });
+    }
+
+    /**
+     * @param {string} query
+     * @param {Object} options
+     * @param {string[]} options.types - resource types to search
+     * @param {number} options.limit
+     * @returns {Promise<import('./Base').SearchHit[]>}
+     */
+    async search(query, {types, limit}) {
+        const terms = this.getTerms(query).slice(0, MAX_TERMS);
+
+        if (!terms.length) {
+            return [];
+        }
+
+        const searches = [];
+
+        if (types.includes('posts') || types.includes('pages')) {
+            searches.push(this.searchPosts(terms).then(hits => hits.filter(hit => types.includes(hit.type))));
+        }
+
+        if (types.includes('tags')) {
+            searches.push(this.searchTags(terms));
+        }
+
+        if (types.includes('authors')) {
+            searches.push(this.searchAuthors(terms));
+        }
+
+        const results = await Promise.all(searches);
+
+        return [].concat(...results)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+};
@@ -19,6 +19,12 @@ class LocalFileStore extends StorageBase {
         super();
 
         this.storagePath = config.getContentPath('images');
+        this.staticFileURLPrefix = urlUtils.STATIC_IMAGE_URL_PREFIX;
+        this.errorMessages = {
+            notFound: 'errors.errors.imageNotFound',
+            notFoundWithRef: 'errors.errors.imageNotFoundWithRef',
+            cannotRead: 'errors.errors.cannotReadImage'
+        };
     }
 
     /**
@@ -38,7 +44,7 @@ class LocalFileStore extends StorageBase {
                 // For local file system storage can use relative path so add a slash
                 const fullUrl = (
                     urlUtils.urlJoin('/', urlUtils.getSubdir(),
-                        urlUtils.STATIC_IMAGE_URL_PREFIX,
+                        this.staticFileURLPrefix,
                         targetPath)
                 ).replace(new RegExp(`\\${path.sep}`, 'g'), '/');
 
@@ -71,7 +77,7 @@ class LocalFileStore extends StorageBase {
             // For local file system storage can use relative path so add a slash
             const fullUrl = (
                 urlUtils.urlJoin('/', urlUtils.getSubdir(),
-                    urlUtils.STATIC_IMAGE_URL_PREFIX,
+                    this.staticFileURLPrefix,
                     path.relative(this.storagePath, targetFilename))
             ).replace(new RegExp(`\\${path.sep}`, 'g'), '/');
 
@@ -101,7 +107,7 @@ class LocalFileStore extends StorageBase {
      * @returns {serveStaticContent}
      */
     serve() {
-        const {storagePath} = this;
+        const {storagePath, errorMessages} = this;
 
         return function serveStaticContent(req, res, next) {
             const startedAtMoment = moment();
@@ -119,7 +125,7 @@ class LocalFileStore extends StorageBase {
                 if (err) {
                     if (err.statusCode === 404) {
                         return next(new errors.NotFoundError({
-                            message: i18n.t('errors.errors.imageNotFound'),
+                            message: i18n.t(errorMessages.notFound),
                             code: 'STATIC_FILE_NOT_FOUND',
                             property: err.path
                         }));
@@ -169,7 +175,7 @@ class LocalFileStore extends StorageBase {
                     if (err.code === 'ENOENT' || err.code === 'ENOTDIR') {
                         return reject(new errors.NotFoundError({
                             err: err,
-                            message: i18n.t('errors.errors.imageNotFoundWithRef', {img: options.path})
+                            message: i18n.t(this.errorMessages.notFoundWithRef, {file: options.path})
                         }));
                     }
 
@@ -183,7 +189,7 @@ class LocalFileStore extends StorageBase {
 
                     return reject(new errors.GhostError({
                         err: err,
-                        message: i18n.t('errors.errors.cannotReadImage', {img: options.path})
+                        message: i18n.t(this.errorMessages.cannotRead, {file: options.path})
                     }));
                 }
 
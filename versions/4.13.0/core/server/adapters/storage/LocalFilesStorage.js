@@ -0,0 +1,21 @@
+// # Local File System Files Storage module
+// The (default) module for storing downloadable files like PDFs, using the local file system
+const config = require('../../../shared/config');
+const LocalFileStorage = require('./LocalFileStorage');
+const {STATIC_FILES_URL_PREFIX} = require('./utils');
+
+class LocalFilesStorage extends LocalFileStorage {
+    constructor() {
+        super();
+
+        this.storagePath = config.getContentPath('files');
+        this.staticFileURLPrefix = STATIC_FILES_URL_PREFIX;
+        this.errorMessages = {
+            notFound: 'errors.errors.fileNotFound',
+            notFoundWithRef: 'errors.errors.fileNotFoundWithRef',
+            cannotRead: 'errors.errors.cannotReadFile'
+        };
+    }
+}
+
+module.exports = LocalFilesStorage;
@@ -0,0 +1,21 @@
+// # Local File System Media Storage module
+// The (default) module for storing audio and video files, using the local file system
+const config = require('../../../shared/config');
+const LocalFileStorage = require('./LocalFileStorage');
+const {STATIC_MEDIA_URL_PREFIX} = require('./utils');
+
+class LocalMediaStorage extends LocalFileStorage {
+    constructor() {
+        super();
+
+        this.storagePath = config.getContentPath('media');
+        this.staticFileURLPrefix = STATIC_MEDIA_URL_PREFIX;
+        this.errorMessages = {
+            notFound: 'errors.errors.fileNotFound',
+            notFoundWithRef: 'errors.errors.fileNotFoundWithRef',
+            cannotRead: 'errors.errors.cannotReadFile'
+        };
+    }
+}
+
+module.exports = LocalMediaStorage;
@@ -1,7 +1,10 @@
 const adapterManager = require('../../services/adapter-manager');
 
-function getStorage() {
-    return adapterManager.getAdapter('storage');
+/**
+ * @param {'media'|'files'} [feature] - images use the active storage adapter
+ */
+function getStorage(feature) {
+    return adapterManager.getAdapter('storage', feature);
 }
 
 module.exports.getStorage = getStorage;
@@ -1,4 +1,8 @@
 const urlUtils = require('../../../shared/url-utils');
+
+exports.STATIC_MEDIA_URL_PREFIX = 'content/media';
+exports.STATIC_FILES_URL_PREFIX = 'content/files';
+
 /**
  * @TODO: move `events.js` to here - e.g. storageUtils.getStorage
  */
@@ -0,0 +1,60 @@
+const backupsService = require('../../services/backups');
+
+module.exports = {
+    docName: 'backups',
+
+    browse: {
+        permissions: true,
+        query() {
+            return backupsService.listBackups();
+        }
+    },
+
+    download: {
+        options: [
+            'name'
+        ],
+        validation: {
+            options: {
+                name: {
+                    required: true
+                }
+            }
+        },
+        permissions: {
+            method: 'read'
+        },
+        async query(frame) {
+            const backup = await backupsService.readBackup(frame.options.name);
+
+            return function downloadBackup(req, res) {
+                res.set({
+                    'Content-Disposition': `Attachment; filename="${frame.options.name}"`,
+                    'Content-Type': 'application/json'
+                });
+
+                res.send(backup);
+            };
+        }
+    },
+
+    restore: {
+        headers: {
+            cacheInvalidate: true
+        },
+        options: [
+            'name'
+        ],
+        validation: {
+            options: {
+                name: {
+                    required: true
+                }
+            }
+        },
+        permissions: true,
+        query(frame) {
+            return backupsService.restoreBackup(frame.options.name);
+        }
+    }
+};
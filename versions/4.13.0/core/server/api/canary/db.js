@@ -1,9 +1,13 @@
 const Promise = require('bluebird');
+const path = require('path');
+const fs = require('fs-extra');
+const logging = require('@tryghost/logging');
 const dbBackup = require('../../data/db/backup');
 const exporter = require('../../data/exporter');
 const importer = require('../../data/importer');
 const errors = require('@tryghost/errors');
 const models = require('../../models');
+const web = require('../../web');
 
 module.exports = {
     docName: 'db',
@@ -87,6 +91,71 @@ module.exports = {
         }
     },
 
+    exportSite: {
+        options: [
+            'include'
+        ],
+        validation: {
+            options: {
+                include: {
+                    values: exporter.BACKUP_TABLES
+                }
+            }
+        },
+        permissions: {
+            method: 'exportContent'
+        },
+        async query(frame) {
+            const siteExport = await exporter.doSiteExport({include: frame.options.withRelated});
+
+            return function downloadSiteExport(req, res, next) {
+                res.download(siteExport.path, siteExport.filename, (err) => {
+                    fs.remove(path.dirname(siteExport.path)).catch((removeErr) => {
+                        logging.error(new errors.GhostError({err: removeErr}));
+                    });
+
+                    if (err && !res.headersSent) {
+                        next(err);
+                    }
+                });
+            };
+        }
+    },
+
+    importSite: {
+        headers: {
+            cacheInvalidate: true
+        },
+        options: [
+            'dry_run'
+        ],
+        validation: {
+            options: {
+                dry_run: {
+                    values: ['true', 'false']
+                }
+            }
+        },
+        permissions: {
+            method: 'importContent'
+        },
+        async query(frame) {
+            const dryRun = frame.options.dry_run === 'true';
+            const report = await importer.importSiteFromFile(frame.file, {dryRun});
+
+            if (dryRun) {
+                this.headers.cacheInvalidate = false;
+            } else {
+                this.headers.cacheInvalidate = true;
+
+                // CASE: trigger that the imported redirects are getting re-registered
+                await web.shared.middlewares.customRedirects.reload();
+            }
+
+            return report;
+        }
+    },
+
     deleteAllContent: {
         headers: {
             cacheInvalidate: true
@@ -33,7 +33,9 @@ module.exports = {
                         });
                     }
 
-                    return mega.postEmailSerializer.serialize(model, {isBrowserPreview: true, apiVersion: 'canary'}).then((emailContent) => {
+                    return mega.mega.getPostNewsletter(model).then((newsletter) => {
+                        return mega.postEmailSerializer.serialize(model, {isBrowserPreview: true, apiVersion: 'canary', newsletter});
+                    }).then((emailContent) => {
                         if (labs.isSet('emailCardSegments') && frame.options.memberSegment) {
                             emailContent = mega.postEmailSerializer.renderEmailForSegment(emailContent, frame.options.memberSegment);
                         }
@@ -2,6 +2,8 @@ const models = require('../../models');
 const i18n = require('../../../shared/i18n');
 const errors = require('@tryghost/errors');
 const megaService = require('../../services/mega');
+const linkTrackingService = require('../../services/link-tracking');
+const emailAnalyticsService = require('../../services/email-analytics');
 
 module.exports = {
     docName: 'emails',
@@ -35,14 +37,16 @@ module.exports = {
         permissions: true,
         query(frame) {
             return models.Email.findOne(frame.data, frame.options)
-                .then((model) => {
+                .then(async (model) => {
                     if (!model) {
                         throw new errors.NotFoundError({
                             message: i18n.t('errors.models.email.emailNotFound')
                         });
                     }
 
-                    return model;
+                    const links = await linkTrackingService.getEmailLinkStats(model.id);
+
+                    return Object.assign(model.toJSON(frame.options), {links});
                 });
         }
     },
@@ -70,5 +74,14 @@ module.exports = {
                     return await megaService.mega.retryFailedEmail(model);
                 });
         }
+    },
+
+    addEvents: {
+        statusCode: 200,
+        headers: {},
+        permissions: true,
+        query(frame) {
+            return emailAnalyticsService.processInboundEvents(frame.data.events);
+        }
     }
 };
@@ -0,0 +1,15 @@
+const storage = require('../../adapters/storage');
+
+module.exports = {
+    docName: 'files',
+    upload: {
+        statusCode: 201,
+        permissions: false,
+        async query(frame) {
+            const store = storage.getStorage('files');
+            const path = await store.save(frame.file);
+
+            return {path, file: frame.file};
+        }
+    }
+};
@@ -20,6 +20,10 @@ module.exports = {
         return shared.pipeline(require('./db'), localUtils);
     },
 
+    get backups() {
+        return shared.pipeline(require('./backups'), localUtils);
+    },
+
     get identities() {
         return shared.pipeline(require('./identities'), localUtils);
     },
@@ -37,6 +41,14 @@ module.exports = {
         return shared.pipeline(require('./schedules'), localUtils);
     },
 
+    get newsletters() {
+        return shared.pipeline(require('./newsletters'), localUtils);
+    },
+
+    get offers() {
+        return shared.pipeline(require('./offers'), localUtils);
+    },
+
     get pages() {
         return shared.pipeline(require('./pages'), localUtils);
     },
@@ -57,10 +69,18 @@ module.exports = {
         return shared.pipeline(require('./webhooks'), localUtils);
     },
 
+    get webhookDeliveries() {
+        return shared.pipeline(require('./webhook-deliveries'), localUtils);
+    },
+
     get posts() {
         return shared.pipeline(require('./posts'), localUtils);
     },
 
+    get postRevisions() {
+        return shared.pipeline(require('./post-revisions'), localUtils);
+    },
+
     get invites() {
         return shared.pipeline(require('./invites'), localUtils);
     },
@@ -101,6 +121,18 @@ module.exports = {
         return shared.pipeline(require('./images'), localUtils);
     },
 
+    get media() {
+        return shared.pipeline(require('./media'), localUtils);
+    },
+
+    get files() {
+        return shared.pipeline(require('./files'), localUtils);
+    },
+
+    get unusedImages() {
+        return shared.pipeline(require('./unused-images'), localUtils);
+    },
+
     get tags() {
         return shared.pipeline(require('./tags'), localUtils);
     },
@@ -173,6 +205,10 @@ module.exports = {
         return shared.pipeline(require('./tags-public'), localUtils, 'content');
     },
 
+    get searchPublic() {
+        return shared.pipeline(require('./search-public'), localUtils, 'content');
+    },
+
     get publicSettings() {
         return shared.pipeline(require('./settings-public'), localUtils, 'content');
     },
@@ -2,6 +2,8 @@ const i18n = require('../../../shared/i18n');
 const errors = require('@tryghost/errors');
 const models = require('../../models');
 
+const UNSAFE_ATTRS = ['scopes'];
+
 module.exports = {
     docName: 'integrations',
     browse: {
@@ -53,12 +55,15 @@ module.exports = {
         }
     },
     edit: {
-        permissions: true,
+        permissions: {
+            unsafeAttrs: UNSAFE_ATTRS
+        },
         data: [
             'name',
             'icon_image',
             'description',
-            'webhooks'
+            'webhooks',
+            'scopes'
         ],
         options: [
             'id',
@@ -110,12 +115,15 @@ module.exports = {
     },
     add: {
         statusCode: 201,
-        permissions: true,
+        permissions: {
+            unsafeAttrs: UNSAFE_ATTRS
+        },
         data: [
             'name',
             'icon_image',
             'description',
-            'webhooks'
+            'webhooks',
+            'scopes'
         ],
         options: [
             'include'
@@ -0,0 +1,17 @@
+const storage = require('../../adapters/storage');
+const {getDuration} = require('../../lib/media/duration');
+
+module.exports = {
+    docName: 'media',
+    upload: {
+        statusCode: 201,
+        permissions: false,
+        async query(frame) {
+            const store = storage.getStorage('media');
+            const duration = await getDuration(frame.file);
+            const path = await store.save(frame.file);
+
+            return {path, duration, file: frame.file};
+        }
+    }
+};
@@ -5,6 +5,8 @@ const moment = require('moment-timezone');
 const errors = require('@tryghost/errors');
 const models = require('../../models');
 const membersService = require('../../services/members');
+const newslettersService = require('../../services/newsletters');
+const linkTrackingService = require('../../services/link-tracking');
 const labsService = require('../../../shared/labs');
 
 const settingsCache = require('../../../shared/settings-cache');
@@ -13,6 +15,19 @@ const _ = require('lodash');
 
 const allowedIncludes = ['email_recipients', 'products'];
 
+/**
+ * Subscribes the member to exactly the newsletters passed in the request
+ *
+ * @param {Object} member - Member model instance
+ * @param {Object} frame
+ */
+const updateNewsletters = async (member, frame) => {
+    const newsletterIds = frame.data.members[0].newsletters.map(newsletter => newsletter.id);
+
+    await newslettersService.updateMemberNewsletters(member.id, newsletterIds, _.pick(frame.options, ['context']));
+    await member.refresh({withRelated: ['newsletters']});
+};
+
 module.exports = {
     docName: 'members',
 
@@ -41,7 +56,7 @@ module.exports = {
         permissions: true,
         validation: {},
         async query(frame) {
-            frame.options.withRelated = ['labels', 'stripeSubscriptions', 'stripeSubscriptions.customer', 'stripeSubscriptions.stripePrice', 'stripeSubscriptions.stripePrice.stripeProduct'];
+            frame.options.withRelated = ['labels', 'newsletters', 'stripeSubscriptions', 'stripeSubscriptions.customer', 'stripeSubscriptions.stripePrice', 'stripeSubscriptions.stripePrice.stripeProduct'];
             const page = await membersService.api.members.list(frame.options);
 
             return page;
@@ -66,6 +81,8 @@ module.exports = {
         },
         permissions: true,
         async query(frame) {
+            frame.options.withRelated = _.union(frame.options.withRelated, ['newsletters']);
+
             let member = await membersService.api.memberBREADService.read(frame.data, frame.options);
 
             if (!member) {
@@ -74,6 +91,8 @@ module.exports = {
                 });
             }
 
+            member.clicked_emails = await linkTrackingService.getMemberClickedEmails(member.id);
+
             return member;
         }
     },
@@ -98,7 +117,7 @@ module.exports = {
         permissions: true,
         async query(frame) {
             let member;
-            frame.options.withRelated = ['stripeSubscriptions', 'products', 'labels', 'stripeSubscriptions.stripePrice', 'stripeSubscriptions.stripePrice.stripeProduct'];
+            frame.options.withRelated = ['stripeSubscriptions', 'products', 'labels', 'newsletters', 'stripeSubscriptions.stripePrice', 'stripeSubscriptions.stripePrice.stripeProduct'];
             if (!labsService.isSet('multipleProducts')) {
                 delete frame.data.products;
             }
@@ -128,6 +147,10 @@ module.exports = {
                     await membersService.api.members.setComplimentarySubscription(member);
                 }
 
+                if (frame.data.members[0].newsletters) {
+                    await updateNewsletters(member, frame);
+                }
+
                 if (frame.options.send_email) {
                     await membersService.api.sendEmailWithMagicLink({email: member.get('email'), requestedType: frame.options.email_type});
                 }
@@ -183,7 +206,7 @@ module.exports = {
                 delete frame.data.products;
             }
             try {
-                frame.options.withRelated = ['stripeSubscriptions', 'products', 'labels', 'stripeSubscriptions.stripePrice', 'stripeSubscriptions.stripePrice.stripeProduct'];
+                frame.options.withRelated = ['stripeSubscriptions', 'products', 'labels', 'newsletters', 'stripeSubscriptions.stripePrice', 'stripeSubscriptions.stripePrice.stripeProduct'];
                 const member = await membersService.api.members.update(frame.data.members[0], frame.options);
 
                 const hasCompedSubscription = !!member.related('stripeSubscriptions').find(sub => sub.get('plan_nickname') === 'Complimentary' && sub.get('status') === 'active');
@@ -198,6 +221,10 @@ module.exports = {
                     await member.load(['stripeSubscriptions', 'products', 'stripeSubscriptions.stripePrice', 'stripeSubscriptions.stripePrice.stripeProduct']);
                 }
 
+                if (frame.data.members[0].newsletters) {
+                    await updateNewsletters(member, frame);
+                }
+
                 await member.load(['stripeSubscriptions.customer', 'stripeSubscriptions.stripePrice', 'stripeSubscriptions.stripePrice.stripeProduct']);
 
                 return member;
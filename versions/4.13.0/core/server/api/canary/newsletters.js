@@ -0,0 +1,67 @@
+const newslettersService = require('../../services/newsletters');
+
+module.exports = {
+    docName: 'newsletters',
+
+    browse: {
+        options: [
+            'filter',
+            'fields',
+            'limit',
+            'order',
+            'page'
+        ],
+        permissions: true,
+        query(frame) {
+            return newslettersService.browse(frame.options);
+        }
+    },
+
+    read: {
+        headers: {},
+        options: [
+            'fields'
+        ],
+        data: [
+            'id'
+        ],
+        permissions: true,
+        query(frame) {
+            return newslettersService.read(frame.data, frame.options);
+        }
+    },
+
+    add: {
+        statusCode: 201,
+        headers: {},
+        validation: {
+            data: {
+                name: {
+                    required: true
+                }
+            }
+        },
+        permissions: true,
+        query(frame) {
+            return newslettersService.add(frame.data.newsletters[0], frame.options);
+        }
+    },
+
+    edit: {
+        headers: {},
+        options: [
+            'id'
+        ],
+        validation: {
+            options: {
+                id: {
+                    required: true
+                }
+            }
+        },
+        permissions: true,
+        query(frame) {
+            return newslettersService.edit(frame.data.newsletters[0], frame.options);
+        }
+    }
+};
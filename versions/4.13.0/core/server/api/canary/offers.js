@@ -0,0 +1,97 @@
+const offersService = require('../../services/offers');
+
+module.exports = {
+    docName: 'offers',
+
+    browse: {
+        options: [
+            'filter',
+            'fields',
+            'limit',
+            'order',
+            'page'
+        ],
+        permissions: true,
+        query(frame) {
+            return offersService.browse(frame.options);
+        }
+    },
+
+    read: {
+        headers: {},
+        options: [
+            'fields'
+        ],
+        data: [
+            'id'
+        ],
+        permissions: true,
+        query(frame) {
+            return offersService.read(frame.data, frame.options);
+        }
+    },
+
+    add: {
+        statusCode: 201,
+        headers: {},
+        validation: {
+            data: {
+                name: {
+                    required: true
+                },
+                product_id: {
+                    required: true
+                },
+                interval: {
+                    required: true
+                },
+                discount_amount: {
+                    required: true
+                }
+            }
+        },
+        permissions: true,
+        query(frame) {
+            return offersService.add(frame.data.offers[0], frame.options);
+        }
+    },
+
+    edit: {
+        headers: {},
+        options: [
+            'id'
+        ],
+        validation: {
+            options: {
+                id: {
+                    required: true
+                }
+            }
+        },
+        permissions: true,
+        query(frame) {
+            return offersService.edit(frame.data.offers[0], frame.options);
+        }
+    },
+
+    browseRedemptions: {
+        options: [
+            'id',
+            'limit',
+            'page'
+        ],
+        validation: {
+            options: {
+                id: {
+                    required: true
+                }
+            }
+        },
+        permissions: {
+            method: 'read'
+        },
+        query(frame) {
+            return offersService.browseRedemptions({id: frame.options.id}, frame.options);
+        }
+    }
+};
@@ -16,7 +16,8 @@ module.exports = {
             'page',
             'limit',
             'order',
-            'debug'
+            'debug',
+            'locale'
         ],
         validation: {
             options: {
@@ -0,0 +1,83 @@
+const getPostServiceInstance = require('../../services/posts/posts-service');
+const getPostRevisionsServiceInstance = require('../../services/posts/post-revisions-service');
+
+const postsService = getPostServiceInstance('canary');
+const postRevisionsService = getPostRevisionsServiceInstance();
+
+module.exports = {
+    docName: 'post_revisions',
+
+    browse: {
+        options: [
+            'id'
+        ],
+        validation: {
+            options: {
+                id: {
+                    required: true
+                }
+            }
+        },
+        permissions: {
+            docName: 'posts',
+            method: 'read'
+        },
+        query(frame) {
+            return postRevisionsService.browse(frame.options.id, frame.options);
+        }
+    },
+
+    read: {
+        options: [
+            'id',
+            'revision_id'
+        ],
+        validation: {
+            options: {
+                id: {
+                    required: true
+                },
+                revision_id: {
+                    required: true
+                }
+            }
+        },
+        permissions: {
+            docName: 'posts',
+            method: 'read'
+        },
+        query(frame) {
+            return postRevisionsService.read(frame.options.id, frame.options.revision_id, frame.options);
+        }
+    },
+
+    restore: {
+        headers: {},
+        options: [
+            'id',
+            'revision_id',
+            'formats'
+        ],
+        validation: {
+            options: {
+                id: {
+                    required: true
+                },
+                revision_id: {
+                    required: true
+                }
+            }
+        },
+        permissions: {
+            docName: 'posts',
+            method: 'edit'
+        },
+        async query(frame) {
+            const model = await postRevisionsService.restore(frame.options.id, frame.options.revision_id, frame.options);
+
+            this.headers.cacheInvalidate = postsService.handleCacheInvalidation(model);
+
+            return model;
+        }
+    }
+};
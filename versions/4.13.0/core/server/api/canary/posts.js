@@ -126,6 +126,7 @@ module.exports = {
             'source',
             'email_recipient_filter',
             'send_email_when_published',
+            'newsletter',
             'force_rerender',
             // NOTE: only for internal context
             'forUpdate',
@@ -1,38 +1,156 @@
-const path = require('path');
-
+const Promise = require('bluebird');
+const errors = require('@tryghost/errors');
+const tpl = require('@tryghost/tpl');
+const models = require('../../models');
 const web = require('../../web');
 const redirects = require('../../../frontend/services/redirects');
+const redirectsService = require('../../services/redirects');
+
+const messages = {
+    redirectNotFound: 'Redirect not found.'
+};
 
 module.exports = {
     docName: 'redirects',
 
+    browse: {
+        options: [
+            'filter',
+            'limit',
+            'order',
+            'page'
+        ],
+        permissions: true,
+        query(frame) {
+            return models.Redirect.findPage(frame.options);
+        }
+    },
+
+    read: {
+        headers: {},
+        data: [
+            'id'
+        ],
+        permissions: true,
+        query(frame) {
+            return models.Redirect.findOne(frame.data, frame.options)
+                .then((model) => {
+                    if (!model) {
+                        return Promise.reject(new errors.NotFoundError({
+                            message: tpl(messages.redirectNotFound)
+                        }));
+                    }
+
+                    return model;
+                });
+        }
+    },
+
+    add: {
+        statusCode: 201,
+        headers: {
+            cacheInvalidate: true
+        },
+        validation: {
+            data: {
+                from: {
+                    required: true
+                },
+                to: {
+                    required: true
+                }
+            }
+        },
+        permissions: true,
+        async query(frame) {
+            const model = await redirectsService.add(frame.data.redirects[0], frame.options);
+
+            // CASE: trigger that redirects are getting re-registered
+            await web.shared.middlewares.customRedirects.reload();
+
+            return model;
+        }
+    },
+
+    edit: {
+        headers: {
+            cacheInvalidate: true
+        },
+        options: [
+            'id'
+        ],
+        validation: {
+            options: {
+                id: {
+                    required: true
+                }
+            }
+        },
+        permissions: true,
+        async query(frame) {
+            const model = await models.Redirect.edit(frame.data.redirects[0], frame.options);
+
+            if (!model) {
+                throw new errors.NotFoundError({
+                    message: tpl(messages.redirectNotFound)
+                });
+            }
+
+            await web.shared.middlewares.customRedirects.reload();
+
+            return model;
+        }
+    },
+
+    destroy: {
+        statusCode: 204,
+        headers: {
+            cacheInvalidate: true
+        },
+        options: [
+            'id'
+        ],
+        validation: {
+            options: {
+                id: {
+                    required: true
+                }
+            }
+        },
+        permissions: true,
+        query(frame) {
+            frame.options.require = true;
+
+            return models.Redirect.destroy(frame.options)
+                .then(() => web.shared.middlewares.customRedirects.reload())
+                .then(() => null)
+                .catch(models.Redirect.NotFoundError, () => {
+                    return Promise.reject(new errors.NotFoundError({
+                        message: tpl(messages.redirectNotFound)
+                    }));
+                });
+        }
+    },
+
     download: {
         headers: {
             disposition: {
                 type: 'file',
-                value() {
-                    return redirects.settings.getRedirectsFilePath()
-                        .then((filePath) => {
-                            // TODO: Default file type is .json for backward compatibility.
-                            // When .yaml becomes default or .json is removed at v4,
-                            // This part should be changed.
-                            return filePath === null || path.extname(filePath) === '.json'
-                                ? 'redirects.json'
-                                : 'redirects.yaml';
-                        });
+                async value() {
+                    const ext = await redirectsService.getFileFormat();
+                    return `redirects${ext}`;
                 }
             }
         },
         permissions: true,
         response: {
             async format() {
-                const filePath = await redirects.settings.getRedirectsFilePath();
-
-                return filePath === null || path.extname(filePath) === '.json' ? 'json' : 'plain';
+                const ext = await redirectsService.getFileFormat();
+                return ext === '.json' ? 'json' : 'plain';
             }
         },
         query() {
-            return redirects.settings.get();
+            return redirectsService.exportRedirectsFile();
         }
     },
 
@@ -42,10 +160,17 @@ module.exports = {
             cacheInvalidate: true
         },
         query(frame) {
-            return redirects.settings.setFromFilePath(frame.file.path, frame.file.ext)
+            return redirects.settings.loadFromFilePath(frame.file.path, frame.file.ext)
+                .then((redirectConfigs) => {
+                    return redirectsService.importRedirects(redirectConfigs, frame.options);
+                })
+                .then(() => {
+                    // NOTE: downloads keep the format of the uploaded file
+                    return redirectsService.writeRedirectsFile(frame.file.ext);
+                })
                 .then(() => {
                     // CASE: trigger that redirects are getting re-registered
-                    web.shared.middlewares.customRedirects.reload();
+                    return web.shared.middlewares.customRedirects.reload();
                 });
         }
     }
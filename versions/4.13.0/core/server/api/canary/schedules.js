@@ -5,8 +5,56 @@ const models = require('../../models');
 const urlUtils = require('../../../shared/url-utils');
 const i18n = require('../../../shared/i18n');
 const errors = require('@tryghost/errors');
+const logging = require('@tryghost/logging');
+const tpl = require('@tryghost/tpl');
 const api = require('./index');
 
+const messages = {
+    invalidUnpublishStatus: 'The configured times.unpublishPostStatus "{status}" would keep the resource live, "draft" is used instead.'
+};
+
+// statuses which take a resource off the site
+const UNPUBLISHED_STATUSES = ['draft', 'sent'];
+
+/**
+ * @returns {string} - status of a resource once it expired, configured with `times:unpublishPostStatus`
+ */
+const getUnpublishStatus = () => {
+    const status = config.get('times:unpublishPostStatus');
+
+    if (!UNPUBLISHED_STATUSES.includes(status)) {
+        logging.warn(tpl(messages.invalidUnpublishStatus, {status}));
+        return 'draft';
+    }
+
+    return status;
+};
+
+/**
+ * Scheduled resources get published at `published_at`,
+ * published and scheduled resources with an expiry get unpublished at `unpublish_at`
+ *
+ * @param {Object} resource - post or page as returned by the API
+ * @returns {{time: string, unpublish: boolean}|null}
+ */
+const getScheduledJob = (resource) => {
+    if (resource.status === 'scheduled') {
+        return {
+            time: resource.published_at,
+            unpublish: false
+        };
+    }
+
+    if (resource.status === 'published' && resource.unpublish_at) {
+        return {
+            time: resource.unpublish_at,
+            unpublish: true
+        };
+    }
+
+    return null;
+};
+
 module.exports = {
     docName: 'schedules',
     publish: {
@@ -48,22 +96,34 @@ module.exports = {
             return api[resourceType].read({id: frame.options.id}, options)
                 .then((result) => {
                     resource = result[resourceType][0];
-                    const publishedAtMoment = moment(resource.published_at);
+                    const job = getScheduledJob(resource);
+
+                    if (!job) {
+                        return Promise.reject(new errors.NotFoundError({message: i18n.t('errors.api.job.notFound')}));
+                    }
+
+                    const scheduledAtMoment = moment(job.time);
 
-                    if (publishedAtMoment.diff(moment(), 'minutes') > publishAPostBySchedulerToleranceInMinutes) {
+                    if (scheduledAtMoment.diff(moment(), 'minutes') > publishAPostBySchedulerToleranceInMinutes) {
                         return Promise.reject(new errors.NotFoundError({message: i18n.t('errors.api.job.notFound')}));
                     }
 
-                    if (publishedAtMoment.diff(moment(), 'minutes') < publishAPostBySchedulerToleranceInMinutes * -1 && frame.data.force !== true) {
-                        return Promise.reject(new errors.NotFoundError({message: i18n.t('errors.api.job.publishInThePast')}));
+                    if (scheduledAtMoment.diff(moment(), 'minutes') < publishAPostBySchedulerToleranceInMinutes * -1 && frame.data.force !== true) {
+                        const message = job.unpublish ? i18n.t('errors.api.job.unpublishInThePast') : i18n.t('errors.api.job.publishInThePast');
+                        return Promise.reject(new errors.NotFoundError({message}));
                     }
 
                     const editedResource = {};
                     editedResource[resourceType] = [{
-                        status: 'published',
+                        status: job.unpublish ? getUnpublishStatus() : 'published',
                         updated_at: moment(resource.updated_at).toISOString(true)
                     }];
 
+                    // CASE: the expiry is done, republishing the resource later on must not unpublish it again
+                    if (job.unpublish) {
+                        editedResource[resourceType][0].unpublish_at = null;
+                    }
+
                     return api[resourceType].edit(
                         editedResource,
                         _.pick(options, ['context', 'id', 'transacting', 'forUpdate'])
@@ -74,7 +134,7 @@ module.exports = {
 
                     if (
                         (scheduledResource.status === 'published' && resource.status !== 'published') ||
-                        (scheduledResource.status === 'draft' && resource.status === 'published')
+                        (scheduledResource.status !== 'published' && resource.status === 'published')
                     ) {
                         this.headers.cacheInvalidate = true;
                     } else if (
@@ -121,5 +181,31 @@ module.exports = {
                     return response;
                 });
         }
+    },
+
+    getScheduledUnpublishing: {
+        // NOTE: this method is for internal use only by the post scheduler
+        //       it is not exposed anywhere!
+        permissions: false,
+        validation: {
+            options: {
+                resource: {
+                    required: true,
+                    values: ['posts', 'pages']
+                }
+            }
+        },
+        query(frame) {
+            const resourceType = (frame.options.resource === 'post') ? 'post' : 'page';
+
+            return models.Post.findAll({
+                filter: `status:[published,scheduled]+unpublish_at:-null+type:${resourceType}`,
+                columns: ['id', 'status', 'published_at', 'unpublish_at', 'created_at', 'type']
+            }).then((result) => {
+                return {
+                    [resourceType]: result
+                };
+            });
+        }
     }
 };
@@ -0,0 +1,31 @@
+const searchService = require('../../services/search');
+
+module.exports = {
+    docName: 'search',
+
+    browse: {
+        options: [
+            'q',
+            'types',
+            'limit'
+        ],
+        validation: {
+            options: {
+                q: {
+                    required: true
+                },
+                types: {
+                    values: searchService.TYPES
+                }
+            }
+        },
+        permissions: true,
+        query(frame) {
+            return searchService.search(frame.options.q, {
+                types: frame.options.types,
+                limit: frame.options.limit,
+                member: frame.original.context.member
+            });
+        }
+    }
+};
@@ -27,7 +27,16 @@ const session = {
         return models.User.check({
             email: object.username,
             password: object.password
-        }).then((user) => {
+        }).then(async (user) => {
+            const twoFactor = await auth.twoFactor.getLoginChallenge(user.id);
+
+            // CASE: the session is only created once the second step passed, see `verify`
+            if (twoFactor) {
+                return {
+                    two_factor: [twoFactor]
+                };
+            }
+
             return Promise.resolve((req, res, next) => {
                 req.brute.reset(function (err) {
                     if (err) {
@@ -56,6 +65,62 @@ const session = {
             throw err;
         });
     },
+    /**
+     * Second step of signing in for users with two-factor authentication,
+     * expects the token returned by `add` and either a `code` or a `recovery_code`
+     */
+    async verify(frame) {
+        const object = frame.data;
+
+        if (!object || !object.token || !(object.code || object.recovery_code)) {
+            throw new errors.UnauthorizedError({
+                message: i18n.t('errors.middleware.auth.accessDenied')
+            });
+        }
+
+        const userId = auth.twoFactor.getUserIdFromLoginToken(object.token);
+        let recoveryCodes = null;
+
+        if (await auth.twoFactor.isEnabled(userId)) {
+            await auth.twoFactor.verify(userId, object);
+        } else {
+            recoveryCodes = await auth.twoFactor.enable(userId, object.code);
+        }
+
+        const user = await models.User.findOne({id: userId}, {require: true});
+
+        if (user.isInactive()) {
+            throw new errors.NoPermissionError({
+                message: i18n.t('errors.models.user.accountSuspended')
+            });
+        }
+
+        return (req, res, next) => {
+            req.brute.reset(async function (err) {
+                if (err) {
+                    return next(err);
+                }
+
+                req.user = user;
+
+                if (!recoveryCodes) {
+                    return auth.session.createSession(req, res, next);
+                }
+
+                // CASE: enrolled while signing in, the recovery codes are only shown this once
+                try {
+                    await auth.session.sessionService.createSessionForUser(req, res, user);
+                    res.status(201).json({
+                        two_factor: [{
+                            recovery_codes: recoveryCodes
+                        }]
+                    });
+                } catch (sessionErr) {
+                    next(sessionErr);
+                }
+            });
+        };
+    },
     delete() {
         return Promise.resolve((req, res, next) => {
             auth.session.destroySession(req, res, next);
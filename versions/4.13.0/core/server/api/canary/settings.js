@@ -10,6 +10,11 @@ const settingsService = require('../../services/settings');
 const settingsCache = require('../../../shared/settings-cache');
 const membersService = require('../../services/members');
 const ghostBookshelf = require('../../models/base');
+const tpl = require('@tryghost/tpl');
+
+const messages = {
+    onlyOwnerCanRequire2fa: 'Only the owner can change whether two-factor authentication is required.'
+};
 
 module.exports = {
     docName: 'settings',
@@ -244,6 +249,17 @@ module.exports = {
                         message: i18n.t('errors.api.settings.accessCoreSettingFromExtReq')
                     });
                 }
+
+                // CASE: only the owner can decide whether Administrators have to use two-factor authentication
+                if (frame.data.settings.find(setting => setting.key === 'require_admin_2fa')) {
+                    const owner = await models.User.getOwnerUser();
+
+                    if (!frame.options.context.user || frame.options.context.user !== owner.id) {
+                        throw new NoPermissionError({
+                            message: tpl(messages.onlyOwnerCanRequire2fa)
+                        });
+                    }
+                }
             }
         },
         async query(frame) {
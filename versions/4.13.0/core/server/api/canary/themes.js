@@ -8,6 +8,11 @@ const models = require('../../models');
 const request = require('@tryghost/request');
 const errors = require('@tryghost/errors/lib/errors');
 const i18n = require('../../../shared/i18n');
+const tpl = require('@tryghost/tpl');
+
+const messages = {
+    activeThemeNotChecked: 'The active theme has not been checked yet.'
+};
 
 // Used to emit theme.uploaded which is used in core/server/analytics-events
 const events = require('../../lib/common/events');
@@ -174,6 +179,37 @@ module.exports = {
         }
     },
 
+    validate: {
+        permissions: {
+            method: 'add'
+        },
+        query(frame) {
+            const zip = {
+                path: frame.file.path,
+                name: frame.file.originalname
+            };
+
+            return themeService.api.validateZip(zip);
+        }
+    },
+
+    readActiveReport: {
+        permissions: {
+            method: 'browse'
+        },
+        query() {
+            const report = themeService.api.getActiveReport();
+
+            if (!report) {
+                throw new errors.NotFoundError({
+                    message: tpl(messages.activeThemeNotChecked)
+                });
+            }
+
+            return report;
+        }
+    },
+
     download: {
         options: [
             'name'
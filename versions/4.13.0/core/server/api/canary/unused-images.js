@@ -0,0 +1,25 @@
+const errors = require('@tryghost/errors');
+const tpl = require('@tryghost/tpl');
+const mediaGC = require('../../services/media-gc');
+
+const messages = {
+    storageNotSupported: 'Unused images can only be listed when using the local file storage.'
+};
+
+module.exports = {
+    docName: 'unused_images',
+
+    browse: {
+        permissions: true,
+        async query() {
+            if (!mediaGC.isSupported()) {
+                throw new errors.BadRequestError({
+                    message: tpl(messages.storageNotSupported)
+                });
+            }
+
+            // dry run, lists the images the quarantine job would move
+            return mediaGC.getUnusedImages();
+        }
+    }
+};
@@ -1,4 +1,5 @@
 const Promise = require('bluebird');
+const _ = require('lodash');
 const i18n = require('../../../shared/i18n');
 const errors = require('@tryghost/errors');
 const models = require('../../models');
@@ -230,5 +231,88 @@ module.exports = {
                 return models.ApiKey.refreshSecret(model.toJSON(), Object.assign({}, {id: model.id}));
             });
         }
+    },
+
+    setupTwoFactor: {
+        options: [
+            'id'
+        ],
+        validation: {
+            options: {
+                id: {
+                    required: true
+                }
+            }
+        },
+        permissions: permissionOnlySelf,
+        query(frame) {
+            return auth.twoFactor.setup(getTargetId(frame));
+        }
+    },
+
+    enableTwoFactor: {
+        options: [
+            'id'
+        ],
+        validation: {
+            options: {
+                id: {
+                    required: true
+                }
+            }
+        },
+        permissions: permissionOnlySelf,
+        async query(frame) {
+            const recoveryCodes = await auth.twoFactor.enable(getTargetId(frame), frame.data.two_factor[0].code);
+            return {recovery_codes: recoveryCodes};
+        }
+    },
+
+    regenerateRecoveryCodes: {
+        options: [
+            'id'
+        ],
+        validation: {
+            options: {
+                id: {
+                    required: true
+                }
+            }
+        },
+        permissions: permissionOnlySelf,
+        async query(frame) {
+            const recoveryCodes = await auth.twoFactor.regenerateRecoveryCodes(getTargetId(frame));
+            return {recovery_codes: recoveryCodes};
+        }
+    },
+
+    disableTwoFactor: {
+        statusCode: 204,
+        options: [
+            'id'
+        ],
+        validation: {
+            options: {
+                id: {
+                    required: true
+                }
+            }
+        },
+        permissions(frame) {
+            // CASE: staff users which are allowed to edit a user can reset their two-factor authentication
+            if (frame.user && getTargetId(frame) === frame.user.id) {
+                return Promise.resolve();
+            }
+
+            return permissionsService.canThis(frame.options.context).edit.user(getTargetId(frame));
+        },
+        query(frame) {
+            const targetId = getTargetId(frame);
+            const credentials = _.pick(_.get(frame, 'data.two_factor[0]'), ['code', 'recovery_code', 'password']);
+
+            return auth.twoFactor.disable(targetId, Object.assign({}, credentials, {
+                force: !frame.user || targetId !== frame.user.id
+            }));
+        }
     }
 };
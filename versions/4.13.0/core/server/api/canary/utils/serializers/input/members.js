@@ -10,7 +10,7 @@ function defaultRelations(frame) {
         return false;
     }
 
-    frame.options.withRelated = ['labels'];
+    frame.options.withRelated = ['labels', 'newsletters'];
 }
 
 module.exports = {
@@ -36,6 +36,11 @@ module.exports = {
                 }
             });
         }
+        if (frame.data.members[0].newsletters) {
+            frame.data.members[0].newsletters = frame.data.members[0].newsletters.map((newsletter) => {
+                return _.isString(newsletter) ? {id: newsletter} : newsletter;
+            });
+        }
         defaultRelations(frame);
     },
 
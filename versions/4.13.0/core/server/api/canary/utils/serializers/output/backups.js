@@ -0,0 +1,30 @@
+const debug = require('@tryghost/debug')('api:canary:utils:serializers:output:backups');
+
+module.exports = {
+    browse(backups, apiConfig, frame) {
+        debug('browse');
+
+        frame.response = {
+            backups,
+            meta: {
+                total: backups.length,
+                total_size: backups.reduce((totalSize, backup) => totalSize + backup.size, 0)
+            }
+        };
+    },
+
+    download(fn, apiConfig, frame) {
+        debug('download');
+
+        frame.response = fn;
+    },
+
+    restore(response, apiConfig, frame) {
+        debug('restore');
+
+        frame.response = {
+            backups: [],
+            problems: response[0].problems
+        };
+    }
+};
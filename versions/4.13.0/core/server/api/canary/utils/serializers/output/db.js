@@ -31,6 +31,24 @@ module.exports = {
         };
     },
 
+    exportSite(fn, apiConfig, frame) {
+        debug('exportSite');
+
+        frame.response = fn;
+    },
+
+    importSite(report, apiConfig, frame) {
+        debug('importSite');
+
+        const {problems, ...site} = report;
+
+        frame.response = {
+            db: [],
+            site: [site],
+            problems: problems
+        };
+    },
+
     deleteAllContent(response, apiConfig, frame) {
         frame.response = {
             db: []
@@ -18,5 +18,21 @@ module.exports = {
 
     get retry() {
         return this.read;
+    },
+
+    addEvents(result, apiConfig, frame) {
+        frame.response = {
+            events: {
+                total: result.totalEvents,
+                delivered: result.delivered,
+                opened: result.opened,
+                temporary_failed: result.temporaryFailed,
+                permanent_failed: result.permanentFailed,
+                unsubscribed: result.unsubscribed,
+                complained: result.complained,
+                unhandled: result.unhandled,
+                unprocessable: result.unprocessable
+            }
+        };
     }
 };
@@ -0,0 +1,18 @@
+const debug = require('@tryghost/debug')('api:canary:utils:serializers:output:files');
+const mapper = require('./utils/mapper');
+
+module.exports = {
+    upload({path, file}, apiConfig, frame) {
+        debug('upload');
+
+        return frame.response = {
+            files: [{
+                url: mapper.mapFile(path),
+                ref: frame.data.ref || null,
+                file_name: file.name,
+                mime_type: file.type,
+                size: file.size
+            }]
+        };
+    }
+};
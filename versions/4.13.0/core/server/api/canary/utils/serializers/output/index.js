@@ -17,10 +17,22 @@ module.exports = {
         return require('./db');
     },
 
+    get backups() {
+        return require('./backups');
+    },
+
     get integrations() {
         return require('./integrations');
     },
 
+    get newsletters() {
+        return require('./newsletters');
+    },
+
+    get offers() {
+        return require('./offers');
+    },
+
     get pages() {
         return require('./pages');
     },
@@ -29,6 +41,10 @@ module.exports = {
         return require('./redirects');
     },
 
+    get search() {
+        return require('./search');
+    },
+
     get roles() {
         return require('./roles');
     },
@@ -45,10 +61,18 @@ module.exports = {
         return require('./webhooks');
     },
 
+    get webhook_deliveries() {
+        return require('./webhook-deliveries');
+    },
+
     get posts() {
         return require('./posts');
     },
 
+    get post_revisions() {
+        return require('./post-revisions');
+    },
+
     get invites() {
         return require('./invites');
     },
@@ -85,6 +109,18 @@ module.exports = {
         return require('./images');
     },
 
+    get media() {
+        return require('./media');
+    },
+
+    get files() {
+        return require('./files');
+    },
+
+    get unused_images() {
+        return require('./unused-images');
+    },
+
     get tags() {
         return require('./tags');
     },
@@ -0,0 +1,19 @@
+const debug = require('@tryghost/debug')('api:canary:utils:serializers:output:media');
+const mapper = require('./utils/mapper');
+
+module.exports = {
+    upload({path, duration, file}, apiConfig, frame) {
+        debug('upload');
+
+        return frame.response = {
+            media: [{
+                url: mapper.mapFile(path),
+                ref: frame.data.ref || null,
+                file_name: file.name,
+                mime_type: file.type,
+                size: file.size,
+                duration
+            }]
+        };
+    }
+};
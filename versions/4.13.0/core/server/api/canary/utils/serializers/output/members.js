@@ -143,6 +143,19 @@ function serializeMember(member, options) {
         serialized.products = json.products;
     }
 
+    if (json.clicked_emails) {
+        serialized.clicked_emails = json.clicked_emails;
+    }
+
+    if (json.newsletters) {
+        serialized.newsletters = json.newsletters.map(newsletter => ({
+            id: newsletter.id,
+            name: newsletter.name,
+            slug: newsletter.slug,
+            description: newsletter.description
+        }));
+    }
+
     return serialized;
 }
 
@@ -185,6 +198,8 @@ function createSerializer(debugString, serialize) {
  * @prop {string[]} labels
  * @prop {SerializedMemberStripeSubscription[]} subscriptions
  * @prop {SerializedMemberProduct[]=} products
+ * @prop {SerializedMemberNewsletter[]=} newsletters
+ * @prop {SerializedMemberClickedEmail[]=} clicked_emails
  * @prop {string} avatar_image
  * @prop {boolean} comped
  * @prop {number} email_count
@@ -201,6 +216,25 @@ function createSerializer(debugString, serialize) {
  * @prop {string} slug
  */
 
+/**
+ * @typedef {Object} SerializedMemberNewsletter
+ * @prop {string} id
+ * @prop {string} name
+ * @prop {string} slug
+ * @prop {string=} description
+ */
+
+/**
+ * @typedef {Object} SerializedMemberClickedEmail
+ * @prop {string} email_id
+ * @prop {string} post_id
+ * @prop {string} subject
+ * @prop {null|string} newsletter_id
+ * @prop {null|string} newsletter_name
+ * @prop {number} click_count
+ * @prop {string} last_clicked_at
+ */
+
 /**
  * @typedef {Object} SerializedMemberStripeData
  * @prop {SerializedMemberStripeSubscription[]} subscriptions
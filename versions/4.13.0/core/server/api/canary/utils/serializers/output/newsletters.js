@@ -0,0 +1,61 @@
+const debug = require('@tryghost/debug')('api:canary:utils:serializers:output:newsletters');
+
+const mapNewsletter = (model, frame) => {
+    const jsonModel = model.toJSON(frame.options);
+
+    return {
+        id: jsonModel.id,
+        name: jsonModel.name,
+        slug: jsonModel.slug,
+        description: jsonModel.description,
+        status: jsonModel.status,
+        sender_name: jsonModel.sender_name,
+        sender_email: jsonModel.sender_email,
+        sender_reply_to: jsonModel.sender_reply_to,
+        subscribe_on_signup: jsonModel.subscribe_on_signup,
+        sort_order: jsonModel.sort_order,
+        header_image: jsonModel.header_image,
+        show_header_icon: jsonModel.show_header_icon,
+        show_header_title: jsonModel.show_header_title,
+        title_font_category: jsonModel.title_font_category,
+        title_alignment: jsonModel.title_alignment,
+        show_feature_image: jsonModel.show_feature_image,
+        body_font_category: jsonModel.body_font_category,
+        footer_content: jsonModel.footer_content,
+        show_badge: jsonModel.show_badge,
+        created_at: jsonModel.created_at,
+        updated_at: jsonModel.updated_at
+    };
+};
+
+const singleNewsletter = (model, apiConfig, frame) => {
+    frame.response = {
+        newsletters: [mapNewsletter(model, frame)]
+    };
+};
+
+module.exports = {
+    browse(page, apiConfig, frame) {
+        debug('browse');
+
+        frame.response = {
+            newsletters: page.data.map(model => mapNewsletter(model, frame)),
+            meta: page.meta
+        };
+    },
+
+    read(model, apiConfig, frame) {
+        debug('read');
+        singleNewsletter(model, apiConfig, frame);
+    },
+
+    add(model, apiConfig, frame) {
+        debug('add');
+        singleNewsletter(model, apiConfig, frame);
+    },
+
+    edit(model, apiConfig, frame) {
+        debug('edit');
+        singleNewsletter(model, apiConfig, frame);
+    }
+};
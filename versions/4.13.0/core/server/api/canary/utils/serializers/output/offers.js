@@ -0,0 +1,84 @@
+const debug = require('@tryghost/debug')('api:canary:utils:serializers:output:offers');
+
+const mapOffer = (model, frame) => {
+    const jsonModel = model.toJSON(frame.options);
+
+    return {
+        id: jsonModel.id,
+        name: jsonModel.name,
+        code: jsonModel.code,
+        active: jsonModel.active,
+        product_id: jsonModel.product_id,
+        interval: jsonModel.interval,
+        discount_type: jsonModel.discount_type,
+        discount_amount: jsonModel.discount_amount,
+        currency: jsonModel.currency,
+        duration: jsonModel.duration,
+        duration_in_months: jsonModel.duration_in_months,
+        max_redemptions: jsonModel.max_redemptions,
+        expires_at: jsonModel.expires_at,
+        stripe_coupon_id: jsonModel.stripe_coupon_id,
+        redemption_count: model.redemptionCount,
+        url: model.landingUrl,
+        created_at: jsonModel.created_at,
+        updated_at: jsonModel.updated_at
+    };
+};
+
+const mapRedemption = (model, frame) => {
+    const jsonModel = model.toJSON(frame.options);
+
+    return {
+        id: jsonModel.id,
+        offer_id: jsonModel.offer_id,
+        member: jsonModel.member && {
+            id: jsonModel.member.id,
+            uuid: jsonModel.member.uuid,
+            email: jsonModel.member.email,
+            name: jsonModel.member.name
+        },
+        subscription_id: jsonModel.subscription ? jsonModel.subscription.id : null,
+        created_at: jsonModel.created_at
+    };
+};
+
+const singleOffer = (model, apiConfig, frame) => {
+    frame.response = {
+        offers: [mapOffer(model, frame)]
+    };
+};
+
+module.exports = {
+    browse(page, apiConfig, frame) {
+        debug('browse');
+
+        frame.response = {
+            offers: page.data.map(model => mapOffer(model, frame)),
+            meta: page.meta
+        };
+    },
+
+    read(model, apiConfig, frame) {
+        debug('read');
+        singleOffer(model, apiConfig, frame);
+    },
+
+    add(model, apiConfig, frame) {
+        debug('add');
+        singleOffer(model, apiConfig, frame);
+    },
+
+    edit(model, apiConfig, frame) {
+        debug('edit');
+        singleOffer(model, apiConfig, frame);
+    },
+
+    browseRedemptions(page, apiConfig, frame) {
+        debug('browseRedemptions');
+
+        frame.response = {
+            offer_redemptions: page.data.map(model => mapRedemption(model, frame)),
+            meta: page.meta
+        };
+    }
+};
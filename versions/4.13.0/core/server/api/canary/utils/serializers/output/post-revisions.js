@@ -0,0 +1,49 @@
+const debug = require('@tryghost/debug')('api:canary:utils:serializers:output:post-revisions');
+const mapper = require('./utils/mapper');
+
+const mapRevision = (model, frame) => {
+    const jsonModel = model.toJSON(frame.options);
+    const author = model.related('author');
+
+    return {
+        id: jsonModel.id,
+        post_id: jsonModel.post_id,
+        author: author && author.id ? {
+            id: author.id,
+            name: author.get('name'),
+            slug: author.get('slug')
+        } : null,
+        publish_event: jsonModel.publish_event,
+        created_at: jsonModel.created_at
+    };
+};
+
+module.exports = {
+    browse(revisions, apiConfig, frame) {
+        debug('browse');
+
+        frame.response = {
+            post_revisions: revisions.map(model => mapRevision(model, frame))
+        };
+    },
+
+    read({revision, html, diff}, apiConfig, frame) {
+        debug('read');
+
+        frame.response = {
+            post_revisions: [Object.assign(mapRevision(revision, frame), {
+                mobiledoc: revision.get('mobiledoc'),
+                html,
+                diff
+            })]
+        };
+    },
+
+    restore(model, apiConfig, frame) {
+        debug('restore');
+
+        frame.response = {
+            posts: [mapper.mapPost(model, frame)]
+        };
+    }
+};
@@ -1,4 +1,56 @@
+const debug = require('@tryghost/debug')('api:canary:utils:serializers:output:redirects');
+
+const mapRedirect = (model, frame) => {
+    const jsonModel = model.toJSON(frame.options);
+
+    return {
+        id: jsonModel.id,
+        from: jsonModel.from,
+        to: jsonModel.to,
+        match_type: jsonModel.match_type,
+        permanent: jsonModel.permanent,
+        preserve_query: jsonModel.preserve_query,
+        sort_order: jsonModel.sort_order,
+        source: jsonModel.source,
+        resource_id: jsonModel.resource_id,
+        hits: jsonModel.hits,
+        last_hit_at: jsonModel.last_hit_at,
+        created_at: jsonModel.created_at,
+        updated_at: jsonModel.updated_at
+    };
+};
+
+const singleRedirect = (model, apiConfig, frame) => {
+    frame.response = {
+        redirects: [mapRedirect(model, frame)]
+    };
+};
+
 module.exports = {
+    browse(page, apiConfig, frame) {
+        debug('browse');
+
+        frame.response = {
+            redirects: page.data.map(model => mapRedirect(model, frame)),
+            meta: page.meta
+        };
+    },
+
+    read(model, apiConfig, frame) {
+        debug('read');
+        singleRedirect(model, apiConfig, frame);
+    },
+
+    add(model, apiConfig, frame) {
+        debug('add');
+        singleRedirect(model, apiConfig, frame);
+    },
+
+    edit(model, apiConfig, frame) {
+        debug('edit');
+        singleRedirect(model, apiConfig, frame);
+    },
+
     download(response, apiConfig, frame) {
         frame.response = response;
     }
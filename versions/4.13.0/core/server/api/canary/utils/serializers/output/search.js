@@ -0,0 +1,15 @@
+const debug = require('@tryghost/debug')('api:canary:utils:serializers:output:search');
+
+module.exports = {
+    browse(results, apiConfig, frame) {
+        debug('browse');
+
+        frame.response = {
+            results,
+            meta: {
+                query: frame.options.q,
+                total: results.length
+            }
+        };
+    }
+};
@@ -15,6 +15,7 @@ module.exports = {
                 'url',
                 'version',
                 'oauth',
+                'oidc',
                 'sentry_dsn',
                 'sentry_env'
             ])
@@ -22,6 +22,19 @@ module.exports = {
         this.browse(...arguments);
     },
 
+    validate(report, apiConfig, frame) {
+        debug('validate');
+
+        frame.response = {
+            theme_reports: [report]
+        };
+    },
+
+    readActiveReport() {
+        debug('readActiveReport');
+        this.validate(...arguments);
+    },
+
     download(fn, apiConfig, frame) {
         debug('download');
 
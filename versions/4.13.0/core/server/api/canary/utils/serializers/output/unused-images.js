@@ -0,0 +1,24 @@
+const debug = require('@tryghost/debug')('api:canary:utils:serializers:output:unused-images');
+const urlUtils = require('../../../../../../shared/url-utils');
+const mapper = require('./utils/mapper');
+
+module.exports = {
+    browse(files, apiConfig, frame) {
+        debug('browse');
+
+        frame.response = {
+            unused_images: files.map((file) => {
+                return {
+                    path: file.path,
+                    url: mapper.mapImage(urlUtils.urlJoin('/', urlUtils.getSubdir(), urlUtils.STATIC_IMAGE_URL_PREFIX, file.path)),
+                    size: file.size,
+                    modified_at: file.modified_at
+                };
+            }),
+            meta: {
+                total: files.length,
+                total_size: files.reduce((totalSize, file) => totalSize + file.size, 0)
+            }
+        };
+    }
+};
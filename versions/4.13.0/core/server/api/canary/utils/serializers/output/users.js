@@ -65,6 +65,30 @@ module.exports = {
         frame.response = {
             apiKey: model.toJSON(frame.options)
         };
+    },
+
+    setupTwoFactor(data, apiConfig, frame) {
+        debug('setupTwoFactor');
+
+        frame.response = {
+            two_factor: [data]
+        };
+    },
+
+    enableTwoFactor(data, apiConfig, frame) {
+        debug('enableTwoFactor');
+
+        frame.response = {
+            two_factor: [data]
+        };
+    },
+
+    regenerateRecoveryCodes(data, apiConfig, frame) {
+        debug('regenerateRecoveryCodes');
+
+        frame.response = {
+            two_factor: [data]
+        };
     }
 
 };
@@ -78,6 +78,8 @@ const post = (attrs, frame) => {
         // delete attrs.page;
         delete attrs.status;
         delete attrs.email_only;
+        delete attrs.unpublish_at;
+        delete attrs.newsletter_id;
 
         // We are standardising on returning null from the Content API for any empty values
         if (attrs.twitter_title === '') {
@@ -130,7 +132,6 @@ const post = (attrs, frame) => {
         }
     }
 
-    delete attrs.locale;
     delete attrs.author;
     delete attrs.type;
 
@@ -149,6 +149,10 @@ const mapImage = (path) => {
     return url.forImage(path);
 };
 
+const mapFile = (path) => {
+    return url.forFile(path);
+};
+
 const mapAction = (model, frame) => {
     const attrs = model.toJSON(frame.options);
     clean.action(attrs);
@@ -184,5 +188,6 @@ module.exports.mapLabel = mapLabel;
 module.exports.mapIntegration = mapIntegration;
 module.exports.mapSettings = mapSettings;
 module.exports.mapImage = mapImage;
+module.exports.mapFile = mapFile;
 module.exports.mapAction = mapAction;
 module.exports.mapEmail = mapEmail;
@@ -67,8 +67,13 @@ const forImage = (path) => {
     return urlUtils.urlFor('image', {image: path}, true);
 };
 
+const forFile = (path) => {
+    return urlUtils.relativeToAbsolute(path);
+};
+
 module.exports.forPost = forPost;
 module.exports.forUser = forUser;
 module.exports.forTag = forTag;
 module.exports.forSettings = forSettings;
 module.exports.forImage = forImage;
+module.exports.forFile = forFile;
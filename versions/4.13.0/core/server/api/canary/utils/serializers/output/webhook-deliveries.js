@@ -0,0 +1,24 @@
+const debug = require('@tryghost/debug')('api:canary:utils:serializers:output:webhook-deliveries');
+
+module.exports = {
+    all(models, apiConfig, frame) {
+        debug('all');
+
+        if (!models) {
+            return;
+        }
+
+        if (models.meta) {
+            frame.response = {
+                webhook_deliveries: models.data.map(model => model.toJSON(frame.options)),
+                meta: models.meta
+            };
+
+            return;
+        }
+
+        frame.response = {
+            webhook_deliveries: [models.toJSON(frame.options)]
+        };
+    }
+};
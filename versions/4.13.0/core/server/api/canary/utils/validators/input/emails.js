@@ -0,0 +1,69 @@
+const _ = require('lodash');
+const {ValidationError} = require('@tryghost/errors');
+const tpl = require('@tryghost/tpl');
+const {EVENT_TYPES, SEVERITIES, parseTimestamp} = require('../../../../../services/email-analytics/lib/inbound-events');
+
+const MAX_EVENTS = 1000;
+
+const messages = {
+    invalidEvents: 'Validation failed for events, expected a list of at most {max} events.',
+    invalidEvent: 'Validation failed for events[{index}].{property}.'
+};
+
+/**
+ * @param {Object} event
+ * @param {number} index
+ */
+const validateEvent = (event, index) => {
+    const fail = (property) => {
+        throw new ValidationError({
+            message: tpl(messages.invalidEvent, {index, property}),
+            property: `events[${index}].${property}`
+        });
+    };
+
+    if (!_.isPlainObject(event)) {
+        fail('type');
+    }
+
+    if (!EVENT_TYPES.includes(event.type)) {
+        fail('type');
+    }
+
+    if (event.severity !== undefined && !SEVERITIES.includes(event.severity)) {
+        fail('severity');
+    }
+
+    if (!_.isString(event.recipient) || !event.recipient) {
+        fail('recipient');
+    }
+
+    if (!_.isString(event.email_id) && !_.isString(event.provider_id)) {
+        fail('email_id');
+    }
+
+    if (event.timestamp !== undefined && (!['string', 'number'].includes(typeof event.timestamp) || isNaN(parseTimestamp(event.timestamp)))) {
+        fail('timestamp');
+    }
+};
+
+module.exports = {
+    addEvents(apiConfig, frame) {
+        const events = frame.data.events;
+
+        if (!Array.isArray(events) || !events.length || events.length > MAX_EVENTS) {
+            return Promise.reject(new ValidationError({
+                message: tpl(messages.invalidEvents, {max: MAX_EVENTS}),
+                property: 'events'
+            }));
+        }
+
+        try {
+            events.forEach(validateEvent);
+        } catch (err) {
+            return Promise.reject(err);
+        }
+
+        return Promise.resolve();
+    }
+};
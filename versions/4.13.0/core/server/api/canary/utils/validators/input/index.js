@@ -57,5 +57,13 @@ module.exports = {
 
     get snippets() {
         return require('./snippets');
+    },
+
+    get emails() {
+        return require('./emails');
+    },
+
+    get integrations() {
+        return require('./integrations');
     }
 };
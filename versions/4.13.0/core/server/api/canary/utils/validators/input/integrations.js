@@ -0,0 +1,38 @@
+const {ValidationError} = require('@tryghost/errors');
+const tpl = require('@tryghost/tpl');
+const {apiKeyScopes} = require('../../../../../services/permissions');
+
+const messages = {
+    invalidScopes: 'Validation failed for scopes, expected null or a list of scopes like "posts.browse", invalid: {scopes}'
+};
+
+/**
+ * `scopes` is null for unrestricted integrations or a list of `<resource>.<action>` strings
+ *
+ * @param {Object} apiConfig "frame" api configuration object
+ * @param {Object} frame "frame" object with data attached to it
+ */
+const validateScopes = (apiConfig, frame) => {
+    const integration = frame.data.integrations && frame.data.integrations[0];
+
+    if (!integration || integration.scopes === undefined || integration.scopes === null) {
+        return Promise.resolve();
+    }
+
+    const scopes = integration.scopes;
+    const invalidScopes = Array.isArray(scopes) ? scopes.filter(scope => !apiKeyScopes.isValidScope(scope)) : [scopes];
+
+    if (invalidScopes.length) {
+        return Promise.reject(new ValidationError({
+            message: tpl(messages.invalidScopes, {scopes: invalidScopes.map(scope => JSON.stringify(scope)).join(', ')}),
+            property: 'scopes'
+        }));
+    }
+
+    return Promise.resolve();
+};
+
+module.exports = {
+    add: validateScopes,
+    edit: validateScopes
+};
@@ -1,6 +1,11 @@
 const jsonSchema = require('../utils/json-schema');
+const newsletters = require('../utils/newsletters');
 
 module.exports = {
-    add: jsonSchema.validate,
-    edit: jsonSchema.validate
+    add(apiConfig, frame) {
+        return newsletters.validate(jsonSchema.validate, apiConfig, frame);
+    },
+    edit(apiConfig, frame) {
+        return newsletters.validate(jsonSchema.validate, apiConfig, frame);
+    }
 };
@@ -1,4 +1,6 @@
 const jsonSchema = require('../utils/json-schema');
+const unpublishAt = require('../utils/unpublish-at');
+const translations = require('../utils/translations');
 const models = require('../../../../../models');
 const {ValidationError} = require('@tryghost/errors');
 const tpl = require('@tryghost/tpl');
@@ -33,14 +35,16 @@ const validateVisibility = async function (frame) {
     }
 };
 
+const validateSchema = (apiConfig, frame) => translations.validate(jsonSchema.validate, apiConfig, frame);
+
 module.exports = {
     add(apiConfig, frame) {
-        return jsonSchema.validate(...arguments).then(() => {
+        return unpublishAt.validate(validateSchema, apiConfig, frame).then(() => {
             return validateVisibility(frame);
         });
     },
     edit(apiConfig, frame) {
-        return jsonSchema.validate(...arguments).then(() => {
+        return unpublishAt.validate(validateSchema, apiConfig, frame).then(() => {
             return validateVisibility(frame);
         });
     }
@@ -1,4 +1,5 @@
 const Promise = require('bluebird');
+const _ = require('lodash');
 const debug = require('@tryghost/debug')('api:canary:utils:validators:input:users');
 const i18n = require('../../../../../../shared/i18n');
 const errors = require('@tryghost/errors');
@@ -14,5 +15,38 @@ module.exports = {
                 message: i18n.t('errors.models.user.newPasswordsDoNotMatch')
             }));
         }
+    },
+
+    enableTwoFactor(apiConfig, frame) {
+        debug('enableTwoFactor');
+
+        const code = _.get(frame, 'data.two_factor[0].code');
+
+        if (typeof code !== 'string' || !code.trim()) {
+            return Promise.reject(new errors.ValidationError({
+                message: i18n.t('notices.data.validation.index.validationFailed', {
+                    validationName: 'FieldIsRequired',
+                    key: 'code'
+                })
+            }));
+        }
+    },
+
+    disableTwoFactor(apiConfig, frame) {
+        debug('disableTwoFactor');
+
+        const credentials = _.get(frame, 'data.two_factor[0]', {});
+        const invalidKey = ['code', 'recovery_code', 'password'].find((key) => {
+            return !_.isNil(credentials[key]) && typeof credentials[key] !== 'string';
+        });
+
+        if (invalidKey) {
+            return Promise.reject(new errors.ValidationError({
+                message: i18n.t('notices.data.validation.index.validationFailed', {
+                    validationName: 'isString',
+                    key: invalidKey
+                })
+            }));
+        }
     }
 };
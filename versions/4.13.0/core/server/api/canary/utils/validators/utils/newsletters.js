@@ -0,0 +1,46 @@
+const _ = require('lodash');
+const {ValidationError} = require('@tryghost/errors');
+const tpl = require('@tryghost/tpl');
+
+const messages = {
+    invalidNewsletters: 'Validation failed for newsletters, expected a list of newsletter ids.'
+};
+
+/**
+ * `newsletters` is not part of the admin API JSON schemas, it's validated here instead
+ * and taken out of the data while the rest of the member goes through the schema validation.
+ * Newsletters can be passed as ids or as objects with an id.
+ *
+ * @param {Function} validate - JSON schema validation of the resource
+ * @param {Object} apiConfig "frame" api configuration object
+ * @param {Object} frame "frame" object with data attached to it
+ */
+const validateWithNewsletters = async (validate, apiConfig, frame) => {
+    const resource = frame.data[apiConfig.docName] && frame.data[apiConfig.docName][0];
+
+    if (!resource || resource.newsletters === undefined) {
+        return validate(apiConfig, frame);
+    }
+
+    const newsletters = resource.newsletters;
+    const isValid = Array.isArray(newsletters) && newsletters.every((newsletter) => {
+        return _.isString(newsletter) || (_.isPlainObject(newsletter) && _.isString(newsletter.id));
+    });
+
+    if (!isValid) {
+        throw new ValidationError({
+            message: tpl(messages.invalidNewsletters),
+            property: 'newsletters'
+        });
+    }
+
+    delete resource.newsletters;
+
+    try {
+        await validate(apiConfig, frame);
+    } finally {
+        resource.newsletters = newsletters;
+    }
+};
+
+module.exports.validate = validateWithNewsletters;
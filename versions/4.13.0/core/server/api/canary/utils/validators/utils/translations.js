@@ -0,0 +1,48 @@
+const {ValidationError} = require('@tryghost/errors');
+const tpl = require('@tryghost/tpl');
+
+const messages = {
+    invalidProperty: 'Validation failed for {property}.'
+};
+
+const TRANSLATION_PROPERTIES = ['locale', 'translation_id'];
+
+/**
+ * `locale` and `translation_id` are not part of the admin API JSON schemas, their format is validated by the model.
+ * They're taken out of the data while the rest of the resource goes through the schema validation.
+ *
+ * @param {Function} validate - JSON schema validation of the resource
+ * @param {Object} apiConfig "frame" api configuration object
+ * @param {Object} frame "frame" object with data attached to it
+ */
+const validateWithTranslations = async (validate, apiConfig, frame) => {
+    const resource = frame.data[apiConfig.docName] && frame.data[apiConfig.docName][0];
+    const properties = resource ? TRANSLATION_PROPERTIES.filter(property => resource[property] !== undefined) : [];
+
+    if (!properties.length) {
+        return validate(apiConfig, frame);
+    }
+
+    const values = {};
+
+    properties.forEach((property) => {
+        if (resource[property] !== null && typeof resource[property] !== 'string') {
+            throw new ValidationError({
+                message: tpl(messages.invalidProperty, {property}),
+                property
+            });
+        }
+
+        // CASE: empty strings unset the property
+        values[property] = resource[property] || null;
+        delete resource[property];
+    });
+
+    try {
+        await validate(apiConfig, frame);
+    } finally {
+        Object.assign(resource, values);
+    }
+};
+
+module.exports.validate = validateWithTranslations;
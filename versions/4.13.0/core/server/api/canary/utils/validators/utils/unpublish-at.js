@@ -0,0 +1,42 @@
+const moment = require('moment');
+const {ValidationError} = require('@tryghost/errors');
+const tpl = require('@tryghost/tpl');
+
+const messages = {
+    invalidUnpublishAt: 'Validation failed for unpublish_at.'
+};
+
+/**
+ * `unpublish_at` is not part of the admin API JSON schemas, it's validated here instead
+ * and taken out of the data while the rest of the resource goes through the schema validation.
+ *
+ * @param {Function} validate - JSON schema validation of the resource
+ * @param {Object} apiConfig "frame" api configuration object
+ * @param {Object} frame "frame" object with data attached to it
+ */
+const validateWithUnpublishAt = async (validate, apiConfig, frame) => {
+    const resource = frame.data[apiConfig.docName] && frame.data[apiConfig.docName][0];
+
+    if (!resource || resource.unpublish_at === undefined) {
+        return validate(apiConfig, frame);
+    }
+
+    const unpublishAt = resource.unpublish_at;
+
+    if (unpublishAt !== null && !moment(unpublishAt, moment.ISO_8601, true).isValid()) {
+        throw new ValidationError({
+            message: tpl(messages.invalidUnpublishAt),
+            property: 'unpublish_at'
+        });
+    }
+
+    delete resource.unpublish_at;
+
+    try {
+        await validate(apiConfig, frame);
+    } finally {
+        resource.unpublish_at = unpublishAt;
+    }
+};
+
+module.exports.validate = validateWithUnpublishAt;
@@ -0,0 +1,150 @@
+const errors = require('@tryghost/errors');
+const tpl = require('@tryghost/tpl');
+const models = require('../../models');
+const webhooksService = require('../../services/webhooks');
+
+const messages = {
+    webhookNotFound: 'Webhook not found.',
+    deliveryNotFound: 'Webhook delivery not found.',
+    noPermissionToAccess: 'You may only {method} deliveries of webhooks belonging to your integration.'
+};
+
+const loadWebhook = async (frame, method) => {
+    const webhook = await models.Webhook.findOne({id: frame.options.webhook_id}, {require: false});
+
+    if (!webhook) {
+        throw new errors.NotFoundError({
+            message: tpl(messages.webhookNotFound)
+        });
+    }
+
+    if (frame.options.context && frame.options.context.integration && frame.options.context.integration.id) {
+        if (webhook.get('integration_id') !== frame.options.context.integration.id) {
+            throw new errors.NoPermissionError({
+                message: tpl(messages.noPermissionToAccess, {
+                    method
+                })
+            });
+        }
+    }
+
+    return webhook;
+};
+
+const loadDelivery = async (frame) => {
+    const delivery = await models.WebhookDelivery.findOne({
+        id: frame.options.id,
+        webhook_id: frame.options.webhook_id
+    }, {require: false});
+
+    if (!delivery) {
+        throw new errors.NotFoundError({
+            message: tpl(messages.deliveryNotFound)
+        });
+    }
+
+    return delivery;
+};
+
+module.exports = {
+    docName: 'webhook_deliveries',
+
+    browse: {
+        options: [
+            'webhook_id',
+            'filter',
+            'limit',
+            'order',
+            'page'
+        ],
+        validation: {
+            options: {
+                webhook_id: {
+                    required: true
+                }
+            }
+        },
+        permissions: {
+            before(frame) {
+                return loadWebhook(frame, 'browse');
+            }
+        },
+        query(frame) {
+            const webhookFilter = `webhook_id:'${frame.options.webhook_id}'`;
+            const options = Object.assign({}, frame.options, {
+                filter: frame.options.filter ? `${webhookFilter}+(${frame.options.filter})` : webhookFilter,
+                columns: [
+                    'id', 'webhook_id', 'event', 'target_url', 'status', 'attempts', 'response_status_code',
+                    'response_body', 'error', 'duration', 'next_retry_at', 'created_at', 'updated_at'
+                ]
+            });
+
+            return models.WebhookDelivery.findPage(options);
+        }
+    },
+
+    read: {
+        options: [
+            'webhook_id',
+            'id'
+        ],
+        validation: {
+            options: {
+                webhook_id: {
+                    required: true
+                },
+                id: {
+                    required: true
+                }
+            }
+        },
+        permissions: {
+            // NOTE: reading a single delivery shares the permission of listing them
+            method: 'browse',
+            before(frame) {
+                return loadWebhook(frame, 'read');
+            }
+        },
+        query(frame) {
+            return loadDelivery(frame);
+        }
+    },
+
+    redeliver: {
+        options: [
+            'webhook_id',
+            'id'
+        ],
+        validation: {
+            options: {
+                webhook_id: {
+                    required: true
+                },
+                id: {
+                    required: true
+                }
+            }
+        },
+        permissions: {
+            before(frame) {
+                return loadWebhook(frame, 'redeliver');
+            }
+        },
+        async query(frame) {
+            const webhook = await loadWebhook(frame, 'redeliver');
+            const delivery = await loadDelivery(frame);
+
+            const redelivery = await webhooksService.deliver.createDelivery(webhook, delivery.get('request_body'));
+            const result = await webhooksService.deliver.deliver(webhook, redelivery);
+
+            // CASE: target responded with 410, the webhook and its deliveries are gone
+            if (!result) {
+                throw new errors.NotFoundError({
+                    message: tpl(messages.webhookNotFound)
+                });
+            }
+
+            return result;
+        }
+    }
+};
@@ -22,7 +22,8 @@ const http = (apiImpl) => {
         if (req.api_key) {
             apiKey = {
                 id: req.api_key.get('id'),
-                type: req.api_key.get('type')
+                type: req.api_key.get('type'),
+                scopes: req.api_key_scopes || null
             };
             integration = {
                 id: req.api_key.get('integration_id')
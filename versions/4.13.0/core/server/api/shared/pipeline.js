@@ -112,13 +112,14 @@ const STAGES = {
         // CASE: handle permissions completely yourself
         if (typeof apiImpl.permissions === 'function') {
             debug('permissions function call');
-            return apiImpl.permissions(frame);
+            return apiUtils.permissions.checkApiKeyScope(apiConfig, frame)
+                .then(() => apiImpl.permissions(frame));
         }
 
         // CASE: skip stage completely
         if (apiImpl.permissions === false) {
             debug('disabled permissions');
-            return Promise.resolve();
+            return apiUtils.permissions.checkApiKeyScope(apiConfig, frame);
         }
 
         if (typeof apiImpl.permissions === 'object' && apiImpl.permissions.before) {
@@ -17,6 +17,7 @@ const GLOBAL_VALIDATORS = {
     slug: {isSlug: true},
     name: {},
     email: {isEmail: true},
+    locale: {matches: /^[a-z]{2,3}(-[a-z0-9]{2,3})?$/i},
     filter: false,
     context: false,
     forUpdate: false,
@@ -1,5 +1,6 @@
 const web = require('../../web');
 const redirects = require('../../../frontend/services/redirects');
+const redirectsService = require('../../services/redirects');
 
 module.exports = {
     docName: 'redirects',
@@ -13,7 +14,7 @@ module.exports = {
         },
         permissions: true,
         query() {
-            return redirects.settings.get();
+            return redirectsService.exportRedirects();
         }
     },
 
@@ -23,10 +24,17 @@ module.exports = {
             cacheInvalidate: true
         },
         query(frame) {
-            return redirects.settings.setFromFilePath(frame.file.path)
+            return redirects.settings.loadFromFilePath(frame.file.path)
+                .then((redirectConfigs) => {
+                    return redirectsService.importRedirects(redirectConfigs, frame.options);
+                })
+                .then(() => {
+                    // NOTE: the v2 endpoint only accepts json files
+                    return redirectsService.writeRedirectsFile('.json');
+                })
                 .then(() => {
                     // CASE: trigger that redirects are getting re-registered
-                    web.shared.middlewares.customRedirects.reload();
+                    return web.shared.middlewares.customRedirects.reload();
                 });
         }
     }
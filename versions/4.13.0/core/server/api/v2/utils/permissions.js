@@ -104,5 +104,29 @@ module.exports = {
         }
 
         return nonePublicAuth(apiConfig, frame);
+    },
+
+    /**
+     * @description Limit scoped api keys to their scopes for ctrls which skip or handle the permission stage themselves.
+     *
+     * The regular permission check takes care of the scopes otherwise, see services/permissions/can-this.
+     *
+     * @param {Object} apiConfig - Docname & method of target ctrl.
+     * @param {Object} frame
+     * @return {Promise}
+     */
+    checkApiKeyScope(apiConfig, frame) {
+        const apiKey = _.get(frame, 'options.context.api_key');
+
+        if (apiKey && !permissions.apiKeyScopes.hasScope(apiKey.scopes, apiConfig.docName, apiConfig.method)) {
+            return Promise.reject(new errors.NoPermissionError({
+                message: i18n.t('errors.api.utils.noPermissionToCall', {
+                    method: apiConfig.method,
+                    docName: apiConfig.docName
+                })
+            }));
+        }
+
+        return Promise.resolve();
     }
 };
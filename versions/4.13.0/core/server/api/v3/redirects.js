@@ -1,7 +1,6 @@
-const path = require('path');
-
 const web = require('../../web');
 const redirects = require('../../../frontend/services/redirects');
+const redirectsService = require('../../services/redirects');
 
 module.exports = {
     docName: 'redirects',
@@ -10,29 +9,21 @@ module.exports = {
         headers: {
             disposition: {
                 type: 'file',
-                value() {
-                    return redirects.settings.getRedirectsFilePath()
-                        .then((filePath) => {
-                            // TODO: Default file type is .json for backward compatibility.
-                            // When .yaml becomes default or .json is removed at v4,
-                            // This part should be changed.
-                            return filePath === null || path.extname(filePath) === '.json'
-                                ? 'redirects.json'
-                                : 'redirects.yaml';
-                        });
+                async value() {
+                    const ext = await redirectsService.getFileFormat();
+                    return `redirects${ext}`;
                 }
             }
         },
         permissions: true,
         response: {
             async format() {
-                const filePath = await redirects.settings.getRedirectsFilePath();
-
-                return filePath === null || path.extname(filePath) === '.json' ? 'json' : 'plain';
+                const ext = await redirectsService.getFileFormat();
+                return ext === '.json' ? 'json' : 'plain';
             }
         },
         query() {
-            return redirects.settings.get();
+            return redirectsService.exportRedirectsFile();
         }
     },
 
@@ -42,10 +33,17 @@ module.exports = {
             cacheInvalidate: true
         },
         query(frame) {
-            return redirects.settings.setFromFilePath(frame.file.path, frame.file.ext)
+            return redirects.settings.loadFromFilePath(frame.file.path, frame.file.ext)
+                .then((redirectConfigs) => {
+                    return redirectsService.importRedirects(redirectConfigs, frame.options);
+                })
+                .then(() => {
+                    // NOTE: downloads keep the format of the uploaded file
+                    return redirectsService.writeRedirectsFile(frame.file.ext);
+                })
                 .then(() => {
                     // CASE: trigger that redirects are getting re-registered
-                    web.shared.middlewares.customRedirects.reload();
+                    return web.shared.middlewares.customRedirects.reload();
                 });
         }
     }
@@ -1,5 +1,6 @@
 module.exports = {
     doExport: require('./exporter'),
+    doSiteExport: require('./site-exporter'),
     fileName: require('./export-filename'),
     BACKUP_TABLES: require('./table-lists').BACKUP_TABLES
 };
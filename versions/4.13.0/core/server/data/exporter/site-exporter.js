@@ -0,0 +1,142 @@
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const glob = require('glob');
+const Promise = require('bluebird');
+const {compress} = require('@tryghost/zip');
+const security = require('@tryghost/security');
+const ghostVersion = require('@tryghost/version');
+const config = require('../../../shared/config');
+const urlUtils = require('../../../shared/url-utils');
+const settingsCache = require('../../../shared/settings-cache');
+const redirectsService = require('../../services/redirects');
+const doExport = require('./exporter');
+const exportFileName = require('./export-filename');
+const siteManifest = require('./site-manifest');
+
+// sized and converted images are generated on request, README.md files ship with Ghost
+const CONTENT_IGNORE = {
+    images: ['README.md', 'size/**'],
+    media: ['README.md'],
+    files: ['README.md']
+};
+
+/**
+ * @param {string} exportDir
+ * @param {string} type - one of siteManifest.CONTENT_TYPES
+ */
+async function copyContent(exportDir, type) {
+    const contentPath = config.getContentPath(type);
+
+    if (!await fs.pathExists(contentPath)) {
+        return;
+    }
+
+    const files = glob.sync('**/*', {cwd: contentPath, nodir: true, ignore: CONTENT_IGNORE[type]});
+
+    await Promise.mapSeries(files, (file) => {
+        return fs.copy(path.join(contentPath, file), path.join(exportDir, siteManifest.CONTENT_DIR, type, file));
+    });
+}
+
+/**
+ * The default theme ships with every Ghost install and can't be overridden by an upload
+ *
+ * @param {string} exportDir
+ * @param {string} themeName
+ * @returns {Promise<boolean>} - whether the theme was added to the export
+ */
+async function zipTheme(exportDir, themeName) {
+    const themePath = path.join(config.getContentPath('themes'), themeName);
+
+    if (themeName === 'casper' || !await fs.pathExists(themePath)) {
+        return false;
+    }
+
+    await fs.ensureDir(path.join(exportDir, siteManifest.THEMES_DIR));
+    await compress(themePath, path.join(exportDir, siteManifest.THEMES_DIR, `${themeName}.zip`));
+
+    return true;
+}
+
+/**
+ * @param {string} exportDir
+ * @returns {Promise<Object[]>} - path, size and checksum of every file in the export
+ */
+function getManifestFiles(exportDir) {
+    const files = glob.sync('**/*', {cwd: exportDir, nodir: true, dot: true}).sort();
+
+    return Promise.mapSeries(files, async (file) => {
+        const filePath = path.join(exportDir, file);
+        const stats = await fs.stat(filePath);
+
+        return {
+            path: file,
+            size: stats.size,
+            sha256: await siteManifest.getChecksum(filePath)
+        };
+    });
+}
+
+/**
+ * Exports everything needed to restore the site somewhere else into a single zip:
+ * the database export, uploaded content, the active theme, routes.yaml and redirects.
+ * A manifest with checksums of all files lets the importer detect incomplete or corrupted exports.
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.include] - additional tables to export, see BACKUP_TABLES
+ * @returns {Promise<{path: string, filename: string}>} - the zip is written to a temporary folder which has to be
+ * removed by the caller
+ */
+async function doSiteExport(options = {}) {
+    const baseDir = path.join(os.tmpdir(), security.identifier.uid(10));
+    const exportDir = path.join(baseDir, 'site');
+    const activeTheme = settingsCache.get('active_theme');
+
+    try {
+        const data = await doExport({include: options.include || []});
+        await fs.outputJson(path.join(exportDir, siteManifest.DATA_FILE), data);
+
+        await Promise.mapSeries(siteManifest.CONTENT_TYPES, type => copyContent(exportDir, type));
+
+        const hasTheme = await zipTheme(exportDir, activeTheme);
+
+        const routesPath = path.join(config.getContentPath('settings'), 'routes.yaml');
+
+        if (await fs.pathExists(routesPath)) {
+            await fs.copy(routesPath, path.join(exportDir, siteManifest.ROUTES_FILE));
+        }
+
+        const redirects = await redirectsService.exportRedirects();
+        await fs.outputJson(path.join(exportDir, siteManifest.REDIRECTS_FILE), redirects, {spaces: 4});
+
+        const manifest = {
+            type: siteManifest.MANIFEST_TYPE,
+            version: siteManifest.MANIFEST_VERSION,
+            ghost_version: ghostVersion.full,
+            exported_on: data.meta.exported_on,
+            site_url: urlUtils.urlFor('home', true),
+            active_theme: activeTheme,
+            theme: hasTheme ? `${siteManifest.THEMES_DIR}/${activeTheme}.zip` : null,
+            files: await getManifestFiles(exportDir)
+        };
+
+        await fs.writeJson(path.join(exportDir, siteManifest.MANIFEST_FILE), manifest, {spaces: 4});
+
+        const filename = (await exportFileName()).replace(/\.json$/, '.zip');
+        const zipPath = path.join(baseDir, filename);
+
+        await compress(exportDir, zipPath);
+        await fs.remove(exportDir);
+
+        return {
+            path: zipPath,
+            filename
+        };
+    } catch (err) {
+        await fs.remove(baseDir);
+        throw err;
+    }
+}
+
+module.exports = doSiteExport;
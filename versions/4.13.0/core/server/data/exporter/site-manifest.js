@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+// Layout of a site export zip, shared by the site exporter and importer
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_TYPE = 'ghost-site-export';
+const MANIFEST_VERSION = 1;
+
+const DATA_FILE = 'data/ghost.json';
+const ROUTES_FILE = 'settings/routes.yaml';
+const REDIRECTS_FILE = 'settings/redirects.json';
+const THEMES_DIR = 'themes';
+const CONTENT_DIR = 'content';
+
+// content folders which are copied as they are, urls in the exported data keep pointing at them
+const CONTENT_TYPES = ['images', 'media', 'files'];
+
+/**
+ * @param {string} filePath
+ * @returns {Promise<string>} - hex encoded sha256 of the file
+ */
+function getChecksum(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+
+        fs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+module.exports = {
+    MANIFEST_FILE,
+    MANIFEST_TYPE,
+    MANIFEST_VERSION,
+    DATA_FILE,
+    ROUTES_FILE,
+    REDIRECTS_FILE,
+    THEMES_DIR,
+    CONTENT_DIR,
+    CONTENT_TYPES,
+    getChecksum
+};
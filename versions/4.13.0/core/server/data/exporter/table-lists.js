@@ -10,6 +10,7 @@ const BACKUP_TABLES = [
     'members',
     'members_labels',
     'members_products',
+    'members_newsletters',
     'members_stripe_customers',
     'members_stripe_customers_subscriptions',
     'migrations',
@@ -20,16 +21,26 @@ const BACKUP_TABLES = [
     'permissions_users',
     'products',
     'benefits',
+    'newsletters',
     'products_benefits',
     'webhooks',
+    'webhook_deliveries',
     'snippets',
+    'redirects',
+    'resource_urls',
     'tokens',
     'sessions',
+    'users_totp',
+    'activitypub_followers',
     'stripe_products',
     'stripe_prices',
+    'offers',
+    'offer_redemptions',
     'mobiledoc_revisions',
     'email_batches',
     'email_recipients',
+    'email_links',
+    'email_link_clicks',
     'members_payment_events',
     'members_login_events',
     'members_email_change_events',
@@ -31,6 +31,34 @@ DataImporter = {
         return importData;
     },
 
+    /**
+     * Deletes all posts and tags through the models, see `deleteAllContent` of the db API
+     *
+     * @param {Object} transacting
+     * @returns {Promise}
+     */
+    deleteContent: function deleteContent(transacting) {
+        const queryOpts = {
+            columns: 'id',
+            context: {internal: true},
+            destroyAll: true,
+            transacting: transacting
+        };
+
+        return models.Post.findAll(queryOpts)
+            .then((response) => {
+                return Promise.map(response.models, (post) => {
+                    return models.Post.destroy(Object.assign({id: post.id}, queryOpts));
+                }, {concurrency: 100});
+            })
+            .then(() => models.Tag.findAll(queryOpts))
+            .then((response) => {
+                return Promise.map(response.models, (tag) => {
+                    return models.Tag.destroy(Object.assign({id: tag.id}, queryOpts));
+                }, {concurrency: 100});
+            });
+    },
+
     // Allow importing with an options object that is passed through the importer
     doImport: function doImport(importData, importOptions) {
         importOptions = importOptions || {};
@@ -82,6 +110,13 @@ DataImporter = {
         return models.Base.transaction(function (transacting) {
             modelOptions.transacting = transacting;
 
+            // CASE: restoring a backup replaces the posts and tags (same as deleting all content), nothing is deleted if the import fails
+            if (importOptions.replaceContent) {
+                ops.push(function deleteContent() {
+                    return DataImporter.deleteContent(transacting);
+                });
+            }
+
             _.each(importers, function (importer) {
                 ops.push(function doModelImport() {
                     return importer.fetchExisting(modelOptions, importOptions)
@@ -125,6 +160,10 @@ DataImporter = {
                     } else {
                         transacting.rollback(errors);
                     }
+                })
+                .catch(function (err) {
+                    // CASE: e.g. deleting the content failed, the transaction would never be finished otherwise
+                    transacting.rollback(err);
                 });
         }).then(function () {
             /**
@@ -100,6 +100,22 @@ class PostsImporter extends BaseImporter {
         run(this.requiredFromFile.posts_authors, 'authors', 'author_id');
     }
 
+    /**
+     * Translations point to the first post of their group, which got a new id as well.
+     * Groups can only be restored within the file, a translation of a post which isn't imported stands on its own.
+     */
+    replaceTranslationIdentifiers() {
+        const newIds = _.invert(this.originalIdMap);
+
+        _.each(this.dataToImport, (postToImport) => {
+            if (!postToImport.translation_id) {
+                return;
+            }
+
+            postToImport.translation_id = newIds[postToImport.translation_id] || null;
+        });
+    }
+
     /**
      * Replace all identifier references.
      */
@@ -177,6 +193,8 @@ class PostsImporter extends BaseImporter {
             run(postToImport, postIndex, 'authors', 'users');
         });
 
+        this.replaceTranslationIdentifiers();
+
         return super.replaceIdentifiers();
     }
 
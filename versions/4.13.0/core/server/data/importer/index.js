@@ -15,6 +15,7 @@ const JSONHandler = require('./handlers/json');
 const MarkdownHandler = require('./handlers/markdown');
 const ImageImporter = require('./importers/image');
 const DataImporter = require('./importers/data');
+const siteImporter = require('./site-importer');
 
 // Glob levels
 const ROOT_ONLY = 0;
@@ -373,6 +374,20 @@ _.extend(ImportManager.prototype, {
             // Step 4: Report on the import
             return self.generateReport(importData);
         }).finally(() => self.cleanUp()); // Step 5: Cleanup any files
+    },
+    /**
+     * Import Site From File
+     * Restores a full site export (database, content files, theme, routes and redirects) in one go
+     * @param {File} file
+     * @param {importOptions} importOptions - `dryRun` only validates the export without restoring anything
+     * @returns {Promise}
+     */
+    importSiteFromFile: function (file, importOptions = {}) {
+        const self = this;
+
+        return this.extractZip(file.path).then(function (zipDirectory) {
+            return siteImporter.importSite(zipDirectory, self, importOptions);
+        }).finally(() => self.cleanUp());
     }
 });
 
@@ -0,0 +1,354 @@
+const path = require('path');
+const fs = require('fs-extra');
+const Promise = require('bluebird');
+const errors = require('@tryghost/errors');
+const tpl = require('@tryghost/tpl');
+const logging = require('@tryghost/logging');
+const config = require('../../../shared/config');
+const models = require('../../models');
+const themeService = require('../../services/themes');
+const themeValidate = require('../../services/themes/validate');
+const routeSettings = require('../../services/route-settings');
+const redirectsService = require('../../services/redirects');
+const limitService = require('../../services/limits');
+const redirects = require('../../../frontend/services/redirects');
+const parseYaml = require('../../../frontend/services/settings/yaml-parser');
+const validateRoutes = require('../../../frontend/services/settings/validate');
+const siteManifest = require('../exporter/site-manifest');
+
+const messages = {
+    invalidManifest: 'The zip file is not a site export, {file} is missing or invalid.',
+    unsupportedVersion: 'Site exports of version {version} are not supported by this version of Ghost.',
+    corruptedExport: 'The site export is incomplete or corrupted.',
+    invalidPath: '{file} is not a valid path within the site export.',
+    missingFile: '{file} is listed in the manifest but missing from the site export.',
+    checksumMismatch: '{file} does not match its checksum in the manifest.',
+    missingData: 'The site export does not contain {file}.',
+    missingTheme: 'The theme "{theme}" is not part of the site export and not installed, it was not activated.',
+    stepFailed: 'Restoring the {step} failed, everything restored before it was kept and the remaining steps were skipped.'
+};
+
+/**
+ * Exports only ever contain relative paths without `..` segments, anything else is rejected up front
+ *
+ * @param {any} file
+ * @returns {boolean}
+ */
+function isSafePath(file) {
+    return typeof file === 'string'
+        && !path.isAbsolute(file)
+        && !file.split(/[\\/]/).includes('..');
+}
+
+/**
+ * @param {string} directory
+ * @param {string} file - path relative to the directory
+ * @returns {string}
+ */
+function resolvePath(directory, file) {
+    const root = path.resolve(directory);
+    const filePath = path.resolve(root, file);
+
+    if (!filePath.startsWith(root + path.sep)) {
+        throw new errors.ValidationError({
+            message: tpl(messages.invalidPath, {file})
+        });
+    }
+
+    return filePath;
+}
+
+/**
+ * @param {string} directory
+ * @returns {Promise<Object>}
+ */
+async function readManifest(directory) {
+    let manifest;
+
+    try {
+        manifest = await fs.readJson(path.join(directory, siteManifest.MANIFEST_FILE));
+    } catch (err) {
+        throw new errors.UnsupportedMediaTypeError({
+            message: tpl(messages.invalidManifest, {file: siteManifest.MANIFEST_FILE}),
+            err
+        });
+    }
+
+    if (!manifest || manifest.type !== siteManifest.MANIFEST_TYPE || !Array.isArray(manifest.files)) {
+        throw new errors.UnsupportedMediaTypeError({
+            message: tpl(messages.invalidManifest, {file: siteManifest.MANIFEST_FILE})
+        });
+    }
+
+    if (manifest.version > siteManifest.MANIFEST_VERSION) {
+        throw new errors.UnsupportedMediaTypeError({
+            message: tpl(messages.unsupportedVersion, {version: manifest.version})
+        });
+    }
+
+    manifest.files.map(file => file && file.path).concat(manifest.theme || []).forEach((file) => {
+        if (!isSafePath(file)) {
+            throw new errors.ValidationError({
+                message: tpl(messages.invalidPath, {file})
+            });
+        }
+    });
+
+    return manifest;
+}
+
+/**
+ * Checks every file listed in the manifest is in the export and matches its checksum
+ *
+ * @param {string} directory
+ * @param {Object} manifest
+ */
+async function verifyFiles(directory, manifest) {
+    const problems = [];
+
+    await Promise.mapSeries(manifest.files, async (file) => {
+        const filePath = resolvePath(directory, file.path);
+
+        if (!await fs.pathExists(filePath)) {
+            problems.push(tpl(messages.missingFile, {file: file.path}));
+        } else if (await siteManifest.getChecksum(filePath) !== file.sha256) {
+            problems.push(tpl(messages.checksumMismatch, {file: file.path}));
+        }
+    });
+
+    if (problems.length) {
+        throw new errors.ValidationError({
+            message: tpl(messages.corruptedExport),
+            errorDetails: problems
+        });
+    }
+}
+
+/**
+ * @param {Object} manifest
+ * @param {string} file
+ * @returns {boolean}
+ */
+function hasFile(manifest, file) {
+    return manifest.files.some(entry => entry.path === file);
+}
+
+/**
+ * @param {Object} manifest
+ * @returns {Object} - number of files per content type
+ */
+function countContent(manifest) {
+    return siteManifest.CONTENT_TYPES.reduce((counts, type) => {
+        const prefix = `${siteManifest.CONTENT_DIR}/${type}/`;
+        counts[type] = manifest.files.filter(file => file.path.startsWith(prefix)).length;
+        return counts;
+    }, {});
+}
+
+/**
+ * Copies uploaded content back to the same paths so urls in the imported data keep working.
+ * Files which exist already are left alone.
+ *
+ * @param {string} directory
+ * @param {Object} manifest
+ * @returns {Promise<Object>} - number of restored files per content type
+ */
+async function restoreContent(directory, manifest) {
+    const restored = {};
+
+    await Promise.mapSeries(siteManifest.CONTENT_TYPES, async (type) => {
+        const prefix = `${siteManifest.CONTENT_DIR}/${type}/`;
+        const contentPath = config.getContentPath(type);
+        restored[type] = 0;
+
+        await Promise.mapSeries(manifest.files.filter(file => file.path.startsWith(prefix)), async (file) => {
+            const targetPath = resolvePath(contentPath, file.path.slice(prefix.length));
+
+            if (await fs.pathExists(targetPath)) {
+                return;
+            }
+
+            await fs.copy(resolvePath(directory, file.path), targetPath);
+            restored[type] += 1;
+        });
+    });
+
+    return restored;
+}
+
+/**
+ * @param {string} filePath
+ */
+async function loadRoutes(filePath) {
+    const content = await fs.readFile(filePath, 'utf8');
+
+    validateRoutes(parseYaml(content, 'routes.yaml'));
+}
+
+/**
+ * Runs gscan against the exported theme without installing it
+ *
+ * @param {Object} zip
+ */
+async function checkTheme(zip) {
+    const checkedTheme = await themeValidate.checkSafe(zip.name.replace(/\.zip$/, ''), zip, true);
+
+    await fs.remove(checkedTheme.path);
+}
+
+/**
+ * Activates the theme which was active on the exported site
+ *
+ * @param {string} themeName
+ * @param {Object} report
+ */
+async function activateTheme(themeName, report) {
+    try {
+        await themeService.api.activate(themeName);
+    } catch (err) {
+        if (!(err instanceof errors.ValidationError)) {
+            throw err;
+        }
+
+        // CASE: the theme wasn't exported (e.g. casper) and isn't installed here
+        logging.warn(err.message);
+        report.problems.push({
+            message: tpl(messages.missingTheme, {theme: themeName}),
+            help: 'Theme',
+            context: themeName
+        });
+        return;
+    }
+
+    // @NOTE: we use the model, not the API here, as we don't want to trigger permissions
+    await models.Settings.edit([{
+        key: 'active_theme',
+        value: themeName
+    }], {context: {internal: true}});
+}
+
+/**
+ * Restores a site export, see data/exporter/site-exporter.
+ *
+ * Everything is validated before anything is written, a broken export doesn't change the site at all.
+ * Restoring is not a single transaction though, it runs in steps: the data, the theme, the content files,
+ * routes.yaml, the redirects and the active theme. The data import is committed on its own, so if a later step
+ * fails the steps before it are kept and the remaining ones are skipped. The report lists the steps which were
+ * restored (`restored`) and the one which failed (`failed`). Content files are only added, never overwritten.
+ *
+ * @param {string} directory - the extracted export
+ * @param {Object} importManager - used to import the database export
+ * @param {Object} [importOptions]
+ * @param {boolean} [importOptions.dryRun] - only validate the export
+ * @returns {Promise<Object>} - report of what was (or would be) restored
+ */
+async function importSite(directory, importManager, importOptions = {}) {
+    const manifest = await readManifest(directory);
+    const themeFile = manifest.theme && resolvePath(directory, manifest.theme);
+
+    await verifyFiles(directory, manifest);
+
+    [siteManifest.DATA_FILE, manifest.theme].filter(Boolean).forEach((file) => {
+        if (!hasFile(manifest, file)) {
+            throw new errors.ValidationError({
+                message: tpl(messages.missingData, {file})
+            });
+        }
+    });
+
+    const importData = await importManager.loadFile({
+        name: path.basename(siteManifest.DATA_FILE),
+        path: resolvePath(directory, siteManifest.DATA_FILE)
+    }).then(data => importManager.preProcess(data));
+
+    const hasRoutes = hasFile(manifest, siteManifest.ROUTES_FILE);
+
+    if (hasRoutes) {
+        await loadRoutes(resolvePath(directory, siteManifest.ROUTES_FILE));
+    }
+
+    const redirectConfigs = hasFile(manifest, siteManifest.REDIRECTS_FILE)
+        ? await redirects.settings.loadFromFilePath(resolvePath(directory, siteManifest.REDIRECTS_FILE), '.json')
+        : null;
+
+    if (manifest.active_theme && limitService.isLimited('customThemes')) {
+        await limitService.errorIfWouldGoOverLimit('customThemes', {value: manifest.active_theme});
+    }
+
+    const themeZip = themeFile && {
+        name: path.basename(themeFile),
+        path: themeFile
+    };
+
+    const report = {
+        dry_run: !!importOptions.dryRun,
+        site_url: manifest.site_url,
+        exported_on: manifest.exported_on,
+        ghost_version: manifest.ghost_version,
+        content: countContent(manifest),
+        theme: manifest.active_theme || null,
+        routes: hasRoutes,
+        redirects: redirectConfigs ? redirectConfigs.length : null,
+        restored: [],
+        failed: null,
+        problems: []
+    };
+
+    if (themeZip) {
+        await checkTheme(themeZip);
+    }
+
+    if (importOptions.dryRun) {
+        return report;
+    }
+
+    // CASE: a failing data import is rolled back, nothing was restored yet
+    const importResult = await importManager.doImport(importData, importOptions);
+
+    importResult.forEach((result) => {
+        if (result && result.problems) {
+            report.problems = report.problems.concat(result.problems);
+        }
+    });
+
+    report.restored.push('data');
+
+    const steps = [
+        ['theme', themeZip && (() => themeService.api.setFromZip(themeZip))],
+        ['content', async () => {
+            report.content = await restoreContent(directory, manifest);
+        }],
+        ['routes', hasRoutes && (() => routeSettings.setFromFilePath(resolvePath(directory, siteManifest.ROUTES_FILE)))],
+        ['redirects', redirectConfigs && (() => redirectsService.importRedirects(redirectConfigs, {context: {internal: true}}))],
+        ['active_theme', manifest.active_theme && (() => activateTheme(manifest.active_theme, report))]
+    ];
+
+    for (const [step, restore] of steps) {
+        if (!restore) {
+            continue;
+        }
+
+        try {
+            await restore();
+        } catch (err) {
+            logging.error(err);
+
+            report.failed = step;
+            report.problems.push({
+                message: tpl(messages.stepFailed, {step}),
+                help: 'Site',
+                context: err.message
+            });
+
+            return report;
+        }
+
+        report.restored.push(step);
+    }
+
+    return report;
+}
+
+module.exports = {
+    importSite
+};
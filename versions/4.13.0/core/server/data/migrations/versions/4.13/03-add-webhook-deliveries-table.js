@@ -0,0 +1,24 @@
+const {addTable} = require('../../utils');
+
+module.exports = addTable('webhook_deliveries', {
+    id: {type: 'string', maxlength: 24, nullable: false, primary: true},
+    webhook_id: {type: 'string', maxlength: 24, nullable: false, references: 'webhooks.id', cascadeDelete: true},
+    event: {type: 'string', maxlength: 50, nullable: false},
+    target_url: {type: 'string', maxlength: 2000, nullable: false},
+    request_body: {type: 'text', maxlength: 1000000000, fieldtype: 'long', nullable: false},
+    status: {
+        type: 'string',
+        maxlength: 50,
+        nullable: false,
+        defaultTo: 'pending',
+        validations: {isIn: [['pending', 'delivered', 'retrying', 'failed']]}
+    },
+    attempts: {type: 'integer', nullable: false, unsigned: true, defaultTo: 0},
+    response_status_code: {type: 'integer', nullable: true, unsigned: true},
+    response_body: {type: 'string', maxlength: 2000, nullable: true},
+    error: {type: 'string', maxlength: 2000, nullable: true},
+    duration: {type: 'integer', nullable: true, unsigned: true},
+    next_retry_at: {type: 'dateTime', nullable: true, index: true},
+    created_at: {type: 'dateTime', nullable: false},
+    updated_at: {type: 'dateTime', nullable: true}
+});
@@ -0,0 +1,20 @@
+const {combineTransactionalMigrations, addPermissionWithRoles} = require('../../utils');
+
+module.exports = combineTransactionalMigrations(
+    addPermissionWithRoles({
+        name: 'Browse webhook deliveries',
+        action: 'browse',
+        object: 'webhook_delivery'
+    }, [
+        'Administrator',
+        'Admin Integration'
+    ]),
+    addPermissionWithRoles({
+        name: 'Redeliver webhook deliveries',
+        action: 'redeliver',
+        object: 'webhook_delivery'
+    }, [
+        'Administrator',
+        'Admin Integration'
+    ])
+);
@@ -0,0 +1,7 @@
+const {createAddColumnMigration} = require('../../utils');
+
+module.exports = createAddColumnMigration('mobiledoc_revisions', 'author_id', {
+    type: 'string',
+    maxlength: 24,
+    nullable: true
+});
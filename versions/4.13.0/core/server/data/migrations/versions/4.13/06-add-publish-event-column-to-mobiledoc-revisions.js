@@ -0,0 +1,7 @@
+const {createAddColumnMigration} = require('../../utils');
+
+module.exports = createAddColumnMigration('mobiledoc_revisions', 'publish_event', {
+    type: 'bool',
+    nullable: false,
+    defaultTo: false
+});
@@ -0,0 +1,23 @@
+const {addTable} = require('../../utils');
+
+module.exports = addTable('redirects', {
+    id: {type: 'string', maxlength: 24, nullable: false, primary: true},
+    from: {type: 'string', maxlength: 2000, nullable: false},
+    to: {type: 'string', maxlength: 2000, nullable: false},
+    match_type: {
+        type: 'string',
+        maxlength: 50,
+        nullable: false,
+        defaultTo: 'exact',
+        validations: {isIn: [['exact', 'regex']]}
+    },
+    permanent: {type: 'bool', nullable: false, defaultTo: true},
+    preserve_query: {type: 'bool', nullable: false, defaultTo: true},
+    sort_order: {type: 'integer', nullable: false, unsigned: true, defaultTo: 0},
+    hits: {type: 'integer', nullable: false, unsigned: true, defaultTo: 0},
+    last_hit_at: {type: 'dateTime', nullable: true},
+    created_at: {type: 'dateTime', nullable: false},
+    created_by: {type: 'string', maxlength: 24, nullable: false},
+    updated_at: {type: 'dateTime', nullable: true},
+    updated_by: {type: 'string', maxlength: 24, nullable: true}
+});
@@ -0,0 +1,44 @@
+const {combineTransactionalMigrations, addPermissionWithRoles} = require('../../utils');
+
+module.exports = combineTransactionalMigrations(
+    addPermissionWithRoles({
+        name: 'Browse redirects',
+        action: 'browse',
+        object: 'redirect'
+    }, [
+        'Administrator',
+        'Admin Integration'
+    ]),
+    addPermissionWithRoles({
+        name: 'Read redirects',
+        action: 'read',
+        object: 'redirect'
+    }, [
+        'Administrator',
+        'Admin Integration'
+    ]),
+    addPermissionWithRoles({
+        name: 'Edit redirects',
+        action: 'edit',
+        object: 'redirect'
+    }, [
+        'Administrator',
+        'Admin Integration'
+    ]),
+    addPermissionWithRoles({
+        name: 'Add redirects',
+        action: 'add',
+        object: 'redirect'
+    }, [
+        'Administrator',
+        'Admin Integration'
+    ]),
+    addPermissionWithRoles({
+        name: 'Delete redirects',
+        action: 'destroy',
+        object: 'redirect'
+    }, [
+        'Administrator',
+        'Admin Integration'
+    ])
+);
@@ -0,0 +1,65 @@
+const ObjectId = require('bson-objectid').default;
+const {chunk} = require('lodash');
+const logging = require('@tryghost/logging');
+const {createTransactionalMigration} = require('../../utils');
+
+module.exports = createTransactionalMigration(
+    async function up(knex) {
+        const redirectsSettings = require('../../../../../frontend/services/redirects/settings');
+
+        const [result] = await knex
+            .count('id', {as: 'total'})
+            .from('redirects');
+
+        if (result.total !== 0) {
+            logging.warn('Not importing redirects file, redirects already exist');
+            return;
+        }
+
+        let redirects;
+
+        try {
+            redirects = redirectsSettings.loadRedirectsFile();
+        } catch (err) {
+            logging.warn(`Not importing redirects file: ${err.message}`);
+            return;
+        }
+
+        if (!Array.isArray(redirects) || !redirects.length) {
+            logging.info('No redirects file to import');
+            return;
+        }
+
+        logging.info(`Importing ${redirects.length} redirects from the redirects file`);
+
+        const now = knex.raw('CURRENT_TIMESTAMP');
+        const rows = redirects
+            .filter(redirect => redirect.from && redirect.to)
+            .map((redirect, index) => {
+                return {
+                    id: ObjectId().toHexString(),
+                    from: redirect.from,
+                    to: redirect.to,
+                    // NOTE: redirects files were always matched as regular expressions
+                    match_type: 'regex',
+                    permanent: !!redirect.permanent,
+                    preserve_query: true,
+                    sort_order: index,
+                    hits: 0,
+                    created_at: now,
+                    created_by: '1'
+                };
+            });
+
+        // SQLite max variables is 999, we have 9 per insert (created_at is raw) so most inserts in a query is 999/9 = 111
+        const chunkSize = 111;
+
+        for (const redirectsChunk of chunk(rows, chunkSize)) {
+            await knex.insert(redirectsChunk).into('redirects');
+        }
+    },
+    async function down(knex) {
+        logging.info('Removing all redirects');
+        await knex('redirects').del();
+    }
+);
@@ -0,0 +1,9 @@
+const {createAddColumnMigration} = require('../../utils');
+
+module.exports = createAddColumnMigration('redirects', 'source', {
+    type: 'string',
+    maxlength: 50,
+    nullable: false,
+    defaultTo: 'manual',
+    validations: {isIn: [['manual', 'automatic']]}
+});
@@ -0,0 +1,8 @@
+const {createAddColumnMigration} = require('../../utils');
+
+module.exports = createAddColumnMigration('redirects', 'resource_id', {
+    type: 'string',
+    maxlength: 24,
+    nullable: true,
+    index: true
+});
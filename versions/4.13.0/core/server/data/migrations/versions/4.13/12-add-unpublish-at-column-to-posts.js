@@ -0,0 +1,6 @@
+const {createAddColumnMigration} = require('../../utils');
+
+module.exports = createAddColumnMigration('posts', 'unpublish_at', {
+    type: 'dateTime',
+    nullable: true
+});
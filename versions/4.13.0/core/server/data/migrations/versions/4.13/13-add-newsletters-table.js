@@ -0,0 +1,57 @@
+const {addTable} = require('../../utils');
+
+module.exports = addTable('newsletters', {
+    id: {type: 'string', maxlength: 24, nullable: false, primary: true},
+    name: {type: 'string', maxlength: 191, nullable: false, unique: true},
+    slug: {type: 'string', maxlength: 191, nullable: false, unique: true},
+    description: {type: 'string', maxlength: 2000, nullable: true},
+    status: {
+        type: 'string',
+        maxlength: 50,
+        nullable: false,
+        defaultTo: 'active',
+        validations: {isIn: [['active', 'archived']]}
+    },
+    sender_name: {type: 'string', maxlength: 191, nullable: true},
+    sender_email: {type: 'string', maxlength: 191, nullable: true, validations: {isEmail: true}},
+    sender_reply_to: {
+        type: 'string',
+        maxlength: 50,
+        nullable: false,
+        defaultTo: 'newsletter',
+        validations: {isIn: [['newsletter', 'support']]}
+    },
+    subscribe_on_signup: {type: 'bool', nullable: false, defaultTo: true},
+    sort_order: {type: 'integer', nullable: false, unsigned: true, defaultTo: 0},
+    header_image: {type: 'string', maxlength: 2000, nullable: true},
+    show_header_icon: {type: 'bool', nullable: false, defaultTo: true},
+    show_header_title: {type: 'bool', nullable: false, defaultTo: true},
+    title_font_category: {
+        type: 'string',
+        maxlength: 191,
+        nullable: false,
+        defaultTo: 'sans_serif',
+        validations: {isIn: [['serif', 'sans_serif']]}
+    },
+    title_alignment: {
+        type: 'string',
+        maxlength: 191,
+        nullable: false,
+        defaultTo: 'center',
+        validations: {isIn: [['center', 'left']]}
+    },
+    show_feature_image: {type: 'bool', nullable: false, defaultTo: true},
+    body_font_category: {
+        type: 'string',
+        maxlength: 191,
+        nullable: false,
+        defaultTo: 'sans_serif',
+        validations: {isIn: [['serif', 'sans_serif']]}
+    },
+    footer_content: {type: 'text', maxlength: 1000000000, nullable: true},
+    show_badge: {type: 'bool', nullable: false, defaultTo: true},
+    created_at: {type: 'dateTime', nullable: false},
+    created_by: {type: 'string', maxlength: 24, nullable: false},
+    updated_at: {type: 'dateTime', nullable: true},
+    updated_by: {type: 'string', maxlength: 24, nullable: true}
+});
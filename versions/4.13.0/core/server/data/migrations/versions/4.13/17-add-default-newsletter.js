@@ -0,0 +1,104 @@
+const ObjectId = require('bson-objectid').default;
+const {chunk} = require('lodash');
+const logging = require('@tryghost/logging');
+const {createTransactionalMigration} = require('../../utils');
+
+module.exports = createTransactionalMigration(
+    async function up(knex) {
+        const existingNewsletter = await knex('newsletters').select('id').first();
+
+        if (existingNewsletter) {
+            logging.warn('Skipping adding default newsletter - a newsletter already exists');
+            return;
+        }
+
+        const settingsRows = await knex('settings')
+            .select(['key', 'value'])
+            .whereIn('key', [
+                'title',
+                'members_reply_address',
+                'newsletter_header_image',
+                'newsletter_show_header_icon',
+                'newsletter_show_header_title',
+                'newsletter_title_font_category',
+                'newsletter_title_alignment',
+                'newsletter_show_feature_image',
+                'newsletter_body_font_category',
+                'newsletter_footer_content',
+                'newsletter_show_badge'
+            ]);
+
+        const settings = settingsRows.reduce((result, {key, value}) => {
+            return Object.assign(result, {[key]: value});
+        }, {});
+
+        const [{id: ownerId} = {id: 1}] = await knex('users')
+            .select('users.id')
+            .innerJoin(
+                'roles_users',
+                'users.id',
+                'roles_users.user_id'
+            )
+            .where(
+                'roles_users.role_id',
+                knex('roles').select('id').where('name', 'Owner')
+            );
+
+        const newsletterId = ObjectId().toHexString();
+
+        logging.info('Adding default newsletter based on the current newsletter settings');
+
+        // NOTE: boolean settings are stored as strings, anything other than "false" was treated as enabled
+        await knex('newsletters').insert({
+            id: newsletterId,
+            name: settings.title || 'Default newsletter',
+            slug: 'default-newsletter',
+            status: 'active',
+            sender_reply_to: settings.members_reply_address === 'support' ? 'support' : 'newsletter',
+            subscribe_on_signup: true,
+            sort_order: 0,
+            header_image: settings.newsletter_header_image || null,
+            show_header_icon: settings.newsletter_show_header_icon !== 'false',
+            show_header_title: settings.newsletter_show_header_title !== 'false',
+            title_font_category: settings.newsletter_title_font_category === 'serif' ? 'serif' : 'sans_serif',
+            title_alignment: settings.newsletter_title_alignment === 'left' ? 'left' : 'center',
+            show_feature_image: settings.newsletter_show_feature_image !== 'false',
+            body_font_category: settings.newsletter_body_font_category === 'serif' ? 'serif' : 'sans_serif',
+            footer_content: settings.newsletter_footer_content || null,
+            show_badge: settings.newsletter_show_badge !== 'false',
+            created_at: knex.raw('CURRENT_TIMESTAMP'),
+            created_by: ownerId
+        });
+
+        const subscribedMembers = await knex('members')
+            .select('id')
+            .where('subscribed', true);
+
+        logging.info(`Subscribing ${subscribedMembers.length} members to the default newsletter`);
+
+        const rows = subscribedMembers.map((member) => {
+            return {
+                id: ObjectId().toHexString(),
+                member_id: member.id,
+                newsletter_id: newsletterId
+            };
+        });
+
+        // SQLite max variables is 999, we have 3 per insert so most inserts in a query is 999/3 = 333
+        const chunkSize = 333;
+
+        for (const rowsChunk of chunk(rows, chunkSize)) {
+            await knex.insert(rowsChunk).into('members_newsletters');
+        }
+
+        logging.info('Linking previously sent emails to the default newsletter');
+        await knex('emails').update({newsletter_id: newsletterId});
+    },
+    async function down(knex) {
+        logging.info('Removing default newsletter');
+        await knex('emails')
+            .whereIn('newsletter_id', knex('newsletters').select('id').where('slug', 'default-newsletter'))
+            .update({newsletter_id: null});
+        await knex('newsletters').where('slug', 'default-newsletter').del();
+    }
+);
@@ -0,0 +1,38 @@
+const {combineTransactionalMigrations, addPermissionWithRoles} = require('../../utils');
+
+module.exports = combineTransactionalMigrations(
+    addPermissionWithRoles({
+        name: 'Browse newsletters',
+        action: 'browse',
+        object: 'newsletter'
+    }, [
+        'Administrator',
+        'Admin Integration',
+        'Editor'
+    ]),
+    addPermissionWithRoles({
+        name: 'Read newsletters',
+        action: 'read',
+        object: 'newsletter'
+    }, [
+        'Administrator',
+        'Admin Integration',
+        'Editor'
+    ]),
+    addPermissionWithRoles({
+        name: 'Edit newsletters',
+        action: 'edit',
+        object: 'newsletter'
+    }, [
+        'Administrator',
+        'Admin Integration'
+    ]),
+    addPermissionWithRoles({
+        name: 'Add newsletters',
+        action: 'add',
+        object: 'newsletter'
+    }, [
+        'Administrator',
+        'Admin Integration'
+    ])
+);
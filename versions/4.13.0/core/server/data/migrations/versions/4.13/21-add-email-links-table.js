@@ -0,0 +1,8 @@
+const {addTable} = require('../../utils');
+
+module.exports = addTable('email_links', {
+    id: {type: 'string', maxlength: 24, nullable: false, primary: true},
+    email_id: {type: 'string', maxlength: 24, nullable: false, references: 'emails.id'},
+    url: {type: 'string', maxlength: 2000, nullable: false},
+    created_at: {type: 'dateTime', nullable: false}
+});
@@ -0,0 +1,9 @@
+const {addTable} = require('../../utils');
+
+module.exports = addTable('email_link_clicks', {
+    id: {type: 'string', maxlength: 24, nullable: false, primary: true},
+    email_link_id: {type: 'string', maxlength: 24, nullable: false, references: 'email_links.id'},
+    email_id: {type: 'string', maxlength: 24, nullable: false, references: 'emails.id'},
+    member_id: {type: 'string', maxlength: 24, nullable: false, references: 'members.id', cascadeDelete: true},
+    created_at: {type: 'dateTime', nullable: false}
+});
@@ -0,0 +1,10 @@
+const {addPermissionWithRoles} = require('../../utils');
+
+module.exports = addPermissionWithRoles({
+    name: 'Add email events',
+    action: 'addEvents',
+    object: 'email'
+}, [
+    'Administrator',
+    'Admin Integration'
+]);
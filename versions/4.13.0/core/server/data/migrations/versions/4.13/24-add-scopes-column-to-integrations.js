@@ -0,0 +1,7 @@
+const {createAddColumnMigration} = require('../../utils');
+
+module.exports = createAddColumnMigration('integrations', 'scopes', {
+    type: 'text',
+    maxlength: 65535,
+    nullable: true
+});
@@ -0,0 +1,12 @@
+const {addTable} = require('../../utils');
+
+module.exports = addTable('users_totp', {
+    id: {type: 'string', maxlength: 24, nullable: false, primary: true},
+    user_id: {type: 'string', maxlength: 24, nullable: false, unique: true, references: 'users.id', cascadeDelete: true},
+    secret: {type: 'string', maxlength: 191, nullable: false},
+    recovery_codes: {type: 'text', maxlength: 65535, nullable: true},
+    last_used_step: {type: 'integer', nullable: true, unsigned: true},
+    enabled_at: {type: 'dateTime', nullable: true},
+    created_at: {type: 'dateTime', nullable: false},
+    updated_at: {type: 'dateTime', nullable: true}
+});
@@ -0,0 +1,54 @@
+const ObjectID = require('bson-objectid');
+const logging = require('@tryghost/logging');
+const {createTransactionalMigration} = require('../../utils.js');
+
+const MIGRATION_USER = 1;
+
+const settings = [{
+    key: 'require_admin_2fa',
+    value: () => 'false',
+    group: 'security',
+    type: 'boolean'
+}];
+
+module.exports = createTransactionalMigration(
+    async function up(knex) {
+        for (const setting of settings) {
+            const settingExists = await knex('settings')
+                .where('key', '=', setting.key)
+                .first();
+
+            if (settingExists) {
+                logging.warn(`Skipped adding "${setting.key}" record to "settings" table. Record already exists!`);
+                continue;
+            }
+
+            logging.info(`Adding "${setting.key}" record to "settings" table`);
+
+            const now = knex.raw('CURRENT_TIMESTAMP');
+
+            await knex('settings')
+                .insert({
+                    id: ObjectID().toHexString(),
+                    key: setting.key,
+                    value: setting.value(),
+                    group: setting.group,
+                    type: setting.type,
+                    created_at: now,
+                    created_by: MIGRATION_USER,
+                    updated_at: now,
+                    updated_by: MIGRATION_USER
+                });
+        }
+    },
+
+    async function down(knex) {
+        for (const setting of settings) {
+            logging.info(`Removing "${setting.key}" record from "settings" table`);
+
+            await knex('settings')
+                .where('key', '=', setting.key)
+                .del();
+        }
+    }
+);
@@ -0,0 +1,10 @@
+const {addPermissionWithRoles} = require('../../utils');
+
+module.exports = addPermissionWithRoles({
+    name: 'Browse unused images',
+    action: 'browse',
+    object: 'unused_image'
+}, [
+    'Administrator',
+    'Admin Integration'
+]);
@@ -0,0 +1,25 @@
+const {combineTransactionalMigrations, addPermissionWithRoles} = require('../../utils');
+
+module.exports = combineTransactionalMigrations(
+    addPermissionWithRoles({
+        name: 'Browse backups',
+        action: 'browse',
+        object: 'backup'
+    }, [
+        'Administrator'
+    ]),
+    addPermissionWithRoles({
+        name: 'Read backups',
+        action: 'read',
+        object: 'backup'
+    }, [
+        'Administrator'
+    ]),
+    addPermissionWithRoles({
+        name: 'Restore backups',
+        action: 'restore',
+        object: 'backup'
+    }, [
+        'Administrator'
+    ])
+);
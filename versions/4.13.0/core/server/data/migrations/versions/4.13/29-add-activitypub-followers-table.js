@@ -0,0 +1,11 @@
+const {addTable} = require('../../utils');
+
+module.exports = addTable('activitypub_followers', {
+    id: {type: 'string', maxlength: 24, nullable: false, primary: true},
+    user_id: {type: 'string', maxlength: 24, nullable: true, references: 'users.id', cascadeDelete: true},
+    actor_url: {type: 'string', maxlength: 2000, nullable: false},
+    inbox_url: {type: 'string', maxlength: 2000, nullable: false},
+    shared_inbox_url: {type: 'string', maxlength: 2000, nullable: true},
+    created_at: {type: 'dateTime', nullable: false},
+    updated_at: {type: 'dateTime', nullable: true}
+});
@@ -0,0 +1,20 @@
+const {addTable} = require('../../utils');
+
+module.exports = addTable('offers', {
+    id: {type: 'string', maxlength: 24, nullable: false, primary: true},
+    active: {type: 'bool', nullable: false, defaultTo: true},
+    name: {type: 'string', maxlength: 191, nullable: false, unique: true},
+    code: {type: 'string', maxlength: 191, nullable: false, unique: true},
+    product_id: {type: 'string', maxlength: 24, nullable: false, references: 'products.id'},
+    stripe_coupon_id: {type: 'string', maxlength: 255, nullable: true, unique: true},
+    interval: {type: 'string', maxlength: 50, nullable: false, validations: {isIn: [['month', 'year']]}},
+    currency: {type: 'string', maxlength: 50, nullable: true},
+    discount_type: {type: 'string', maxlength: 50, nullable: false, validations: {isIn: [['percent', 'amount']]}},
+    discount_amount: {type: 'integer', nullable: false},
+    duration: {type: 'string', maxlength: 50, nullable: false, validations: {isIn: [['once', 'repeating', 'forever']]}},
+    duration_in_months: {type: 'integer', nullable: true},
+    max_redemptions: {type: 'integer', nullable: true, unsigned: true},
+    expires_at: {type: 'dateTime', nullable: true},
+    created_at: {type: 'dateTime', nullable: false},
+    updated_at: {type: 'dateTime', nullable: true}
+});
@@ -0,0 +1,36 @@
+const {combineTransactionalMigrations, addPermissionWithRoles} = require('../../utils');
+
+module.exports = combineTransactionalMigrations(
+    addPermissionWithRoles({
+        name: 'Browse offers',
+        action: 'browse',
+        object: 'offer'
+    }, [
+        'Administrator',
+        'Admin Integration'
+    ]),
+    addPermissionWithRoles({
+        name: 'Read offers',
+        action: 'read',
+        object: 'offer'
+    }, [
+        'Administrator',
+        'Admin Integration'
+    ]),
+    addPermissionWithRoles({
+        name: 'Edit offers',
+        action: 'edit',
+        object: 'offer'
+    }, [
+        'Administrator',
+        'Admin Integration'
+    ]),
+    addPermissionWithRoles({
+        name: 'Add offers',
+        action: 'add',
+        object: 'offer'
+    }, [
+        'Administrator',
+        'Admin Integration'
+    ])
+);
@@ -0,0 +1,9 @@
+const {addTable} = require('../../utils');
+
+module.exports = addTable('resource_urls', {
+    id: {type: 'string', maxlength: 24, nullable: false, primary: true},
+    resource_id: {type: 'string', maxlength: 24, nullable: false, unique: true},
+    resource_type: {type: 'string', maxlength: 50, nullable: false, validations: {isIn: [['posts', 'pages']]}},
+    url: {type: 'string', maxlength: 2000, nullable: false},
+    updated_at: {type: 'dateTime', nullable: false}
+});
@@ -0,0 +1,14 @@
+const {createNonTransactionalMigration} = require('../../utils');
+const {addFullTextIndex, dropFullTextIndex} = require('../../../schema/commands');
+
+// NOTE: only MySQL gets the index, the database search adapter falls back to LIKE queries on SQLite
+const COLUMNS = ['title', 'custom_excerpt', 'plaintext'];
+
+module.exports = createNonTransactionalMigration(
+    async function up(knex) {
+        await addFullTextIndex('posts', COLUMNS, knex);
+    },
+    async function down(knex) {
+        await dropFullTextIndex('posts', COLUMNS, knex);
+    }
+);
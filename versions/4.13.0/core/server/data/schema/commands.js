@@ -328,10 +328,80 @@ function createTable(table, transaction, tableSpec = schema[table]) {
                 if (tableSpec['@@UNIQUE_CONSTRAINTS@@']) {
                     tableSpec['@@UNIQUE_CONSTRAINTS@@'].forEach(unique => t.unique(unique));
                 }
+                // NOTE: full-text indexes are a MySQL feature, SQLite would need a separate FTS table
+                if (tableSpec['@@FULLTEXT_INDEXES@@'] && (transaction || db.knex).client.config.client === 'mysql') {
+                    tableSpec['@@FULLTEXT_INDEXES@@'].forEach(columns => t.index(columns, getFullTextIndexName(table, columns), 'FULLTEXT'));
+                }
             });
         });
 }
 
+/**
+ * @param {string} table
+ * @param {string[]} columns
+ * @returns {string}
+ */
+function getFullTextIndexName(table, columns) {
+    return `${table}_${columns.join('_')}_fulltext`;
+}
+
+/**
+ * Adds a full-text index on MySQL, other databases are skipped
+ *
+ * @param {string} table
+ * @param {string[]} columns
+ * @param {import('knex')} [transaction]
+ */
+async function addFullTextIndex(table, columns, transaction) {
+    const knex = (transaction || db.knex);
+    const indexName = getFullTextIndexName(table, columns);
+
+    if (knex.client.config.client !== 'mysql') {
+        logging.warn(`Skipped adding full-text index ${indexName} - only supported on MySQL`);
+        return;
+    }
+
+    const indexes = await getIndexes(table, transaction);
+
+    if (indexes.includes(indexName)) {
+        logging.warn(`Skipped adding full-text index ${indexName} - index already exists`);
+        return;
+    }
+
+    logging.info(`Adding full-text index ${indexName}`);
+    await knex.schema.table(table, function (t) {
+        t.index(columns, indexName, 'FULLTEXT');
+    });
+}
+
+/**
+ * Drops a full-text index added with `addFullTextIndex`
+ *
+ * @param {string} table
+ * @param {string[]} columns
+ * @param {import('knex')} [transaction]
+ */
+async function dropFullTextIndex(table, columns, transaction) {
+    const knex = (transaction || db.knex);
+    const indexName = getFullTextIndexName(table, columns);
+
+    if (knex.client.config.client !== 'mysql') {
+        return;
+    }
+
+    const indexes = await getIndexes(table, transaction);
+
+    if (!indexes.includes(indexName)) {
+        logging.warn(`Skipped dropping full-text index ${indexName} - index does not exist`);
+        return;
+    }
+
+    logging.info(`Dropping full-text index ${indexName}`);
+    await knex.schema.table(table, function (t) {
+        t.dropIndex(columns, indexName);
+    });
+}
+
 function deleteTable(table, transaction) {
     return (transaction || db.knex).schema.dropTableIfExists(table);
 }
@@ -409,6 +479,8 @@ module.exports = {
     deleteTable: deleteTable,
     getTables: getTables,
     getIndexes: getIndexes,
+    addFullTextIndex,
+    dropFullTextIndex,
     addUnique: addUnique,
     dropUnique: dropUnique,
     addPrimaryKey: addPrimaryKey,
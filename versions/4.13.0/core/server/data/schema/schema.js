@@ -21,8 +21,10 @@ module.exports = {
         featured: {type: 'bool', nullable: false, defaultTo: false},
         type: {type: 'string', maxlength: 50, nullable: false, defaultTo: 'post', validations: {isIn: [['post', 'page']]}},
         status: {type: 'string', maxlength: 50, nullable: false, defaultTo: 'draft'},
-        // NOTE: unused at the moment and reserved for future features
-        locale: {type: 'string', maxlength: 6, nullable: true},
+        // language of the post, posts without a locale are written in the site language (`lang` setting)
+        locale: {type: 'string', maxlength: 6, nullable: true, validations: {matches: /^[a-z]{2,3}(-[a-z0-9]{2,3})?$/i}},
+        // posts sharing a translation_id are translations of each other, it's the id of the first post of the group
+        translation_id: {type: 'string', maxlength: 24, nullable: true, index: true},
         visibility: {
             type: 'string',
             maxlength: 50,
@@ -35,6 +37,7 @@ module.exports = {
             nullable: false,
             defaultTo: 'none'
         },
+        newsletter_id: {type: 'string', maxlength: 24, nullable: true, index: true},
         /**
          * @deprecated: single authors was superceded by multiple authors in Ghost 1.22.0
          * If we keep it, then only, because you can easier query post.author_id than posts_authors[*].sort_order.
@@ -51,6 +54,7 @@ module.exports = {
         updated_by: {type: 'string', maxlength: 24, nullable: true},
         published_at: {type: 'dateTime', nullable: true},
         published_by: {type: 'string', maxlength: 24, nullable: true},
+        unpublish_at: {type: 'dateTime', nullable: true},
         custom_excerpt: {type: 'string', maxlength: 2000, nullable: true, validations: {isLength: {max: 300}}},
         codeinjection_head: {type: 'text', maxlength: 65535, nullable: true},
         codeinjection_foot: {type: 'text', maxlength: 65535, nullable: true},
@@ -58,6 +62,10 @@ module.exports = {
         canonical_url: {type: 'text', maxlength: 2000, nullable: true},
         '@@UNIQUE_CONSTRAINTS@@': [
             ['slug', 'type']
+        ],
+        // used by the database search adapter, only created on MySQL
+        '@@FULLTEXT_INDEXES@@': [
+            ['title', 'custom_excerpt', 'plaintext']
         ]
     },
     posts_meta: {
@@ -123,6 +131,19 @@ module.exports = {
         updated_at: {type: 'dateTime', nullable: true},
         user_id: {type: 'string', maxlength: 24, nullable: false, references: 'users.id'}
     },
+    users_totp: {
+        id: {type: 'string', maxlength: 24, nullable: false, primary: true},
+        user_id: {type: 'string', maxlength: 24, nullable: false, unique: true, references: 'users.id', cascadeDelete: true},
+        // base32 encoded shared secret, also set while the enrolment hasn't been confirmed yet
+        secret: {type: 'string', maxlength: 191, nullable: false},
+        // JSON list of sha256 hashes of the unused recovery codes
+        recovery_codes: {type: 'text', maxlength: 65535, nullable: true},
+        // time step of the last accepted code, codes can't be used twice
+        last_used_step: {type: 'integer', nullable: true, unsigned: true},
+        enabled_at: {type: 'dateTime', nullable: true},
+        created_at: {type: 'dateTime', nullable: false},
+        updated_at: {type: 'dateTime', nullable: true}
+    },
     posts_authors: {
         id: {type: 'string', maxlength: 24, nullable: false, primary: true},
         post_id: {type: 'string', maxlength: 24, nullable: false, references: 'posts.id'},
@@ -294,6 +315,8 @@ module.exports = {
         slug: {type: 'string', maxlength: 191, nullable: false, unique: true},
         icon_image: {type: 'string', maxlength: 2000, nullable: true},
         description: {type: 'string', maxlength: 2000, nullable: true},
+        // JSON list of `<resource>.<action>` scopes limiting the integration's admin API key, null means unrestricted
+        scopes: {type: 'text', maxlength: 65535, nullable: true},
         created_at: {type: 'dateTime', nullable: false},
         created_by: {type: 'string', maxlength: 24, nullable: false},
         updated_at: {type: 'dateTime', nullable: true},
@@ -320,6 +343,28 @@ module.exports = {
         updated_at: {type: 'dateTime', nullable: true},
         updated_by: {type: 'string', maxlength: 24, nullable: true}
     },
+    webhook_deliveries: {
+        id: {type: 'string', maxlength: 24, nullable: false, primary: true},
+        webhook_id: {type: 'string', maxlength: 24, nullable: false, references: 'webhooks.id', cascadeDelete: true},
+        event: {type: 'string', maxlength: 50, nullable: false},
+        target_url: {type: 'string', maxlength: 2000, nullable: false},
+        request_body: {type: 'text', maxlength: 1000000000, fieldtype: 'long', nullable: false},
+        status: {
+            type: 'string',
+            maxlength: 50,
+            nullable: false,
+            defaultTo: 'pending',
+            validations: {isIn: [['pending', 'delivered', 'retrying', 'failed']]}
+        },
+        attempts: {type: 'integer', nullable: false, unsigned: true, defaultTo: 0},
+        response_status_code: {type: 'integer', nullable: true, unsigned: true},
+        response_body: {type: 'string', maxlength: 2000, nullable: true},
+        error: {type: 'string', maxlength: 2000, nullable: true},
+        duration: {type: 'integer', nullable: true, unsigned: true},
+        next_retry_at: {type: 'dateTime', nullable: true, index: true},
+        created_at: {type: 'dateTime', nullable: false},
+        updated_at: {type: 'dateTime', nullable: true}
+    },
     api_keys: {
         id: {type: 'string', maxlength: 24, nullable: false, primary: true},
         type: {
@@ -350,6 +395,8 @@ module.exports = {
         id: {type: 'string', maxlength: 24, nullable: false, primary: true},
         post_id: {type: 'string', maxlength: 24, nullable: false, index: true},
         mobiledoc: {type: 'text', maxlength: 1000000000, fieldtype: 'long', nullable: true},
+        author_id: {type: 'string', maxlength: 24, nullable: true},
+        publish_event: {type: 'bool', nullable: false, defaultTo: false},
         created_at_ts: {type: 'bigInteger', nullable: false},
         created_at: {type: 'dateTime', nullable: false}
     },
@@ -518,6 +565,66 @@ module.exports = {
         created_at: {type: 'dateTime', nullable: false},
         source: {type: 'string', maxlength: 50, nullable: true}
     },
+    newsletters: {
+        id: {type: 'string', maxlength: 24, nullable: false, primary: true},
+        name: {type: 'string', maxlength: 191, nullable: false, unique: true},
+        slug: {type: 'string', maxlength: 191, nullable: false, unique: true},
+        description: {type: 'string', maxlength: 2000, nullable: true},
+        status: {
+            type: 'string',
+            maxlength: 50,
+            nullable: false,
+            defaultTo: 'active',
+            validations: {isIn: [['active', 'archived']]}
+        },
+        sender_name: {type: 'string', maxlength: 191, nullable: true},
+        sender_email: {type: 'string', maxlength: 191, nullable: true, validations: {isEmail: true}},
+        sender_reply_to: {
+            type: 'string',
+            maxlength: 50,
+            nullable: false,
+            defaultTo: 'newsletter',
+            validations: {isIn: [['newsletter', 'support']]}
+        },
+        subscribe_on_signup: {type: 'bool', nullable: false, defaultTo: true},
+        sort_order: {type: 'integer', nullable: false, unsigned: true, defaultTo: 0},
+        header_image: {type: 'string', maxlength: 2000, nullable: true},
+        show_header_icon: {type: 'bool', nullable: false, defaultTo: true},
+        show_header_title: {type: 'bool', nullable: false, defaultTo: true},
+        title_font_category: {
+            type: 'string',
+            maxlength: 191,
+            nullable: false,
+            defaultTo: 'sans_serif',
+            validations: {isIn: [['serif', 'sans_serif']]}
+        },
+        title_alignment: {
+            type: 'string',
+            maxlength: 191,
+            nullable: false,
+            defaultTo: 'center',
+            validations: {isIn: [['center', 'left']]}
+        },
+        show_feature_image: {type: 'bool', nullable: false, defaultTo: true},
+        body_font_category: {
+            type: 'string',
+            maxlength: 191,
+            nullable: false,
+            defaultTo: 'sans_serif',
+            validations: {isIn: [['serif', 'sans_serif']]}
+        },
+        footer_content: {type: 'text', maxlength: 1000000000, nullable: true},
+        show_badge: {type: 'bool', nullable: false, defaultTo: true},
+        created_at: {type: 'dateTime', nullable: false},
+        created_by: {type: 'string', maxlength: 24, nullable: false},
+        updated_at: {type: 'dateTime', nullable: true},
+        updated_by: {type: 'string', maxlength: 24, nullable: true}
+    },
+    members_newsletters: {
+        id: {type: 'string', maxlength: 24, nullable: false, primary: true},
+        member_id: {type: 'string', maxlength: 24, nullable: false, references: 'members.id', cascadeDelete: true},
+        newsletter_id: {type: 'string', maxlength: 24, nullable: false, references: 'newsletters.id', cascadeDelete: true}
+    },
     stripe_products: {
         id: {type: 'string', maxlength: 24, nullable: false, primary: true},
         product_id: {type: 'string', maxlength: 24, nullable: false, unique: false, references: 'products.id'},
@@ -539,6 +646,33 @@ module.exports = {
         created_at: {type: 'dateTime', nullable: false},
         updated_at: {type: 'dateTime', nullable: true}
     },
+    offers: {
+        id: {type: 'string', maxlength: 24, nullable: false, primary: true},
+        active: {type: 'bool', nullable: false, defaultTo: true},
+        name: {type: 'string', maxlength: 191, nullable: false, unique: true},
+        // used in the landing url of the offer
+        code: {type: 'string', maxlength: 191, nullable: false, unique: true},
+        product_id: {type: 'string', maxlength: 24, nullable: false, references: 'products.id'},
+        stripe_coupon_id: {type: 'string', maxlength: 255, nullable: true, unique: true},
+        interval: {type: 'string', maxlength: 50, nullable: false, validations: {isIn: [['month', 'year']]}},
+        // only set for discounts of a fixed amount
+        currency: {type: 'string', maxlength: 50, nullable: true},
+        discount_type: {type: 'string', maxlength: 50, nullable: false, validations: {isIn: [['percent', 'amount']]}},
+        discount_amount: {type: 'integer', nullable: false},
+        duration: {type: 'string', maxlength: 50, nullable: false, validations: {isIn: [['once', 'repeating', 'forever']]}},
+        duration_in_months: {type: 'integer', nullable: true},
+        max_redemptions: {type: 'integer', nullable: true, unsigned: true},
+        expires_at: {type: 'dateTime', nullable: true},
+        created_at: {type: 'dateTime', nullable: false},
+        updated_at: {type: 'dateTime', nullable: true}
+    },
+    offer_redemptions: {
+        id: {type: 'string', maxlength: 24, nullable: false, primary: true},
+        offer_id: {type: 'string', maxlength: 24, nullable: false, references: 'offers.id', cascadeDelete: true},
+        member_id: {type: 'string', maxlength: 24, nullable: false, references: 'members.id', cascadeDelete: true},
+        subscription_id: {type: 'string', maxlength: 24, nullable: false, references: 'members_stripe_customers_subscriptions.id', cascadeDelete: true},
+        created_at: {type: 'dateTime', nullable: false}
+    },
     actions: {
         id: {type: 'string', maxlength: 24, nullable: false, primary: true},
         resource_id: {type: 'string', maxlength: 24, nullable: true},
@@ -569,6 +703,7 @@ module.exports = {
             nullable: false,
             defaultTo: 'status:-free'
         },
+        newsletter_id: {type: 'string', maxlength: 24, nullable: true, index: true},
         error: {type: 'string', maxlength: 2000, nullable: true},
         error_data: {type: 'text', maxlength: 1000000000, fieldtype: 'long', nullable: true},
         email_count: {type: 'integer', nullable: false, unsigned: true, defaultTo: 0},
@@ -581,6 +716,7 @@ module.exports = {
         html: {type: 'text', maxlength: 1000000000, fieldtype: 'long', nullable: true},
         plaintext: {type: 'text', maxlength: 1000000000, fieldtype: 'long', nullable: true},
         track_opens: {type: 'bool', nullable: false, defaultTo: false},
+        track_clicks: {type: 'bool', nullable: false, defaultTo: false},
         submitted_at: {type: 'dateTime', nullable: false},
         created_at: {type: 'dateTime', nullable: false},
         created_by: {type: 'string', maxlength: 24, nullable: false},
@@ -618,6 +754,19 @@ module.exports = {
             ['email_id', 'member_email']
         ]
     },
+    email_links: {
+        id: {type: 'string', maxlength: 24, nullable: false, primary: true},
+        email_id: {type: 'string', maxlength: 24, nullable: false, references: 'emails.id'},
+        url: {type: 'string', maxlength: 2000, nullable: false},
+        created_at: {type: 'dateTime', nullable: false}
+    },
+    email_link_clicks: {
+        id: {type: 'string', maxlength: 24, nullable: false, primary: true},
+        email_link_id: {type: 'string', maxlength: 24, nullable: false, references: 'email_links.id'},
+        email_id: {type: 'string', maxlength: 24, nullable: false, references: 'emails.id'},
+        member_id: {type: 'string', maxlength: 24, nullable: false, references: 'members.id', cascadeDelete: true},
+        created_at: {type: 'dateTime', nullable: false}
+    },
     tokens: {
         id: {type: 'string', maxlength: 24, nullable: false, primary: true},
         token: {type: 'string', maxlength: 32, nullable: false, index: true},
@@ -633,5 +782,52 @@ module.exports = {
         created_by: {type: 'string', maxlength: 24, nullable: false},
         updated_at: {type: 'dateTime', nullable: true},
         updated_by: {type: 'string', maxlength: 24, nullable: true}
+    },
+    redirects: {
+        id: {type: 'string', maxlength: 24, nullable: false, primary: true},
+        from: {type: 'string', maxlength: 2000, nullable: false},
+        to: {type: 'string', maxlength: 2000, nullable: false},
+        match_type: {
+            type: 'string',
+            maxlength: 50,
+            nullable: false,
+            defaultTo: 'exact',
+            validations: {isIn: [['exact', 'regex']]}
+        },
+        permanent: {type: 'bool', nullable: false, defaultTo: true},
+        preserve_query: {type: 'bool', nullable: false, defaultTo: true},
+        sort_order: {type: 'integer', nullable: false, unsigned: true, defaultTo: 0},
+        source: {
+            type: 'string',
+            maxlength: 50,
+            nullable: false,
+            defaultTo: 'manual',
+            validations: {isIn: [['manual', 'automatic']]}
+        },
+        resource_id: {type: 'string', maxlength: 24, nullable: true, index: true},
+        hits: {type: 'integer', nullable: false, unsigned: true, defaultTo: 0},
+        last_hit_at: {type: 'dateTime', nullable: true},
+        created_at: {type: 'dateTime', nullable: false},
+        created_by: {type: 'string', maxlength: 24, nullable: false},
+        updated_at: {type: 'dateTime', nullable: true},
+        updated_by: {type: 'string', maxlength: 24, nullable: true}
+    },
+    // the last url of every post and page, automatic redirects compare new urls against it across restarts
+    resource_urls: {
+        id: {type: 'string', maxlength: 24, nullable: false, primary: true},
+        resource_id: {type: 'string', maxlength: 24, nullable: false, unique: true},
+        resource_type: {type: 'string', maxlength: 50, nullable: false, validations: {isIn: [['posts', 'pages']]}},
+        url: {type: 'string', maxlength: 2000, nullable: false},
+        updated_at: {type: 'dateTime', nullable: false}
+    },
+    activitypub_followers: {
+        id: {type: 'string', maxlength: 24, nullable: false, primary: true},
+        // the followed author, null when the site itself is followed
+        user_id: {type: 'string', maxlength: 24, nullable: true, references: 'users.id', cascadeDelete: true},
+        actor_url: {type: 'string', maxlength: 2000, nullable: false},
+        inbox_url: {type: 'string', maxlength: 2000, nullable: false},
+        shared_inbox_url: {type: 'string', maxlength: 2000, nullable: true},
+        created_at: {type: 'dateTime', nullable: false},
+        updated_at: {type: 'dateTime', nullable: true}
     }
 };
@@ -0,0 +1,75 @@
+const errors = require('@tryghost/errors');
+const imageTransform = require('@tryghost/image-transform');
+
+// formats sized images can be converted to, keyed by the name used in `/size/wXXX/format/<name>/` paths
+const FORMATS = {
+    avif: 'image/avif',
+    webp: 'image/webp',
+    png: 'image/png',
+    jpeg: 'image/jpeg'
+};
+
+/**
+ * @param {string} format
+ * @returns {boolean}
+ */
+const canConvertToFormat = (format) => {
+    return Object.prototype.hasOwnProperty.call(FORMATS, format);
+};
+
+/**
+ * @param {string} format
+ * @returns {string}
+ */
+const getMimeType = (format) => {
+    return FORMATS[format];
+};
+
+/**
+ * Picks the first of the preferred formats the client explicitly accepts.
+ * Browsers send wildcards like `image/*` for everything so only exact matches count.
+ *
+ * @param {string} acceptHeader
+ * @param {string[]} preferredFormats - e.g. ['avif', 'webp']
+ * @returns {string|null}
+ */
+const negotiateFormat = (acceptHeader, preferredFormats) => {
+    const acceptedTypes = (acceptHeader || '')
+        .split(',')
+        .map(type => type.split(';')[0].trim().toLowerCase());
+
+    return preferredFormats.find(format => canConvertToFormat(format) && acceptedTypes.includes(getMimeType(format))) || null;
+};
+
+/**
+ * @param {Buffer} originalBuffer
+ * @param {string} format
+ * @returns {Promise<Buffer>}
+ */
+const convertFromBuffer = async (originalBuffer, format) => {
+    if (!imageTransform.canTransformFiles()) {
+        throw new errors.InternalServerError({
+            message: 'Sharp wasn\'t installed',
+            code: 'SHARP_INSTALLATION'
+        });
+    }
+
+    const sharp = require('sharp');
+
+    try {
+        return await sharp(originalBuffer).toFormat(format).toBuffer();
+    } catch (err) {
+        throw new errors.InternalServerError({
+            message: 'Unable to manipulate image.',
+            err: err,
+            code: 'IMAGE_PROCESSING'
+        });
+    }
+};
+
+module.exports = {
+    canConvertToFormat,
+    getMimeType,
+    negotiateFormat,
+    convertFromBuffer
+};
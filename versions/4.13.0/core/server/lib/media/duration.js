@@ -0,0 +1,184 @@
+const fs = require('fs-extra');
+
+// Bitrates in kbps for MPEG-1 and MPEG-2/2.5 Layer III, index 0 is "free" and 15 is invalid
+const MP3_BITRATES = {
+    1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 0],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160, 0]
+};
+const MP3_SAMPLE_RATES = {
+    1: [44100, 48000, 32000],
+    2: [22050, 24000, 16000],
+    2.5: [11025, 12000, 8000]
+};
+
+async function read(fd, position, length) {
+    const buffer = Buffer.alloc(length);
+    const {bytesRead} = await fs.read(fd, buffer, 0, length, position);
+    return buffer.slice(0, bytesRead);
+}
+
+/**
+ * Walks the top level boxes of an ISO base media file (mp4, m4a, mov) to the movie header,
+ * which can be at the end of the file so we skip over box contents instead of reading them
+ */
+async function getMp4Duration(fd, size) {
+    let position = 0;
+
+    while (position + 8 <= size) {
+        const header = await read(fd, position, 16);
+        let boxSize = header.readUInt32BE(0);
+        const type = header.toString('ascii', 4, 8);
+        let headerSize = 8;
+
+        if (boxSize === 1) {
+            boxSize = Number(header.readBigUInt64BE(8));
+            headerSize = 16;
+        } else if (boxSize === 0) {
+            boxSize = size - position;
+        }
+
+        if (boxSize < headerSize) {
+            return null;
+        }
+
+        if (type === 'moov') {
+            // descend into the movie box
+            position += headerSize;
+            continue;
+        }
+
+        if (type === 'mvhd') {
+            const mvhd = await read(fd, position + headerSize, 32);
+            const version = mvhd.readUInt8(0);
+            const timescale = version === 1 ? mvhd.readUInt32BE(20) : mvhd.readUInt32BE(12);
+            const duration = version === 1 ? Number(mvhd.readBigUInt64BE(24)) : mvhd.readUInt32BE(16);
+
+            return timescale ? duration / timescale : null;
+        }
+
+        position += boxSize;
+    }
+
+    return null;
+}
+
+async function getWavDuration(fd, size) {
+    const header = await read(fd, 0, 12);
+
+    if (header.toString('ascii', 0, 4) !== 'RIFF' || header.toString('ascii', 8, 12) !== 'WAVE') {
+        return null;
+    }
+
+    let position = 12;
+    let byteRate = null;
+
+    while (position + 8 <= size) {
+        const chunk = await read(fd, position, 20);
+        const type = chunk.toString('ascii', 0, 4);
+        const chunkSize = chunk.readUInt32LE(4);
+
+        if (type === 'fmt ') {
+            byteRate = chunk.readUInt32LE(8 + 8);
+        } else if (type === 'data') {
+            return byteRate ? chunkSize / byteRate : null;
+        }
+
+        // chunks are word aligned
+        position += 8 + chunkSize + (chunkSize % 2);
+    }
+
+    return null;
+}
+
+/**
+ * Uses the Xing/Info header when there is one (VBR files), otherwise assumes a constant bitrate
+ */
+async function getMp3Duration(fd, size) {
+    let position = 0;
+    let header = await read(fd, 0, 10);
+
+    // skip the ID3v2 tag
+    if (header.toString('ascii', 0, 3) === 'ID3') {
+        const tagSize = ((header[6] & 0x7f) << 21) | ((header[7] & 0x7f) << 14) | ((header[8] & 0x7f) << 7) | (header[9] & 0x7f);
+        position = 10 + tagSize + ((header[5] & 0x10) ? 10 : 0);
+    }
+
+    // look for the first frame sync within the first 64KB after the tag
+    const search = await read(fd, position, 64 * 1024);
+    let offset = 0;
+
+    while (offset + 4 <= search.length && !(search[offset] === 0xff && (search[offset + 1] & 0xe0) === 0xe0)) {
+        offset += 1;
+    }
+
+    if (offset + 4 > search.length) {
+        return null;
+    }
+
+    position += offset;
+    header = search.slice(offset, offset + 4);
+
+    const versionBits = (header[1] >> 3) & 0x03;
+    const version = {0: 2.5, 2: 2, 3: 1}[versionBits];
+    const bitrate = version && MP3_BITRATES[version === 1 ? 1 : 2][header[2] >> 4];
+    const sampleRate = version && MP3_SAMPLE_RATES[version][(header[2] >> 2) & 0x03];
+
+    if (!bitrate || !sampleRate) {
+        return null;
+    }
+
+    const samplesPerFrame = version === 1 ? 1152 : 576;
+    const isMono = (header[3] >> 6) === 3;
+    const sideInfoSize = version === 1 ? (isMono ? 17 : 32) : (isMono ? 9 : 17);
+    const xing = search.slice(offset + 4 + sideInfoSize, offset + 4 + sideInfoSize + 12);
+    const xingId = xing.toString('ascii', 0, 4);
+
+    if ((xingId === 'Xing' || xingId === 'Info') && (xing.readUInt32BE(4) & 0x01)) {
+        return (xing.readUInt32BE(8) * samplesPerFrame) / sampleRate;
+    }
+
+    return ((size - position) * 8) / (bitrate * 1000);
+}
+
+const parsers = {
+    '.mp4': getMp4Duration,
+    '.m4a': getMp4Duration,
+    '.m4v': getMp4Duration,
+    '.mov': getMp4Duration,
+    '.wav': getWavDuration,
+    '.mp3': getMp3Duration
+};
+
+/**
+ * Best effort duration of an audio or video file, formats we can't read return null
+ *
+ * @param {Object} file
+ * @param {string} file.path
+ * @param {string} file.ext - lowercased extension including the dot
+ * @returns {Promise<number|null>} - duration in seconds
+ */
+async function getDuration({path, ext}) {
+    const parser = parsers[ext];
+
+    if (!parser) {
+        return null;
+    }
+
+    const fd = await fs.open(path, 'r');
+
+    try {
+        const {size} = await fs.fstat(fd);
+        const duration = await parser(fd, size);
+
+        return duration && isFinite(duration) ? Math.round(duration * 1000) / 1000 : null;
+    } catch (err) {
+        // corrupt or truncated files
+        return null;
+    } finally {
+        await fs.close(fd);
+    }
+}
+
+module.exports = {
+    getDuration
+};
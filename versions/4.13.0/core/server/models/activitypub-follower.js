@@ -0,0 +1,18 @@
+const ghostBookshelf = require('./base');
+
+const ActivityPubFollower = ghostBookshelf.Model.extend({
+    tableName: 'activitypub_followers',
+
+    user() {
+        return this.belongsTo('User', 'user_id');
+    }
+});
+
+const ActivityPubFollowers = ghostBookshelf.Collection.extend({
+    model: ActivityPubFollower
+});
+
+module.exports = {
+    ActivityPubFollower: ghostBookshelf.model('ActivityPubFollower', ActivityPubFollower),
+    ActivityPubFollowers: ghostBookshelf.collection('ActivityPubFollowers', ActivityPubFollowers)
+};
@@ -28,6 +28,7 @@ module.exports = function (Bookshelf) {
                     Tag: 'tags'
                 };
                 const exclude = options.exclude;
+                const columns = options.columns;
                 const filter = options.filter;
                 const shouldHavePosts = options.shouldHavePosts;
                 const withRelated = options.withRelated;
@@ -69,8 +70,11 @@ module.exports = function (Bookshelf) {
                     query.limit(options.limit);
                 }
 
-                // exclude fields if enabled
-                if (exclude) {
+                // select a few fields only e.g. to compare `updated_at` with a cached copy
+                if (columns) {
+                    query.select(columns.map(column => `${tableNames[modelName]}.${column}`));
+                } else if (exclude) {
+                    // exclude fields if enabled
                     let toSelect = _.keys(schema.tables[tableNames[modelName]]);
                     toSelect = toSelect.filter(key => !(key.startsWith('@@')));
 
@@ -0,0 +1,31 @@
+const errors = require('@tryghost/errors');
+const ghostBookshelf = require('./base');
+
+const EmailLinkClick = ghostBookshelf.Model.extend({
+    tableName: 'email_link_clicks',
+
+    link() {
+        return this.belongsTo('EmailLink', 'email_link_id');
+    },
+
+    email() {
+        return this.belongsTo('Email', 'email_id');
+    },
+
+    member() {
+        return this.belongsTo('Member', 'member_id', 'id');
+    }
+}, {
+    async edit() {
+        throw new errors.IncorrectUsageError('Cannot edit EmailLinkClick');
+    }
+});
+
+const EmailLinkClicks = ghostBookshelf.Collection.extend({
+    model: EmailLinkClick
+});
+
+module.exports = {
+    EmailLinkClick: ghostBookshelf.model('EmailLinkClick', EmailLinkClick),
+    EmailLinkClicks: ghostBookshelf.collection('EmailLinkClicks', EmailLinkClicks)
+};
@@ -0,0 +1,22 @@
+const ghostBookshelf = require('./base');
+
+const EmailLink = ghostBookshelf.Model.extend({
+    tableName: 'email_links',
+
+    email() {
+        return this.belongsTo('Email', 'email_id');
+    },
+
+    clicks() {
+        return this.hasMany('EmailLinkClick', 'email_link_id');
+    }
+});
+
+const EmailLinks = ghostBookshelf.Collection.extend({
+    model: EmailLink
+});
+
+module.exports = {
+    EmailLink: ghostBookshelf.model('EmailLink', EmailLink),
+    EmailLinks: ghostBookshelf.collection('EmailLinks', EmailLinks)
+};
@@ -10,6 +10,7 @@ const Email = ghostBookshelf.Model.extend({
             status: 'pending',
             recipient_filter: 'status:-free',
             track_opens: false,
+            track_clicks: false,
             delivered_count: 0,
             opened_count: 0,
             failed_count: 0
@@ -54,6 +55,10 @@ const Email = ghostBookshelf.Model.extend({
         return this.hasMany('EmailRecipient', 'email_id');
     },
 
+    links() {
+        return this.hasMany('EmailLink', 'email_id');
+    },
+
     emitChange: function emitChange(event, options) {
         const eventToTrigger = 'email' + '.' + event;
         ghostBookshelf.Model.prototype.emitChange.bind(this)(this, eventToTrigger, options);
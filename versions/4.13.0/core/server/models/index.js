@@ -24,14 +24,18 @@ const models = [
     'author',
     'invite',
     'webhook',
+    'webhook-delivery',
     'integration',
     'api-key',
     'mobiledoc-revision',
     'member',
     'product',
+    'newsletter',
     'benefit',
     'stripe-product',
     'stripe-price',
+    'offer',
+    'offer-redemption',
     'member-subscribe-event',
     'member-paid-subscription-event',
     'member-login-event',
@@ -45,9 +49,14 @@ const models = [
     'email',
     'email-batch',
     'email-recipient',
+    'email-link',
+    'email-link-click',
     'label',
     'single-use-token',
     'snippet',
+    'redirect',
+    'user-totp',
+    'activitypub-follower',
     // Action model MUST be loaded last as it loops through all of the registered models
     // Please do not append items to this array.
     'action'
@@ -1,6 +1,11 @@
 const limitService = require('../services/limits');
 const ghostBookshelf = require('./base');
 const {NoPermissionError} = require('@tryghost/errors');
+const tpl = require('@tryghost/tpl');
+
+const messages = {
+    notAllowedToChangeScopes: 'API keys are not allowed to change the scopes of an integration.'
+};
 
 const Integration = ghostBookshelf.Model.extend({
     tableName: 'integrations',
@@ -18,6 +23,23 @@ const Integration = ghostBookshelf.Model.extend({
         };
     },
 
+    parse(attrs) {
+        if (attrs.scopes) {
+            attrs.scopes = JSON.parse(attrs.scopes);
+        }
+
+        return attrs;
+    },
+
+    format(attrs) {
+        // CASE: format is also called for SELECTs, only touch scopes when they're set
+        if (attrs.scopes) {
+            attrs.scopes = JSON.stringify(attrs.scopes);
+        }
+
+        return attrs;
+    },
+
     emitChange: function emitChange(event, options) {
         const eventToTrigger = 'integration' + '.' + event;
         ghostBookshelf.Model.prototype.emitChange.bind(this)(this, eventToTrigger, options);
@@ -76,6 +98,13 @@ const Integration = ghostBookshelf.Model.extend({
         if (!hasUserPermission || !hasApiKeyPermission) {
             throw new NoPermissionError();
         }
+
+        // CASE: only staff users can grant scopes, otherwise a scoped key could widen its own access
+        if (context.api_key && attrs.scopes !== undefined) {
+            throw new NoPermissionError({
+                message: tpl(messages.notAllowedToChangeScopes)
+            });
+        }
     }
 });
 
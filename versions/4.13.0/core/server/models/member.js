@@ -1,5 +1,6 @@
 const ghostBookshelf = require('./base');
 const uuid = require('uuid');
+const ObjectId = require('bson-objectid');
 const _ = require('lodash');
 const config = require('../../shared/config');
 const crypto = require('crypto');
@@ -30,6 +31,12 @@ const Member = ghostBookshelf.Model.extend({
         }, {
             key: 'products',
             replacement: 'products.slug'
+        }, {
+            key: 'newsletter',
+            replacement: 'newsletters.slug'
+        }, {
+            key: 'newsletters',
+            replacement: 'newsletters.slug'
         }];
     },
 
@@ -49,6 +56,13 @@ const Member = ghostBookshelf.Model.extend({
                 joinFrom: 'member_id',
                 joinTo: 'product_id'
             },
+            newsletters: {
+                tableName: 'newsletters',
+                type: 'manyToMany',
+                joinTable: 'members_newsletters',
+                joinFrom: 'member_id',
+                joinTo: 'newsletter_id'
+            },
             subscriptions: {
                 tableName: 'members_stripe_customers_subscriptions',
                 tableNameAs: 'subscriptions',
@@ -61,7 +75,7 @@ const Member = ghostBookshelf.Model.extend({
         };
     },
 
-    relationships: ['products', 'labels', 'stripeCustomers', 'email_recipients'],
+    relationships: ['products', 'labels', 'newsletters', 'stripeCustomers', 'email_recipients'],
 
     // do not delete email_recipients records when a member is destroyed. Recipient
     // records are used for analytics and historical records
@@ -74,6 +88,7 @@ const Member = ghostBookshelf.Model.extend({
     relationshipBelongsTo: {
         products: 'products',
         labels: 'labels',
+        newsletters: 'newsletters',
         stripeCustomers: 'members_stripe_customers',
         email_recipients: 'email_recipients'
     },
@@ -105,6 +120,11 @@ const Member = ghostBookshelf.Model.extend({
             });
     },
 
+    newsletters() {
+        return this.belongsToMany('Newsletter', 'members_newsletters', 'member_id', 'newsletter_id')
+            .query('orderBy', 'newsletters.sort_order', 'ASC');
+    },
+
     stripeCustomers() {
         return this.hasMany('MemberStripeCustomer', 'member_id', 'id');
     },
@@ -140,15 +160,29 @@ const Member = ghostBookshelf.Model.extend({
         ghostBookshelf.Model.prototype.emitChange.bind(this)(this, eventToTrigger, options);
     },
 
-    onCreated: function onCreated(model, attrs, options) {
+    onCreated: async function onCreated(model, attrs, options) {
         ghostBookshelf.Model.prototype.onCreated.apply(this, arguments);
 
+        // CASE: members signing up for emails get the newsletters which are opted into by default
+        if (model.get('subscribed') && !model.newslettersChanging) {
+            await model.subscribeToDefaultNewsletters(options);
+        }
+
         model.emitChange('added', options);
     },
 
-    onUpdated: function onUpdated(model, attrs, options) {
+    onUpdated: async function onUpdated(model, attrs, options) {
         ghostBookshelf.Model.prototype.onUpdated.apply(this, arguments);
 
+        // CASE: the legacy `subscribed` flag was toggled without choosing specific newsletters
+        if (!!model.get('subscribed') !== !!model.previous('subscribed') && !model.newslettersChanging) {
+            if (model.get('subscribed')) {
+                await model.subscribeToDefaultNewsletters(options);
+            } else {
+                await model.unsubscribeFromAllNewsletters(options);
+            }
+        }
+
         model.emitChange('edited', options);
     },
 
@@ -167,6 +201,13 @@ const Member = ghostBookshelf.Model.extend({
     onSaving: function onSaving(model, attr, options) {
         let labelsToSave = [];
 
+        // CASE: newsletters are set explicitly, the member is subscribed as long as they receive at least one of them
+        model.newslettersChanging = Array.isArray(this.get('newsletters'));
+
+        if (model.newslettersChanging) {
+            this.set('subscribed', this.get('newsletters').length > 0);
+        }
+
         if (_.isUndefined(this.get('labels'))) {
             this.unset('labels');
             return;
@@ -211,6 +252,58 @@ const Member = ghostBookshelf.Model.extend({
             });
     },
 
+    async subscribeToDefaultNewsletters(options) {
+        const knexOptions = _.pick(options, 'transacting');
+
+        const newsletters = await ghostBookshelf.model('Newsletter').findAll(Object.assign({
+            filter: 'status:active+subscribe_on_signup:true',
+            columns: ['id']
+        }, knexOptions));
+
+        const existingQuery = ghostBookshelf.knex('members_newsletters')
+            .select('newsletter_id')
+            .where('member_id', this.id);
+
+        if (knexOptions.transacting) {
+            existingQuery.transacting(knexOptions.transacting);
+        }
+
+        const existingIds = (await existingQuery).map(row => row.newsletter_id);
+        const rows = newsletters.models
+            .filter(newsletter => !existingIds.includes(newsletter.id))
+            .map((newsletter) => {
+                return {
+                    id: ObjectId().toHexString(),
+                    member_id: this.id,
+                    newsletter_id: newsletter.id
+                };
+            });
+
+        if (!rows.length) {
+            return;
+        }
+
+        const insertQuery = ghostBookshelf.knex('members_newsletters').insert(rows);
+
+        if (knexOptions.transacting) {
+            insertQuery.transacting(knexOptions.transacting);
+        }
+
+        await insertQuery;
+    },
+
+    async unsubscribeFromAllNewsletters(options) {
+        const deleteQuery = ghostBookshelf.knex('members_newsletters')
+            .where('member_id', this.id)
+            .del();
+
+        if (options.transacting) {
+            deleteQuery.transacting(options.transacting);
+        }
+
+        await deleteQuery;
+    },
+
     handleAttachedModels: function handleAttachedModels(model) {
         /**
          * @NOTE:
@@ -1,7 +1,17 @@
 const ghostBookshelf = require('./base');
 
 const MobiledocRevision = ghostBookshelf.Model.extend({
-    tableName: 'mobiledoc_revisions'
+    tableName: 'mobiledoc_revisions',
+
+    defaults() {
+        return {
+            publish_event: false
+        };
+    },
+
+    author() {
+        return this.belongsTo('User', 'author_id');
+    }
 }, {
     permittedOptions(methodName) {
         let options = ghostBookshelf.Model.permittedOptions.call(this, methodName);
@@ -0,0 +1,84 @@
+const ghostBookshelf = require('./base');
+
+const Newsletter = ghostBookshelf.Model.extend({
+    tableName: 'newsletters',
+
+    defaults() {
+        return {
+            status: 'active',
+            sender_reply_to: 'newsletter',
+            subscribe_on_signup: true,
+            sort_order: 0,
+            show_header_icon: true,
+            show_header_title: true,
+            title_font_category: 'sans_serif',
+            title_alignment: 'center',
+            show_feature_image: true,
+            body_font_category: 'sans_serif',
+            show_badge: true
+        };
+    },
+
+    emitChange: function emitChange(event, options) {
+        const eventToTrigger = 'newsletter' + '.' + event;
+        ghostBookshelf.Model.prototype.emitChange.bind(this)(this, eventToTrigger, options);
+    },
+
+    onCreated: function onCreated(model, attrs, options) {
+        ghostBookshelf.Model.prototype.onCreated.apply(this, arguments);
+
+        model.emitChange('added', options);
+    },
+
+    onUpdated: function onUpdated(model, attrs, options) {
+        ghostBookshelf.Model.prototype.onUpdated.apply(this, arguments);
+
+        model.emitChange('edited', options);
+    },
+
+    onSaving: function onSaving(model, attr, options) {
+        ghostBookshelf.Model.prototype.onSaving.apply(this, arguments);
+
+        // Make sure name is trimmed of extra spaces
+        this.set('name', this.get('name') && this.get('name').trim());
+
+        if (this.hasChanged('slug') || (!this.get('slug') && this.get('name'))) {
+            // Pass the new slug through the generator to strip illegal characters, detect duplicates
+            return ghostBookshelf.Model.generateSlug(Newsletter, this.get('slug') || this.get('name'), {transacting: options.transacting})
+                .then((slug) => {
+                    this.set({slug});
+                });
+        }
+    },
+
+    members() {
+        return this.belongsToMany('Member', 'members_newsletters', 'newsletter_id', 'member_id');
+    }
+}, {
+    permittedOptions(methodName) {
+        let options = ghostBookshelf.Model.permittedOptions.call(this, methodName);
+        const validOptions = {
+            findAll: ['filter', 'columns'],
+            findOne: ['columns']
+        };
+
+        if (validOptions[methodName]) {
+            options = options.concat(validOptions[methodName]);
+        }
+
+        return options;
+    },
+
+    orderDefaultRaw() {
+        return 'sort_order ASC, created_at ASC';
+    }
+});
+
+const Newsletters = ghostBookshelf.Collection.extend({
+    model: Newsletter
+});
+
+module.exports = {
+    Newsletter: ghostBookshelf.model('Newsletter', Newsletter),
+    Newsletters: ghostBookshelf.collection('Newsletters', Newsletters)
+};
@@ -0,0 +1,35 @@
+const errors = require('@tryghost/errors');
+const ghostBookshelf = require('./base');
+
+const OfferRedemption = ghostBookshelf.Model.extend({
+    tableName: 'offer_redemptions',
+
+    offer() {
+        return this.belongsTo('Offer', 'offer_id', 'id');
+    },
+
+    member() {
+        return this.belongsTo('Member', 'member_id', 'id');
+    },
+
+    subscription() {
+        return this.belongsTo('StripeCustomerSubscription', 'subscription_id', 'id');
+    }
+}, {
+    async edit() {
+        throw new errors.IncorrectUsageError('Cannot edit OfferRedemption');
+    },
+
+    orderDefaultRaw() {
+        return 'created_at DESC';
+    }
+});
+
+const OfferRedemptions = ghostBookshelf.Collection.extend({
+    model: OfferRedemption
+});
+
+module.exports = {
+    OfferRedemption: ghostBookshelf.model('OfferRedemption', OfferRedemption),
+    OfferRedemptions: ghostBookshelf.collection('OfferRedemptions', OfferRedemptions)
+};
@@ -0,0 +1,63 @@
+const ghostBookshelf = require('./base');
+
+const Offer = ghostBookshelf.Model.extend({
+    tableName: 'offers',
+
+    defaults() {
+        return {
+            active: true
+        };
+    },
+
+    product() {
+        return this.belongsTo('Product', 'product_id', 'id');
+    },
+
+    redemptions() {
+        return this.hasMany('OfferRedemption', 'offer_id', 'id');
+    },
+
+    emitChange: function emitChange(event, options) {
+        const eventToTrigger = 'offer' + '.' + event;
+        ghostBookshelf.Model.prototype.emitChange.bind(this)(this, eventToTrigger, options);
+    },
+
+    onCreated: function onCreated(model, attrs, options) {
+        ghostBookshelf.Model.prototype.onCreated.apply(this, arguments);
+
+        model.emitChange('added', options);
+    },
+
+    onUpdated: function onUpdated(model, attrs, options) {
+        ghostBookshelf.Model.prototype.onUpdated.apply(this, arguments);
+
+        model.emitChange('edited', options);
+    }
+}, {
+    permittedOptions(methodName) {
+        let options = ghostBookshelf.Model.permittedOptions.call(this, methodName);
+        const validOptions = {
+            findAll: ['filter', 'columns'],
+            findOne: ['columns']
+        };
+
+        if (validOptions[methodName]) {
+            options = options.concat(validOptions[methodName]);
+        }
+
+        return options;
+    },
+
+    orderDefaultRaw() {
+        return 'created_at DESC';
+    }
+});
+
+const Offers = ghostBookshelf.Collection.extend({
+    model: Offer
+});
+
+module.exports = {
+    Offer: ghostBookshelf.model('Offer', Offer),
+    Offers: ghostBookshelf.collection('Offers', Offers)
+};
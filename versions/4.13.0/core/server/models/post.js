@@ -18,6 +18,7 @@ const urlUtils = require('../../shared/url-utils');
 
 const MOBILEDOC_REVISIONS_COUNT = 10;
 const ALL_STATUSES = ['published', 'draft', 'scheduled', 'sent'];
+const LIVE_STATUSES = ['published', 'scheduled'];
 
 let Post;
 let Posts;
@@ -315,6 +316,10 @@ Post = ghostBookshelf.Model.extend({
         if (['published', 'scheduled'].indexOf(status) !== -1) {
             model.emitChange(status, options);
         }
+
+        if (model.get('unpublish_at') && LIVE_STATUSES.includes(status)) {
+            model.emitChange('unpublish.scheduled', options);
+        }
     },
 
     onUpdated: function onUpdated(model, attrs, options) {
@@ -328,6 +333,9 @@ Post = ghostBookshelf.Model.extend({
         model.resourceTypeChanging = model.get('type') !== model.previous('type');
         model.publishedAtHasChanged = model.hasDateChanged('published_at');
         model.needsReschedule = model.publishedAtHasChanged && model.isScheduled;
+        model.isUnpublishScheduled = !!model.get('unpublish_at') && LIVE_STATUSES.includes(model.get('status'));
+        model.wasUnpublishScheduled = !!model.previous('unpublish_at') && LIVE_STATUSES.includes(model.previous('status'));
+        model.needsUnpublishReschedule = model.isUnpublishScheduled && model.wasUnpublishScheduled && model.hasDateChanged('unpublish_at');
 
         // Handle added and deleted for post -> page or page -> post
         if (model.resourceTypeChanging) {
@@ -339,6 +347,10 @@ Post = ghostBookshelf.Model.extend({
                 model.emitChange('unscheduled', Object.assign({usePreviousAttribute: true}, options));
             }
 
+            if (model.wasUnpublishScheduled) {
+                model.emitChange('unpublish.unscheduled', Object.assign({usePreviousAttribute: true}, options));
+            }
+
             model.emitChange('deleted', Object.assign({usePreviousAttribute: true}, options));
             model.emitChange('added', options);
 
@@ -349,6 +361,10 @@ Post = ghostBookshelf.Model.extend({
             if (model.isScheduled) {
                 model.emitChange('scheduled', options);
             }
+
+            if (model.isUnpublishScheduled) {
+                model.emitChange('unpublish.scheduled', options);
+            }
         } else {
             if (model.statusChanging) {
                 // CASE: was published before and is now e.q. draft or scheduled
@@ -380,6 +396,15 @@ Post = ghostBookshelf.Model.extend({
                 }
             }
 
+            // CASE: the unpublish job follows the post through status changes as long as it stays published or scheduled
+            if (model.isUnpublishScheduled && !model.wasUnpublishScheduled) {
+                model.emitChange('unpublish.scheduled', options);
+            } else if (!model.isUnpublishScheduled && model.wasUnpublishScheduled) {
+                model.emitChange('unpublish.unscheduled', options);
+            } else if (model.needsUnpublishReschedule) {
+                model.emitChange('unpublish.rescheduled', options);
+            }
+
             // Fire edited if this wasn't a change between resourceType
             model.emitChange('edited', options);
         }
@@ -396,6 +421,10 @@ Post = ghostBookshelf.Model.extend({
             model.emitChange('unpublished', Object.assign({usePreviousAttribute: true}, options));
         }
 
+        if (model.previous('unpublish_at') && LIVE_STATUSES.includes(model.previous('status'))) {
+            model.emitChange('unpublish.unscheduled', Object.assign({usePreviousAttribute: true}, options));
+        }
+
         model.emitChange('deleted', Object.assign({usePreviousAttribute: true}, options));
     },
 
@@ -473,6 +502,7 @@ Post = ghostBookshelf.Model.extend({
         const prevSlug = this.previous('slug');
         const publishedAt = this.get('published_at');
         const publishedAtHasChanged = this.hasDateChanged('published_at', {beforeWrite: true});
+        const unpublishAt = this.get('unpublish_at');
         const generatedFields = ['html', 'plaintext'];
         let tagsToSave;
         const ops = [];
@@ -516,6 +546,27 @@ Post = ghostBookshelf.Model.extend({
             }
         }
 
+        // CASE: both page and post can get unpublished at a later point in time, which has to be after they get published
+        if (unpublishAt && LIVE_STATUSES.includes(newStatus) && !options.importing && (!options.context || !options.context.internal)) {
+            if (!moment(unpublishAt).isValid()) {
+                return Promise.reject(new errors.ValidationError({
+                    message: i18n.t('errors.models.post.valueCannotBeBlank', {key: 'unpublish_at'})
+                }));
+            } else if (
+                (this.hasDateChanged('unpublish_at') || this.hasChanged('status')) &&
+                (moment(unpublishAt).isBefore(moment()) || (publishedAt && moment(unpublishAt).isBefore(moment(publishedAt))))
+            ) {
+                return Promise.reject(new errors.ValidationError({
+                    message: i18n.t('errors.models.post.expectedUnpublishAtAfterPublishedAt')
+                }));
+            }
+        }
+
+        // CASE: linking a translation to any post of a group adds it to that group
+        if (this.hasChanged('translation_id') && this.get('translation_id') && !options.importing) {
+            await this.linkTranslation(options);
+        }
+
         // CASE: detect lowercase/uppercase tag slugs
         if (!_.isUndefined(this.get('tags')) && !_.isNull(this.get('tags'))) {
             tagsToSave = [];
@@ -639,6 +690,10 @@ Post = ghostBookshelf.Model.extend({
             && this.hasChanged('status')
             && (newStatus === 'published' || newStatus === 'scheduled')) {
             this.set('email_recipient_filter', options.email_recipient_filter);
+
+            if (options.newsletter_id) {
+                this.set('newsletter_id', options.newsletter_id);
+            }
         }
 
         // ensure draft posts have the email_recipient_filter reset unless an email has already been sent
@@ -647,6 +702,7 @@ Post = ghostBookshelf.Model.extend({
                 return self.related('email').fetch({transacting: options.transacting}).then((email) => {
                     if (!email) {
                         self.set('email_recipient_filter', 'none');
+                        self.set('newsletter_id', null);
                     }
                 });
             });
@@ -694,8 +750,11 @@ Post = ghostBookshelf.Model.extend({
             });
         }
 
-        // CASE: Handle mobiledoc backups/revisions. This is a pure database feature.
-        if (model.hasChanged('mobiledoc') && !options.importing && !options.migrating) {
+        // CASE: Handle mobiledoc backups/revisions. Publishing creates a revision even without content changes
+        //       so that the published version of the content can be found in the revision history
+        const isPublishEvent = newStatus === 'published' && this.hasChanged('status');
+
+        if ((model.hasChanged('mobiledoc') || isPublishEvent) && !options.importing && !options.migrating) {
             ops.push(function updateRevisions() {
                 return ghostBookshelf.model('MobiledocRevision')
                     .findAll(Object.assign({
@@ -716,24 +775,24 @@ Post = ghostBookshelf.Model.extend({
                          * The feature is very minimal in the beginning. As soon as you update to this Ghost version,
                          * you
                          */
+                        const latestRevision = {
+                            post_id: model.id,
+                            mobiledoc: model.get('mobiledoc'),
+                            author_id: String(model.contextUser(options)),
+                            publish_event: isPublishEvent,
+                            created_at_ts: Date.now()
+                        };
+
                         if (!revisions.length && options.method !== 'insert') {
                             model.set('mobiledoc_revisions', [{
                                 post_id: model.id,
                                 mobiledoc: model.previous('mobiledoc'),
                                 created_at_ts: Date.now() - 1
-                            }, {
-                                post_id: model.id,
-                                mobiledoc: model.get('mobiledoc'),
-                                created_at_ts: Date.now()
-                            }]);
+                            }, latestRevision]);
                         } else {
                             const revisionsJSON = revisions.toJSON().slice(0, MOBILEDOC_REVISIONS_COUNT - 1);
 
-                            model.set('mobiledoc_revisions', revisionsJSON.concat([{
-                                post_id: model.id,
-                                mobiledoc: model.get('mobiledoc'),
-                                created_at_ts: Date.now()
-                            }]));
+                            model.set('mobiledoc_revisions', revisionsJSON.concat([latestRevision]));
                         }
                     });
             });
@@ -742,6 +801,38 @@ Post = ghostBookshelf.Model.extend({
         return sequence(ops);
     },
 
+    /**
+     * Posts of a translation group share the id of the first post of the group, which gets its own id
+     * as translation_id when the first translation is linked to it.
+     */
+    linkTranslation: async function linkTranslation(options) {
+        const translationOf = await ghostBookshelf.model('Post').findOne({id: this.get('translation_id'), status: 'all'}, {
+            transacting: options.transacting,
+            require: false
+        });
+
+        if (!translationOf || translationOf.get('type') !== this.get('type')) {
+            throw new errors.ValidationError({
+                message: i18n.t('errors.models.post.translationNotFound', {type: this.get('type')}),
+                property: 'translation_id'
+            });
+        }
+
+        if (translationOf.get('translation_id')) {
+            this.set('translation_id', translationOf.get('translation_id'));
+        } else if (translationOf.id !== this.id) {
+            const query = ghostBookshelf.knex('posts')
+                .where('id', translationOf.id)
+                .update({translation_id: translationOf.id});
+
+            if (options.transacting) {
+                query.transacting(options.transacting);
+            }
+
+            await query;
+        }
+    },
+
     created_by: function createdBy() {
         return this.belongsTo('User', 'created_by');
     },
@@ -882,11 +973,20 @@ Post = ghostBookshelf.Model.extend({
      * Long-Term: We should deprecate these short cuts and force users to use the filter param.
      */
     extraFilters: function extraFilters(options) {
-        if (!options.status) {
-            return null;
+        let filter = null;
+
+        // CASE: "locale" is passed, posts without a locale are written in the site language
+        if (options.locale) {
+            filter = options.locale.toLowerCase() === String(settingsCache.get('lang')).toLowerCase()
+                ? `(locale:'${options.locale}',locale:null)`
+                : `locale:'${options.locale}'`;
+
+            delete options.locale;
         }
 
-        let filter = null;
+        if (!options.status) {
+            return filter;
+        }
 
         // CASE: "status" is passed, combine filters
         if (options.status && options.status !== 'all') {
@@ -972,10 +1072,10 @@ Post = ghostBookshelf.Model.extend({
         // these are the only options that can be passed to Bookshelf / Knex.
         const validOptions = {
             findOne: ['columns', 'importing', 'withRelated', 'require', 'filter'],
-            findPage: ['status'],
-            findAll: ['columns', 'filter'],
+            findPage: ['status', 'locale'],
+            findAll: ['columns', 'filter', 'locale'],
             destroy: ['destroyAll', 'destroyBy'],
-            edit: ['filter', 'email_recipient_filter', 'force_rerender']
+            edit: ['filter', 'email_recipient_filter', 'newsletter_id', 'force_rerender']
         };
 
         // The post model additionally supports having a formats option
@@ -0,0 +1,64 @@
+const errors = require('@tryghost/errors');
+const tpl = require('@tryghost/tpl');
+const ghostBookshelf = require('./base');
+
+const messages = {
+    invalidRegex: 'Redirect "from" is not a valid regular expression: {error}'
+};
+
+const Redirect = ghostBookshelf.Model.extend({
+    tableName: 'redirects',
+
+    defaults() {
+        return {
+            match_type: 'exact',
+            permanent: true,
+            preserve_query: true,
+            sort_order: 0,
+            hits: 0
+        };
+    },
+
+    onSaving() {
+        ghostBookshelf.Model.prototype.onSaving.apply(this, arguments);
+
+        if (this.get('match_type') === 'regex' && (this.hasChanged('from') || this.hasChanged('match_type'))) {
+            try {
+                // NOTE: `/pattern/i` is the case insensitive notation supported by redirects files
+                const from = this.get('from').replace(/^\/(.*)\/i$/, '$1');
+                new RegExp(from);
+            } catch (err) {
+                throw new errors.ValidationError({
+                    message: tpl(messages.invalidRegex, {error: err.message}),
+                    property: 'from'
+                });
+            }
+        }
+    }
+}, {
+    permittedOptions(methodName) {
+        let options = ghostBookshelf.Model.permittedOptions.call(this, methodName);
+        const validOptions = {
+            findAll: ['filter', 'columns']
+        };
+
+        if (validOptions[methodName]) {
+            options = options.concat(validOptions[methodName]);
+        }
+
+        return options;
+    },
+
+    orderDefaultRaw() {
+        return 'sort_order ASC, created_at ASC';
+    }
+});
+
+const Redirects = ghostBookshelf.Collection.extend({
+    model: Redirect
+});
+
+module.exports = {
+    Redirect: ghostBookshelf.model('Redirect', Redirect),
+    Redirects: ghostBookshelf.collection('Redirects', Redirects)
+};
@@ -12,6 +12,17 @@ const StripeCustomerSubscription = ghostBookshelf.Model.extend({
         return this.hasOne('StripePrice', 'stripe_price_id', 'stripe_price_id');
     },
 
+    emitChange: function emitChange(event, options) {
+        const eventToTrigger = 'subscription' + '.' + event;
+        ghostBookshelf.Model.prototype.emitChange.bind(this)(this, eventToTrigger, options);
+    },
+
+    onCreated: function onCreated(model, attrs, options) {
+        ghostBookshelf.Model.prototype.onCreated.apply(this, arguments);
+
+        model.emitChange('added', options);
+    },
+
     serialize(options) {
         const defaultSerializedObject = ghostBookshelf.Model.prototype.serialize.call(this, options);
 
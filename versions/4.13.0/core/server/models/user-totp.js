@@ -0,0 +1,46 @@
+const ghostBookshelf = require('./base');
+
+const UserTotp = ghostBookshelf.Model.extend({
+    tableName: 'users_totp',
+
+    parse(attrs) {
+        if (attrs.recovery_codes) {
+            attrs.recovery_codes = JSON.parse(attrs.recovery_codes);
+        }
+
+        return attrs;
+    },
+
+    format(attrs) {
+        // CASE: format is also called for SELECTs, only touch recovery codes when they're set
+        if (attrs.recovery_codes) {
+            attrs.recovery_codes = JSON.stringify(attrs.recovery_codes);
+        }
+
+        return attrs;
+    },
+
+    user() {
+        return this.belongsTo('User', 'user_id');
+    },
+
+    isEnabled() {
+        return !!this.get('enabled_at');
+    },
+
+    toJSON(unfilteredOptions) {
+        const options = UserTotp.filterOptions(unfilteredOptions, 'toJSON');
+        const attrs = ghostBookshelf.Model.prototype.toJSON.call(this, options);
+
+        // the secret and recovery codes never leave the server
+        delete attrs.secret;
+        delete attrs.recovery_codes;
+        delete attrs.last_used_step;
+
+        return attrs;
+    }
+});
+
+module.exports = {
+    UserTotp: ghostBookshelf.model('UserTotp', UserTotp)
+};
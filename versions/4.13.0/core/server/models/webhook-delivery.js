@@ -0,0 +1,31 @@
+const ghostBookshelf = require('./base');
+
+const WebhookDelivery = ghostBookshelf.Model.extend({
+    tableName: 'webhook_deliveries',
+
+    defaults() {
+        return {
+            status: 'pending',
+            attempts: 0
+        };
+    },
+
+    webhook() {
+        return this.belongsTo('Webhook', 'webhook_id');
+    }
+}, {
+    orderDefaultOptions: function orderDefaultOptions() {
+        return {
+            created_at: 'DESC'
+        };
+    }
+});
+
+const WebhookDeliveries = ghostBookshelf.Collection.extend({
+    model: WebhookDelivery
+});
+
+module.exports = {
+    WebhookDelivery: ghostBookshelf.model('WebhookDelivery', WebhookDelivery),
+    WebhookDeliveries: ghostBookshelf.collection('WebhookDeliveries', WebhookDeliveries)
+};
@@ -17,6 +17,10 @@ Webhook = ghostBookshelf.Model.extend({
         return this.belongsTo('Integration');
     },
 
+    deliveries() {
+        return this.hasMany('WebhookDelivery', 'webhook_id');
+    },
+
     emitChange: function emitChange(event, options) {
         const eventToTrigger = 'webhook' + '.' + event;
         ghostBookshelf.Model.prototype.emitChange.bind(this)(this, eventToTrigger, options);
@@ -0,0 +1,532 @@
+const _ = require('lodash');
+const Promise = require('bluebird');
+const errors = require('@tryghost/errors');
+const tpl = require('@tryghost/tpl');
+const logging = require('@tryghost/logging');
+const security = require('@tryghost/security');
+const models = require('../../models');
+const requestExternal = require('../../lib/request-external');
+const urlUtils = require('../../../shared/url-utils');
+const settingsCache = require('../../../shared/settings-cache');
+const urlService = require('../../../frontend/services/url');
+const httpSignatures = require('./http-signatures');
+
+const messages = {
+    actorNotFound: 'Actor not found.',
+    objectNotFound: 'Object not found.',
+    invalidResource: 'The resource "{resource}" does not belong to this site.',
+    invalidActivity: 'The activity is missing its {property}.',
+    actorMismatch: 'The activity was not signed by its actor.',
+    invalidRemoteActor: 'The actor {actor} has no {property}.',
+    keyNotFound: 'The key {keyId} could not be fetched.',
+    deliveryFailed: 'ActivityPub delivery to {inbox} failed.'
+};
+
+// preferredUsername of the actor representing the whole site, authors are followed through their slug
+const SITE_ACTOR = 'site';
+
+const ACTIVITY_CONTENT_TYPE = 'application/activity+json';
+const ACCEPT_HEADER = 'application/activity+json, application/ld+json; profile="https://www.w3.org/ns/activitystreams"';
+const PUBLIC_COLLECTION = 'https://www.w3.org/ns/activitystreams#Public';
+const CONTEXT = ['https://www.w3.org/ns/activitystreams', 'https://w3id.org/security/v1'];
+const PAGE_SIZE = 20;
+const REQUEST_TIMEOUT = 10 * 1000;
+
+const getBaseUrl = (...parts) => urlUtils.urlJoin(urlUtils.urlFor('home', true), 'activitypub', ...parts);
+const getActorUrl = username => getBaseUrl('actors', username);
+const getObjectUrl = postId => getBaseUrl('posts', postId);
+const getHost = () => new URL(urlUtils.getSiteUrl()).host;
+const toISOString = date => (date ? new Date(date).toISOString() : null);
+
+/**
+ * @param {string} username - SITE_ACTOR or the slug of an author
+ * @returns {Promise<{username: string, user: Object|null}>}
+ */
+async function getActor(username) {
+    if (username === SITE_ACTOR) {
+        return {username, user: null};
+    }
+
+    const user = await models.User.findOne({slug: username, status: 'active'}, {require: false});
+
+    if (!user) {
+        throw new errors.NotFoundError({
+            message: tpl(messages.actorNotFound)
+        });
+    }
+
+    return {username, user};
+}
+
+/**
+ * @param {Object} actor - see getActor
+ * @param {string} [actorUrl] - only the given remote follower
+ * @returns {Promise<Object>} - collection of the followers of the actor
+ */
+function getFollowerModels(actor, actorUrl) {
+    return models.ActivityPubFollowers.forge().query((qb) => {
+        if (actor.user) {
+            qb.where('user_id', actor.user.id);
+        } else {
+            qb.whereNull('user_id');
+        }
+
+        if (actorUrl) {
+            qb.where('actor_url', actorUrl);
+        }
+    }).fetch();
+}
+
+/**
+ * @param {Object} followers - collection
+ */
+function destroyFollowers(followers) {
+    return Promise.mapSeries(followers.models, follower => models.ActivityPubFollower.destroy({id: follower.id}));
+}
+
+/**
+ * Requests to remote servers are signed by the site actor, servers running in "secure mode" reject unsigned requests
+ *
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - local actor which signs the request, the site actor by default
+ * @param {Object} [options.activity] - POSTs the activity when set
+ * @returns {Promise<Object|undefined>} - the fetched document
+ */
+async function request(url, {actor, activity} = {}) {
+    const username = actor ? actor.username : SITE_ACTOR;
+    const body = activity && JSON.stringify(activity);
+    const headers = httpSignatures.sign({
+        method: activity ? 'POST' : 'GET',
+        url,
+        body,
+        keyId: `${getActorUrl(username)}#main-key`,
+        privateKey: settingsCache.get('ghost_private_key')
+    });
+
+    if (activity) {
+        headers['content-type'] = ACTIVITY_CONTENT_TYPE;
+
+        await requestExternal.post(url, {headers, body, timeout: REQUEST_TIMEOUT});
+        return;
+    }
+
+    headers.accept = ACCEPT_HEADER;
+
+    const response = await requestExternal(url, {headers, timeout: REQUEST_TIMEOUT});
+
+    return JSON.parse(response.body);
+}
+
+/**
+ * @param {Object} document - an actor or a key document
+ * @param {string} keyId
+ * @returns {Object|undefined}
+ */
+function findKey(document, keyId) {
+    return [].concat(document.publicKey || document).find(entry => entry && entry.id === keyId);
+}
+
+/**
+ * Resolves the key of a signature, the key only counts for the actor which lists it as its own public key.
+ * Otherwise anyone could sign activities for an actor by pointing the `owner` of a key they host at it.
+ *
+ * @param {string} keyId - url of the key, usually the actor url with a #main-key fragment
+ * @returns {Promise<{publicKeyPem: string, owner: string}>}
+ */
+async function getPublicKey(keyId) {
+    let document;
+
+    try {
+        document = await request(keyId);
+    } catch (err) {
+        throw new errors.UnauthorizedError({
+            message: tpl(messages.keyNotFound, {keyId}),
+            err
+        });
+    }
+
+    const key = findKey(document, keyId);
+    const ownerUrl = key && (key.owner || document.id);
+    let owner = document;
+
+    if (ownerUrl && ownerUrl !== document.id) {
+        try {
+            owner = await request(ownerUrl);
+        } catch (err) {
+            throw new errors.UnauthorizedError({
+                message: tpl(messages.keyNotFound, {keyId}),
+                err
+            });
+        }
+    }
+
+    const ownerKey = ownerUrl && owner.id === ownerUrl && findKey(owner, keyId);
+
+    if (!ownerKey || !ownerKey.publicKeyPem) {
+        throw new errors.UnauthorizedError({
+            message: tpl(messages.invalidRemoteActor, {actor: ownerUrl || keyId, property: 'public key'})
+        });
+    }
+
+    return {
+        publicKeyPem: ownerKey.publicKeyPem,
+        owner: owner.id
+    };
+}
+
+/**
+ * @param {string} resource - acct:username@host or the url of an actor
+ * @returns {Promise<Object>} - JSON resource descriptor pointing to the actor
+ */
+async function getWebFinger(resource) {
+    const match = /^acct:([^@]+)@(.+)$/.exec(resource || '');
+    let username;
+
+    if (match && match[2] === getHost()) {
+        username = match[1];
+    } else if (resource && resource.startsWith(getBaseUrl('actors/'))) {
+        username = resource.slice(getBaseUrl('actors/').length).replace(/\/$/, '');
+    } else {
+        throw new errors.NotFoundError({
+            message: tpl(messages.invalidResource, {resource})
+        });
+    }
+
+    const actor = await getActor(username);
+    const actorUrl = getActorUrl(actor.username);
+    const profileUrl = actor.user ? urlService.getUrlByResourceId(actor.user.id, {absolute: true}) : urlUtils.urlFor('home', true);
+
+    return {
+        subject: `acct:${actor.username}@${getHost()}`,
+        aliases: [actorUrl, profileUrl],
+        links: [{
+            rel: 'self',
+            type: ACTIVITY_CONTENT_TYPE,
+            href: actorUrl
+        }, {
+            rel: 'http://webfinger.net/rel/profile-page',
+            type: 'text/html',
+            href: profileUrl
+        }]
+    };
+}
+
+/**
+ * @param {string} username
+ * @returns {Promise<Object>} - an Organization for the site, a Person for an author
+ */
+async function getActorDocument(username) {
+    const actor = await getActor(username);
+    const actorUrl = getActorUrl(actor.username);
+    const user = actor.user && actor.user.toJSON();
+    const image = url => url && {type: 'Image', url};
+
+    const document = {
+        '@context': CONTEXT,
+        id: actorUrl,
+        type: user ? 'Person' : 'Organization',
+        preferredUsername: actor.username,
+        name: user ? user.name : settingsCache.get('title'),
+        summary: user ? user.bio : settingsCache.get('description'),
+        url: user ? urlService.getUrlByResourceId(user.id, {absolute: true}) : urlUtils.urlFor('home', true),
+        icon: image(user ? user.profile_image : settingsCache.get('icon')),
+        image: image(user ? user.cover_image : settingsCache.get('cover_image')),
+        inbox: getActorUrl(`${actor.username}/inbox`),
+        outbox: getActorUrl(`${actor.username}/outbox`),
+        followers: getActorUrl(`${actor.username}/followers`),
+        manuallyApprovesFollowers: false,
+        discoverable: true,
+        publicKey: {
+            id: `${actorUrl}#main-key`,
+            owner: actorUrl,
+            publicKeyPem: settingsCache.get('ghost_public_key')
+        }
+    };
+
+    return _.omitBy(document, _.isNil);
+}
+
+/**
+ * @param {Object} post - post JSON with authors
+ * @returns {Object}
+ */
+function toArticle(post) {
+    const author = post.authors && post.authors[0];
+    const article = {
+        id: getObjectUrl(post.id),
+        type: 'Article',
+        name: post.title,
+        summary: post.custom_excerpt,
+        content: post.html,
+        url: urlService.getUrlByResourceId(post.id, {absolute: true}),
+        attributedTo: getActorUrl(author ? author.slug : SITE_ACTOR),
+        image: post.feature_image && {type: 'Image', url: post.feature_image},
+        published: toISOString(post.published_at),
+        updated: toISOString(post.updated_at),
+        to: [PUBLIC_COLLECTION],
+        cc: [getActorUrl(`${author ? author.slug : SITE_ACTOR}/followers`)]
+    };
+
+    return _.omitBy(article, _.isNil);
+}
+
+/**
+ * @param {Object} post - post JSON with authors
+ * @param {Object} actor - the local actor which announces the post
+ * @returns {Object}
+ */
+function toCreateActivity(post, actor) {
+    const article = toArticle(post);
+
+    return {
+        id: `${article.id}#create-${actor.username}`,
+        type: 'Create',
+        actor: getActorUrl(actor.username),
+        published: article.published,
+        to: [PUBLIC_COLLECTION],
+        cc: [getActorUrl(`${actor.username}/followers`)],
+        object: article
+    };
+}
+
+/**
+ * Only public posts are federated, members-only content stays on the site
+ *
+ * @param {string} id
+ * @returns {Promise<Object>} - post JSON with authors
+ */
+async function getPublicPost(id) {
+    const post = await models.Post.findOne({id, status: 'published'}, {
+        withRelated: ['authors'],
+        context: {internal: true},
+        require: false
+    });
+
+    if (!post || post.get('type') !== 'post' || post.get('visibility') !== 'public') {
+        return null;
+    }
+
+    return post.toJSON();
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+async function getObjectDocument(id) {
+    const post = await getPublicPost(id);
+
+    if (!post) {
+        throw new errors.NotFoundError({
+            message: tpl(messages.objectNotFound)
+        });
+    }
+
+    return Object.assign({'@context': CONTEXT[0]}, toArticle(post));
+}
+
+/**
+ * @param {string} username
+ * @param {number} [page] - returns the collection summary without a page
+ * @returns {Promise<Object>} - Create activities of the published public posts, newest first
+ */
+async function getOutbox(username, page) {
+    const actor = await getActor(username);
+    const outboxUrl = getActorUrl(`${actor.username}/outbox`);
+    const filter = ['visibility:public', actor.user && `authors.slug:${actor.username}`].filter(Boolean).join('+');
+
+    const {data, meta} = await models.Post.findPage({
+        filter,
+        page: page || 1,
+        limit: PAGE_SIZE,
+        order: 'published_at desc',
+        withRelated: ['authors'],
+        context: {public: true}
+    });
+    const {pages, total} = meta.pagination;
+
+    if (!page) {
+        return {
+            '@context': CONTEXT[0],
+            id: outboxUrl,
+            type: 'OrderedCollection',
+            totalItems: total,
+            first: `${outboxUrl}?page=1`,
+            last: `${outboxUrl}?page=${Math.max(pages, 1)}`
+        };
+    }
+
+    return _.omitBy({
+        '@context': CONTEXT[0],
+        id: `${outboxUrl}?page=${page}`,
+        type: 'OrderedCollectionPage',
+        partOf: outboxUrl,
+        totalItems: total,
+        prev: page > 1 ? `${outboxUrl}?page=${page - 1}` : null,
+        next: page < pages ? `${outboxUrl}?page=${page + 1}` : null,
+        orderedItems: data.map(post => toCreateActivity(post.toJSON(), actor))
+    }, _.isNil);
+}
+
+/**
+ * The list of followers is private, only their number is public
+ *
+ * @param {string} username
+ * @returns {Promise<Object>}
+ */
+async function getFollowers(username) {
+    const actor = await getActor(username);
+
+    return {
+        '@context': CONTEXT[0],
+        id: getActorUrl(`${actor.username}/followers`),
+        type: 'OrderedCollection',
+        totalItems: (await getFollowerModels(actor)).length
+    };
+}
+
+/**
+ * @param {Object} actor - the followed local actor
+ * @param {Object} follow - the Follow activity
+ */
+async function addFollower(actor, follow) {
+    const remoteActor = await request(follow.actor);
+
+    if (!remoteActor.inbox) {
+        throw new errors.ValidationError({
+            message: tpl(messages.invalidRemoteActor, {actor: follow.actor, property: 'inbox'})
+        });
+    }
+
+    const data = {
+        inbox_url: remoteActor.inbox,
+        shared_inbox_url: (remoteActor.endpoints && remoteActor.endpoints.sharedInbox) || null
+    };
+    const follower = (await getFollowerModels(actor, follow.actor)).first();
+
+    if (follower) {
+        await models.ActivityPubFollower.edit(data, {id: follower.id});
+    } else {
+        await models.ActivityPubFollower.add(Object.assign({
+            user_id: actor.user ? actor.user.id : null,
+            actor_url: follow.actor
+        }, data));
+    }
+
+    await request(remoteActor.inbox, {
+        actor,
+        activity: {
+            '@context': CONTEXT[0],
+            id: `${getActorUrl(actor.username)}#accepts/${security.identifier.uid(16)}`,
+            type: 'Accept',
+            actor: getActorUrl(actor.username),
+            object: follow
+        }
+    });
+}
+
+/**
+ * @param {Object} actor - the followed local actor
+ * @param {string} actorUrl - the remote follower
+ */
+async function removeFollower(actor, actorUrl) {
+    await destroyFollowers(await getFollowerModels(actor, actorUrl));
+}
+
+/**
+ * Handles activities posted to the inbox of a local actor. Follows are accepted right away,
+ * everything but following and unfollowing is ignored.
+ *
+ * @param {string} username
+ * @param {Object} activity
+ * @param {string} signedBy - url of the actor who signed the request
+ */
+async function handleActivity(username, activity, signedBy) {
+    const actor = await getActor(username);
+    const actorUrl = getActorUrl(actor.username);
+
+    ['type', 'actor'].forEach((property) => {
+        if (!activity || !activity[property]) {
+            throw new errors.BadRequestError({
+                message: tpl(messages.invalidActivity, {property})
+            });
+        }
+    });
+
+    if (activity.actor !== signedBy) {
+        throw new errors.NoPermissionError({
+            message: tpl(messages.actorMismatch)
+        });
+    }
+
+    const objectId = value => (value && value.id) || value;
+
+    if (activity.type === 'Follow' && objectId(activity.object) === actorUrl) {
+        return addFollower(actor, activity);
+    }
+
+    if (activity.type === 'Undo' && activity.object && activity.object.type === 'Follow') {
+        return removeFollower(actor, activity.actor);
+    }
+
+    // CASE: the remote account was deleted
+    if (activity.type === 'Delete' && objectId(activity.object) === activity.actor) {
+        return destroyFollowers(await models.ActivityPubFollowers.forge().query('where', 'actor_url', activity.actor).fetch());
+    }
+}
+
+/**
+ * Followers on the same server share an inbox, each server gets the activity once
+ *
+ * @param {Object} actor
+ * @returns {Promise<string[]>}
+ */
+async function getFollowerInboxes(actor) {
+    const followers = await getFollowerModels(actor);
+
+    return _.uniq(followers.map(follower => follower.get('shared_inbox_url') || follower.get('inbox_url')));
+}
+
+/**
+ * Sends a Create activity for a published post to the followers of the site and of its authors.
+ * Failed deliveries are logged, they don't stop the delivery to other servers.
+ *
+ * @param {string} postId
+ */
+async function deliverPost(postId) {
+    const post = await getPublicPost(postId);
+
+    if (!post) {
+        return;
+    }
+
+    // CASE: suspended authors can't be followed anymore
+    const actors = [{username: SITE_ACTOR, user: null}].concat(post.authors
+        .filter(author => author.status !== 'inactive')
+        .map(author => ({username: author.slug, user: author})));
+
+    await Promise.mapSeries(actors, async (actor) => {
+        const activity = Object.assign({'@context': CONTEXT[0]}, toCreateActivity(post, actor));
+
+        await Promise.mapSeries(await getFollowerInboxes(actor), (inbox) => {
+            return request(inbox, {actor, activity}).catch((err) => {
+                logging.warn(tpl(messages.deliveryFailed, {inbox}));
+                logging.warn(err.message);
+            });
+        });
+    });
+}
+
+module.exports = {
+    SITE_ACTOR,
+    ACTIVITY_CONTENT_TYPE,
+    getPublicKey,
+    getWebFinger,
+    getActorDocument,
+    getObjectDocument,
+    getOutbox,
+    getFollowers,
+    handleActivity,
+    deliverPost
+};
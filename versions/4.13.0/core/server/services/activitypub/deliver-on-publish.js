@@ -0,0 +1,23 @@
+const logging = require('@tryghost/logging');
+const labs = require('../../../shared/labs');
+const events = require('../../lib/common/events');
+const activityPubService = require('./activitypub-service');
+
+function listener(model, options) {
+    // CASE: imported posts were published a long time ago
+    if (!labs.isSet('activitypub') || (options && options.importing)) {
+        return;
+    }
+
+    activityPubService.deliverPost(model.id).catch((err) => {
+        logging.error(err);
+    });
+}
+
+function listen() {
+    events.on('post.published', listener);
+}
+
+module.exports = {
+    listen
+};
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const errors = require('@tryghost/errors');
+const tpl = require('@tryghost/tpl');
+
+const messages = {
+    missingSignature: 'The request is not signed.',
+    invalidSignatureHeader: 'The signature header is invalid.',
+    unsupportedAlgorithm: 'The signature algorithm "{algorithm}" is not supported.',
+    missingSignedHeader: 'The signature has to cover the "{header}" header.',
+    expiredSignature: 'The signature date is too far off.',
+    digestMismatch: 'The digest does not match the request body.',
+    invalidSignature: 'The signature could not be verified.'
+};
+
+// signed requests from servers with a badly set clock are accepted within this window, Mastodon uses the same
+const MAX_CLOCK_SKEW = 12 * 60 * 60 * 1000;
+
+/**
+ * @param {Buffer|string} body
+ * @returns {string} - value of a digest header
+ */
+function getDigest(body) {
+    return `SHA-256=${crypto.createHash('sha256').update(body).digest('base64')}`;
+}
+
+/**
+ * @param {string[]} headerNames - lowercased, "(request-target)" is the method and path of the request
+ * @param {Object} request
+ * @param {string} request.method
+ * @param {string} request.path - path including the query string
+ * @param {Function} request.getHeader
+ * @returns {string}
+ */
+function getSigningString(headerNames, {method, path, getHeader}) {
+    return headerNames.map((name) => {
+        if (name === '(request-target)') {
+            return `(request-target): ${method.toLowerCase()} ${path}`;
+        }
+
+        return `${name}: ${getHeader(name)}`;
+    }).join('\n');
+}
+
+/**
+ * @param {string} header - e.g. keyId="...",algorithm="rsa-sha256",headers="(request-target) host date",signature="..."
+ * @returns {Object}
+ */
+function parseSignatureHeader(header) {
+    const params = {};
+    const regex = /([a-zA-Z]+)="([^"]*)"/g;
+    let match;
+
+    while ((match = regex.exec(header))) {
+        params[match[1]] = match[2];
+    }
+
+    if (!params.keyId || !params.signature) {
+        throw new errors.BadRequestError({
+            message: tpl(messages.invalidSignatureHeader)
+        });
+    }
+
+    return {
+        keyId: params.keyId,
+        algorithm: params.algorithm || 'rsa-sha256',
+        headers: (params.headers || 'date').toLowerCase().split(/\s+/),
+        signature: params.signature
+    };
+}
+
+/**
+ * Creates the headers of a request signed with HTTP signatures (draft-cavage-http-signatures),
+ * the signature scheme used by Mastodon and most other ActivityPub servers
+ *
+ * @param {Object} options
+ * @param {string} options.method
+ * @param {string} options.url
+ * @param {string} [options.body]
+ * @param {string} options.keyId - url of the public key of the signing actor
+ * @param {string} options.privateKey - PEM encoded RSA key
+ * @returns {Object} - headers to add to the request
+ */
+function sign({method, url, body, keyId, privateKey}) {
+    const {host, pathname, search} = new URL(url);
+    const headers = {
+        host,
+        date: new Date().toUTCString()
+    };
+    const headerNames = ['(request-target)', 'host', 'date'];
+
+    if (body !== undefined) {
+        headers.digest = getDigest(body);
+        headerNames.push('digest');
+    }
+
+    const signingString = getSigningString(headerNames, {
+        method,
+        path: `${pathname}${search}`,
+        getHeader: name => headers[name]
+    });
+    const signature = crypto.createSign('RSA-SHA256').update(signingString).sign(privateKey, 'base64');
+
+    headers.signature = `keyId="${keyId}",algorithm="rsa-sha256",headers="${headerNames.join(' ')}",signature="${signature}"`;
+
+    return headers;
+}
+
+/**
+ * Verifies the signature of an incoming request, requests with a body have to sign its digest
+ *
+ * @param {import('express').Request} req - `req.rawBody` is the unparsed body
+ * @param {Function} getPublicKey - resolves a keyId to `{publicKeyPem, owner}`
+ * @returns {Promise<string>} - url of the actor who signed the request
+ */
+async function verify(req, getPublicKey) {
+    const header = req.get('signature');
+
+    if (!header) {
+        throw new errors.UnauthorizedError({
+            message: tpl(messages.missingSignature)
+        });
+    }
+
+    const params = parseSignatureHeader(header);
+
+    if (!['rsa-sha256', 'hs2019'].includes(params.algorithm.toLowerCase())) {
+        throw new errors.UnauthorizedError({
+            message: tpl(messages.unsupportedAlgorithm, {algorithm: params.algorithm})
+        });
+    }
+
+    const requiredHeaders = ['(request-target)', 'host', 'date'];
+
+    if (req.rawBody) {
+        requiredHeaders.push('digest');
+    }
+
+    requiredHeaders.forEach((name) => {
+        if (!params.headers.includes(name) || (name !== '(request-target)' && !req.get(name))) {
+            throw new errors.UnauthorizedError({
+                message: tpl(messages.missingSignedHeader, {header: name})
+            });
+        }
+    });
+
+    if (Math.abs(Date.now() - new Date(req.get('date')).getTime()) > MAX_CLOCK_SKEW) {
+        throw new errors.UnauthorizedError({
+            message: tpl(messages.expiredSignature)
+        });
+    }
+
+    if (req.rawBody && req.get('digest') !== getDigest(req.rawBody)) {
+        throw new errors.UnauthorizedError({
+            message: tpl(messages.digestMismatch)
+        });
+    }
+
+    const {publicKeyPem, owner} = await getPublicKey(params.keyId);
+    const signingString = getSigningString(params.headers, {
+        method: req.method,
+        path: req.originalUrl,
+        getHeader: name => req.get(name)
+    });
+
+    const isValid = crypto.createVerify('RSA-SHA256')
+        .update(signingString)
+        .verify(publicKeyPem, params.signature, 'base64');
+
+    if (!isValid) {
+        throw new errors.UnauthorizedError({
+            message: tpl(messages.invalidSignature)
+        });
+    }
+
+    return owner;
+}
+
+module.exports = {
+    sign,
+    verify
+};
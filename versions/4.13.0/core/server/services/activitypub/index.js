@@ -0,0 +1,7 @@
+const activityPubService = require('./activitypub-service');
+const deliverOnPublish = require('./deliver-on-publish');
+
+module.exports = Object.assign({}, activityPubService, {
+    middleware: require('./middleware'),
+    listen: deliverOnPublish.listen
+});
@@ -0,0 +1,76 @@
+const activityPubService = require('./activitypub-service');
+const httpSignatures = require('./http-signatures');
+
+/**
+ * @param {import('express').Response} res
+ * @param {string} contentType
+ * @param {Object} document
+ */
+const sendDocument = (res, contentType, document) => {
+    res.type(contentType);
+    res.send(JSON.stringify(document));
+};
+
+const getWebFinger = async function (req, res, next) {
+    try {
+        sendDocument(res, 'application/jrd+json', await activityPubService.getWebFinger(req.query.resource));
+    } catch (err) {
+        next(err);
+    }
+};
+
+const getActor = async function (req, res, next) {
+    try {
+        sendDocument(res, activityPubService.ACTIVITY_CONTENT_TYPE, await activityPubService.getActorDocument(req.params.username));
+    } catch (err) {
+        next(err);
+    }
+};
+
+const getOutbox = async function (req, res, next) {
+    try {
+        const page = parseInt(req.query.page, 10) || null;
+
+        sendDocument(res, activityPubService.ACTIVITY_CONTENT_TYPE, await activityPubService.getOutbox(req.params.username, page));
+    } catch (err) {
+        next(err);
+    }
+};
+
+const getFollowers = async function (req, res, next) {
+    try {
+        sendDocument(res, activityPubService.ACTIVITY_CONTENT_TYPE, await activityPubService.getFollowers(req.params.username));
+    } catch (err) {
+        next(err);
+    }
+};
+
+const getObject = async function (req, res, next) {
+    try {
+        sendDocument(res, activityPubService.ACTIVITY_CONTENT_TYPE, await activityPubService.getObjectDocument(req.params.id));
+    } catch (err) {
+        next(err);
+    }
+};
+
+const postInbox = async function (req, res, next) {
+    try {
+        const signedBy = await httpSignatures.verify(req, activityPubService.getPublicKey);
+
+        await activityPubService.handleActivity(req.params.username, req.body, signedBy);
+
+        res.writeHead(202);
+        res.end();
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = {
+    getWebFinger,
+    getActor,
+    getOutbox,
+    getFollowers,
+    getObject,
+    postInbox
+};
@@ -2,6 +2,7 @@
  * {
  *   [adapterType]: {
  *     active: [adapterName],
+ *     [feature]: [adapterName],
  *     [adapterName]: {}
  *   }
  * }
@@ -13,6 +14,12 @@ module.exports = function getAdapterServiceConfig(config) {
         adapterServiceConfig.storage = config.get('storage');
     }
 
+    // media and files uploads use their own adapters so they can be stored somewhere else than images
+    adapterServiceConfig.storage = Object.assign({
+        media: 'LocalMediaStorage',
+        files: 'LocalFilesStorage'
+    }, adapterServiceConfig.storage);
+
     if (!adapterServiceConfig.scheduling) {
         const schedulingConfig = config.get('scheduling');
         const activeSchedulingAdapter = schedulingConfig.active;
@@ -24,5 +31,20 @@ module.exports = function getAdapterServiceConfig(config) {
         };
     }
 
+    if (!adapterServiceConfig['bulk-email']) {
+        const bulkEmailConfig = config.get('bulkEmail') || {};
+        adapterServiceConfig['bulk-email'] = {
+            active: bulkEmailConfig.active || 'Mailgun',
+            Mailgun: bulkEmailConfig.mailgun,
+            SMTP: bulkEmailConfig.smtp
+        };
+    }
+
+    if (!adapterServiceConfig.search) {
+        adapterServiceConfig.search = {
+            active: 'Database'
+        };
+    }
+
     return adapterServiceConfig;
 };
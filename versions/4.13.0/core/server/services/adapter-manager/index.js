@@ -14,13 +14,19 @@ const adapterManager = new AdapterManager({
 adapterManager.registerAdapter('storage', require('ghost-storage-base'));
 adapterManager.registerAdapter('scheduling', require('../../adapters/scheduling/SchedulingBase'));
 adapterManager.registerAdapter('sso', require('../../adapters/sso/Base'));
+adapterManager.registerAdapter('bulk-email', require('../../adapters/bulk-email/Base'));
+adapterManager.registerAdapter('search', require('../../adapters/search/Base'));
 
 module.exports = {
-    getAdapter(adapterType) {
+    /**
+     * @param {string} adapterType - e.g. storage
+     * @param {string} [feature] - e.g. media, uses a different adapter than the active one when it's configured for the feature
+     */
+    getAdapter(adapterType, feature) {
         const adapterServiceConfig = getAdapterServiceConfig(config);
 
         const adapterSettings = adapterServiceConfig[adapterType];
-        const activeAdapter = adapterSettings.active;
+        const activeAdapter = (feature && adapterSettings[feature]) || adapterSettings.active;
         const activeAdapterConfig = adapterSettings[activeAdapter];
 
         return adapterManager.getAdapter(adapterType, activeAdapter, activeAdapterConfig);
@@ -170,6 +170,9 @@ const authenticateWithToken = async (req, res, next, {token, JWT_OPTIONS}) => {
         // store the api key on the request for later checks and logging
         req.api_key = apiKey;
 
+        // keys of scoped integrations are limited to the listed actions on top of the integration role
+        req.api_key_scopes = apiKey.related('integration').get('scopes') || null;
+
         next();
     } catch (err) {
         if (err instanceof errors.HostLimitError) {
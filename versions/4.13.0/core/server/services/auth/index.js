@@ -17,5 +17,13 @@ module.exports = {
 
     get passwordreset() {
         return require('./passwordreset');
+    },
+
+    get oidc() {
+        return require('./oidc');
+    },
+
+    get twoFactor() {
+        return require('./two-factor');
     }
 };
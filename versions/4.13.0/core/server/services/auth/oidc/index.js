@@ -0,0 +1,4 @@
+const oidcService = require('./oidc-service');
+const OIDCStrategy = require('./strategy');
+
+module.exports = Object.assign({OIDCStrategy}, oidcService);
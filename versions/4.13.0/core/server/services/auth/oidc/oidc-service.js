@@ -0,0 +1,210 @@
+const _ = require('lodash');
+const jwt = require('jsonwebtoken');
+const request = require('@tryghost/request');
+const errors = require('@tryghost/errors');
+const tpl = require('@tryghost/tpl');
+const config = require('../../../../shared/config');
+
+const messages = {
+    discoveryFailed: 'Unable to fetch the OpenID Connect discovery document from {url}.',
+    discoveryInvalid: 'The OpenID Connect discovery document from {url} is missing {property}.',
+    idTokenMissing: 'The OpenID Connect provider did not return an id_token.',
+    idTokenInvalid: 'The id_token returned by the OpenID Connect provider is invalid: {reason}.'
+};
+
+// Ordered from most to least privileged, used when several claim values map to a role
+const ROLE_PRIORITY = ['Administrator', 'Editor', 'Author', 'Contributor'];
+
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000;
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+let discoveryCache = null;
+
+/**
+ * Staff login with any OpenID Connect provider is configured with the `oidc` config key:
+ *
+ * {
+ *     "oidc": {
+ *         "name": "Acme SSO",
+ *         "discoveryUrl": "https://sso.acme.com/.well-known/openid-configuration",
+ *         "clientId": "ghost",
+ *         "clientSecret": "...",
+ *         "scope": "openid profile email groups",
+ *         "roleClaim": "groups",
+ *         "roleMapping": {"ghost-admins": "Administrator", "ghost-editors": "Editor"},
+ *         "autoProvision": true,
+ *         "defaultRole": "Contributor"
+ *     }
+ * }
+ *
+ * @returns {Object|null} - normalized config, null when OpenID Connect login is not configured
+ */
+function getConfig() {
+    const oidcConfig = config.get('oidc');
+
+    if (!oidcConfig || !oidcConfig.discoveryUrl || !oidcConfig.clientId || !oidcConfig.clientSecret) {
+        return null;
+    }
+
+    return _.defaults({}, oidcConfig, {
+        name: 'OpenID Connect',
+        scope: 'openid profile email',
+        roleClaim: null,
+        roleMapping: {},
+        autoProvision: false,
+        defaultRole: null,
+        requireVerifiedEmail: true
+    });
+}
+
+function isEnabled() {
+    return !!getConfig();
+}
+
+/**
+ * @param {Object} oidcConfig
+ * @returns {Promise<Object>} - the provider metadata, cached for an hour
+ */
+async function getDiscoveryDocument(oidcConfig) {
+    const url = oidcConfig.discoveryUrl;
+
+    if (discoveryCache && discoveryCache.url === url && discoveryCache.expires > Date.now()) {
+        return discoveryCache.document;
+    }
+
+    let document;
+
+    try {
+        const response = await request(url, {json: true});
+        document = response.body;
+    } catch (err) {
+        throw new errors.InternalServerError({
+            message: tpl(messages.discoveryFailed, {url}),
+            err
+        });
+    }
+
+    ['issuer', 'authorization_endpoint', 'token_endpoint'].forEach((property) => {
+        if (!document || !document[property]) {
+            throw new errors.InternalServerError({
+                message: tpl(messages.discoveryInvalid, {url, property})
+            });
+        }
+    });
+
+    discoveryCache = {url, document, expires: Date.now() + DISCOVERY_CACHE_MS};
+
+    return document;
+}
+
+/**
+ * The id_token is received directly from the token endpoint over TLS, which the spec allows
+ * to be used in place of checking its signature (OpenID Connect Core 3.1.3.7), the claims
+ * still have to match our client and the issuer.
+ *
+ * @param {string} idToken
+ * @param {Object} oidcConfig
+ * @param {Object} discovery
+ * @returns {Object} - claims of the id_token
+ */
+function getIdTokenClaims(idToken, oidcConfig, discovery) {
+    if (!idToken) {
+        throw new errors.UnauthorizedError({
+            message: tpl(messages.idTokenMissing)
+        });
+    }
+
+    const claims = jwt.decode(idToken);
+    const fail = (reason) => {
+        throw new errors.UnauthorizedError({
+            message: tpl(messages.idTokenInvalid, {reason})
+        });
+    };
+
+    if (!claims || typeof claims !== 'object') {
+        fail('unable to decode');
+    }
+
+    if (claims.iss !== discovery.issuer) {
+        fail('issuer mismatch');
+    }
+
+    const audience = [].concat(claims.aud);
+
+    if (!audience.includes(oidcConfig.clientId) || (audience.length > 1 && claims.azp && claims.azp !== oidcConfig.clientId)) {
+        fail('audience mismatch');
+    }
+
+    if (!claims.exp || claims.exp + CLOCK_TOLERANCE_SECONDS < Date.now() / 1000) {
+        fail('token expired');
+    }
+
+    if (!claims.sub) {
+        fail('missing sub');
+    }
+
+    return claims;
+}
+
+/**
+ * @param {Object} claims - merged id_token and userinfo claims
+ * @param {Object} oidcConfig
+ * @returns {string|null} - the email address, null when missing or not verified
+ */
+function getEmail(claims, oidcConfig) {
+    if (!claims.email) {
+        return null;
+    }
+
+    // Some providers send the claim as a string
+    if (oidcConfig.requireVerifiedEmail && claims.email_verified !== true && claims.email_verified !== 'true') {
+        return null;
+    }
+
+    return claims.email.toLowerCase();
+}
+
+/**
+ * Maps the configured claim to a Ghost role. The Owner role can't be assigned this way.
+ *
+ * @param {Object} claims - merged id_token and userinfo claims
+ * @param {Object} oidcConfig
+ * @returns {string|null} - role name, null when no mapping matches
+ */
+function getRoleName(claims, oidcConfig) {
+    if (!oidcConfig.roleClaim) {
+        return null;
+    }
+
+    const claimValues = [].concat(_.get(claims, oidcConfig.roleClaim, [])).map(String);
+    const roleNames = claimValues
+        .map(value => oidcConfig.roleMapping[value])
+        .filter(roleName => ROLE_PRIORITY.includes(roleName));
+
+    return ROLE_PRIORITY.find(roleName => roleNames.includes(roleName)) || null;
+}
+
+/**
+ * @param {Object} claims - merged id_token and userinfo claims
+ * @param {Object} oidcConfig
+ * @returns {string|null} - role for a new staff user, null when users can't be provisioned
+ */
+function getProvisioningRoleName(claims, oidcConfig) {
+    if (!oidcConfig.autoProvision) {
+        return null;
+    }
+
+    const roleName = getRoleName(claims, oidcConfig) || oidcConfig.defaultRole;
+
+    return ROLE_PRIORITY.includes(roleName) ? roleName : null;
+}
+
+module.exports = {
+    getConfig,
+    isEnabled,
+    getDiscoveryDocument,
+    getIdTokenClaims,
+    getEmail,
+    getRoleName,
+    getProvisioningRoleName
+};
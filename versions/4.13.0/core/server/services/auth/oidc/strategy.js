@@ -0,0 +1,49 @@
+const OAuth2Strategy = require('passport-oauth2').Strategy;
+const {InternalOAuthError} = require('passport-oauth2');
+
+/**
+ * Authorization code flow against any OpenID Connect provider.
+ * The profile passed to the verify function contains the raw claims from the userinfo endpoint.
+ */
+class OIDCStrategy extends OAuth2Strategy {
+    /**
+     * @param {Object} options
+     * @param {Object} options.discovery - the provider metadata
+     * @param {string} options.clientID
+     * @param {string} options.clientSecret
+     * @param {string} options.callbackURL
+     * @param {string} options.scope
+     * @param {Function} verify - (accessToken, refreshToken, params, profile, done)
+     */
+    constructor(options, verify) {
+        super(Object.assign({
+            authorizationURL: options.discovery.authorization_endpoint,
+            tokenURL: options.discovery.token_endpoint,
+            state: true
+        }, options), verify);
+
+        this.name = 'oidc';
+        this._userInfoURL = options.discovery.userinfo_endpoint;
+        this._oauth2.useAuthorizationHeaderforGET(true);
+    }
+
+    userProfile(accessToken, done) {
+        if (!this._userInfoURL) {
+            return done(null, {});
+        }
+
+        this._oauth2.get(this._userInfoURL, accessToken, (err, body) => {
+            if (err) {
+                return done(new InternalOAuthError('Failed to fetch user info', err));
+            }
+
+            try {
+                done(null, JSON.parse(body));
+            } catch (e) {
+                done(new InternalOAuthError('Failed to parse user info', e));
+            }
+        });
+    }
+}
+
+module.exports = OIDCStrategy;
@@ -49,4 +49,5 @@ module.exports.createSessionFromToken = sessionFromToken({
 });
 
 module.exports.sessionService = sessionService;
+module.exports.getSession = expressSession.getSession;
 module.exports.deleteAllSessions = expressSession.deleteAllSessions;
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const errors = require('@tryghost/errors');
+
+// RFC 6238 defaults, supported by all common authenticator apps
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const SECRET_BYTES = 20;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * @param {Buffer} buffer
+ * @returns {string} - RFC 4648 base32 without padding
+ */
+const base32Encode = (buffer) => {
+    let bits = '';
+    let output = '';
+
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, '0');
+    }
+
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.substr(i, 5).padEnd(5, '0'), 2)];
+    }
+
+    return output;
+};
+
+/**
+ * @param {string} input - base32, case and padding insensitive
+ * @returns {Buffer}
+ */
+const base32Decode = (input) => {
+    let bits = '';
+    const bytes = [];
+
+    for (const char of input.toUpperCase().replace(/=+$/, '')) {
+        const value = BASE32_ALPHABET.indexOf(char);
+
+        if (value === -1) {
+            throw new errors.IncorrectUsageError({
+                message: `Invalid base32 character "${char}"`
+            });
+        }
+
+        bits += value.toString(2).padStart(5, '0');
+    }
+
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.substr(i, 8), 2));
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * @returns {string} - base32 encoded secret
+ */
+const generateSecret = () => {
+    return base32Encode(crypto.randomBytes(SECRET_BYTES));
+};
+
+/**
+ * @param {number} [timestamp] - in milliseconds
+ * @returns {number} - time step the timestamp falls into
+ */
+const getStep = (timestamp = Date.now()) => {
+    return Math.floor(timestamp / 1000 / STEP_SECONDS);
+};
+
+/**
+ * HOTP value (RFC 4226) for the given time step
+ *
+ * @param {string} secret - base32 encoded secret
+ * @param {number} step
+ * @returns {string}
+ */
+const generateCode = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeUInt32BE(Math.floor(step / 0x100000000), 0);
+    counter.writeUInt32BE(step % 0x100000000, 4);
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % Math.pow(10, DIGITS);
+
+    return binary.toString().padStart(DIGITS, '0');
+};
+
+/**
+ * Finds the time step a code belongs to, allowing for a bit of clock drift
+ *
+ * @param {string} secret - base32 encoded secret
+ * @param {string} code
+ * @param {Object} [options]
+ * @param {number} [options.window] - number of steps before and after the current one to accept
+ * @param {number} [options.timestamp] - in milliseconds, defaults to now
+ * @returns {number|null} - matching time step, null when the code is invalid
+ */
+const verifyCode = (secret, code, {window = 1, timestamp} = {}) => {
+    const normalizedCode = String(code || '').replace(/\s/g, '');
+
+    if (normalizedCode.length !== DIGITS) {
+        return null;
+    }
+
+    const currentStep = getStep(timestamp);
+
+    for (let step = currentStep - window; step <= currentStep + window; step++) {
+        const expected = generateCode(secret, step);
+
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalizedCode))) {
+            return step;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * URI for authenticator apps, usually shown as a QR code
+ *
+ * @param {Object} data
+ * @param {string} data.secret - base32 encoded secret
+ * @param {string} data.issuer - e.g. the site title
+ * @param {string} data.accountName - e.g. the user's email address
+ * @returns {string}
+ */
+const getKeyUri = ({secret, issuer, accountName}) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateCode,
+    getStep,
+    verifyCode,
+    getKeyUri
+};
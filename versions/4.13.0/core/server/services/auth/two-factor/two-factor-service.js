@@ -0,0 +1,360 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const errors = require('@tryghost/errors');
+const tpl = require('@tryghost/tpl');
+const models = require('../../../models');
+const settingsCache = require('../../../../shared/settings-cache');
+const totp = require('./totp');
+
+const messages = {
+    alreadyEnabled: 'Two-factor authentication is already enabled.',
+    notSetUp: 'Two-factor authentication has not been set up.',
+    notEnabled: 'Two-factor authentication is not enabled.',
+    invalidCode: 'The verification code is invalid.',
+    invalidLoginToken: 'The sign in has expired, please sign in again.',
+    requiredForAdministrators: 'Two-factor authentication is required for Administrators.',
+    confirmationRequired: 'A verification code, a recovery code or your password is required to turn off two-factor authentication.'
+};
+
+const LOGIN_TOKEN_AUDIENCE = 'ghost-admin-2fa';
+const LOGIN_TOKEN_EXPIRY = '10m';
+const RECOVERY_CODE_COUNT = 10;
+const REQUIRED_FOR_ROLES = ['Owner', 'Administrator'];
+
+/**
+ * Recovery codes are only stored as hashes, dashes, spaces and casing don't matter when entering them
+ *
+ * @param {string} code
+ * @returns {string}
+ */
+const hashRecoveryCode = (code) => {
+    const normalizedCode = String(code).replace(/[\s-]/g, '').toLowerCase();
+    return crypto.createHash('sha256').update(normalizedCode).digest('hex');
+};
+
+/**
+ * @returns {string[]} - codes formatted like `a1b2c-d3e4f`
+ */
+const generateRecoveryCodes = () => {
+    return Array.from({length: RECOVERY_CODE_COUNT}, () => {
+        const code = crypto.randomBytes(5).toString('hex');
+        return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+};
+
+/**
+ * @param {string} userId
+ * @param {Object} [options]
+ * @returns {Promise<Object|null>} - UserTotp model
+ */
+const getUserTotp = (userId, options = {}) => {
+    return models.UserTotp.findOne({user_id: userId}, Object.assign({}, options, {require: false}));
+};
+
+/**
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+const isEnabled = async (userId) => {
+    const userTotp = await getUserTotp(userId);
+    return !!userTotp && userTotp.isEnabled();
+};
+
+/**
+ * The owner can require Administrators, the owner included, to use two-factor authentication
+ *
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+const isRequired = async (userId) => {
+    if (!settingsCache.get('require_admin_2fa')) {
+        return false;
+    }
+
+    const user = await models.User.findOne({id: userId}, {withRelated: ['roles']});
+    return REQUIRED_FOR_ROLES.some(role => user.hasRole(role));
+};
+
+/**
+ * Starts the enrolment by generating a new secret, codes of the old secret stop working once the new one is confirmed
+ *
+ * @param {string} userId
+ * @returns {Promise<{secret: string, otpauth_url: string}>}
+ */
+const setup = async (userId) => {
+    const user = await models.User.findOne({id: userId}, {require: true});
+    const userTotp = await getUserTotp(userId);
+
+    if (userTotp && userTotp.isEnabled()) {
+        throw new errors.ValidationError({
+            message: tpl(messages.alreadyEnabled)
+        });
+    }
+
+    const secret = totp.generateSecret();
+
+    if (userTotp) {
+        await models.UserTotp.edit({secret, last_used_step: null}, {id: userTotp.id});
+    } else {
+        await models.UserTotp.add({user_id: userId, secret});
+    }
+
+    return {
+        secret,
+        otpauth_url: totp.getKeyUri({
+            secret,
+            issuer: settingsCache.get('title') || 'Ghost',
+            accountName: user.get('email')
+        })
+    };
+};
+
+/**
+ * Accepts a code for the user's secret, each code can only be used once
+ *
+ * @param {Object} userTotp - UserTotp model
+ * @param {string} code
+ * @returns {Promise<void>}
+ */
+const consumeCode = async (userTotp, code) => {
+    const step = totp.verifyCode(userTotp.get('secret'), code);
+    const lastUsedStep = userTotp.get('last_used_step');
+
+    if (step === null || (lastUsedStep !== null && lastUsedStep !== undefined && step <= lastUsedStep)) {
+        throw new errors.UnauthorizedError({
+            message: tpl(messages.invalidCode),
+            code: 'INVALID_2FA_CODE'
+        });
+    }
+
+    await models.UserTotp.edit({last_used_step: step}, {id: userTotp.id});
+};
+
+/**
+ * Confirms the enrolment with a code from the authenticator app
+ *
+ * @param {string} userId
+ * @param {string} code
+ * @returns {Promise<string[]>} - recovery codes, they're only shown this once
+ */
+const enable = async (userId, code) => {
+    const userTotp = await getUserTotp(userId);
+
+    if (!userTotp) {
+        throw new errors.ValidationError({
+            message: tpl(messages.notSetUp)
+        });
+    }
+
+    if (userTotp.isEnabled()) {
+        throw new errors.ValidationError({
+            message: tpl(messages.alreadyEnabled)
+        });
+    }
+
+    await consumeCode(userTotp, code);
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    await models.UserTotp.edit({
+        enabled_at: new Date(),
+        recovery_codes: recoveryCodes.map(hashRecoveryCode)
+    }, {id: userTotp.id});
+
+    return recoveryCodes;
+};
+
+/**
+ * Replaces all recovery codes, used and unused
+ *
+ * @param {string} userId
+ * @returns {Promise<string[]>}
+ */
+const regenerateRecoveryCodes = async (userId) => {
+    const userTotp = await getUserTotp(userId);
+
+    if (!userTotp || !userTotp.isEnabled()) {
+        throw new errors.ValidationError({
+            message: tpl(messages.notEnabled)
+        });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    await models.UserTotp.edit({
+        recovery_codes: recoveryCodes.map(hashRecoveryCode)
+    }, {id: userTotp.id});
+
+    return recoveryCodes;
+};
+
+/**
+ * Users turning off their own two-factor authentication have to confirm it with a code or their password
+ *
+ * @param {string} userId
+ * @param {Object} credentials
+ * @param {string} [credentials.code]
+ * @param {string} [credentials.recovery_code]
+ * @param {string} [credentials.password]
+ * @returns {Promise<void>}
+ */
+const confirmUser = async (userId, {code, recovery_code: recoveryCode, password}) => {
+    if (code || recoveryCode) {
+        return verify(userId, {code, recovery_code: recoveryCode});
+    }
+
+    if (!password) {
+        throw new errors.ValidationError({
+            message: tpl(messages.confirmationRequired)
+        });
+    }
+
+    const user = await models.User.findOne({id: userId}, {require: true});
+
+    return models.User.isPasswordCorrect({
+        plainPassword: password,
+        hashedPassword: user.get('password')
+    });
+};
+
+/**
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - skip the checks whether two-factor authentication is required for the user and
+ *                                    the confirmation, e.g. when an Administrator resets it for a user that lost access
+ * @param {string} [options.code] - code from the authenticator app
+ * @param {string} [options.recovery_code] - unused recovery code
+ * @param {string} [options.password] - the user's password
+ * @returns {Promise<void>}
+ */
+const disable = async (userId, {force = false, ...credentials} = {}) => {
+    if (!force && await isRequired(userId)) {
+        throw new errors.NoPermissionError({
+            message: tpl(messages.requiredForAdministrators)
+        });
+    }
+
+    if (!force) {
+        await confirmUser(userId, credentials);
+    }
+
+    const userTotp = await getUserTotp(userId);
+
+    if (userTotp) {
+        await models.UserTotp.destroy({id: userTotp.id});
+    }
+};
+
+/**
+ * Second step of the sign in, accepts either a code from the authenticator app or an unused recovery code
+ *
+ * @param {string} userId
+ * @param {Object} credentials
+ * @param {string} [credentials.code]
+ * @param {string} [credentials.recovery_code]
+ * @returns {Promise<void>}
+ */
+const verify = async (userId, {code, recovery_code: recoveryCode}) => {
+    const userTotp = await getUserTotp(userId);
+
+    if (!userTotp || !userTotp.isEnabled()) {
+        throw new errors.ValidationError({
+            message: tpl(messages.notEnabled)
+        });
+    }
+
+    if (!recoveryCode) {
+        return consumeCode(userTotp, code);
+    }
+
+    const hashedCode = hashRecoveryCode(recoveryCode);
+    const recoveryCodes = userTotp.get('recovery_codes') || [];
+
+    if (!recoveryCodes.includes(hashedCode)) {
+        throw new errors.UnauthorizedError({
+            message: tpl(messages.invalidCode),
+            code: 'INVALID_2FA_CODE'
+        });
+    }
+
+    await models.UserTotp.edit({
+        recovery_codes: recoveryCodes.filter(hash => hash !== hashedCode)
+    }, {id: userTotp.id});
+};
+
+/**
+ * Short-lived token identifying a user whose password was correct but still has to pass the second step
+ *
+ * @param {string} userId
+ * @returns {string}
+ */
+const createLoginToken = (userId) => {
+    return jwt.sign({}, settingsCache.get('session_secret'), {
+        subject: userId,
+        audience: LOGIN_TOKEN_AUDIENCE,
+        expiresIn: LOGIN_TOKEN_EXPIRY
+    });
+};
+
+/**
+ * Decides whether a user whose first factor was accepted (password or an OAuth provider) can be signed in
+ * straight away or has to pass the second step first
+ *
+ * @param {string} userId
+ * @returns {Promise<Object|null>} - null if no second step is needed, otherwise the login token and, for users
+ *                                   that have to enrol while signing in, the new secret
+ */
+const getLoginChallenge = async (userId) => {
+    const twoFactorEnabled = await isEnabled(userId);
+    const twoFactorRequired = !twoFactorEnabled && await isRequired(userId);
+
+    if (!twoFactorEnabled && !twoFactorRequired) {
+        return null;
+    }
+
+    const challenge = {
+        token: createLoginToken(userId),
+        enrolment: twoFactorRequired
+    };
+
+    // CASE: users that are required to use two-factor authentication enrol while signing in
+    if (twoFactorRequired) {
+        Object.assign(challenge, await setup(userId));
+    }
+
+    return challenge;
+};
+
+/**
+ * @param {string} token
+ * @returns {string} - id of the user the token was created for
+ */
+const getUserIdFromLoginToken = (token) => {
+    try {
+        const payload = jwt.verify(token, settingsCache.get('session_secret'), {
+            audience: LOGIN_TOKEN_AUDIENCE,
+            algorithms: ['HS256']
+        });
+
+        return payload.sub;
+    } catch (err) {
+        throw new errors.UnauthorizedError({
+            message: tpl(messages.invalidLoginToken),
+            code: 'INVALID_2FA_TOKEN',
+            err
+        });
+    }
+};
+
+module.exports = {
+    isEnabled,
+    isRequired,
+    setup,
+    enable,
+    regenerateRecoveryCodes,
+    disable,
+    verify,
+    createLoginToken,
+    getLoginChallenge,
+    getUserIdFromLoginToken
+};
@@ -0,0 +1,267 @@
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const moment = require('moment');
+const Promise = require('bluebird');
+const errors = require('@tryghost/errors');
+const tpl = require('@tryghost/tpl');
+const logging = require('@tryghost/logging');
+const security = require('@tryghost/security');
+const config = require('../../../shared/config');
+const getAdapterServiceConfig = require('../adapter-manager/config');
+const exporter = require('../../data/exporter');
+
+const messages = {
+    backupNotFound: 'Backup not found.'
+};
+
+const NAME_FORMAT = 'YYYY-MM-DD-HH-mm-ss';
+const NAME_REGEX = /^backup-(\d{4}-\d{2}-\d{2}-\d{2}-\d{2}-\d{2})\.json$/;
+const STORAGE_DIR = 'backups';
+const INDEX_FILE = 'index.json';
+
+const getBackupsPath = () => path.join(config.getContentPath('data'), STORAGE_DIR);
+
+/**
+ * @param {string} name
+ * @returns {Object|null} - name and creation date of a scheduled backup, null for anything else
+ */
+function parseName(name) {
+    const match = NAME_REGEX.exec(name);
+
+    if (!match) {
+        return null;
+    }
+
+    return {
+        name,
+        created_at: moment.utc(match[1], NAME_FORMAT).toDate()
+    };
+}
+
+/**
+ * Backups are kept in the content data dir, unless a storage adapter is configured for the `backups` feature.
+ * We don't fall back to the active storage adapter, that one usually serves public images.
+ *
+ * @returns {string|null} - name of the storage adapter
+ */
+function getStorageAdapterName() {
+    return getAdapterServiceConfig(config).storage.backups || null;
+}
+
+const localStore = {
+    async list() {
+        const backupsPath = getBackupsPath();
+
+        if (!await fs.pathExists(backupsPath)) {
+            return [];
+        }
+
+        const backups = (await fs.readdir(backupsPath)).map(parseName).filter(Boolean);
+
+        return Promise.mapSeries(backups, async (backup) => {
+            const stats = await fs.stat(path.join(backupsPath, backup.name));
+            return Object.assign(backup, {size: stats.size});
+        });
+    },
+
+    async save(name, filePath) {
+        await fs.move(filePath, path.join(getBackupsPath(), name));
+    },
+
+    read(name) {
+        return fs.readFile(path.join(getBackupsPath(), name));
+    },
+
+    remove(name) {
+        return fs.remove(path.join(getBackupsPath(), name));
+    }
+};
+
+/**
+ * Storage adapters can't list files, an index of the stored backups is kept in the content data dir
+ *
+ * @param {Object} storage - storage adapter instance
+ */
+function createAdapterStore(storage) {
+    const indexPath = path.join(getBackupsPath(), INDEX_FILE);
+
+    const readIndex = async () => {
+        return (await fs.pathExists(indexPath)) ? fs.readJson(indexPath) : [];
+    };
+
+    const writeIndex = index => fs.outputJson(indexPath, index, {spaces: 4});
+
+    return {
+        async list() {
+            return (await readIndex()).map((entry) => {
+                return Object.assign(parseName(entry.name), {size: entry.size});
+            });
+        },
+
+        async save(name, filePath) {
+            const {size} = await fs.stat(filePath);
+
+            await storage.saveRaw(await fs.readFile(filePath), `${STORAGE_DIR}/${name}`);
+            await fs.remove(filePath);
+
+            const index = await readIndex();
+            index.push({name, size});
+            await writeIndex(index);
+        },
+
+        read(name) {
+            return storage.read({path: `${STORAGE_DIR}/${name}`});
+        },
+
+        async remove(name) {
+            await storage.delete(name, STORAGE_DIR);
+            await writeIndex((await readIndex()).filter(entry => entry.name !== name));
+        }
+    };
+}
+
+function getStore() {
+    const adapterName = getStorageAdapterName();
+
+    if (!adapterName) {
+        return localStore;
+    }
+
+    return createAdapterStore(require('../../adapters/storage').getStorage('backups'));
+}
+
+/**
+ * @returns {Promise<Array<{name: string, created_at: Date, size: number}>>} - newest first
+ */
+async function listBackups() {
+    const backups = await getStore().list();
+
+    return backups.sort((a, b) => b.created_at - a.created_at);
+}
+
+/**
+ * Keeps the newest backup of each of the last `daily` days and of each of the last `weekly` weeks which have backups.
+ * The newest backup is always kept.
+ *
+ * @param {Array<{name: string, created_at: Date}>} backups - newest first
+ * @param {Object} retention
+ * @param {number} retention.daily
+ * @param {number} retention.weekly
+ * @returns {Array<{name: string, created_at: Date}>} - the backups which should be deleted
+ */
+function getExpiredBackups(backups, {daily, weekly}) {
+    const keep = new Set(backups.slice(0, 1));
+    const days = new Set();
+    const weeks = new Set();
+
+    backups.forEach((backup) => {
+        const createdAt = moment.utc(backup.created_at);
+        const day = createdAt.format('YYYY-MM-DD');
+        const week = createdAt.format('GGGG-WW');
+
+        if (!days.has(day) && days.size < daily) {
+            days.add(day);
+            keep.add(backup);
+        }
+
+        if (!weeks.has(week) && weeks.size < weekly) {
+            weeks.add(week);
+            keep.add(backup);
+        }
+    });
+
+    return backups.filter(backup => !keep.has(backup));
+}
+
+/**
+ * @returns {Promise<Object>} - the new backup
+ */
+async function createBackup() {
+    const name = `backup-${moment.utc().format(NAME_FORMAT)}.json`;
+    const tmpPath = path.join(os.tmpdir(), `${security.identifier.uid(10)}-${name}`);
+
+    try {
+        const data = await exporter.doExport({
+            include: config.get('backups:include'),
+            replaceContent: true
+        });
+
+        await fs.writeFile(tmpPath, JSON.stringify(data));
+        await getStore().save(name, tmpPath);
+    } finally {
+        await fs.remove(tmpPath);
+    }
+
+    logging.info(`Database backup written to: ${getStorageAdapterName() ? STORAGE_DIR : getBackupsPath()}/${name}`);
+
+    return parseName(name);
+}
+
+/**
+ * Deletes backups which are outside of the `backups:retention` rules
+ *
+ * @returns {Promise<{deleted: number}>}
+ */
+async function pruneBackups() {
+    const store = getStore();
+    const expiredBackups = getExpiredBackups(await listBackups(), config.get('backups:retention'));
+
+    await Promise.mapSeries(expiredBackups, backup => store.remove(backup.name));
+
+    return {deleted: expiredBackups.length};
+}
+
+/**
+ * @param {string} name
+ * @returns {Promise<Buffer>}
+ */
+async function readBackup(name) {
+    const backups = await listBackups();
+
+    if (!backups.find(backup => backup.name === name)) {
+        throw new errors.NotFoundError({
+            message: tpl(messages.backupNotFound)
+        });
+    }
+
+    return getStore().read(name);
+}
+
+/**
+ * Imports a backup through the importer, the current content is backed up first like before deleting all content.
+ * The posts and tags are replaced by the ones of the backup in the same transaction as the import,
+ * users and settings are matched like in any other import.
+ *
+ * @param {string} name
+ * @returns {Promise<Object[]>} - importer results
+ */
+async function restoreBackup(name) {
+    // the importer pulls in most of Ghost, it's not needed by the backup job
+    const importer = require('../../data/importer');
+    const dbBackup = require('../../data/db/backup');
+    const data = await readBackup(name);
+    const tmpPath = path.join(os.tmpdir(), `${security.identifier.uid(10)}-${name}`);
+
+    await dbBackup.backup();
+
+    try {
+        await fs.writeFile(tmpPath, data);
+
+        return await importer.importFromFile({name, path: tmpPath}, {
+            include: config.get('backups:include'),
+            replaceContent: true
+        });
+    } finally {
+        await fs.remove(tmpPath);
+    }
+}
+
+module.exports = {
+    listBackups,
+    getExpiredBackups,
+    createBackup,
+    pruneBackups,
+    readBackup,
+    restoreBackup
+};
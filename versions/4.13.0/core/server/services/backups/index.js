@@ -0,0 +1,4 @@
+const backupsService = require('./backups-service');
+const jobs = require('./jobs');
+
+module.exports = Object.assign({}, backupsService, {jobs});
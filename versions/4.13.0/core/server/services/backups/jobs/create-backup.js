@@ -0,0 +1,48 @@
+const {parentPort} = require('bthreads');
+const debug = require('@tryghost/debug')('jobs:backups:create-backup');
+
+// recurring job to write a database backup and delete the ones outside of the retention rules
+
+// Exit early when cancelled to prevent stalling shutdown. A partially written backup only exists
+// in the temp dir so no cleanup is needed
+function cancel() {
+    if (parentPort) {
+        parentPort.postMessage('Backups create-backup job cancelled before completion');
+        parentPort.postMessage('cancelled');
+    } else {
+        setTimeout(() => {
+            process.exit(0);
+        }, 1000);
+    }
+}
+
+if (parentPort) {
+    parentPort.once('message', (message) => {
+        if (message === 'cancel') {
+            return cancel();
+        }
+    });
+}
+
+(async () => {
+    const backupsService = require('../backups-service');
+
+    const startDate = new Date();
+    debug('Starting database backup');
+
+    const backup = await backupsService.createBackup();
+    const {deleted} = await backupsService.pruneBackups();
+
+    const endDate = new Date();
+    debug(`Finished database backup in ${endDate - startDate}ms`);
+
+    if (parentPort) {
+        parentPort.postMessage(`Created backup ${backup.name} and deleted ${deleted} expired backups in ${endDate - startDate}ms`);
+        parentPort.postMessage('done');
+    } else {
+        // give the logging pipes time finish writing before exit
+        setTimeout(() => {
+            process.exit(0);
+        }, 1000);
+    }
+})();
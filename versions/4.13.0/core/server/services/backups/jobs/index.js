@@ -0,0 +1,25 @@
+const path = require('path');
+const config = require('../../../../shared/config');
+const jobsService = require('../../jobs');
+
+let hasScheduled = false;
+
+module.exports = {
+    scheduleRecurringJobs() {
+        if (
+            !hasScheduled &&
+            config.get('backups:enabled') &&
+            !process.env.NODE_ENV.match(/^testing/)
+        ) {
+            jobsService.addJob({
+                at: config.get('backups:schedule'),
+                job: path.resolve(__dirname, 'create-backup.js'),
+                name: 'backups-create-backup'
+            });
+
+            hasScheduled = true;
+        }
+
+        return hasScheduled;
+    }
+};
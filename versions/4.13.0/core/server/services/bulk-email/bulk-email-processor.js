@@ -5,18 +5,17 @@ const errors = require('@tryghost/errors');
 const i18n = require('../../../shared/i18n');
 const logging = require('@tryghost/logging');
 const models = require('../../models');
-const mailgunProvider = require('./mailgun');
+const adapterManager = require('../adapter-manager');
 const sentry = require('../../../shared/sentry');
 const debug = require('@tryghost/debug')('mega');
 const postEmailSerializer = require('../mega/post-email-serializer');
+const linkTrackingService = require('../link-tracking');
 const labs = require('../../../shared/labs');
 
-const BATCH_SIZE = mailgunProvider.BATCH_SIZE;
-
 /**
  * An object representing batch request result
  * @typedef { Object } BatchResultBase
- * @property { string } data - data that is returned from Mailgun or one which Mailgun was called with
+ * @property { string } data - data that is returned from the bulk email provider or one which the provider was called with
  */
 class BatchResultBase {
     constructor(id) {
@@ -59,11 +58,31 @@ class FailedBatch extends BatchResultBase {
  * @property { string } subject - The subject of the email
  */
 
+/**
+ * @returns {Object} - the active bulk email adapter, see adapters/bulk-email/Base
+ */
+function getProvider() {
+    return adapterManager.getAdapter('bulk-email');
+}
+
 module.exports = {
-    BATCH_SIZE,
     SuccessfulBatch,
     FailedBatch,
 
+    /**
+     * @returns {number} - maximum number of recipients in a single email batch for the active provider
+     */
+    getBatchSize() {
+        return getProvider().getBatchSize();
+    },
+
+    /**
+     * @returns {boolean}
+     */
+    isConfigured() {
+        return getProvider().isConfigured();
+    },
+
     // accepts an ID rather than an Email model to better support running via a job queue
     async processEmail({emailId, options}) {
         const knexOptions = _.pick(options, ['transacting', 'forUpdate']);
@@ -88,6 +107,14 @@ module.exports = {
 
         await emailModel.save({status: 'submitting'}, Object.assign({}, knexOptions, {patch: true}));
 
+        // links are replaced once per email so every batch shares the same tracked links
+        let html;
+        if (emailModel.get('track_clicks')) {
+            const urls = postEmailSerializer.getTrackableLinks(emailModel.get('html'));
+            const links = await linkTrackingService.getOrCreateLinks(emailModel.id, urls, knexOptions);
+            html = postEmailSerializer.replaceLinks(emailModel.get('html'), links);
+        }
+
         // get batch IDs via knex to avoid model instantiation
         // only fetch pending or failed batches to avoid re-sending previously sent emails
         const batchIds = await models.EmailBatch
@@ -96,7 +123,7 @@ module.exports = {
 
         const batchResults = await Promise.map(batchIds, async ({id: emailBatchId, member_segment: memberSegment}) => {
             try {
-                await this.processEmailBatch({emailBatchId, options, memberSegment});
+                await this.processEmailBatch({emailBatchId, options, memberSegment, html});
                 return new SuccessfulBatch(emailBatchId);
             } catch (error) {
                 return new FailedBatch(emailBatchId, error);
@@ -134,7 +161,8 @@ module.exports = {
     },
 
     // accepts an ID rather than an EmailBatch model to better support running via a job queue
-    async processEmailBatch({emailBatchId, options, memberSegment}) {
+    // `html` overrides the stored email html, e.g. with the click tracking links
+    async processEmailBatch({emailBatchId, options, memberSegment, html}) {
         const knexOptions = _.pick(options, ['transacting', 'forUpdate']);
 
         const emailBatchModel = await models.EmailBatch
@@ -164,7 +192,11 @@ module.exports = {
 
         try {
             // send the email
-            const sendResponse = await this.send(emailBatchModel.relations.email.toJSON(), recipientRows, memberSegment);
+            const emailData = emailBatchModel.relations.email.toJSON();
+            if (html) {
+                emailData.html = html;
+            }
+            const sendResponse = await this.send(emailData, recipientRows, memberSegment);
 
             // update batch success status
             return await emailBatchModel.save({
@@ -201,8 +233,9 @@ module.exports = {
      * @returns {Object} - {providerId: 'xxx'}
      */
     send(emailData, recipients, memberSegment) {
-        const mailgunInstance = mailgunProvider.getInstance();
-        if (!mailgunInstance) {
+        const provider = getProvider();
+        if (!provider.isConfigured()) {
+            logging.warn(`Bulk email service is not configured`);
             return;
         }
 
@@ -217,12 +250,18 @@ module.exports = {
             // static data for every recipient
             const data = {
                 unique_id: recipient.member_uuid,
-                unsubscribe_url: postEmailSerializer.createUnsubscribeUrl(recipient.member_uuid)
+                unsubscribe_url: postEmailSerializer.createUnsubscribeUrl(recipient.member_uuid, {
+                    newsletterId: emailData.newsletter_id
+                })
             };
 
             // computed properties on recipients - TODO: better way of handling these
             recipient.member_first_name = (recipient.member_name || '').split(' ')[0];
 
+            if (emailData.track_clicks) {
+                data.click_signature = linkTrackingService.getSignature(emailData.id, recipient.member_uuid);
+            }
+
             // dynamic data from replacements
             replacements.forEach(({id, recipientProperty, fallback}) => {
                 data[id] = recipient[recipientProperty] || fallback || '';
@@ -235,11 +274,11 @@ module.exports = {
             emailData = postEmailSerializer.renderEmailForSegment(emailData, memberSegment);
         }
 
-        return mailgunProvider.send(emailData, recipientData, replacements).then((response) => {
+        return provider.send(emailData, recipientData, replacements).then((response) => {
             debug(`sent message (${Date.now() - startTime}ms)`);
             return response;
         }).catch((error) => {
-            // REF: possible mailgun errors https://documentation.mailgun.com/en/latest/api-intro.html#errors
+            // REF: possible mailgun errors, other providers are expected to surface similar statusCode values https://documentation.mailgun.com/en/latest/api-intro.html#errors
             let ghostError = new errors.EmailError({
                 err: error,
                 context: i18n.t('errors.services.mega.requestFailed.error'),
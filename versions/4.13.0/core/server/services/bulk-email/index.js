@@ -1,16 +1,18 @@
 const {
-    BATCH_SIZE,
     SuccessfulBatch,
     FailedBatch,
+    getBatchSize,
+    isConfigured,
     processEmail,
     processEmailBatch,
     send
 } = require('./bulk-email-processor');
 
 module.exports = {
-    BATCH_SIZE,
     SuccessfulBatch,
     FailedBatch,
+    getBatchSize,
+    isConfigured,
     processEmail,
     processEmailBatch,
     send
@@ -4,16 +4,30 @@ const db = require('../../data/db');
 const settings = require('../../../shared/settings-cache');
 const {EmailAnalyticsService} = require('@tryghost/email-analytics-service');
 const EventProcessor = require('./lib/event-processor');
-const MailgunProvider = require('@tryghost/email-analytics-provider-mailgun');
+const {getProviders} = require('./lib/providers');
+const {normalizeInboundEvent} = require('./lib/inbound-events');
 const queries = require('./lib/queries');
 
-module.exports = new EmailAnalyticsService({
+class GhostEmailAnalyticsService extends EmailAnalyticsService {
+    /**
+     * Processes events pushed by a sender and updates the stats of all affected emails and members
+     *
+     * @param {import('./lib/inbound-events').InboundEmailEvent[]} inboundEvents
+     * @returns {Promise<Object>} - EventProcessingResult
+     */
+    async processInboundEvents(inboundEvents) {
+        const result = await this.processEventBatch(inboundEvents.map(normalizeInboundEvent));
+        await this.aggregateStats(result);
+
+        return result;
+    }
+}
+
+module.exports = new GhostEmailAnalyticsService({
     config,
     logging,
     settings,
     eventProcessor: new EventProcessor({db, logging}),
-    providers: [
-        new MailgunProvider({config, settings, logging})
-    ],
+    providers: getProviders({config, settings, logging}),
     queries
 });
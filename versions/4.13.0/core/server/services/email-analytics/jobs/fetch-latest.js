@@ -46,8 +46,9 @@ if (parentPort) {
         }
     };
 
+    // providers can depend on any setting, e.g. mailgun_api_key, the settings cache isn't available in the job thread
     const settingsRows = await db.knex('settings')
-        .whereIn('key', ['mailgun_api_key', 'mailgun_domain', 'mailgun_base_url']);
+        .select(['key', 'value']);
 
     const settingsCache = {};
 
@@ -63,7 +64,7 @@ if (parentPort) {
 
     const {EmailAnalyticsService} = require('@tryghost/email-analytics-service');
     const EventProcessor = require('../lib/event-processor');
-    const MailgunProvider = require('@tryghost/email-analytics-provider-mailgun');
+    const {getProviders} = require('../lib/providers');
     const queries = require('../lib/queries');
 
     const emailAnalyticsService = new EmailAnalyticsService({
@@ -71,9 +72,7 @@ if (parentPort) {
         settings,
         logging,
         eventProcessor: new EventProcessor({db, logging}),
-        providers: [
-            new MailgunProvider({config, settings, logging})
-        ],
+        providers: getProviders({config, settings, logging}),
         queries
     });
 
@@ -3,6 +3,7 @@ const moment = require('moment');
 const config = require('../../../../shared/config');
 const models = require('../../../models');
 const jobsService = require('../../jobs');
+const {getProviderNames} = require('../lib/providers');
 
 let hasScheduled = false;
 
@@ -12,6 +13,8 @@ module.exports = {
             !hasScheduled &&
             config.get('emailAnalytics') &&
             config.get('backgroundJobs:emailAnalytics') &&
+            // senders without a provider push their events, there's nothing to fetch
+            getProviderNames(config).length > 0 &&
             !process.env.NODE_ENV.match(/^testing/)
         ) {
             // Don't register email analytics job if we have no emails,
@@ -57,6 +57,22 @@ class GhostEventProcessor extends EventProcessor {
         return undefined;
     }
 
+    async unsubscribeMember(memberId) {
+        const updateResult = await this.db.knex('members')
+            .where('id', '=', memberId)
+            .update({
+                subscribed: false,
+                updated_at: moment.utc().toDate()
+            });
+
+        // members only receive newsletters they're subscribed to, the flag alone doesn't stop them
+        await this.db.knex('members_newsletters')
+            .where('member_id', '=', memberId)
+            .del();
+
+        return updateResult > 0;
+    }
+
     async handleDelivered(event) {
         const emailId = await this.getEmailId(event);
 
@@ -119,14 +135,7 @@ class GhostEventProcessor extends EventProcessor {
             return false;
         }
 
-        const updateResult = await this.db.knex('members')
-            .where('id', '=', memberId)
-            .update({
-                subscribed: false,
-                updated_at: moment.utc().toDate()
-            });
-
-        return updateResult > 0;
+        return this.unsubscribeMember(memberId);
     }
 
     async handleComplained(event) {
@@ -136,14 +145,7 @@ class GhostEventProcessor extends EventProcessor {
             return false;
         }
 
-        const updateResult = await this.db.knex('members')
-            .where('id', '=', memberId)
-            .update({
-                subscribed: false,
-                updated_at: moment.utc().toDate()
-            });
-
-        return updateResult > 0;
+        return this.unsubscribeMember(memberId);
     }
 }
 
@@ -0,0 +1,66 @@
+/**
+ * Event pushed to Ghost by a sender, e.g. a relay in front of the SMTP bulk email adapter.
+ * Emails sent by Ghost carry their id in the `X-Ghost-Email-Id` header.
+ *
+ * @typedef {Object} InboundEmailEvent
+ * @property {'delivered'|'opened'|'failed'|'unsubscribed'|'complained'} type
+ * @property {'permanent'|'temporary'} [severity] - only used by `failed` events, defaults to `permanent`
+ * @property {string} recipient - email address of the member the email was sent to
+ * @property {string} [email_id] - id of the Ghost email, required unless `provider_id` is set
+ * @property {string} [provider_id] - id returned by the bulk email adapter when sending the batch
+ * @property {string|number} [timestamp] - ISO 8601 date or unix timestamp in seconds, defaults to now
+ *
+ * @example
+ * {
+ *     "events": [{
+ *         "type": "failed",
+ *         "severity": "permanent",
+ *         "recipient": "jamie@example.com",
+ *         "email_id": "60ffd9ea2e0d0d4cb8a7c2a1",
+ *         "timestamp": "2021-08-16T09:12:37.000Z"
+ *     }]
+ * }
+ */
+
+const EVENT_TYPES = ['delivered', 'opened', 'failed', 'unsubscribed', 'complained'];
+const SEVERITIES = ['permanent', 'temporary'];
+
+/**
+ * @param {string|number} [timestamp]
+ * @returns {Date}
+ */
+function parseTimestamp(timestamp) {
+    if (timestamp === undefined || timestamp === null) {
+        return new Date();
+    }
+
+    if (typeof timestamp === 'number') {
+        return new Date(timestamp * 1000);
+    }
+
+    return new Date(timestamp);
+}
+
+/**
+ * Converts an inbound event into the format used by the event processor
+ *
+ * @param {InboundEmailEvent} event
+ * @returns {import('./provider-base').EmailAnalyticsEvent}
+ */
+function normalizeInboundEvent(event) {
+    return {
+        type: event.type,
+        severity: event.type === 'failed' ? (event.severity || 'permanent') : undefined,
+        recipientEmail: event.recipient,
+        emailId: event.email_id,
+        providerId: event.provider_id,
+        timestamp: parseTimestamp(event.timestamp)
+    };
+}
+
+module.exports = {
+    EVENT_TYPES,
+    SEVERITIES,
+    parseTimestamp,
+    normalizeInboundEvent
+};
@@ -0,0 +1,55 @@
+const {EventProcessingResult} = require('@tryghost/email-analytics-service');
+
+/**
+ * Normalized event passed to the event processor
+ * @typedef {Object} EmailAnalyticsEvent
+ * @property {'delivered'|'opened'|'failed'|'unsubscribed'|'complained'} type
+ * @property {'permanent'|'temporary'} [severity] - only used by `failed` events
+ * @property {string} recipientEmail
+ * @property {string} [emailId] - id of the Ghost email, required unless `providerId` is known
+ * @property {string} [providerId] - id the sender returned for the batch, see `email_batches.provider_id`
+ * @property {Date} timestamp
+ */
+
+/**
+ * Email analytics providers fetch events from the service that sent an email
+ * and pass them to `batchHandler` in batches of normalized events.
+ *
+ * Both fetch methods resolve with the merged results returned by `batchHandler`.
+ * Providers for senders that push their events to Ghost instead of being polled
+ * can rely on the default implementations which don't fetch anything.
+ */
+class EmailAnalyticsProviderBase {
+    constructor({config, settings, logging} = {}) {
+        this.config = config;
+        this.settings = settings;
+        this.logging = logging || console;
+
+        Object.defineProperty(this, 'requiredFns', {
+            value: ['fetchAll', 'fetchLatest'],
+            writable: false
+        });
+    }
+
+    /**
+     * @param {function(EmailAnalyticsEvent[]): Promise<EventProcessingResult>} batchHandler
+     * @param {Object} [options]
+     * @returns {Promise<EventProcessingResult>}
+     */
+    async fetchAll(/*batchHandler, options*/) {
+        return new EventProcessingResult();
+    }
+
+    /**
+     * @param {Date} latestTimestamp - timestamp of the most recent event that was already processed
+     * @param {function(EmailAnalyticsEvent[]): Promise<EventProcessingResult>} batchHandler
+     * @param {Object} [options]
+     * @param {number} [options.maxEvents]
+     * @returns {Promise<EventProcessingResult>}
+     */
+    async fetchLatest(/*latestTimestamp, batchHandler, options*/) {
+        return new EventProcessingResult();
+    }
+}
+
+module.exports = EmailAnalyticsProviderBase;
@@ -0,0 +1,88 @@
+const path = require('path');
+const errors = require('@tryghost/errors');
+const tpl = require('@tryghost/tpl');
+
+const messages = {
+    providerNotFound: 'Unable to find email analytics provider "{name}".',
+    providerIsInvalid: 'Email analytics provider "{name}" is missing the {fn} function.'
+};
+
+const REQUIRED_FNS = ['fetchAll', 'fetchLatest'];
+
+const builtInProviders = {
+    mailgun() {
+        return require('@tryghost/email-analytics-provider-mailgun');
+    }
+};
+
+/**
+ * Providers are configured with `bulkEmail.analyticsProviders`. When that's not set
+ * events are fetched from Mailgun as long as it's the active bulk email adapter,
+ * other senders have to push their events to the email events endpoint instead.
+ *
+ * @param {Object} config
+ * @returns {string[]}
+ */
+function getProviderNames(config) {
+    const bulkEmailConfig = config.get('bulkEmail') || {};
+
+    if (Array.isArray(bulkEmailConfig.analyticsProviders)) {
+        return bulkEmailConfig.analyticsProviders;
+    }
+
+    const activeAdapter = config.get('adapters:bulk-email:active') || bulkEmailConfig.active || 'Mailgun';
+
+    return activeAdapter === 'Mailgun' ? ['mailgun'] : [];
+}
+
+/**
+ * Custom providers are loaded from `content/adapters/email-analytics/<name>`,
+ * see `provider-base.js` for the interface they have to implement.
+ *
+ * @param {Object} config
+ * @param {string} name
+ * @returns {Function} - provider class
+ */
+function loadProvider(config, name) {
+    if (builtInProviders[name]) {
+        return builtInProviders[name]();
+    }
+
+    try {
+        return require(path.join(config.getContentPath('adapters'), 'email-analytics', name));
+    } catch (err) {
+        throw new errors.IncorrectUsageError({
+            message: tpl(messages.providerNotFound, {name}),
+            err
+        });
+    }
+}
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.config
+ * @param {Object} deps.settings - anything with a `get(key)` method, the job runner doesn't have access to the settings cache
+ * @param {Object} deps.logging
+ * @returns {Object[]} - instances of the configured email analytics providers
+ */
+function getProviders({config, settings, logging}) {
+    return getProviderNames(config).map((name) => {
+        const Provider = loadProvider(config, name);
+        const provider = new Provider({config, settings, logging});
+
+        REQUIRED_FNS.forEach((fn) => {
+            if (typeof provider[fn] !== 'function') {
+                throw new errors.IncorrectUsageError({
+                    message: tpl(messages.providerIsInvalid, {name, fn})
+                });
+            }
+        });
+
+        return provider;
+    });
+}
+
+module.exports = {
+    getProviderNames,
+    getProviders
+};
@@ -0,0 +1,4 @@
+const linkTrackingService = require('./link-tracking-service');
+const middleware = require('./middleware');
+
+module.exports = Object.assign({}, linkTrackingService, {middleware});
@@ -0,0 +1,174 @@
+const _ = require('lodash');
+const crypto = require('crypto');
+const ObjectId = require('bson-objectid');
+const logging = require('@tryghost/logging');
+const db = require('../../data/db');
+const models = require('../../models');
+const settingsCache = require('../../../shared/settings-cache');
+
+/**
+ * Signature of the click tracking urls, one per email and recipient
+ *
+ * @param {string} emailId
+ * @param {string} memberUuid
+ * @returns {string}
+ */
+function getSignature(emailId, memberUuid) {
+    return crypto.createHmac('sha256', settingsCache.get('email_link_secret'))
+        .update(`${emailId}:${memberUuid}`)
+        .digest('hex');
+}
+
+/**
+ * @param {string} emailId
+ * @param {string} memberUuid
+ * @param {string} signature
+ * @returns {boolean}
+ */
+function isValidSignature(emailId, memberUuid, signature) {
+    const expected = Buffer.from(getSignature(emailId, memberUuid));
+    const actual = Buffer.from(String(signature));
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Stores the links of an email, links which were stored before (e.g. when retrying a failed email) are reused
+ *
+ * @param {string} emailId
+ * @param {string[]} urls
+ * @param {Object} [options] - knex options
+ * @returns {Promise<Object<string, string>>} - link ids keyed by url
+ */
+async function getOrCreateLinks(emailId, urls, options = {}) {
+    const query = db.knex('email_links').select('id', 'url').where('email_id', emailId);
+
+    if (options.transacting) {
+        query.transacting(options.transacting);
+    }
+
+    const links = (await query).reduce((result, link) => {
+        return Object.assign(result, {[link.url]: link.id});
+    }, {});
+
+    const newLinks = urls
+        .filter(url => !links[url])
+        .map(url => ({
+            id: ObjectId().toHexString(),
+            email_id: emailId,
+            url,
+            created_at: db.knex.raw('CURRENT_TIMESTAMP')
+        }));
+
+    if (newLinks.length) {
+        // SQLite max variables is 999, we have 4 per insert so most inserts in a query is 999/4 = 249
+        for (const linksChunk of _.chunk(newLinks, 249)) {
+            const insertQuery = db.knex('email_links').insert(linksChunk);
+
+            if (options.transacting) {
+                insertQuery.transacting(options.transacting);
+            }
+
+            await insertQuery;
+        }
+
+        newLinks.forEach((link) => {
+            links[link.url] = link.id;
+        });
+    }
+
+    return links;
+}
+
+/**
+ * Records a click on a tracked link. Clicks are only recorded when the url is signed for the member,
+ * the original url is returned either way so the visitor always ends up where the link pointed to.
+ *
+ * @param {Object} click
+ * @param {string} click.linkId
+ * @param {string} [click.memberUuid]
+ * @param {string} [click.signature]
+ * @returns {Promise<string|null>} - url of the link, null for unknown links
+ */
+async function recordClick({linkId, memberUuid, signature}) {
+    const link = await models.EmailLink.findOne({id: linkId}, {require: false});
+
+    if (!link) {
+        return null;
+    }
+
+    if (!memberUuid || !signature || !isValidSignature(link.get('email_id'), memberUuid, signature)) {
+        return link.get('url');
+    }
+
+    try {
+        const member = await models.Member.findOne({uuid: memberUuid}, {require: false});
+
+        if (member) {
+            await models.EmailLinkClick.add({
+                email_link_id: link.id,
+                email_id: link.get('email_id'),
+                member_id: member.id
+            });
+        }
+    } catch (err) {
+        // a click that fails to be recorded should never break the link
+        logging.error(err);
+    }
+
+    return link.get('url');
+}
+
+/**
+ * @param {string} emailId
+ * @returns {Promise<Object[]>} - links of the email with their total and unique click counts, most clicked first
+ */
+async function getEmailLinkStats(emailId) {
+    const links = await db.knex('email_links')
+        .select('email_links.id', 'email_links.url')
+        .select(db.knex.raw('COUNT(email_link_clicks.id) as click_count'))
+        .select(db.knex.raw('COUNT(DISTINCT email_link_clicks.member_id) as unique_click_count'))
+        .leftJoin('email_link_clicks', 'email_links.id', 'email_link_clicks.email_link_id')
+        .where('email_links.email_id', emailId)
+        .groupBy('email_links.id', 'email_links.url')
+        .orderBy('click_count', 'desc');
+
+    return links.map(link => Object.assign(link, {
+        click_count: Number(link.click_count),
+        unique_click_count: Number(link.unique_click_count)
+    }));
+}
+
+/**
+ * @param {string} memberId
+ * @returns {Promise<Object[]>} - emails the member clicked through, last clicked first
+ */
+async function getMemberClickedEmails(memberId) {
+    const emails = await db.knex('email_link_clicks')
+        .select(
+            'emails.id as email_id',
+            'emails.post_id',
+            'emails.subject',
+            'emails.newsletter_id',
+            'newsletters.name as newsletter_name'
+        )
+        .select(db.knex.raw('COUNT(email_link_clicks.id) as click_count'))
+        .select(db.knex.raw('MAX(email_link_clicks.created_at) as last_clicked_at'))
+        .innerJoin('emails', 'email_link_clicks.email_id', 'emails.id')
+        .leftJoin('newsletters', 'emails.newsletter_id', 'newsletters.id')
+        .where('email_link_clicks.member_id', memberId)
+        .groupBy('emails.id', 'emails.post_id', 'emails.subject', 'emails.newsletter_id', 'newsletters.name')
+        .orderBy('last_clicked_at', 'desc');
+
+    return emails.map(email => Object.assign(email, {
+        click_count: Number(email.click_count)
+    }));
+}
+
+module.exports = {
+    getSignature,
+    getOrCreateLinks,
+    recordClick,
+    getEmailLinkStats,
+    getMemberClickedEmails
+};
@@ -0,0 +1,26 @@
+const linkTrackingService = require('./link-tracking-service');
+
+/**
+ * Redirects a tracked email link to its original url, recording the member's click on the way
+ */
+const handleClick = async function (req, res, next) {
+    try {
+        const url = await linkTrackingService.recordClick({
+            linkId: req.params.linkId,
+            memberUuid: req.query.m,
+            signature: req.query.s
+        });
+
+        if (!url) {
+            return next();
+        }
+
+        res.redirect(302, url);
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = {
+    handleClick
+};
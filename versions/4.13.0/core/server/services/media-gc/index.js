@@ -0,0 +1,4 @@
+const mediaGCService = require('./media-gc-service');
+const jobs = require('./jobs');
+
+module.exports = Object.assign({}, mediaGCService, {jobs});
@@ -0,0 +1,48 @@
+const {parentPort} = require('bthreads');
+const debug = require('@tryghost/debug')('jobs:media-gc:collect-unused-images');
+
+// recurring job to quarantine images which aren't used anymore and delete them after the grace period
+
+// Exit early when cancelled to prevent stalling shutdown. No cleanup needed when cancelling as files are moved
+// one at a time, remaining ones are picked up on next run
+function cancel() {
+    if (parentPort) {
+        parentPort.postMessage('Media GC collect-unused-images job cancelled before completion');
+        parentPort.postMessage('cancelled');
+    } else {
+        setTimeout(() => {
+            process.exit(0);
+        }, 1000);
+    }
+}
+
+if (parentPort) {
+    parentPort.once('message', (message) => {
+        if (message === 'cancel') {
+            return cancel();
+        }
+    });
+}
+
+(async () => {
+    const mediaGCService = require('../media-gc-service');
+
+    const startDate = new Date();
+    debug('Starting to collect unused images');
+
+    const {deleted} = await mediaGCService.purgeQuarantine();
+    const {quarantined, restored} = await mediaGCService.quarantineUnusedImages();
+
+    const endDate = new Date();
+    debug(`Finished collecting unused images in ${endDate - startDate}ms`);
+
+    if (parentPort) {
+        parentPort.postMessage(`Quarantined ${quarantined} unused images, restored ${restored} and deleted ${deleted} in ${endDate - startDate}ms`);
+        parentPort.postMessage('done');
+    } else {
+        // give the logging pipes time finish writing before exit
+        setTimeout(() => {
+            process.exit(0);
+        }, 1000);
+    }
+})();
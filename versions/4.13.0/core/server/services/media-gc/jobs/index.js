@@ -0,0 +1,30 @@
+const path = require('path');
+const config = require('../../../../shared/config');
+const jobsService = require('../../jobs');
+const mediaGCService = require('../media-gc-service');
+
+let hasScheduled = false;
+
+module.exports = {
+    scheduleRecurringJobs() {
+        if (
+            !hasScheduled &&
+            config.get('mediaGC:quarantine') &&
+            mediaGCService.isSupported() &&
+            !process.env.NODE_ENV.match(/^testing/)
+        ) {
+            // use a random minutes value to avoid spikes in disk and database usage on the hour
+            const m = Math.floor(Math.random() * 60); // 0-59
+
+            jobsService.addJob({
+                at: `0 ${m} 3 * * *`, // Every day, at night
+                job: path.resolve(__dirname, 'collect-unused-images.js'),
+                name: 'media-gc-collect-unused-images'
+            });
+
+            hasScheduled = true;
+        }
+
+        return hasScheduled;
+    }
+};
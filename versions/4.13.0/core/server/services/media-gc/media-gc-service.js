@@ -0,0 +1,228 @@
+const path = require('path');
+const fs = require('fs-extra');
+const moment = require('moment');
+const db = require('../../data/db');
+const config = require('../../../shared/config');
+const getAdapterServiceConfig = require('../adapter-manager/config');
+
+const BATCH_SIZE = 500;
+
+// every column which can contain a url to an uploaded image
+const REFERENCE_COLUMNS = {
+    posts: ['mobiledoc', 'html', 'feature_image', 'codeinjection_head', 'codeinjection_foot'],
+    posts_meta: ['og_image', 'twitter_image'],
+    mobiledoc_revisions: ['mobiledoc'],
+    tags: ['feature_image', 'og_image', 'twitter_image', 'codeinjection_head', 'codeinjection_foot'],
+    users: ['profile_image', 'cover_image'],
+    settings: ['value'],
+    snippets: ['mobiledoc'],
+    newsletters: ['header_image', 'footer_content'],
+    integrations: ['icon_image'],
+    // sent emails keep pointing at images in people's inboxes
+    emails: ['html']
+};
+
+const IMAGE_URL_REGEX = /\/content\/images\/([^"'\s)?#,<>\\]+)/g;
+const DERIVATIVE_PATH_REGEX = /^size\/[^/]+\/(?:format\/[^/]+\/)?/;
+const UNOPTIMIZED_NAME_REGEX = /^(.+)_o(-\d+)?(\.[^.]+)$/;
+
+const getImagesPath = () => config.getContentPath('images');
+const getQuarantinePath = () => path.join(config.getContentPath('data'), 'quarantine', 'images');
+
+/**
+ * Maps sized/converted derivatives (`size/w600/2021/01/image.jpg`) and unoptimized originals
+ * (`2021/01/image_o.jpg`) to the path of the image that's referenced in content (`2021/01/image.jpg`)
+ *
+ * @param {string} imagePath - relative to the images directory
+ * @returns {string}
+ */
+function normalizeImagePath(imagePath) {
+    const originalPath = imagePath.replace(DERIVATIVE_PATH_REGEX, '');
+    const {dir, base} = path.posix.parse(originalPath);
+    const match = base.match(UNOPTIMIZED_NAME_REGEX);
+
+    return match ? path.posix.join(dir, `${match[1]}${match[2] || ''}${match[3]}`) : originalPath;
+}
+
+/**
+ * @param {string} text
+ * @returns {string[]} - normalized paths of the images referenced in the text
+ */
+function extractImagePaths(text) {
+    const imagePaths = [];
+    let match;
+
+    IMAGE_URL_REGEX.lastIndex = 0;
+
+    while ((match = IMAGE_URL_REGEX.exec(text)) !== null) {
+        try {
+            imagePaths.push(normalizeImagePath(decodeURIComponent(match[1])));
+        } catch (err) {
+            // malformed url encoding
+            imagePaths.push(normalizeImagePath(match[1]));
+        }
+    }
+
+    return imagePaths;
+}
+
+/**
+ * Only the local file storage can be listed, other adapters keep their files elsewhere
+ *
+ * @returns {boolean}
+ */
+function isSupported() {
+    return getAdapterServiceConfig(config).storage.active === 'LocalFileStorage';
+}
+
+/**
+ * @returns {Promise<Set<string>>} - normalized paths of all images referenced in the database
+ */
+async function getReferencedImagePaths() {
+    const referencedPaths = new Set();
+
+    for (const [table, columns] of Object.entries(REFERENCE_COLUMNS)) {
+        if (!await db.knex.schema.hasTable(table)) {
+            continue;
+        }
+
+        for (let offset = 0; ; offset += BATCH_SIZE) {
+            const rows = await db.knex(table)
+                .select(columns)
+                .orderBy('id')
+                .limit(BATCH_SIZE)
+                .offset(offset);
+
+            rows.forEach((row) => {
+                columns.forEach((column) => {
+                    if (row[column]) {
+                        extractImagePaths(row[column]).forEach(imagePath => referencedPaths.add(imagePath));
+                    }
+                });
+            });
+
+            if (rows.length < BATCH_SIZE) {
+                break;
+            }
+        }
+    }
+
+    return referencedPaths;
+}
+
+/**
+ * @param {string} dir
+ * @param {string} [relativeDir]
+ * @returns {Promise<Array<{path: string, size: number, modified_at: Date}>>}
+ */
+async function listFiles(dir, relativeDir = '') {
+    const files = [];
+
+    if (!await fs.pathExists(dir)) {
+        return files;
+    }
+
+    for (const entry of await fs.readdir(path.join(dir, relativeDir), {withFileTypes: true})) {
+        // skips hidden files and the README shipped with Ghost
+        if (entry.name.startsWith('.') || (!relativeDir && entry.name === 'README.md')) {
+            continue;
+        }
+
+        const relativePath = path.posix.join(relativeDir, entry.name);
+
+        if (entry.isDirectory()) {
+            files.push(...await listFiles(dir, relativePath));
+        } else if (entry.isFile()) {
+            const stats = await fs.stat(path.join(dir, relativePath));
+            files.push({path: relativePath, size: stats.size, modified_at: stats.mtime});
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Files which aren't referenced anywhere. Files uploaded within `mediaGC:minAgeHours` are left alone
+ * because an image can be uploaded some time before the post using it is saved.
+ *
+ * @param {Set<string>} [referencedPaths] - to avoid scanning the database again
+ * @returns {Promise<Array<{path: string, size: number, modified_at: Date}>>}
+ */
+async function getUnusedImages(referencedPaths) {
+    const minAge = moment().subtract(config.get('mediaGC:minAgeHours'), 'hours');
+    const files = await listFiles(getImagesPath());
+
+    referencedPaths = referencedPaths || await getReferencedImagePaths();
+
+    return files.filter((file) => {
+        return !referencedPaths.has(normalizeImagePath(file.path)) && moment(file.modified_at).isBefore(minAge);
+    });
+}
+
+/**
+ * Moves unused images out of the public images directory, to `content/data/quarantine/images/<date>/`.
+ * Quarantined images which are referenced again are moved back first.
+ *
+ * @returns {Promise<{quarantined: number, restored: number}>}
+ */
+async function quarantineUnusedImages() {
+    const imagesPath = getImagesPath();
+    const quarantinePath = getQuarantinePath();
+    const referencedPaths = await getReferencedImagePaths();
+    let restored = 0;
+
+    for (const file of await listFiles(quarantinePath)) {
+        const [, ...imagePath] = file.path.split('/');
+        const targetPath = path.join(imagesPath, ...imagePath);
+
+        if (referencedPaths.has(normalizeImagePath(imagePath.join('/'))) && !await fs.pathExists(targetPath)) {
+            await fs.move(path.join(quarantinePath, file.path), targetPath);
+            restored += 1;
+        }
+    }
+
+    const unusedImages = await getUnusedImages(referencedPaths);
+    const quarantineDir = path.join(quarantinePath, moment().format('YYYY-MM-DD'));
+
+    for (const file of unusedImages) {
+        await fs.move(path.join(imagesPath, file.path), path.join(quarantineDir, file.path), {overwrite: true});
+    }
+
+    return {quarantined: unusedImages.length, restored};
+}
+
+/**
+ * Deletes quarantined images once they've been there longer than `mediaGC:gracePeriodDays`
+ *
+ * @returns {Promise<{deleted: number}>}
+ */
+async function purgeQuarantine() {
+    const quarantinePath = getQuarantinePath();
+    const cutoff = moment().subtract(config.get('mediaGC:gracePeriodDays'), 'days');
+    let deleted = 0;
+
+    if (!await fs.pathExists(quarantinePath)) {
+        return {deleted};
+    }
+
+    for (const dir of await fs.readdir(quarantinePath)) {
+        const quarantinedAt = moment(dir, 'YYYY-MM-DD', true);
+
+        if (quarantinedAt.isValid() && quarantinedAt.isBefore(cutoff)) {
+            deleted += (await listFiles(path.join(quarantinePath, dir))).length;
+            await fs.remove(path.join(quarantinePath, dir));
+        }
+    }
+
+    return {deleted};
+}
+
+module.exports = {
+    isSupported,
+    normalizeImagePath,
+    extractImagePaths,
+    getReferencedImagePaths,
+    getUnusedImages,
+    quarantineUnusedImages,
+    purgeQuarantine
+};
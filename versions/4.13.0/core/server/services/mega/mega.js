@@ -10,6 +10,7 @@ const i18n = require('../../../shared/i18n');
 const logging = require('@tryghost/logging');
 const settingsCache = require('../../../shared/settings-cache');
 const membersService = require('../members');
+const newslettersService = require('../newsletters');
 const limitService = require('../limits');
 const bulkEmailService = require('../bulk-email');
 const jobsService = require('../jobs');
@@ -29,8 +30,11 @@ const messages = {
     emailSendingDisabled: `Email sending is temporarily disabled because your account is currently in review. You should have an email about this from us already, but you can also reach us any time at support@ghost.org`
 };
 
-const getFromAddress = () => {
-    let fromAddress = membersService.config.getEmailFromAddress();
+/**
+ * @param {Object} [newsletter] - Newsletter model instance, its sender settings take precedence over the site's
+ */
+const getFromAddress = (newsletter) => {
+    let fromAddress = (newsletter && newsletter.get('sender_email')) || membersService.config.getEmailFromAddress();
 
     if (/@localhost$/.test(fromAddress) || /@ghost.local$/.test(fromAddress)) {
         const localAddress = 'localhost@example.com';
@@ -38,24 +42,50 @@ const getFromAddress = () => {
         fromAddress = localAddress;
     }
 
-    const siteTitle = settingsCache.get('title') ? settingsCache.get('title').replace(/"/g, '\\"') : '';
+    const senderName = (newsletter && newsletter.get('sender_name')) || settingsCache.get('title');
+    const fromName = senderName ? senderName.replace(/"/g, '\\"') : '';
 
-    return siteTitle ? `"${siteTitle}"<${fromAddress}>` : fromAddress;
+    return fromName ? `"${fromName}"<${fromAddress}>` : fromAddress;
 };
 
-const getReplyToAddress = () => {
-    const fromAddress = membersService.config.getEmailFromAddress();
+/**
+ * @param {Object} [newsletter] - Newsletter model instance, its sender settings take precedence over the site's
+ */
+const getReplyToAddress = (newsletter) => {
+    const fromAddress = (newsletter && newsletter.get('sender_email')) || membersService.config.getEmailFromAddress();
     const supportAddress = membersService.config.getEmailSupportAddress();
-    const replyAddressOption = settingsCache.get('members_reply_address');
+    const replyAddressOption = newsletter ? newsletter.get('sender_reply_to') : settingsCache.get('members_reply_address');
 
     return (replyAddressOption === 'support') ? supportAddress : fromAddress;
 };
 
+/**
+ * Newsletter the post is emailed with, posts without a selected newsletter go out with the default one
+ *
+ * @param {Object} postModel - post model instance
+ * @param {Object} [options] - knex options
+ * @returns {Promise<Object|null>} - Newsletter model instance, null when the site has no active newsletters
+ */
+const getPostNewsletter = async (postModel, options = {}) => {
+    const knexOptions = _.pick(options, ['transacting']);
+
+    if (postModel.get('newsletter_id')) {
+        const newsletter = await models.Newsletter.findOne({id: postModel.get('newsletter_id')}, Object.assign({}, knexOptions, {require: false}));
+
+        if (newsletter) {
+            return newsletter;
+        }
+    }
+
+    return newslettersService.getDefaultNewsletter(knexOptions);
+};
+
 /**
  *
  * @param {Object} postModel - post model instance
  * @param {Object} options
  * @param {ValidAPIVersion} options.apiVersion - api version to be used when serializing email data
+ * @param {Object} [options.newsletter] - Newsletter model instance the email is sent with
  */
 const getEmailData = async (postModel, options) => {
     const {subject, html, plaintext} = await postEmailSerializer.serialize(postModel, options);
@@ -64,8 +94,8 @@ const getEmailData = async (postModel, options) => {
         subject,
         html,
         plaintext,
-        from: getFromAddress(),
-        replyTo: getReplyToAddress()
+        from: getFromAddress(options.newsletter),
+        replyTo: getReplyToAddress(options.newsletter)
     };
 };
 
@@ -77,7 +107,8 @@ const getEmailData = async (postModel, options) => {
  * @param {ValidMemberSegment} memberSegment
  */
 const sendTestEmail = async (postModel, toEmails, apiVersion, memberSegment) => {
-    let emailData = await getEmailData(postModel, {apiVersion});
+    const newsletter = await getPostNewsletter(postModel);
+    let emailData = await getEmailData(postModel, {apiVersion, newsletter});
     emailData.subject = `[Test] ${emailData.subject}`;
 
     if (labs.isSet('emailCardSegments') && memberSegment) {
@@ -116,11 +147,14 @@ const sendTestEmail = async (postModel, toEmails, apiVersion, memberSegment) =>
  * transformRecipientFilter
  *
  * Accepts a filter string, errors on unexpected legacy filter syntax and enforces subscribed:true
+ * as well as a subscription to the newsletter when one is passed
  *
  * @param {string} emailRecipientFilter NQL filter for members
  * @param {object} options
  */
-const transformEmailRecipientFilter = (emailRecipientFilter, {errorProperty = 'email_recipient_filter'} = {}) => {
+const transformEmailRecipientFilter = (emailRecipientFilter, {errorProperty = 'email_recipient_filter', newsletterId} = {}) => {
+    const subscribedFilter = newsletterId ? `subscribed:true+newsletters.id:'${newsletterId}'` : 'subscribed:true';
+
     switch (emailRecipientFilter) {
     // `paid` and `free` were swapped out for NQL filters in 4.5.0, we shouldn't see them here now
     case 'paid':
@@ -132,7 +166,7 @@ const transformEmailRecipientFilter = (emailRecipientFilter, {errorProperty = 'e
             })
         });
     case 'all':
-        return 'subscribed:true';
+        return subscribedFilter;
     case 'none':
         throw new errors.GhostError({
             message: tpl(messages.noneFilterError, {
@@ -140,7 +174,7 @@ const transformEmailRecipientFilter = (emailRecipientFilter, {errorProperty = 'e
             })
         });
     default:
-        return `subscribed:true+(${emailRecipientFilter})`;
+        return `${subscribedFilter}+(${emailRecipientFilter})`;
     }
 };
 
@@ -169,8 +203,11 @@ const addEmail = async (postModel, options) => {
     const knexOptions = _.pick(options, ['transacting', 'forUpdate']);
     const filterOptions = Object.assign({}, knexOptions, {limit: 1});
 
+    const newsletter = await getPostNewsletter(postModel, knexOptions);
+    const newsletterId = newsletter ? newsletter.id : null;
+
     const emailRecipientFilter = postModel.get('email_recipient_filter');
-    filterOptions.filter = transformEmailRecipientFilter(emailRecipientFilter, {errorProperty: 'email_recipient_filter'});
+    filterOptions.filter = transformEmailRecipientFilter(emailRecipientFilter, {errorProperty: 'email_recipient_filter', newsletterId});
 
     const startRetrieve = Date.now();
     debug('addEmail: retrieving members count');
@@ -192,7 +229,7 @@ const addEmail = async (postModel, options) => {
     if (!existing) {
         // get email contents and perform replacements using no member data so
         // we have a decent snapshot of email content for later display
-        const emailData = await getEmailData(postModel, options);
+        const emailData = await getEmailData(postModel, Object.assign({}, options, {newsletter}));
 
         return models.Email.add({
             post_id: postId,
@@ -205,7 +242,9 @@ const addEmail = async (postModel, options) => {
             plaintext: emailData.plaintext,
             submitted_at: moment().toDate(),
             track_opens: !!settingsCache.get('email_track_opens'),
-            recipient_filter: emailRecipientFilter
+            track_clicks: !!settingsCache.get('email_track_clicks'),
+            recipient_filter: emailRecipientFilter,
+            newsletter_id: newsletterId
         }, knexOptions);
     } else {
         return existing;
@@ -234,11 +273,14 @@ const retryFailedEmail = async (emailModel) => {
  * using the content to update the members service to set the `subscribed` flag
  * to false on the member
  *
+ * With a `newsletter` query parameter only that newsletter is unsubscribed from,
+ * a POST request with a `newsletters` list in the body subscribes the member to exactly those newsletters
+ *
  * If any operation fails, or the request is invalid the function will error - so using
  * as middleware should consider wrapping with `try/catch`
  *
  * @param {Request} req
- * @returns {Promise<void>}
+ * @returns {Promise<Object>} - member data with the list of active newsletters and their subscription state
  */
 async function handleUnsubscribeRequest(req) {
     if (!req.url) {
@@ -265,9 +307,32 @@ async function handleUnsubscribeRequest(req) {
     }
 
     try {
-        const memberModel = await membersService.api.members.update({subscribed: false}, {id: member.id});
-        return memberModel.toJSON();
+        let newsletterIds = [];
+
+        if (req.method === 'POST' && req.body && req.body.newsletters !== undefined) {
+            newsletterIds = _.compact([].concat(req.body.newsletters));
+        } else if (query.newsletter) {
+            const memberNewsletters = await newslettersService.getMemberNewsletters(member.id);
+            newsletterIds = memberNewsletters
+                .map(newsletter => newsletter.id)
+                .filter(id => id !== query.newsletter);
+        }
+
+        const memberModel = await newslettersService.updateMemberNewsletters(member.id, newsletterIds);
+        const activeNewsletters = await newslettersService.getActiveNewsletters();
+
+        return Object.assign(memberModel.toJSON(), {
+            newsletters: activeNewsletters.map((newsletter) => {
+                return Object.assign(newsletter, {
+                    subscribed: newsletterIds.includes(newsletter.id)
+                });
+            })
+        });
     } catch (err) {
+        if (errors.utils.isIgnitionError(err) && err.errorType === 'ValidationError') {
+            throw err;
+        }
+
         throw new errors.InternalServerError({
             err,
             message: 'Failed to unsubscribe member'
@@ -369,7 +434,10 @@ async function getEmailMemberRows({emailModel, memberSegment, options}) {
     const knexOptions = _.pick(options, ['transacting', 'forUpdate']);
     const filterOptions = Object.assign({}, knexOptions);
 
-    const recipientFilter = transformEmailRecipientFilter(emailModel.get('recipient_filter'), {errorProperty: 'recipient_filter'});
+    const recipientFilter = transformEmailRecipientFilter(emailModel.get('recipient_filter'), {
+        errorProperty: 'recipient_filter',
+        newsletterId: emailModel.get('newsletter_id')
+    });
     filterOptions.filter = recipientFilter;
 
     if (memberSegment) {
@@ -514,7 +582,7 @@ async function createEmailBatches({emailModel, memberRows, memberSegment, option
 
     debug('createEmailBatches: storing recipient list');
     const startOfRecipientStorage = Date.now();
-    const batches = _.chunk(memberRows, bulkEmailService.BATCH_SIZE);
+    const batches = _.chunk(memberRows, bulkEmailService.getBatchSize());
     const batchIds = await Promise.mapSeries(batches, storeRecipientBatch);
     debug(`createEmailBatches: stored recipient list (${Date.now() - startOfRecipientStorage}ms)`);
 
@@ -542,6 +610,7 @@ module.exports = {
     addEmail,
     retryFailedEmail,
     sendTestEmail,
+    getPostNewsletter,
     handleUnsubscribeRequest,
     // NOTE: below are only exposed for testing purposes
     _transformEmailRecipientFilter: transformEmailRecipientFilter,
@@ -44,10 +44,13 @@ const htmlToPlaintext = (html) => {
  *
  * Takes a member uuid and returns the url that should be used to unsubscribe
  * In case of no member uuid, generates the preview unsubscribe url - `?preview=1`
+ * When a newsletter is passed the url only unsubscribes from that newsletter
  *
  * @param {string} uuid
+ * @param {Object} [options]
+ * @param {string} [options.newsletterId]
  */
-const createUnsubscribeUrl = (uuid) => {
+const createUnsubscribeUrl = (uuid, options = {}) => {
     const siteUrl = urlUtils.getSiteUrl();
     const unsubscribeUrl = new URL(siteUrl);
     unsubscribeUrl.pathname = `${unsubscribeUrl.pathname}/unsubscribe/`.replace('//', '/');
@@ -56,10 +59,67 @@ const createUnsubscribeUrl = (uuid) => {
     } else {
         unsubscribeUrl.searchParams.set('preview', '1');
     }
+    if (options.newsletterId) {
+        unsubscribeUrl.searchParams.set('newsletter', options.newsletterId);
+    }
 
     return unsubscribeUrl.href;
 };
 
+/**
+ * createClickTrackingUrl
+ *
+ * Takes a stored email link id and returns the url that records a click before redirecting to the link,
+ * member uuid and signature are filled in by the bulk email provider for each recipient
+ *
+ * @param {string} linkId
+ */
+const createClickTrackingUrl = (linkId) => {
+    const siteUrl = urlUtils.getSiteUrl();
+    const clickUrl = new URL(siteUrl);
+    clickUrl.pathname = `${clickUrl.pathname}/email/click/${linkId}/`.replace('//', '/');
+
+    // NOTE: not using searchParams, it would encode the replacement strings
+    return `${clickUrl.href}?m=%recipient.unique_id%&s=%recipient.click_signature%`;
+};
+
+/**
+ * Lists the unique links in the email html that can be tracked,
+ * replacement strings such as the unsubscribe url and non-web links are left alone
+ *
+ * @param {string} html
+ * @returns {string[]}
+ */
+const getTrackableLinks = (html) => {
+    const $ = cheerio.load(html);
+    const links = $('a[href]').get()
+        .map(node => $(node).attr('href'))
+        .filter(href => /^https?:\/\//i.test(href) && !href.includes('%recipient.'));
+
+    return _.uniq(links);
+};
+
+/**
+ * Rewrites links in the email html to their click tracking urls
+ *
+ * @param {string} html
+ * @param {Object<string, string>} links - stored link ids keyed by url
+ * @returns {string}
+ */
+const replaceLinks = (html, links) => {
+    const $ = cheerio.load(html);
+
+    $('a[href]').each((i, node) => {
+        const linkId = links[$(node).attr('href')];
+
+        if (linkId) {
+            $(node).attr('href', createClickTrackingUrl(linkId));
+        }
+    });
+
+    return $.html();
+};
+
 // NOTE: serialization is needed to make sure we are using current API and do post transformations
 //       such as image URL transformation from relative to absolute
 const serializePostModel = async (model, apiVersion = 'v4') => {
@@ -146,21 +206,31 @@ const parseReplacements = (email) => {
     return replacements;
 };
 
-const getTemplateSettings = async () => {
+/**
+ * Design settings of the email template, they come from the newsletter the post is sent with
+ * and fall back to the site-wide newsletter settings when there is no newsletter
+ *
+ * @param {Object} [newsletter] - Newsletter model instance
+ */
+const getTemplateSettings = async (newsletter) => {
     const accentColor = settingsCache.get('accent_color');
     const adjustedAccentColor = accentColor && darkenToContrastThreshold(accentColor, '#ffffff', 2).hex();
     const adjustedAccentContrastColor = accentColor && textColorForBackgroundColor(adjustedAccentColor).hex();
 
+    const getSetting = (attr) => {
+        return newsletter ? newsletter.get(attr) : settingsCache.get(`newsletter_${attr}`);
+    };
+
     const templateSettings = {
-        headerImage: settingsCache.get('newsletter_header_image'),
-        showHeaderIcon: settingsCache.get('newsletter_show_header_icon') && settingsCache.get('icon'),
-        showHeaderTitle: settingsCache.get('newsletter_show_header_title'),
-        showFeatureImage: settingsCache.get('newsletter_show_feature_image'),
-        titleFontCategory: settingsCache.get('newsletter_title_font_category'),
-        titleAlignment: settingsCache.get('newsletter_title_alignment'),
-        bodyFontCategory: settingsCache.get('newsletter_body_font_category'),
-        showBadge: settingsCache.get('newsletter_show_badge'),
-        footerContent: settingsCache.get('newsletter_footer_content'),
+        headerImage: getSetting('header_image'),
+        showHeaderIcon: getSetting('show_header_icon') && settingsCache.get('icon'),
+        showHeaderTitle: getSetting('show_header_title'),
+        showFeatureImage: getSetting('show_feature_image'),
+        titleFontCategory: getSetting('title_font_category'),
+        titleAlignment: getSetting('title_alignment'),
+        bodyFontCategory: getSetting('body_font_category'),
+        showBadge: getSetting('show_badge'),
+        footerContent: getSetting('footer_content'),
         accentColor,
         adjustedAccentColor,
         adjustedAccentContrastColor
@@ -198,6 +268,13 @@ const getTemplateSettings = async () => {
     return templateSettings;
 };
 
+/**
+ * @param {Object} postModel - Post model instance
+ * @param {Object} [options]
+ * @param {boolean} [options.isBrowserPreview]
+ * @param {string} [options.apiVersion]
+ * @param {Object} [options.newsletter] - Newsletter model instance the email is sent with
+ */
 const serialize = async (postModel, options = {isBrowserPreview: false, apiVersion: 'v4'}) => {
     const post = await serializePostModel(postModel, options.apiVersion);
 
@@ -264,7 +341,7 @@ const serialize = async (postModel, options = {isBrowserPreview: false, apiVersi
         }
     }
 
-    const templateSettings = await getTemplateSettings();
+    const templateSettings = await getTemplateSettings(options.newsletter);
 
     const render = labs.isSet('emailCardSegments') ? labsTemplate : template;
 
@@ -325,6 +402,9 @@ function renderEmailForSegment(email, memberSegment) {
 module.exports = {
     serialize,
     createUnsubscribeUrl,
+    createClickTrackingUrl,
+    getTrackableLinks,
+    replaceLinks,
     renderEmailForSegment,
     parseReplacements
 };
@@ -0,0 +1,224 @@
+const errors = require('@tryghost/errors');
+const tpl = require('@tryghost/tpl');
+const logging = require('@tryghost/logging');
+const db = require('../../data/db');
+const models = require('../../models');
+const mail = require('../mail');
+const urlUtils = require('../../../shared/url-utils');
+const settingsCache = require('../../../shared/settings-cache');
+const membersService = require('./service');
+const SingleUseTokenProvider = require('./SingleUseTokenProvider');
+const deleteAccountEmail = require('./emails/deleteAccount');
+
+const messages = {
+    invalidDeletionToken: 'The link to delete your account is invalid.',
+    deleteAccountSubject: '🗑️ Confirm the deletion of your {siteTitle} account'
+};
+
+const DELETE_ACCOUNT_ACTION = 'delete-account';
+const DELETE_ACCOUNT_TOKEN_VALIDITY = 24 * 60 * 60 * 1000;
+
+// event tables which reference the member, their rows are exported and removed along with the member
+const MEMBER_EVENT_TABLES = [
+    'members_login_events',
+    'members_email_change_events',
+    'members_status_events',
+    'members_subscribe_events',
+    'members_paid_subscription_events',
+    'members_payment_events',
+    'members_product_events'
+];
+
+const ghostMailer = new mail.GhostMailer();
+
+let tokenProvider;
+
+function getTokenProvider() {
+    if (!tokenProvider) {
+        tokenProvider = new SingleUseTokenProvider(models.SingleUseToken, DELETE_ACCOUNT_TOKEN_VALIDITY);
+    }
+
+    return tokenProvider;
+}
+
+/**
+ * Collects all data Ghost holds about a member, it's what a member downloads from the members API
+ *
+ * @param {string} memberId
+ * @returns {Promise<Object>}
+ */
+async function exportMemberData(memberId) {
+    const member = await models.Member.findOne({id: memberId}, {
+        require: true,
+        withRelated: ['labels', 'products', 'stripeCustomers', 'stripeSubscriptions', 'stripeSubscriptions.stripePrice']
+    });
+    const newslettersService = require('../newsletters');
+
+    const events = {};
+    for (const table of MEMBER_EVENT_TABLES) {
+        events[table.replace(/^members_/, '')] = await db.knex(table)
+            .where('member_id', memberId)
+            .orderBy('created_at', 'asc');
+    }
+
+    const emailRecipients = await db.knex('email_recipients')
+        .select('email_recipients.*', 'emails.subject as email_subject')
+        .leftJoin('emails', 'emails.id', 'email_recipients.email_id')
+        .where('email_recipients.member_id', memberId)
+        .orderBy('email_recipients.processed_at', 'asc');
+
+    const emailLinkClicks = await db.knex('email_link_clicks')
+        .select('email_link_clicks.*', 'email_links.url')
+        .leftJoin('email_links', 'email_links.id', 'email_link_clicks.email_link_id')
+        .where('email_link_clicks.member_id', memberId)
+        .orderBy('email_link_clicks.created_at', 'asc');
+
+    return Object.assign({
+        exported_at: new Date().toISOString(),
+        site: {
+            title: settingsCache.get('title'),
+            url: urlUtils.urlFor('home', true)
+        },
+        member: {
+            id: member.id,
+            uuid: member.get('uuid'),
+            email: member.get('email'),
+            name: member.get('name'),
+            note: member.get('note'),
+            status: member.get('status'),
+            subscribed: !!member.get('subscribed'),
+            geolocation: member.get('geolocation'),
+            created_at: member.get('created_at'),
+            updated_at: member.get('updated_at')
+        },
+        labels: member.related('labels').map(label => label.pick('name', 'slug')),
+        products: member.related('products').map(product => product.pick('name', 'slug')),
+        newsletters: await newslettersService.getMemberNewsletters(memberId),
+        customers: member.related('stripeCustomers').map(customer => customer.pick('customer_id', 'name', 'email', 'created_at')),
+        subscriptions: member.related('stripeSubscriptions').toJSON(),
+        email_recipients: emailRecipients,
+        email_link_clicks: emailLinkClicks
+    }, events);
+}
+
+/**
+ * Sends the member a link which confirms the deletion of their account
+ *
+ * @param {Object} member - member data of the session
+ * @returns {Promise<void>}
+ */
+async function sendDeletionEmail(member) {
+    const token = await getTokenProvider().create({
+        email: member.email,
+        member_id: member.id,
+        action: DELETE_ACCOUNT_ACTION
+    });
+    // NOTE: the token is part of the path, a `token` query param is exchanged for a session by the members app
+    const url = urlUtils.urlJoin(urlUtils.getSiteUrl(), 'members', 'delete-account', token, '/');
+    const siteTitle = settingsCache.get('title');
+
+    if (process.env.NODE_ENV !== 'production') {
+        logging.warn(url);
+    }
+
+    await ghostMailer.send({
+        from: membersService.config.getAuthEmailFromAddress(),
+        to: member.email,
+        subject: tpl(messages.deleteAccountSubject, {siteTitle}),
+        html: deleteAccountEmail({url, email: member.email, siteTitle}),
+        forceTextContent: true
+    });
+}
+
+/**
+ * Cancels the member's Stripe subscriptions and removes the member together with their events.
+ * The emails they received are kept for the email stats but their address and name are removed.
+ *
+ * @param {string} memberId
+ * @returns {Promise<void>}
+ */
+async function deleteMember(memberId) {
+    const member = await models.Member.findOne({id: memberId}, {
+        require: true,
+        withRelated: ['stripeSubscriptions']
+    });
+
+    // Stripe is called before anything is removed, a failing cancellation leaves the account in place
+    if (membersService.config.isStripeConnected()) {
+        const subscriptions = member.related('stripeSubscriptions').filter(subscription => subscription.get('status') !== 'canceled');
+
+        for (const subscription of subscriptions) {
+            await membersService.api.members.cancelSubscription({
+                id: memberId,
+                subscription: {
+                    subscription_id: subscription.get('subscription_id')
+                }
+            });
+        }
+    }
+
+    await models.Base.transaction(async (transacting) => {
+        for (const table of MEMBER_EVENT_TABLES) {
+            await db.knex(table)
+                .transacting(transacting)
+                .where('member_id', memberId)
+                .del();
+        }
+
+        // CASE: batches which are still being sent don't go out to the member anymore
+        await db.knex('email_recipients')
+            .transacting(transacting)
+            .where('member_id', memberId)
+            .whereNull('processed_at')
+            .del();
+
+        await db.knex('email_recipients')
+            .transacting(transacting)
+            .where('member_id', memberId)
+            .update({
+                member_email: '',
+                member_name: null
+            });
+
+        await models.Member.destroy({id: memberId, transacting});
+    });
+}
+
+/**
+ * Deletes the account a confirmation link was sent for
+ *
+ * @param {string} token
+ * @returns {Promise<void>}
+ */
+async function deleteAccountFromToken(token) {
+    const data = await getTokenProvider().validate(token);
+
+    if (data.action !== DELETE_ACCOUNT_ACTION || !data.member_id) {
+        throw new errors.UnauthorizedError({
+            message: tpl(messages.invalidDeletionToken)
+        });
+    }
+
+    const member = await models.Member.findOne({id: data.member_id});
+
+    // the account is gone already, e.g. the link was opened twice
+    if (!member) {
+        return;
+    }
+
+    // the member changed their email address after requesting the deletion
+    if (member.get('email') !== data.email) {
+        throw new errors.UnauthorizedError({
+            message: tpl(messages.invalidDeletionToken)
+        });
+    }
+
+    await deleteMember(member.id);
+}
+
+module.exports = {
+    exportMemberData,
+    sendDeletionEmail,
+    deleteMember,
+    deleteAccountFromToken
+};
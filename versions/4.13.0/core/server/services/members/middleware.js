@@ -1,4 +1,6 @@
 const _ = require('lodash');
+const errors = require('@tryghost/errors');
+const tpl = require('@tryghost/tpl');
 const logging = require('@tryghost/logging');
 const membersService = require('./service');
 const urlUtils = require('../../../shared/url-utils');
@@ -8,6 +10,10 @@ const {formattedMemberResponse} = require('./utils');
 const labsService = require('../../../shared/labs');
 const config = require('../../../shared/config');
 
+const messages = {
+    notSignedIn: 'You need to be signed in to manage your account.'
+};
+
 // @TODO: This piece of middleware actually belongs to the frontend, not to the member app
 // Need to figure a way to separate these things (e.g. frontend actually talks to members API)
 const loadMemberSession = async function (req, res, next) {
@@ -44,11 +50,25 @@ const deleteSession = async function (req, res) {
     }
 };
 
+/**
+ * Attaches the newsletters the member is subscribed to
+ *
+ * @param {Object} member - member data
+ * @returns {Promise<Object>}
+ */
+const loadMemberNewsletters = async function (member) {
+    // NOTE: required inline, the newsletters service depends on the members service
+    const newslettersService = require('../newsletters');
+    const newsletters = await newslettersService.getMemberNewsletters(member.id);
+
+    return Object.assign({}, member, {newsletters});
+};
+
 const getMemberData = async function (req, res) {
     try {
         const member = await membersService.ssr.getMemberDataFromSession(req, res);
         if (member) {
-            res.json(formattedMemberResponse(member));
+            res.json(formattedMemberResponse(await loadMemberNewsletters(member)));
         } else {
             res.json(null);
         }
@@ -67,9 +87,18 @@ const updateMemberData = async function (req, res) {
                 id: member.id,
                 withRelated: ['stripeSubscriptions', 'stripeSubscriptions.customer', 'stripeSubscriptions.stripePrice']
             };
+
+            if (Array.isArray(req.body.newsletters)) {
+                const newslettersService = require('../newsletters');
+                const newsletterIds = req.body.newsletters.map(newsletter => (_.isString(newsletter) ? newsletter : newsletter.id));
+
+                await newslettersService.updateMemberNewsletters(member.id, newsletterIds);
+                delete data.subscribed;
+            }
+
             const updatedMember = await membersService.api.members.update(data, options);
 
-            res.json(formattedMemberResponse(updatedMember.toJSON()));
+            res.json(formattedMemberResponse(await loadMemberNewsletters(updatedMember.toJSON())));
         } else {
             res.json(null);
         }
@@ -79,6 +108,77 @@ const updateMemberData = async function (req, res) {
     }
 };
 
+/**
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @returns {Promise<Object>} - member data of the session
+ */
+const getSignedInMember = async function (req, res) {
+    const member = await membersService.ssr.getMemberDataFromSession(req, res).catch(() => null);
+
+    if (!member) {
+        throw new errors.UnauthorizedError({
+            message: tpl(messages.notSignedIn)
+        });
+    }
+
+    return member;
+};
+
+const exportMemberData = async function (req, res, next) {
+    try {
+        const member = await getSignedInMember(req, res);
+        // NOTE: required inline, the account module depends on the members service
+        const data = await require('./account').exportMemberData(member.id);
+
+        res.set('Content-Disposition', `attachment; filename="member-data-${member.uuid}.json"`);
+        res.json(data);
+    } catch (err) {
+        next(err);
+    }
+};
+
+const requestAccountDeletion = async function (req, res, next) {
+    try {
+        const member = await getSignedInMember(req, res);
+
+        await require('./account').sendDeletionEmail(member);
+
+        res.writeHead(201);
+        res.end('Created.');
+    } catch (err) {
+        next(err);
+    }
+};
+
+// NOTE: the link only shows a confirmation, mail clients and link scanners open links in emails on their own
+const showDeleteAccountConfirmation = function (req, res) {
+    res.set('X-Robots-Tag', 'noindex');
+    res.send(require('./pages/deleteAccount')({
+        siteTitle: settingsCache.get('title'),
+        siteUrl: urlUtils.urlFor('home', true),
+        stylesheetUrl: urlUtils.urlJoin(urlUtils.getSubdir(), '/public/ghost.min.css')
+    }));
+};
+
+const deleteAccountFromMagicLink = async function (req, res) {
+    const searchParams = new URLSearchParams('');
+    searchParams.set('action', 'deleteAccount');
+
+    try {
+        await require('./account').deleteAccountFromToken(req.params.token);
+        await membersService.ssr.deleteSession(req, res).catch(() => {});
+
+        searchParams.set('success', true);
+    } catch (err) {
+        logging.warn(err.message);
+
+        searchParams.set('success', false);
+    }
+
+    res.redirect(`${urlUtils.getSubdir()}/?${searchParams.toString()}`);
+};
+
 const getPortalProductPrices = async function () {
     const page = await membersService.api.productRepository.list({
         withRelated: ['monthlyPrice', 'yearlyPrice', 'benefits']
@@ -127,6 +227,8 @@ const getMemberSiteData = async function (req, res) {
     }
     const {products = [], prices = []} = await getPortalProductPrices() || {};
     const portalVersion = config.get('portal:version');
+    const newslettersService = require('../newsletters');
+    const newsletters = await newslettersService.getActiveNewsletters();
 
     const response = {
         title: settingsCache.get('title'),
@@ -151,7 +253,8 @@ const getMemberSiteData = async function (req, res) {
         firstpromoter_id: firstpromoterId,
         members_support_address: supportAddress,
         prices,
-        products
+        products,
+        newsletters
     };
     if (labsService.isSet('multipleProducts')) {
         response.portal_products = settingsCache.get('portal_products');
@@ -223,6 +326,10 @@ module.exports = {
     getIdentityToken,
     getMemberData,
     updateMemberData,
+    exportMemberData,
+    requestAccountDeletion,
+    showDeleteAccountConfirmation,
+    deleteAccountFromMagicLink,
     getMemberSiteData,
     deleteSession,
     stripeWebhooks: (req, res, next) => membersService.api.middleware.handleStripeWebhook(req, res, next)
@@ -0,0 +1,36 @@
+const _ = require('lodash');
+
+module.exports = ({siteTitle, siteUrl, stylesheetUrl}) => `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>Delete your account</title>
+    <link rel="stylesheet" href="${_.escape(stylesheetUrl)}" />
+</head>
+<body>
+    <div class="gh-app">
+        <div class="gh-viewport">
+            <main class="gh-main" role="main">
+                <div class="gh-flow">
+                    <div class="gh-flow-content-wrap">
+                        <section class="gh-flow-content">
+                            <header>
+                                <h1>Delete your account</h1>
+                            </header>
+                            <p>Your <span class="gh-flow-em">${_.escape(siteTitle)}</span> account and all data we hold about you will be removed, and any paid subscriptions will be cancelled. This can't be undone.</p>
+                            <form method="post">
+                                <button class="gh-btn gh-btn-blue gh-btn-block" type="submit"><span>Delete my account</span></button>
+                            </form>
+                            <p><a href="${_.escape(siteUrl)}">Keep my account</a></p>
+                        </section>
+                    </div>
+                </div>
+            </main>
+        </div>
+    </div>
+</body>
+</html>
+`;
@@ -10,6 +10,7 @@ module.exports.formattedMemberResponse = function formattedMemberResponse(member
         avatar_image: member.avatar_image,
         subscribed: !!member.subscribed,
         subscriptions: member.subscriptions || [],
+        newsletters: member.newsletters || [],
         paid: member.status !== 'free'
     };
 };
@@ -0,0 +1 @@
+module.exports = require('./newsletters-service');
@@ -0,0 +1,173 @@
+const _ = require('lodash');
+const errors = require('@tryghost/errors');
+const tpl = require('@tryghost/tpl');
+const db = require('../../data/db');
+const models = require('../../models');
+const membersService = require('../members');
+
+const messages = {
+    newsletterNotFound: 'Newsletter not found.',
+    memberNotFound: 'Member not found.',
+    invalidNewsletters: 'Members can only be subscribed to active newsletters, unknown or archived: {ids}'
+};
+
+const MEMBER_NEWSLETTER_COLUMNS = ['id', 'name', 'slug', 'description', 'sort_order'];
+
+/**
+ * @param {Object} options
+ * @returns {Promise<Object>} - paginated Newsletter models
+ */
+function browse(options) {
+    return models.Newsletter.findPage(options);
+}
+
+/**
+ * @param {Object} data
+ * @param {Object} options
+ * @returns {Promise<Object>} - Newsletter model instance
+ */
+async function read(data, options) {
+    const newsletter = await models.Newsletter.findOne(data, Object.assign({}, options, {require: false}));
+
+    if (!newsletter) {
+        throw new errors.NotFoundError({
+            message: tpl(messages.newsletterNotFound)
+        });
+    }
+
+    return newsletter;
+}
+
+/**
+ * Adds a newsletter, by default it's listed after all existing newsletters
+ *
+ * @param {Object} data
+ * @param {Object} options
+ * @returns {Promise<Object>} - Newsletter model instance
+ */
+async function add(data, options) {
+    if (data.sort_order === undefined) {
+        const {maxSortOrder} = await db.knex('newsletters').max('sort_order as maxSortOrder').first();
+
+        data = Object.assign({}, data, {
+            sort_order: maxSortOrder === null ? 0 : maxSortOrder + 1
+        });
+    }
+
+    return models.Newsletter.add(data, options);
+}
+
+/**
+ * @param {Object} data
+ * @param {Object} options
+ * @returns {Promise<Object>} - Newsletter model instance
+ */
+async function edit(data, options) {
+    await read({id: options.id}, _.pick(options, ['transacting']));
+
+    return models.Newsletter.edit(data, options);
+}
+
+/**
+ * The default newsletter receives posts which are emailed without choosing a newsletter
+ *
+ * @param {Object} [options]
+ * @returns {Promise<Object|null>} - Newsletter model instance
+ */
+async function getDefaultNewsletter(options = {}) {
+    const {data} = await models.Newsletter.findPage(Object.assign({}, _.pick(options, ['transacting']), {
+        filter: 'status:active',
+        limit: 1
+    }));
+
+    return data[0] || null;
+}
+
+/**
+ * @param {Object} [options]
+ * @returns {Promise<Object[]>} - all active newsletters in their display order
+ */
+async function getActiveNewsletters(options = {}) {
+    const newsletters = await models.Newsletter.findAll(Object.assign({}, _.pick(options, ['transacting']), {
+        filter: 'status:active',
+        columns: MEMBER_NEWSLETTER_COLUMNS
+    }));
+
+    return newsletters.toJSON();
+}
+
+/**
+ * @param {string} memberId
+ * @param {Object} [options]
+ * @returns {Promise<Object[]>} - newsletters the member is subscribed to
+ */
+async function getMemberNewsletters(memberId, options = {}) {
+    const query = db.knex('newsletters')
+        .select(MEMBER_NEWSLETTER_COLUMNS.map(column => `newsletters.${column}`))
+        .innerJoin('members_newsletters', 'newsletters.id', 'members_newsletters.newsletter_id')
+        .where('members_newsletters.member_id', memberId)
+        .orderBy('newsletters.sort_order', 'ASC');
+
+    if (options.transacting) {
+        query.transacting(options.transacting);
+    }
+
+    return query;
+}
+
+/**
+ * Replaces the newsletters a member is subscribed to.
+ * The member's `subscribed` flag follows along, it's only set while the member receives at least one newsletter.
+ *
+ * @param {string} memberId
+ * @param {string[]} newsletterIds
+ * @param {Object} [options]
+ * @returns {Promise<Object>} - Member model instance
+ */
+async function updateMemberNewsletters(memberId, newsletterIds, options = {}) {
+    const ids = _.uniq(newsletterIds);
+    const member = await models.Member.findOne({id: memberId}, {require: false});
+
+    if (!member) {
+        throw new errors.NotFoundError({
+            message: tpl(messages.memberNotFound)
+        });
+    }
+
+    if (ids.length) {
+        const newsletters = await models.Newsletter.findAll({
+            filter: `status:active+id:[${ids.map(id => `'${id}'`).join(',')}]`,
+            columns: ['id']
+        });
+        const invalidIds = _.difference(ids, newsletters.models.map(newsletter => newsletter.id));
+
+        if (invalidIds.length) {
+            throw new errors.ValidationError({
+                message: tpl(messages.invalidNewsletters, {ids: invalidIds.join(', ')}),
+                property: 'newsletters'
+            });
+        }
+    }
+
+    const subscribed = ids.length > 0;
+
+    // NOTE: toggling the flag through the members API records the subscribe event
+    if (!!member.get('subscribed') !== subscribed) {
+        await membersService.api.members.update({subscribed}, {id: memberId});
+    }
+
+    return models.Member.edit({
+        newsletters: ids.map(id => ({id}))
+    }, Object.assign({}, options, {id: memberId}));
+}
+
+module.exports = {
+    browse,
+    read,
+    add,
+    edit,
+    getDefaultNewsletter,
+    getActiveNewsletters,
+    getMemberNewsletters,
+    updateMemberNewsletters
+};
@@ -0,0 +1,7 @@
+const offersService = require('./offers-service');
+const recordRedemptions = require('./record-redemptions');
+
+module.exports = Object.assign({}, offersService, {
+    middleware: require('./middleware'),
+    listen: recordRedemptions.listen
+});
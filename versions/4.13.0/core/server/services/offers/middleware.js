@@ -0,0 +1,93 @@
+const errors = require('@tryghost/errors');
+const urlUtils = require('../../../shared/url-utils');
+const settingsCache = require('../../../shared/settings-cache');
+const offersService = require('./offers-service');
+const offerPage = require('./pages/offer');
+
+/**
+ * @param {Object} res
+ * @param {Object} offer - Offer model
+ * @param {string} [error]
+ */
+const renderOffer = function (res, offer, error) {
+    res.send(offerPage({
+        offer: offer.toJSON(),
+        tierName: offer.related('product').get('name'),
+        error,
+        siteTitle: settingsCache.get('title'),
+        siteUrl: urlUtils.urlFor('home', true),
+        stylesheetUrl: urlUtils.urlJoin(urlUtils.getSubdir(), '/public/ghost.min.css')
+    }));
+};
+
+/**
+ * Landing url of an offer, shows the discount and starts the checkout
+ */
+const showOffer = async function (req, res, next) {
+    try {
+        const offer = await offersService.getRedeemableOfferByCode(req.params.code);
+
+        if (!offer) {
+            return next();
+        }
+
+        renderOffer(res, offer);
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Redirects to Stripe Checkout with the offer applied, a member signed in on the site checks out with their account
+ */
+const startCheckout = async function (req, res, next) {
+    let offer;
+
+    try {
+        offer = await offersService.getRedeemableOfferByCode(req.params.code);
+
+        if (!offer) {
+            return next();
+        }
+
+        const session = await offersService.createCheckoutSession({
+            offerId: offer.id,
+            cancelUrl: offersService.getLandingUrl(offer)
+        }, {
+            memberEmail: req.member ? req.member.email : null
+        });
+
+        res.redirect(303, session.url);
+    } catch (err) {
+        // CASE: e.g. the member already has a paid subscription
+        if (offer && errors.utils.isIgnitionError(err) && err.statusCode < 500) {
+            res.status(err.statusCode);
+            return renderOffer(res, offer, err.message);
+        }
+
+        next(err);
+    }
+};
+
+/**
+ * Creates the checkout session for requests with an `offerId`, other requests are handled by members-api
+ */
+const createCheckoutSession = async function (req, res, next) {
+    if (!req.body || !req.body.offerId) {
+        return next();
+    }
+
+    try {
+        const sessionInfo = await offersService.createCheckoutSession(req.body);
+
+        res.json(sessionInfo);
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = {
+    showOffer,
+    startCheckout,
+    createCheckoutSession
+};
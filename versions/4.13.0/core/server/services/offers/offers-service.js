@@ -0,0 +1,629 @@
+const _ = require('lodash');
+const Stripe = require('stripe').Stripe;
+const jwt = require('jsonwebtoken');
+const errors = require('@tryghost/errors');
+const tpl = require('@tryghost/tpl');
+const security = require('@tryghost/security');
+const db = require('../../data/db');
+const models = require('../../models');
+const urlUtils = require('../../../shared/url-utils');
+const membersService = require('../members');
+
+const messages = {
+    offerNotFound: 'Offer not found.',
+    productNotFound: 'Tier not found.',
+    priceNotFound: 'The tier has no active {interval}ly price.',
+    stripeNotConnected: 'Offers can only be used while Stripe is connected.',
+    duplicateOffer: 'An offer with this {property} already exists.',
+    invalidPercentage: 'Percentage discounts have to be a whole number between 1 and 100.',
+    invalidAmount: 'Fixed discounts have to be a positive amount in the smallest currency unit.',
+    invalidDurationInMonths: 'Repeating discounts need the number of months they apply for.',
+    invalidMaxRedemptions: 'The redemption limit has to be a positive number.',
+    invalidExpiresAt: 'Offers can only expire in the future.',
+    immutableTerms: 'The terms of an offer can\'t be changed, create a new offer instead.',
+    offerNotAvailable: 'This offer is no longer available.',
+    offerExpired: 'This offer has expired.',
+    offerRedeemed: 'This offer has reached its redemption limit.',
+    alreadySubscribed: 'Offers are only available to members without a paid subscription.',
+    invalidIdentity: 'The identity token is invalid.'
+};
+
+// must match the version used by members-api, the coupons and sessions end up on the same account
+const STRIPE_API_VERSION = '2020-08-27';
+
+// the terms of an offer are part of its Stripe coupon, which can't be edited
+const OFFER_TERMS = ['product_id', 'interval', 'discount_type', 'discount_amount', 'duration', 'duration_in_months'];
+const EDITABLE_PROPERTIES = ['name', 'code', 'active', 'max_redemptions', 'expires_at'];
+
+let stripe;
+let stripeSecretKey;
+
+/**
+ * @returns {import('stripe').Stripe}
+ */
+function getStripe() {
+    const paymentConfig = membersService.config.getStripePaymentConfig();
+
+    if (!paymentConfig) {
+        throw new errors.ValidationError({
+            message: tpl(messages.stripeNotConnected)
+        });
+    }
+
+    if (!stripe || stripeSecretKey !== paymentConfig.secretKey) {
+        stripe = new Stripe(paymentConfig.secretKey, {
+            apiVersion: STRIPE_API_VERSION,
+            appInfo: paymentConfig.appInfo
+        });
+        stripeSecretKey = paymentConfig.secretKey;
+    }
+
+    return stripe;
+}
+
+/**
+ * @param {Object} offer - Offer model
+ * @returns {string}
+ */
+function getLandingUrl(offer) {
+    return urlUtils.urlJoin(urlUtils.getSiteUrl(), 'offers', offer.get('code'), '/');
+}
+
+/**
+ * @param {string[]} offerIds
+ * @param {Object} [options]
+ * @returns {Promise<Object>} - number of redemptions keyed by offer id
+ */
+async function getRedemptionCounts(offerIds, options = {}) {
+    const query = db.knex('offer_redemptions')
+        .select('offer_id')
+        .count('id as count')
+        .whereIn('offer_id', offerIds)
+        .groupBy('offer_id');
+
+    if (options.transacting) {
+        query.transacting(options.transacting);
+    }
+
+    const rows = await query;
+
+    return rows.reduce((counts, row) => {
+        counts[row.offer_id] = Number(row.count);
+        return counts;
+    }, {});
+}
+
+/**
+ * Attaches `redemptionCount` and `landingUrl` to the models, both are part of the API output
+ *
+ * @param {Object[]} offers - Offer models
+ * @param {Object} [options]
+ */
+async function loadDetails(offers, options) {
+    const counts = await getRedemptionCounts(offers.map(offer => offer.id), options);
+
+    offers.forEach((offer) => {
+        offer.redemptionCount = counts[offer.id] || 0;
+        offer.landingUrl = getLandingUrl(offer);
+    });
+}
+
+/**
+ * @param {Object} options
+ * @returns {Promise<Object>} - paginated Offer models
+ */
+async function browse(options) {
+    const page = await models.Offer.findPage(options);
+
+    await loadDetails(page.data, options);
+
+    return page;
+}
+
+/**
+ * @param {Object} data
+ * @param {Object} options
+ * @returns {Promise<Object>} - Offer model instance
+ */
+async function read(data, options) {
+    const offer = await models.Offer.findOne(data, Object.assign({}, options, {require: false}));
+
+    if (!offer) {
+        throw new errors.NotFoundError({
+            message: tpl(messages.offerNotFound)
+        });
+    }
+
+    await loadDetails([offer], options);
+
+    return offer;
+}
+
+/**
+ * @param {Object} data
+ * @param {Object} options
+ * @returns {Promise<Object>} - paginated OfferRedemption models of an offer
+ */
+async function browseRedemptions(data, options) {
+    await read({id: data.id}, _.pick(options, 'transacting'));
+
+    return models.OfferRedemption.findPage(Object.assign({}, options, {
+        filter: `offer_id:'${data.id}'`,
+        withRelated: ['member', 'subscription']
+    }));
+}
+
+/**
+ * @param {string} property - name or code
+ * @param {string} value
+ * @param {Object} options
+ * @param {string} [options.id] - offer which is allowed to use the value
+ */
+async function checkUnique(property, value, options) {
+    const existing = await models.Offer.findOne({[property]: value}, _.pick(options, 'transacting'));
+
+    if (existing && existing.id !== options.id) {
+        throw new errors.ValidationError({
+            message: tpl(messages.duplicateOffer, {property}),
+            property
+        });
+    }
+}
+
+/**
+ * @param {Object} data
+ * @returns {Object} - validated limits of an offer
+ */
+function validateLimits(data) {
+    const limits = {};
+
+    if (_.has(data, 'max_redemptions')) {
+        if (data.max_redemptions !== null && !(Number.isInteger(data.max_redemptions) && data.max_redemptions > 0)) {
+            throw new errors.ValidationError({
+                message: tpl(messages.invalidMaxRedemptions),
+                property: 'max_redemptions'
+            });
+        }
+
+        limits.max_redemptions = data.max_redemptions;
+    }
+
+    if (_.has(data, 'expires_at')) {
+        const expiresAt = data.expires_at === null ? null : new Date(data.expires_at);
+
+        if (expiresAt !== null && (isNaN(expiresAt.getTime()) || expiresAt <= new Date())) {
+            throw new errors.ValidationError({
+                message: tpl(messages.invalidExpiresAt),
+                property: 'expires_at'
+            });
+        }
+
+        limits.expires_at = expiresAt;
+    }
+
+    return limits;
+}
+
+/**
+ * @param {Object} data
+ * @param {string} data.product_id
+ * @param {string} data.interval
+ * @param {Object} [options]
+ * @returns {Promise<Object|null>} - StripePrice model of the tier and cadence, null if the tier doesn't exist
+ */
+async function getPrice(data, options = {}) {
+    const product = await models.Product.findOne({id: data.product_id}, Object.assign({}, _.pick(options, 'transacting'), {
+        withRelated: ['monthlyPrice', 'yearlyPrice']
+    }));
+
+    if (!product) {
+        return null;
+    }
+
+    return product.related(data.interval === 'year' ? 'yearlyPrice' : 'monthlyPrice');
+}
+
+/**
+ * Stripe enforces the limits of an offer as well, otherwise checkouts which were started before
+ * the offer expired or ran out could still be completed
+ *
+ * @param {Object} offerData - terms and limits of the offer
+ * @param {Object} price - StripePrice model of the offer
+ * @param {number|null} maxRedemptions - redemptions left for the coupon
+ * @returns {Promise<Object>} - Stripe coupon
+ */
+function createCoupon(offerData, price, maxRedemptions) {
+    return getStripe().coupons.create({
+        name: offerData.name.slice(0, 40),
+        duration: offerData.duration,
+        duration_in_months: offerData.duration_in_months || undefined,
+        percent_off: offerData.discount_type === 'percent' ? offerData.discount_amount : undefined,
+        amount_off: offerData.discount_type === 'amount' ? offerData.discount_amount : undefined,
+        currency: offerData.currency || undefined,
+        max_redemptions: maxRedemptions || undefined,
+        redeem_by: offerData.expires_at ? Math.floor(new Date(offerData.expires_at).getTime() / 1000) : undefined,
+        applies_to: {
+            products: [price.get('stripe_product_id')]
+        }
+    });
+}
+
+/**
+ * @param {Object} data
+ * @param {Object} options
+ * @returns {Promise<Object>} - the price of the tier the offer discounts
+ */
+async function validateTerms(data, options) {
+    const price = await getPrice(data, options);
+
+    if (!price) {
+        throw new errors.ValidationError({
+            message: tpl(messages.productNotFound),
+            property: 'product_id'
+        });
+    }
+
+    if (!['month', 'year'].includes(data.interval) || !price.id || !price.get('active')) {
+        throw new errors.ValidationError({
+            message: tpl(messages.priceNotFound, {interval: data.interval === 'year' ? 'year' : 'month'}),
+            property: 'interval'
+        });
+    }
+
+    if (data.discount_type === 'percent' && !(Number.isInteger(data.discount_amount) && data.discount_amount >= 1 && data.discount_amount <= 100)) {
+        throw new errors.ValidationError({
+            message: tpl(messages.invalidPercentage),
+            property: 'discount_amount'
+        });
+    }
+
+    if (data.discount_type !== 'percent' && !(Number.isInteger(data.discount_amount) && data.discount_amount > 0)) {
+        throw new errors.ValidationError({
+            message: tpl(messages.invalidAmount),
+            property: 'discount_amount'
+        });
+    }
+
+    if (data.duration === 'repeating' && !(Number.isInteger(data.duration_in_months) && data.duration_in_months > 0)) {
+        throw new errors.ValidationError({
+            message: tpl(messages.invalidDurationInMonths),
+            property: 'duration_in_months'
+        });
+    }
+
+    return price;
+}
+
+/**
+ * Creates an offer together with the Stripe coupon which is applied at checkout
+ *
+ * @param {Object} data
+ * @param {Object} options
+ * @returns {Promise<Object>} - Offer model instance
+ */
+async function add(data, options) {
+    const offerData = Object.assign({
+        discount_type: 'percent',
+        duration: 'once'
+    }, _.pick(data, ['name', 'code', 'active', ...OFFER_TERMS]), validateLimits(data));
+
+    offerData.name = offerData.name.trim();
+    offerData.code = security.string.safe(offerData.code || offerData.name);
+    offerData.duration_in_months = offerData.duration === 'repeating' ? offerData.duration_in_months : null;
+
+    const price = await validateTerms(offerData, options);
+
+    offerData.currency = offerData.discount_type === 'amount' ? price.get('currency').toLowerCase() : null;
+
+    await checkUnique('name', offerData.name, options);
+    await checkUnique('code', offerData.code, options);
+
+    const coupon = await createCoupon(offerData, price, offerData.max_redemptions);
+
+    offerData.stripe_coupon_id = coupon.id;
+
+    let offer;
+    try {
+        offer = await models.Offer.add(offerData, options);
+    } catch (err) {
+        await getStripe().coupons.del(coupon.id).catch(() => {});
+        throw err;
+    }
+
+    await loadDetails([offer], options);
+
+    return offer;
+}
+
+/**
+ * The limits of a Stripe coupon can't be changed, a new coupon with the same terms replaces it.
+ * Sets `stripe_coupon_id` of `offerData`, it's null once the redemption limit is reached.
+ *
+ * @param {Object} offer - Offer model
+ * @param {Object} offerData - changed properties of the offer
+ * @param {Object} options
+ */
+async function replaceCoupon(offer, offerData, options) {
+    const couponData = Object.assign(offer.toJSON(), offerData);
+    const price = await getPrice(couponData, options);
+    let maxRedemptions = null;
+
+    if (couponData.max_redemptions) {
+        const counts = await getRedemptionCounts([offer.id], options);
+        maxRedemptions = couponData.max_redemptions - (counts[offer.id] || 0);
+    }
+
+    if (!price || !price.id || maxRedemptions !== null && maxRedemptions <= 0) {
+        offerData.stripe_coupon_id = null;
+        return;
+    }
+
+    const coupon = await createCoupon(couponData, price, maxRedemptions);
+    offerData.stripe_coupon_id = coupon.id;
+}
+
+/**
+ * @param {Object} data
+ * @param {Object} options
+ * @returns {Promise<Object>} - Offer model instance
+ */
+async function edit(data, options) {
+    const offer = await read({id: options.id}, _.pick(options, 'transacting'));
+    const changedTerms = OFFER_TERMS.filter(key => _.has(data, key) && data[key] !== offer.get(key));
+
+    if (changedTerms.length) {
+        throw new errors.ValidationError({
+            message: tpl(messages.immutableTerms),
+            property: changedTerms[0]
+        });
+    }
+
+    const offerData = Object.assign(_.pick(data, ['name', 'code', 'active']), validateLimits(data));
+
+    if (_.has(offerData, 'name')) {
+        offerData.name = offerData.name.trim();
+        await checkUnique('name', offerData.name, options);
+    }
+
+    if (_.has(offerData, 'code')) {
+        offerData.code = security.string.safe(offerData.code || offerData.name || offer.get('name'));
+        await checkUnique('code', offerData.code, options);
+    }
+
+    const toComparable = value => (value instanceof Date ? value.getTime() : value);
+    const limitsChanged = ['max_redemptions', 'expires_at'].some((key) => {
+        return _.has(offerData, key) && toComparable(offerData[key]) !== toComparable(offer.get(key));
+    });
+    const previousCouponId = offer.get('stripe_coupon_id');
+
+    if (limitsChanged) {
+        await replaceCoupon(offer, offerData, options);
+    } else if (offerData.name && offerData.name !== offer.get('name') && previousCouponId) {
+        await getStripe().coupons.update(previousCouponId, {
+            name: offerData.name.slice(0, 40)
+        });
+    }
+
+    let updated;
+    try {
+        updated = await models.Offer.edit(_.pick(offerData, [...EDITABLE_PROPERTIES, 'stripe_coupon_id']), options);
+    } catch (err) {
+        if (limitsChanged && offerData.stripe_coupon_id) {
+            await getStripe().coupons.del(offerData.stripe_coupon_id).catch(() => {});
+        }
+        throw err;
+    }
+
+    // existing subscriptions keep their discount when the coupon is deleted
+    if (limitsChanged && previousCouponId) {
+        await getStripe().coupons.del(previousCouponId).catch(() => {});
+    }
+
+    await loadDetails([updated], options);
+
+    return updated;
+}
+
+/**
+ * Throws when an offer can't be redeemed (anymore)
+ *
+ * @param {Object|null} offer - Offer model
+ */
+async function checkRedeemable(offer) {
+    if (!offer || !offer.get('active') || !offer.get('stripe_coupon_id')) {
+        throw new errors.NotFoundError({
+            message: tpl(messages.offerNotAvailable)
+        });
+    }
+
+    if (offer.get('expires_at') && new Date(offer.get('expires_at')) <= new Date()) {
+        throw new errors.BadRequestError({
+            message: tpl(messages.offerExpired)
+        });
+    }
+
+    if (offer.get('max_redemptions')) {
+        const counts = await getRedemptionCounts([offer.id]);
+
+        if ((counts[offer.id] || 0) >= offer.get('max_redemptions')) {
+            throw new errors.BadRequestError({
+                message: tpl(messages.offerRedeemed)
+            });
+        }
+    }
+}
+
+/**
+ * @param {string} code
+ * @returns {Promise<Object|null>} - Offer model which can be redeemed
+ */
+async function getRedeemableOfferByCode(code) {
+    const offer = await models.Offer.findOne({code}, {withRelated: ['product']});
+
+    try {
+        await checkRedeemable(offer);
+    } catch (err) {
+        return null;
+    }
+
+    return offer;
+}
+
+/**
+ * @param {string} [identity] - identity token of a signed in member, see members-api
+ * @returns {Promise<string|null>} - email address of the member
+ */
+async function getIdentityEmail(identity) {
+    if (!identity) {
+        return null;
+    }
+
+    const {publicKey, issuer} = membersService.config.getTokenConfig();
+
+    try {
+        const claims = jwt.verify(identity, publicKey, {
+            algorithms: ['RS512'],
+            issuer
+        });
+
+        return claims.sub;
+    } catch (err) {
+        throw new errors.UnauthorizedError({
+            message: tpl(messages.invalidIdentity)
+        });
+    }
+}
+
+/**
+ * Creates a Stripe Checkout session for the tier and cadence of an offer with its coupon applied,
+ * it mirrors members-api `RouterController.createCheckoutSession` for plain prices
+ *
+ * @param {Object} data - body of the checkout request
+ * @param {string} data.offerId
+ * @param {string} [data.identity]
+ * @param {string} [data.successUrl]
+ * @param {string} [data.cancelUrl]
+ * @param {string} [data.customerEmail]
+ * @param {Object} [data.metadata]
+ * @param {Object} [options]
+ * @param {string} [options.memberEmail] - email of the member signed in on the site, takes precedence over the identity token
+ * @returns {Promise<Object>} - `{publicKey, sessionId, url}`
+ */
+async function createCheckoutSession(data, options = {}) {
+    const paymentConfig = membersService.config.getStripePaymentConfig();
+    const offer = await models.Offer.findOne({id: data.offerId}, {
+        withRelated: ['product', 'product.monthlyPrice', 'product.yearlyPrice']
+    });
+
+    await checkRedeemable(offer);
+
+    const price = offer.related('product').related(offer.get('interval') === 'year' ? 'yearlyPrice' : 'monthlyPrice');
+
+    if (!price.id || !price.get('active')) {
+        throw new errors.NotFoundError({
+            message: tpl(messages.offerNotAvailable)
+        });
+    }
+
+    const email = options.memberEmail || await getIdentityEmail(data.identity);
+    const member = email ? await models.Member.findOne({email}, {withRelated: ['stripeCustomers', 'products']}) : null;
+
+    if (member && member.related('products').length !== 0) {
+        throw new errors.NoPermissionError({
+            message: tpl(messages.alreadySubscribed)
+        });
+    }
+
+    let customerId = null;
+
+    if (member) {
+        for (const customer of member.related('stripeCustomers').models) {
+            const stripeCustomer = await getStripe().customers.retrieve(customer.get('customer_id')).catch(() => null);
+
+            if (stripeCustomer && !stripeCustomer.deleted) {
+                customerId = stripeCustomer.id;
+                break;
+            }
+        }
+    }
+
+    const session = await getStripe().checkout.sessions.create({
+        payment_method_types: ['card'],
+        success_url: data.successUrl || paymentConfig.checkoutSuccessUrl,
+        cancel_url: data.cancelUrl || paymentConfig.checkoutCancelUrl,
+        customer: customerId || undefined,
+        customer_email: customerId ? undefined : (member ? member.get('email') : data.customerEmail),
+        metadata: data.metadata,
+        discounts: [{
+            coupon: offer.get('stripe_coupon_id')
+        }],
+        subscription_data: {
+            items: [{
+                plan: price.get('stripe_price_id')
+            }],
+            metadata: {
+                ghost_offer_id: offer.id
+            }
+        }
+    });
+
+    return {
+        publicKey: paymentConfig.publicKey,
+        sessionId: session.id,
+        url: session.url
+    };
+}
+
+/**
+ * Records the redemption of an offer for a subscription which was just linked to a member.
+ * Subscriptions are created by the Stripe webhooks of members-api, the offer is looked up in Stripe.
+ *
+ * @param {Object} subscription - StripeCustomerSubscription model
+ * @returns {Promise<Object|null>} - OfferRedemption model instance
+ */
+async function recordRedemption(subscription) {
+    const hasOffers = await db.knex('offers').first('id');
+
+    if (!hasOffers) {
+        return null;
+    }
+
+    const stripeSubscription = await getStripe().subscriptions.retrieve(subscription.get('subscription_id'));
+    const offerId = stripeSubscription.metadata && stripeSubscription.metadata.ghost_offer_id;
+    const couponId = stripeSubscription.discount && stripeSubscription.discount.coupon && stripeSubscription.discount.coupon.id;
+
+    let offer = null;
+    if (offerId) {
+        offer = await models.Offer.findOne({id: offerId});
+    } else if (couponId) {
+        offer = await models.Offer.findOne({stripe_coupon_id: couponId});
+    }
+
+    if (!offer) {
+        return null;
+    }
+
+    const customer = await models.MemberStripeCustomer.findOne({customer_id: subscription.get('customer_id')});
+
+    if (!customer) {
+        return null;
+    }
+
+    return models.OfferRedemption.add({
+        offer_id: offer.id,
+        member_id: customer.get('member_id'),
+        subscription_id: subscription.id
+    });
+}
+
+module.exports = {
+    browse,
+    read,
+    add,
+    edit,
+    browseRedemptions,
+    getLandingUrl,
+    getRedeemableOfferByCode,
+    createCheckoutSession,
+    recordRedemption
+};
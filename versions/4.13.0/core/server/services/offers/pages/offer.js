@@ -0,0 +1,56 @@
+const _ = require('lodash');
+
+/**
+ * @param {Object} offer - offer data
+ * @returns {string} - e.g. "20% off, for the first 3 months"
+ */
+const describeDiscount = (offer) => {
+    const discount = offer.discount_type === 'percent'
+        ? `${offer.discount_amount}%`
+        : `${(offer.discount_amount / 100).toFixed(2)} ${String(offer.currency).toUpperCase()}`;
+
+    if (offer.duration === 'forever') {
+        return `${discount} off, forever`;
+    }
+
+    if (offer.duration === 'repeating') {
+        return `${discount} off, for the first ${offer.duration_in_months === 1 ? 'month' : `${offer.duration_in_months} months`}`;
+    }
+
+    return `${discount} off your first payment`;
+};
+
+module.exports = ({offer, tierName, error, siteTitle, siteUrl, stylesheetUrl}) => `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${_.escape(offer.name)} - ${_.escape(siteTitle)}</title>
+    <link rel="stylesheet" href="${_.escape(stylesheetUrl)}" />
+</head>
+<body>
+    <div class="gh-app">
+        <div class="gh-viewport">
+            <main class="gh-main" role="main">
+                <div class="gh-flow">
+                    <div class="gh-flow-content-wrap">
+                        <section class="gh-flow-content">
+                            <header>
+                                <h1>${_.escape(offer.name)}</h1>
+                            </header>
+                            <p><span class="gh-flow-em">${_.escape(describeDiscount(offer))}</span> on a ${offer.interval === 'year' ? 'yearly' : 'monthly'} ${_.escape(tierName)} subscription to ${_.escape(siteTitle)}.</p>
+                            <form method="post">
+                                <button class="gh-btn gh-btn-blue gh-btn-block" type="submit"><span>Continue to checkout</span></button>
+                            </form>
+                            ${error ? `<p class="main-error">${_.escape(error)}</p>` : ''}
+                            <p><a href="${_.escape(siteUrl)}">Back to ${_.escape(siteTitle)}</a></p>
+                        </section>
+                    </div>
+                </div>
+            </main>
+        </div>
+    </div>
+</body>
+</html>
+`;
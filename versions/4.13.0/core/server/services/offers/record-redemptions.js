@@ -0,0 +1,22 @@
+const logging = require('@tryghost/logging');
+const events = require('../../lib/common/events');
+const offersService = require('./offers-service');
+
+function listener(model, options) {
+    // CASE: imported subscriptions were not created through a checkout
+    if (options && options.importing) {
+        return;
+    }
+
+    offersService.recordRedemption(model).catch((err) => {
+        logging.error(err);
+    });
+}
+
+function listen() {
+    events.on('subscription.added', listener);
+}
+
+module.exports = {
+    listen
+};
@@ -0,0 +1,55 @@
+/**
+ * Scopes narrow down what a custom integration's Admin API key can do on top of its role.
+ *
+ * A scope is written as `<resource>.<action>`, e.g. `posts.browse`, `images.upload` or `members.add`,
+ * where the resource is the Admin API resource and the action is the permission being checked,
+ * which for most endpoints is the API method. Keys of integrations without scopes (`null`)
+ * are only limited by the "Admin Integration" role.
+ */
+
+const SCOPE_REGEX = /^[a-z_]+\.[a-zA-Z]+$/;
+
+/**
+ * Same rules the API uses to go from a docName to a permission object type, e.g. `posts` -> `post`
+ *
+ * @param {string} resource
+ * @returns {string}
+ */
+const singularize = (resource) => {
+    if (resource.match(/ies$/)) {
+        return resource.replace(/ies$/, 'y');
+    }
+
+    return resource.replace(/s$/, '');
+};
+
+/**
+ * @param {any} scope
+ * @returns {boolean}
+ */
+const isValidScope = (scope) => {
+    return typeof scope === 'string' && SCOPE_REGEX.test(scope);
+};
+
+/**
+ * @param {string[]|null} [scopes] - scopes of the integration, null when unrestricted
+ * @param {string} resource - docName or permission object type, e.g. `posts` or `post`
+ * @param {string} action - API method or permission action type, e.g. `browse`
+ * @returns {boolean}
+ */
+const hasScope = (scopes, resource, action) => {
+    if (!Array.isArray(scopes)) {
+        return true;
+    }
+
+    return scopes.some((scope) => {
+        const [scopeResource, scopeAction] = scope.split('.');
+
+        return scopeAction === action && singularize(scopeResource) === singularize(resource);
+    });
+};
+
+module.exports = {
+    isValidScope,
+    hasScope
+};
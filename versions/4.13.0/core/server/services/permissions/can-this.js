@@ -6,6 +6,7 @@ const tpl = require('@tryghost/tpl');
 const providers = require('./providers');
 const parseContext = require('./parse-context');
 const actionsMap = require('./actions-map-cache');
+const apiKeyScopes = require('./api-key-scopes');
 
 const messages = {
     noPermissionToAction: 'You do not have permission to perform this action',
@@ -96,7 +97,8 @@ CanThisResult.prototype.buildObjectTypeHandlers = function (objTypes, actType, c
                 if (!_.isNull(apiKeyPermissions)) {
                     // api key request have no user, but we want the user permissions checks to pass
                     hasUserPermission = true;
-                    hasApiKeyPermission = _.some(apiKeyPermissions, checkPermission);
+                    hasApiKeyPermission = _.some(apiKeyPermissions, checkPermission)
+                        && apiKeyScopes.hasScope(context.api_key.scopes, objType, actType);
                 }
 
                 // Offer a chance for the TargetModel to override the results
@@ -18,6 +18,7 @@ const init = function init(options) {
 module.exports = {
     init: init,
     canThis: require('./can-this'),
+    apiKeyScopes: require('./api-key-scopes'),
     // @TODO: Make it so that we don't need to export these
     parseContext: require('./parse-context'),
     applyPublicRules: require('./public')
@@ -0,0 +1,65 @@
+const cheerio = require('cheerio');
+
+/**
+ * Splits rendered post html into its top-level blocks (paragraphs, headings, cards...)
+ *
+ * @param {string} html
+ * @returns {string[]}
+ */
+const splitBlocks = (html) => {
+    const $ = cheerio.load(html || '', {decodeEntities: false});
+
+    return $.root().contents().toArray()
+        .map(node => $.html(node))
+        .filter(block => block.trim() !== '');
+};
+
+/**
+ * Block-level diff of two rendered versions of a post.
+ * Blocks only present in the old version are wrapped in <del>, blocks only present in the new version in <ins>.
+ *
+ * @param {string} oldHtml
+ * @param {string} newHtml
+ * @returns {string}
+ */
+const diff = (oldHtml, newHtml) => {
+    const oldBlocks = splitBlocks(oldHtml);
+    const newBlocks = splitBlocks(newHtml);
+
+    // longest common subsequence table, lcs[i][j] is the LCS length of oldBlocks[i..] and newBlocks[j..]
+    const lcs = [];
+    for (let i = oldBlocks.length; i >= 0; i--) {
+        lcs[i] = [];
+        for (let j = newBlocks.length; j >= 0; j--) {
+            if (i === oldBlocks.length || j === newBlocks.length) {
+                lcs[i][j] = 0;
+            } else if (oldBlocks[i] === newBlocks[j]) {
+                lcs[i][j] = lcs[i + 1][j + 1] + 1;
+            } else {
+                lcs[i][j] = Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+    }
+
+    const result = [];
+    let i = 0;
+    let j = 0;
+
+    while (i < oldBlocks.length || j < newBlocks.length) {
+        if (i < oldBlocks.length && j < newBlocks.length && oldBlocks[i] === newBlocks[j]) {
+            result.push(oldBlocks[i]);
+            i += 1;
+            j += 1;
+        } else if (i < oldBlocks.length && (j === newBlocks.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            result.push(`<del class="kg-revision-removed">${oldBlocks[i]}</del>`);
+            i += 1;
+        } else {
+            result.push(`<ins class="kg-revision-added">${newBlocks[j]}</ins>`);
+            j += 1;
+        }
+    }
+
+    return result.join('\n');
+};
+
+module.exports = diff;
@@ -0,0 +1,128 @@
+const {NotFoundError, ValidationError} = require('@tryghost/errors');
+const tpl = require('@tryghost/tpl');
+const htmlDiff = require('./html-diff');
+
+const messages = {
+    postNotFound: 'Post not found.',
+    revisionNotFound: 'Post revision not found.',
+    revisionIsEmpty: 'Post revision has no content to restore.'
+};
+
+class PostRevisionsService {
+    constructor({models, mobiledocLib}) {
+        this.models = models;
+        this.mobiledocLib = mobiledocLib;
+    }
+
+    async getPost(postId, options) {
+        const post = await this.models.Post.findOne({id: postId, status: 'all'}, Object.assign({}, options, {require: false}));
+
+        if (!post) {
+            throw new NotFoundError({
+                message: tpl(messages.postNotFound)
+            });
+        }
+
+        return post;
+    }
+
+    async getRevision(postId, revisionId, options) {
+        const revision = await this.models.MobiledocRevision.findOne({
+            id: revisionId,
+            post_id: postId
+        }, Object.assign({}, options, {withRelated: ['author'], require: false}));
+
+        if (!revision) {
+            throw new NotFoundError({
+                message: tpl(messages.revisionNotFound)
+            });
+        }
+
+        return revision;
+    }
+
+    renderMobiledoc(mobiledoc) {
+        if (!mobiledoc) {
+            return '';
+        }
+
+        return this.mobiledocLib.mobiledocHtmlRenderer.render(JSON.parse(mobiledoc));
+    }
+
+    /**
+     * @param {string} postId
+     * @param {Object} options
+     * @returns {Promise<Object[]>} - revisions of the post, latest first
+     */
+    async browse(postId, options) {
+        await this.getPost(postId, options);
+
+        const revisions = await this.models.MobiledocRevision.findAll(Object.assign({}, options, {
+            filter: `post_id:'${postId}'`,
+            columns: ['id', 'post_id', 'author_id', 'publish_event', 'created_at_ts', 'created_at'],
+            withRelated: ['author']
+        }));
+
+        return revisions.models;
+    }
+
+    /**
+     * Loads a revision together with its rendered html and a diff against the post's current content
+     *
+     * @param {string} postId
+     * @param {string} revisionId
+     * @param {Object} options
+     * @returns {Promise<{revision: Object, html: string, diff: string}>}
+     */
+    async read(postId, revisionId, options) {
+        const post = await this.getPost(postId, options);
+        const revision = await this.getRevision(postId, revisionId, options);
+
+        const html = this.renderMobiledoc(revision.get('mobiledoc'));
+        const currentHtml = this.renderMobiledoc(post.get('mobiledoc'));
+
+        return {
+            revision,
+            html,
+            diff: htmlDiff(html, currentHtml)
+        };
+    }
+
+    /**
+     * Replaces the post's content with the revision's content, the restore itself becomes the latest revision
+     *
+     * @param {string} postId
+     * @param {string} revisionId
+     * @param {Object} options
+     * @returns {Promise<Object>} - edited Post model
+     */
+    async restore(postId, revisionId, options) {
+        await this.getPost(postId, options);
+        const revision = await this.getRevision(postId, revisionId, options);
+
+        if (!revision.get('mobiledoc')) {
+            throw new ValidationError({
+                message: tpl(messages.revisionIsEmpty)
+            });
+        }
+
+        return this.models.Post.edit({
+            mobiledoc: revision.get('mobiledoc')
+        }, Object.assign({}, options, {id: postId}));
+    }
+}
+
+/**
+ * @returns {PostRevisionsService} instance of the PostRevisionsService
+ */
+const getPostRevisionsServiceInstance = () => {
+    const models = require('../../models');
+    const mobiledocLib = require('../../lib/mobiledoc');
+
+    return new PostRevisionsService({
+        models,
+        mobiledocLib
+    });
+};
+
+module.exports = getPostRevisionsServiceInstance;
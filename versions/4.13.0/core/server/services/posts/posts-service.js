@@ -1,8 +1,9 @@
-const {BadRequestError} = require('@tryghost/errors');
+const {BadRequestError, NotFoundError} = require('@tryghost/errors');
 const tpl = require('@tryghost/tpl');
 
 const messages = {
-    invalidEmailRecipientFilter: 'Invalid filter in email_recipient_filter param.'
+    invalidEmailRecipientFilter: 'Invalid filter in email_recipient_filter param.',
+    newsletterNotFound: 'Newsletter not found, only active newsletters can be selected in the newsletter param.'
 };
 
 class PostsService {
@@ -17,6 +18,21 @@ class PostsService {
     async editPost(frame) {
         let model;
 
+        if (frame.options.newsletter) {
+            const newsletter = await this.models.Newsletter.findOne({
+                slug: frame.options.newsletter,
+                status: 'active'
+            }, {require: false, transacting: frame.options.transacting});
+
+            if (!newsletter) {
+                throw new NotFoundError({
+                    message: tpl(messages.newsletterNotFound)
+                });
+            }
+
+            frame.options.newsletter_id = newsletter.id;
+        }
+
         if (!frame.options.email_recipient_filter && frame.options.send_email_when_published) {
             await this.models.Base.transaction(async (transacting) => {
                 const options = {
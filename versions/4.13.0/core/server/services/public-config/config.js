@@ -2,6 +2,19 @@ const {isPlainObject} = require('lodash');
 const config = require('../../../shared/config');
 const labs = require('../../../shared/labs');
 const ghostVersion = require('@tryghost/version');
+const adapterManager = require('../adapter-manager');
+
+// Admin uses `mailgunIsConfigured` to decide whether newsletters can be sent,
+// a configured non-Mailgun bulk email adapter allows sending just the same
+function isBulkEmailAdapterConfigured() {
+    const bulkEmailConfig = config.get('bulkEmail');
+
+    if (!bulkEmailConfig || !bulkEmailConfig.active || bulkEmailConfig.active === 'Mailgun') {
+        return false;
+    }
+
+    return adapterManager.getAdapter('bulk-email').isConfigured();
+}
 
 module.exports = function getConfigProperties() {
     const configProperties = {
@@ -14,7 +27,7 @@ module.exports = function getConfigProperties() {
         clientExtensions: config.get('clientExtensions') || {},
         enableDeveloperExperiments: config.get('enableDeveloperExperiments') || false,
         stripeDirect: config.get('stripeDirect'),
-        mailgunIsConfigured: config.get('bulkEmail') && config.get('bulkEmail').mailgun,
+        mailgunIsConfigured: (config.get('bulkEmail') && config.get('bulkEmail').mailgun) || isBulkEmailAdapterConfigured(),
         emailAnalytics: config.get('emailAnalytics'),
         hostSettings: config.get('hostSettings')
     };
@@ -20,6 +20,12 @@ module.exports = function getSiteProperties() {
         siteProperties.oauth = true;
     }
 
+    if (config.get('oidc') && config.get('oidc').discoveryUrl) {
+        siteProperties.oidc = {
+            name: config.get('oidc').name || 'OpenID Connect'
+        };
+    }
+
     if (config.get('client_sentry') && !config.get('client_sentry').disabled) {
         siteProperties.sentry_dsn = config.get('client_sentry').dsn;
         siteProperties.sentry_env = config.get('env');
@@ -0,0 +1,299 @@
+const _ = require('lodash');
+const Promise = require('bluebird');
+const moment = require('moment-timezone');
+const ObjectId = require('bson-objectid').default;
+const logging = require('@tryghost/logging');
+const db = require('../../data/db');
+const models = require('../../models');
+const redirectsService = require('./redirects-service');
+
+// Url changes are detected through the events of the url service
+const events = require('../../lib/common/events');
+
+const REDIRECTABLE_TYPES = ['posts', 'pages'];
+
+const internalContext = {context: {internal: true}};
+
+// SQLite max variables is 999, we have 5 per insert
+const INSERT_CHUNK_SIZE = 150;
+const WHERE_IN_CHUNK_SIZE = 500;
+
+// the last known relative url of every published post and page, keyed by resource id
+// it is persisted in `resource_urls`, url changes across restarts or routes.yaml edits get a redirect too
+const knownUrls = new Map();
+// ids which have a row in `resource_urls`
+const storedIds = new Set();
+// urls which are not written to `resource_urls` yet, keyed by resource id
+const unsavedUrls = new Map();
+
+let knownUrlsLoaded = null;
+// urls generated before the url service's resources are loaded can come from an outdated url cache (see config `urlCache`),
+// only the latest url of every resource is kept and compared once the resources are loaded
+let resourcesLoaded = false;
+const urlsWhileLoading = new Map();
+let pendingChanges = [];
+// urls of published posts and pages, automatic redirects from them would hide the resource
+let claimedUrls = new Set();
+let listening = false;
+
+/**
+ * Records a 301 from the old url to the new one
+ *
+ * - automatic redirects pointing at the old url are updated so that redirects never chain
+ * - automatic redirects from the new url are dropped, the url is in use again (e.g. a slug change got reverted)
+ *
+ * @param {{from: string, to: string, resourceId: string}} change
+ */
+async function addRedirect({from, to, resourceId}) {
+    const redirectsFromNewUrl = await models.Redirect.findAll(Object.assign({
+        filter: `source:automatic+from:'${to}'`
+    }, internalContext));
+
+    await Promise.mapSeries(redirectsFromNewUrl.models, (redirect) => {
+        return models.Redirect.destroy(Object.assign({id: redirect.id}, internalContext));
+    });
+
+    const redirectsToOldUrl = await models.Redirect.findAll(Object.assign({
+        filter: `source:automatic+to:'${from}'`
+    }, internalContext));
+
+    await Promise.mapSeries(redirectsToOldUrl.models, (redirect) => {
+        return models.Redirect.edit({to}, Object.assign({id: redirect.id}, internalContext));
+    });
+
+    const existingRedirect = await models.Redirect.findOne({from, source: 'automatic'}, internalContext);
+
+    if (existingRedirect) {
+        return models.Redirect.edit({to, resource_id: resourceId}, Object.assign({id: existingRedirect.id}, internalContext));
+    }
+
+    logging.info(`Adding redirect from "${from}" to "${to}"`);
+
+    return redirectsService.add({
+        from,
+        to,
+        match_type: 'exact',
+        permanent: true,
+        preserve_query: true,
+        source: 'automatic',
+        resource_id: resourceId
+    }, internalContext);
+}
+
+/**
+ * Drops automatic redirects from urls which are in use, e.g. a new post got the slug of a renamed one.
+ * Custom redirects run before the site routes, the redirect would hide the resource otherwise.
+ *
+ * @param {string[]} urls
+ * @returns {Promise<number>} - number of removed redirects
+ */
+async function releaseUrls(urls) {
+    let removed = 0;
+
+    for (const chunk of _.chunk(urls, WHERE_IN_CHUNK_SIZE)) {
+        const rows = await db.knex('redirects')
+            .select('id', 'from')
+            .where('source', 'automatic')
+            .whereIn('from', chunk);
+
+        await Promise.mapSeries(rows, (row) => {
+            logging.info(`Removing redirect from "${row.from}", the url is in use`);
+            return models.Redirect.destroy(Object.assign({id: row.id}, internalContext));
+        });
+
+        removed += rows.length;
+    }
+
+    return removed;
+}
+
+/**
+ * Changing a collection's permalink in routes.yaml regenerates every url at once,
+ * the redirects get written in one go and the custom redirects are reloaded once afterwards
+ */
+const flushChanges = _.debounce(async () => {
+    const changes = pendingChanges;
+    const urls = Array.from(claimedUrls);
+    pendingChanges = [];
+    claimedUrls = new Set();
+
+    try {
+        await Promise.mapSeries(changes, addRedirect);
+
+        // NOTE: after the changes, a resource can take over the old url of another one.
+        //       Urls which were left again since (e.g. a slug changed twice) keep their redirect.
+        const currentUrls = new Set(knownUrls.values());
+        const removed = await releaseUrls(urls.filter(url => currentUrls.has(url)));
+
+        if (!changes.length && !removed) {
+            return;
+        }
+
+        // NOTE: required inline, the web layer is not loaded when the url service starts generating urls
+        await require('../../web/shared/middlewares').customRedirects.reload();
+    } catch (err) {
+        logging.error(err);
+    }
+}, 1000);
+
+/**
+ * Writes the urls which changed since the last flush, a full url generation on bootstrap is written in one go
+ */
+const flushUrls = _.debounce(async () => {
+    const urls = Array.from(unsavedUrls.entries());
+    unsavedUrls.clear();
+
+    const now = moment.utc().format('YYYY-MM-DD HH:mm:ss');
+    const toInsert = urls.filter(([id]) => !storedIds.has(id));
+    const toUpdate = urls.filter(([id]) => storedIds.has(id));
+
+    toInsert.forEach(([id]) => storedIds.add(id));
+
+    try {
+        await db.knex.transaction(async (transacting) => {
+            for (const rows of _.chunk(toInsert, INSERT_CHUNK_SIZE)) {
+                await transacting('resource_urls').insert(rows.map(([id, {type, url}]) => {
+                    return {
+                        id: ObjectId().toHexString(),
+                        resource_id: id,
+                        resource_type: type,
+                        url,
+                        updated_at: now
+                    };
+                }));
+            }
+
+            for (const [id, {url}] of toUpdate) {
+                await transacting('resource_urls')
+                    .where('resource_id', id)
+                    .update({url, updated_at: now});
+            }
+        });
+    } catch (err) {
+        logging.error(err);
+        toInsert.forEach(([id]) => storedIds.delete(id));
+    }
+}, 1000);
+
+async function loadKnownUrls() {
+    try {
+        const rows = await db.knex('resource_urls').select('resource_id', 'url');
+
+        rows.forEach((row) => {
+            knownUrls.set(row.resource_id, row.url);
+            storedIds.add(row.resource_id);
+        });
+    } catch (err) {
+        // NOTE: url changes are still tracked in memory, they only get lost on restart
+        logging.error(err);
+    }
+}
+
+function trackUrl({id, type, url}) {
+    const previousUrl = knownUrls.get(id);
+
+    claimedUrls.add(url);
+    flushChanges();
+
+    if (previousUrl === url) {
+        return;
+    }
+
+    knownUrls.set(id, url);
+    unsavedUrls.set(id, {type, url});
+    flushUrls();
+
+    if (previousUrl) {
+        pendingChanges.push({
+            from: previousUrl,
+            to: url,
+            resourceId: id
+        });
+    }
+}
+
+function onUrlAdded({url, resource}) {
+    if (!REDIRECTABLE_TYPES.includes(resource.config.type)) {
+        return;
+    }
+
+    const change = {
+        id: resource.data.id,
+        type: resource.config.type,
+        url: url.relative
+    };
+
+    if (!resourcesLoaded) {
+        urlsWhileLoading.set(change.id, change);
+        return;
+    }
+
+    // NOTE: urls generated before the known urls are loaded are compared once they are
+    knownUrlsLoaded.then(() => trackUrl(change));
+}
+
+function onUrlRemoved({resource}) {
+    // CASE: e.g. a cached post was deleted or unpublished since the cache was written
+    if (!resourcesLoaded) {
+        urlsWhileLoading.delete(resource.data.id);
+    }
+}
+
+function onResourcesLoading() {
+    resourcesLoaded = false;
+}
+
+function onResourcesLoaded() {
+    const changes = Array.from(urlsWhileLoading.values());
+
+    resourcesLoaded = true;
+    urlsWhileLoading.clear();
+
+    knownUrlsLoaded.then(() => changes.forEach(trackUrl));
+}
+
+function onResourceDeleted(model) {
+    const id = model.id;
+
+    knownUrlsLoaded.then(() => {
+        knownUrls.delete(id);
+        unsavedUrls.delete(id);
+
+        if (!storedIds.has(id)) {
+            return;
+        }
+
+        storedIds.delete(id);
+
+        return db.knex('resource_urls')
+            .where('resource_id', id)
+            .del()
+            .catch((err) => {
+                logging.error(err);
+            });
+    });
+}
+
+/**
+ * Has to be called before the url service generates urls, otherwise the first change of a resource's url is missed
+ */
+function listen() {
+    if (listening) {
+        return;
+    }
+
+    knownUrlsLoaded = loadKnownUrls();
+
+    events.on('url.added', onUrlAdded);
+    events.on('url.removed', onUrlRemoved);
+    events.on('url.resources.loading', onResourcesLoading);
+    events.on('url.resources.loaded', onResourcesLoaded);
+    events.on('post.deleted', onResourceDeleted);
+    events.on('page.deleted', onResourceDeleted);
+
+    listening = true;
+}
+
+module.exports = {
+    listen
+};
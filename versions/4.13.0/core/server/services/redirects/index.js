@@ -0,0 +1,6 @@
+const redirectsService = require('./redirects-service');
+const autoRedirects = require('./auto-redirects');
+
+module.exports = Object.assign({
+    listen: autoRedirects.listen
+}, redirectsService);
@@ -0,0 +1,196 @@
+const path = require('path');
+const Promise = require('bluebird');
+const moment = require('moment-timezone');
+const errors = require('@tryghost/errors');
+const logging = require('@tryghost/logging');
+const tpl = require('@tryghost/tpl');
+const db = require('../../data/db');
+const models = require('../../models');
+const redirectsSettings = require('../../../frontend/services/redirects/settings');
+
+const messages = {
+    loadFailed: 'Could not load the redirects from the database, the redirects file is used instead.',
+    writeFailed: 'Could not write the redirects file.'
+};
+
+/**
+ * @typedef {import('../../../frontend/services/redirects/settings').RedirectConfig} RedirectConfig
+ */
+
+/**
+ * @returns {Promise<Object[]>} - all redirects in the order they have to be matched
+ */
+async function getAll() {
+    const redirects = await models.Redirect.findAll({
+        columns: ['id', 'from', 'to', 'match_type', 'permanent', 'preserve_query', 'sort_order', 'source', 'created_at']
+    });
+
+    return redirects.toJSON();
+}
+
+/**
+ * Adds a redirect, by default it gets matched after all existing redirects
+ *
+ * @param {Object} data
+ * @param {Object} options
+ * @returns {Promise<Object>} - Redirect model instance
+ */
+async function add(data, options) {
+    if (data.sort_order === undefined) {
+        const {maxSortOrder} = await db.knex('redirects').max('sort_order as maxSortOrder').first();
+
+        data = Object.assign({}, data, {
+            sort_order: maxSortOrder === null ? 0 : maxSortOrder + 1
+        });
+    }
+
+    return models.Redirect.add(data, options);
+}
+
+/**
+ * Replaces all stored redirects with the ones coming from a redirects file.
+ * Redirects files always used regex matching so that is the default for entries that don't define a match type.
+ *
+ * @param {RedirectConfig[]} redirects
+ * @param {Object} options
+ * @returns {Promise<void>}
+ */
+function importRedirects(redirects, options) {
+    return models.Base.transaction(async (transacting) => {
+        await transacting('redirects').del();
+
+        await Promise.mapSeries(redirects, (redirect, index) => {
+            return models.Redirect.add({
+                from: redirect.from,
+                to: redirect.to,
+                match_type: redirect.match_type || 'regex',
+                permanent: !!redirect.permanent,
+                preserve_query: redirect.preserve_query !== false,
+                source: redirect.source || 'manual',
+                sort_order: index
+            }, Object.assign({}, options, {transacting}));
+        });
+    });
+}
+
+/**
+ * @returns {Promise<RedirectConfig[]>} - all redirects in the redirects file format
+ */
+async function exportRedirects() {
+    const redirects = await getAll();
+
+    return redirects.map((redirect) => {
+        return {
+            from: redirect.from,
+            to: redirect.to,
+            permanent: redirect.permanent,
+            match_type: redirect.match_type,
+            preserve_query: redirect.preserve_query,
+            source: redirect.source
+        };
+    });
+}
+
+/**
+ * Redirects are downloaded and mirrored in the format of the last uploaded file, JSON by default
+ *
+ * @returns {Promise<string>} - `.json` or `.yaml`
+ */
+async function getFileFormat() {
+    const filePath = await redirectsSettings.getRedirectsFilePath();
+
+    return filePath ? path.extname(filePath) : '.json';
+}
+
+/**
+ * @returns {Promise<RedirectConfig[]|string>} - parsed redirects for JSON, the file content for YAML
+ */
+async function exportRedirectsFile() {
+    const redirects = await exportRedirects();
+    const ext = await getFileFormat();
+
+    if (ext === '.json') {
+        return redirects;
+    }
+
+    return redirectsSettings.serializeRedirects(redirects, ext);
+}
+
+/**
+ * Mirrors the stored redirects into the redirects file, it's read when the database can't be reached
+ *
+ * @param {string} [ext] - format of the file, defaults to the format of the existing file
+ * @returns {Promise<void>}
+ */
+async function writeRedirectsFile(ext) {
+    const redirects = await exportRedirects();
+
+    await redirectsSettings.writeRedirectsFile(redirects, ext || await getFileFormat());
+}
+
+/**
+ * Loads the redirects the site serves. If the database fails, the redirects file is used so that
+ * redirects don't silently disappear.
+ *
+ * @returns {Promise<Object[]>}
+ */
+async function getAllForRouting() {
+    let redirects;
+
+    try {
+        redirects = await getAll();
+    } catch (err) {
+        logging.error(new errors.InternalServerError({
+            message: tpl(messages.loadFailed),
+            err
+        }));
+
+        return redirectsSettings.loadRedirectsFile().map((redirect) => {
+            return {
+                from: redirect.from,
+                to: redirect.to,
+                match_type: redirect.match_type || 'regex',
+                permanent: !!redirect.permanent,
+                preserve_query: redirect.preserve_query !== false
+            };
+        });
+    }
+
+    writeRedirectsFile().catch((err) => {
+        logging.error(new errors.InternalServerError({
+            message: tpl(messages.writeFailed),
+            err
+        }));
+    });
+
+    return redirects;
+}
+
+/**
+ * Counts a hit without going through the model layer, redirects are on the hot path of every frontend request
+ *
+ * @param {string} id
+ */
+function recordHit(id) {
+    return db.knex('redirects')
+        .where('id', id)
+        .update({
+            hits: db.knex.raw('hits + 1'),
+            last_hit_at: moment.utc().format('YYYY-MM-DD HH:mm:ss')
+        })
+        .catch((err) => {
+            logging.error(err);
+        });
+}
+
+module.exports = {
+    getAll,
+    add,
+    importRedirects,
+    exportRedirects,
+    getFileFormat,
+    exportRedirectsFile,
+    writeRedirectsFile,
+    getAllForRouting,
+    recordHit
+};
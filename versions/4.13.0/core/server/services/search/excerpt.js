@@ -0,0 +1,76 @@
+const _ = require('lodash');
+
+const EXCERPT_LENGTH = 200;
+
+/**
+ * Cuts a window around the first matching term out of the text
+ * and wraps every match in `<mark>`, the rest of the text is html escaped
+ *
+ * @param {string} text - plain text
+ * @param {string[]} terms - lowercased search terms
+ * @param {number} [length]
+ * @returns {string} - html
+ */
+function highlight(text, terms, length = EXCERPT_LENGTH) {
+    if (!text) {
+        return '';
+    }
+
+    text = text.replace(/\s+/g, ' ').trim();
+
+    const lowerText = text.toLowerCase();
+    const positions = terms.map(term => lowerText.indexOf(term)).filter(position => position !== -1);
+
+    let start = 0;
+
+    if (positions.length) {
+        const firstMatch = Math.min(...positions);
+
+        // keep some context in front of the match, starting at a word boundary
+        start = Math.max(0, firstMatch - Math.floor(length / 4));
+
+        if (start > 0) {
+            const wordStart = text.indexOf(' ', start);
+            start = wordStart !== -1 && wordStart < firstMatch ? wordStart + 1 : start;
+        }
+    }
+
+    let snippet = text.substr(start, length);
+
+    if (start + length < text.length) {
+        const wordEnd = snippet.lastIndexOf(' ');
+        snippet = `${wordEnd > 0 ? snippet.substr(0, wordEnd) : snippet}…`;
+    }
+
+    if (start > 0) {
+        snippet = `…${snippet}`;
+    }
+
+    if (!terms.length) {
+        return _.escape(snippet);
+    }
+
+    // the capturing group makes every odd part of the split a match
+    const pattern = new RegExp(`(${terms.map(_.escapeRegExp).join('|')})`, 'gi');
+
+    return snippet
+        .split(pattern)
+        .map((part, index) => (index % 2 === 1 ? `<mark>${_.escape(part)}</mark>` : _.escape(part)))
+        .join('');
+}
+
+/**
+ * @param {string} text
+ * @param {string[]} terms - lowercased search terms
+ * @returns {boolean}
+ */
+function containsAnyTerm(text, terms) {
+    const lowerText = (text || '').toLowerCase();
+
+    return terms.some(term => lowerText.includes(term));
+}
+
+module.exports = {
+    highlight,
+    containsAnyTerm
+};
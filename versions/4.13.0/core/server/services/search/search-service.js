@@ -0,0 +1,201 @@
+const _ = require('lodash');
+const logging = require('@tryghost/logging');
+const db = require('../../data/db');
+const urlUtils = require('../../../shared/url-utils');
+const urlService = require('../../../frontend/services/url');
+const adapterManager = require('../adapter-manager');
+const {checkPostAccess} = require('../members/content-gating');
+const {highlight, containsAnyTerm} = require('./excerpt');
+
+// Search adapters keeping their own index are kept up to date through model events
+const events = require('../../lib/common/events');
+
+const TYPES = ['posts', 'pages', 'tags', 'authors'];
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+const ACTIVE_USER_STATES = ['active', 'warn-1', 'warn-2', 'warn-3', 'warn-4'];
+
+// posts whose content is gated only match on their title and excerpt, ask the adapter for extra hits to fill the gaps
+const CANDIDATE_FACTOR = 3;
+
+const getAdapter = () => adapterManager.getAdapter('search');
+
+const absoluteImage = image => (image ? urlUtils.transformReadyToAbsolute(image) : null);
+
+const loaders = {
+    posts(ids) {
+        return db.knex('posts')
+            .select('id', 'uuid', 'type', 'title', 'slug', 'custom_excerpt', 'plaintext', 'visibility', 'feature_image', 'published_at')
+            .whereIn('id', ids)
+            .where('status', 'published');
+    },
+
+    tags(ids) {
+        return db.knex('tags')
+            .select('id', 'name', 'slug', 'description', 'feature_image')
+            .whereIn('id', ids)
+            .where('visibility', 'public');
+    },
+
+    authors(ids) {
+        return db.knex('users')
+            .select('id', 'name', 'slug', 'bio', 'profile_image')
+            .whereIn('id', ids)
+            .whereIn('status', ACTIVE_USER_STATES);
+    }
+};
+
+const serializers = {
+    posts(row, terms, member) {
+        const access = checkPostAccess(row, member);
+        const text = access ? [row.custom_excerpt, row.plaintext] : [row.custom_excerpt];
+
+        // CASE: the member can't read the post, it must not be found through its content
+        if (!access && !containsAnyTerm(`${row.title} ${row.custom_excerpt || ''}`, terms)) {
+            return null;
+        }
+
+        return {
+            type: row.type,
+            id: row.id,
+            uuid: row.uuid,
+            title: row.title,
+            slug: row.slug,
+            highlight: highlight(text.find(value => containsAnyTerm(value, terms)) || row.custom_excerpt || (access ? row.plaintext : ''), terms),
+            image: absoluteImage(row.feature_image),
+            published_at: row.published_at,
+            access
+        };
+    },
+
+    tags(row, terms) {
+        return {
+            type: 'tag',
+            id: row.id,
+            title: row.name,
+            slug: row.slug,
+            highlight: highlight(row.description, terms),
+            image: absoluteImage(row.feature_image)
+        };
+    },
+
+    authors(row, terms) {
+        return {
+            type: 'author',
+            id: row.id,
+            title: row.name,
+            slug: row.slug,
+            highlight: highlight(row.bio, terms),
+            image: absoluteImage(row.profile_image)
+        };
+    }
+};
+
+/**
+ * @param {string} query
+ * @param {Object} options
+ * @param {string} [options.types] - comma separated list of posts, pages, tags and authors, defaults to all
+ * @param {string|number} [options.limit] - defaults to 10, at most 50
+ * @param {Object} [options.member] - member the results are gated for
+ * @returns {Promise<Object[]>} - ranked results with highlighted excerpts
+ */
+async function search(query, options) {
+    const types = options.types ? options.types.toLowerCase().split(',').map(type => type.trim()).filter(Boolean) : TYPES;
+    const limit = Math.min(options.limit === 'all' ? MAX_LIMIT : (parseInt(options.limit, 10) || DEFAULT_LIMIT), MAX_LIMIT);
+    const member = options.member || null;
+    const adapter = getAdapter();
+    const terms = adapter.getTerms(query);
+
+    if (!terms.length) {
+        return [];
+    }
+
+    const hits = await adapter.search(query, {
+        types,
+        limit: limit * CANDIDATE_FACTOR
+    });
+
+    // posts and pages share a table
+    const hitsByTable = _.groupBy(hits, hit => (hit.type === 'pages' ? 'posts' : hit.type));
+    const rows = {};
+
+    await Promise.all(Object.keys(hitsByTable).map(async (table) => {
+        const tableRows = await loaders[table](hitsByTable[table].map(hit => hit.id));
+        tableRows.forEach((row) => {
+            rows[row.id] = row;
+        });
+    }));
+
+    const results = [];
+
+    for (const hit of hits) {
+        const row = rows[hit.id];
+        const url = row && urlService.getUrlByResourceId(hit.id, {absolute: true});
+
+        // CASE: the index can be behind, only return resources that are still public
+        if (!row || url.endsWith('/404/')) {
+            continue;
+        }
+
+        const result = serializers[hit.type === 'pages' ? 'posts' : hit.type](row, terms, member);
+
+        if (result) {
+            results.push(Object.assign(result, {url, score: hit.score}));
+        }
+
+        if (results.length === limit) {
+            break;
+        }
+    }
+
+    return results;
+}
+
+const indexEvents = {
+    'post.published': 'posts',
+    'post.published.edited': 'posts',
+    'page.published': 'pages',
+    'page.published.edited': 'pages',
+    'tag.added': 'tags',
+    'tag.edited': 'tags',
+    'user.activated': 'authors',
+    'user.activated.edited': 'authors'
+};
+
+const removeEvents = {
+    'post.unpublished': 'posts',
+    'post.deleted': 'posts',
+    'page.unpublished': 'pages',
+    'page.deleted': 'pages',
+    'tag.deleted': 'tags',
+    'user.deactivated': 'authors',
+    'user.deleted': 'authors'
+};
+
+let listening = false;
+
+function listen() {
+    if (listening) {
+        return;
+    }
+
+    _.each(indexEvents, (type, event) => {
+        events.on(event, (model) => {
+            getAdapter().indexResource(type, model.toJSON()).catch(logging.error);
+        });
+    });
+
+    _.each(removeEvents, (type, event) => {
+        events.on(event, (model) => {
+            getAdapter().removeResource(type, model.id).catch(logging.error);
+        });
+    });
+
+    listening = true;
+}
+
+module.exports = {
+    TYPES,
+    search,
+    listen
+};
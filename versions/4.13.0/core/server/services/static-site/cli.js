@@ -0,0 +1,61 @@
+const Promise = require('bluebird');
+
+// urls are generated in the background after boot
+const URL_SERVICE_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * @param {string[]} args - e.g. ['--output', 'docs', '--base-url', 'https://example.github.io/blog/', '--full']
+ * @returns {Object} - options for the static site generator
+ */
+function parseArgs(args) {
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--output') {
+            options.outputPath = args[i += 1];
+        } else if (args[i] === '--base-url') {
+            options.baseUrl = args[i += 1];
+        } else if (args[i] === '--full') {
+            options.full = true;
+        }
+    }
+
+    return options;
+}
+
+async function waitForUrlService(urlService) {
+    const startTime = Date.now();
+
+    while (!urlService.hasFinished() && Date.now() - startTime < URL_SERVICE_TIMEOUT) {
+        await Promise.delay(1000);
+    }
+}
+
+/**
+ * `node ghost static [--output <dir>] [--base-url <url>] [--full]`
+ * Boots Ghost, writes the static site and shuts down again
+ *
+ * @param {string[]} args
+ */
+module.exports = async function buildStaticSite(args) {
+    const options = parseArgs(args);
+    const ghostServer = await require('../../../boot')();
+
+    // CASE: boot failed, Ghost is already shutting down
+    if (!ghostServer) {
+        return;
+    }
+
+    const logging = require('@tryghost/logging');
+    const urlService = require('../../../frontend/services/url');
+    const generator = require('./static-site-generator');
+
+    try {
+        await waitForUrlService(urlService);
+        await generator.build(options);
+        await ghostServer.shutdown(0);
+    } catch (err) {
+        logging.error(err);
+        await ghostServer.shutdown(1);
+    }
+};
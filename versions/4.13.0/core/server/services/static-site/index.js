@@ -0,0 +1,6 @@
+const generator = require('./static-site-generator');
+const rebuildOnPublish = require('./rebuild-on-publish');
+
+module.exports = Object.assign({}, generator, {
+    listen: rebuildOnPublish.listen
+});
@@ -0,0 +1,61 @@
+const logging = require('@tryghost/logging');
+const config = require('../../../shared/config');
+const events = require('../../lib/common/events');
+const generator = require('./static-site-generator');
+
+// publishing often comes in bursts (e.g. scheduled posts), changes within this window are built together
+const REBUILD_DELAY = 10 * 1000;
+
+let timeout = null;
+let building = null;
+let pending = false;
+
+function rebuild() {
+    timeout = null;
+
+    if (building) {
+        // CASE: changes came in during a build, build again once it's done
+        pending = true;
+        return;
+    }
+
+    building = generator.build()
+        .catch((err) => {
+            logging.error(err);
+        })
+        .finally(() => {
+            building = null;
+
+            if (pending) {
+                pending = false;
+                rebuild();
+            }
+        });
+}
+
+function listener(model, options) {
+    // CASE: don't rebuild for every post of an import
+    if (options && options.importing) {
+        return;
+    }
+
+    clearTimeout(timeout);
+    timeout = setTimeout(rebuild, REBUILD_DELAY);
+}
+
+function listen() {
+    if (!config.get('staticSite:rebuildOnPublish')) {
+        return;
+    }
+
+    events.on('post.published', listener);
+    events.on('post.published.edited', listener);
+    events.on('post.unpublished', listener);
+    events.on('page.published', listener);
+    events.on('page.published.edited', listener);
+    events.on('page.unpublished', listener);
+}
+
+module.exports = {
+    listen
+};
@@ -0,0 +1,423 @@
+const _ = require('lodash');
+const path = require('path');
+const crypto = require('crypto');
+const {URL} = require('url');
+const fs = require('fs-extra');
+const got = require('got');
+const cheerio = require('cheerio');
+const logging = require('@tryghost/logging');
+const errors = require('@tryghost/errors');
+const tpl = require('@tryghost/tpl');
+const ghostVersion = require('@tryghost/version');
+const config = require('../../../shared/config');
+const urlUtils = require('../../../shared/url-utils');
+const settingsCache = require('../../../shared/settings-cache');
+const urlService = require('../../../frontend/services/url');
+const frontendSettings = require('../../../frontend/services/settings');
+
+const messages = {
+    urlServiceNotReady: 'The static site can\'t be built before all urls have been generated.',
+    outsideOfOutputPath: 'Skipped {url}, it would be written outside of the output directory.',
+    malformedUrl: 'Skipped {url}, it is not a valid url.',
+    requestFailed: 'Could not fetch {url} for the static site, the server responded with {statusCode}.'
+};
+
+// keeps track of what was written so rebuilds can skip unchanged resources and remove stale files
+const MANIFEST_FILE = '.ghost-static.json';
+
+// these only work against a running Ghost
+const EXCLUDED_PATHS = /^\/(ghost|members|p|email|unsubscribe|webmentions|\.ghost)(\/|$)/;
+
+// uploads never change once they're written
+const IMMUTABLE_PATHS = /^\/content\/(images|media|files)\//;
+
+// tag and author archives list posts, they change without the tag or author being updated
+const INCREMENTAL_RESOURCE_TYPES = ['posts', 'pages'];
+
+const TEXT_CONTENT_TYPES = /^text\/|^application\/(json|ld\+json|javascript|xml|rss\+xml|atom\+xml)|\+xml/;
+
+/**
+ * @returns {Object}
+ */
+function getConfig() {
+    const staticSiteConfig = config.get('staticSite');
+    const siteUrl = urlUtils.urlFor('home', true);
+
+    return {
+        outputPath: staticSiteConfig.outputPath || path.join(config.get('paths:contentPath'), 'static'),
+        baseUrl: urlUtils.urlJoin(staticSiteConfig.baseUrl || siteUrl, '/'),
+        membersUrl: staticSiteConfig.membersUrl || siteUrl,
+        extraUrls: staticSiteConfig.extraUrls || []
+    };
+}
+
+/**
+ * Pages are rendered by the running Ghost server, bypassing any proxy in front of it
+ *
+ * @param {string} urlPath - includes the subdirectory
+ * @returns {Promise<Object>} - the response
+ */
+function fetchUrl(urlPath) {
+    const siteUrl = new URL(urlUtils.getSiteUrl());
+    const {host, port} = config.get('server');
+    const localHost = ['0.0.0.0', '::'].includes(host) ? '127.0.0.1' : host;
+
+    return got(`http://${localHost}:${port}${urlPath}`, {
+        headers: {
+            host: siteUrl.host,
+            'x-forwarded-proto': siteUrl.protocol.replace(':', ''),
+            'user-agent': `Ghost/${ghostVersion.original} static site generator`
+        },
+        encoding: null,
+        followRedirect: false,
+        throwHttpErrors: false,
+        timeout: 60 * 1000
+    });
+}
+
+/**
+ * @param {string} link - absolute or relative to the page it was found on
+ * @param {string} pageUrl - absolute
+ * @returns {string|null} - path of a url on this site which can be part of the static site
+ */
+function toSitePath(link, pageUrl) {
+    const siteUrl = new URL(urlUtils.urlFor('home', true));
+    let url;
+
+    try {
+        url = new URL(link.trim(), pageUrl);
+    } catch (err) {
+        return null;
+    }
+
+    if (url.origin !== siteUrl.origin || !url.pathname.startsWith(siteUrl.pathname)) {
+        return null;
+    }
+
+    const sitePath = `/${url.pathname.slice(siteUrl.pathname.length)}`;
+
+    return EXCLUDED_PATHS.test(sitePath) ? null : sitePath;
+}
+
+/**
+ * @param {string} body
+ * @param {string} contentType
+ * @returns {string[]} - every link in the document, these are filtered by toSitePath
+ */
+function extractLinks(body, contentType) {
+    const links = [];
+    let match;
+
+    const collect = (regex) => {
+        while ((match = regex.exec(body)) !== null) {
+            links.push(match[1]);
+        }
+    };
+
+    if (contentType.includes('html')) {
+        const $ = cheerio.load(body, {decodeEntities: false});
+
+        $('[href], [src], [poster]').each((i, el) => {
+            ['href', 'src', 'poster'].forEach(attr => $(el).attr(attr) && links.push($(el).attr(attr)));
+        });
+
+        $('[srcset]').each((i, el) => {
+            $(el).attr('srcset').split(',').forEach(candidate => links.push(candidate.trim().split(/\s+/)[0]));
+        });
+
+        // og/twitter images
+        $('meta[content^="http"]').each((i, el) => {
+            links.push($(el).attr('content'));
+        });
+    }
+
+    if (contentType.includes('xml')) {
+        collect(/<(?:loc|image:loc|link|url)>(?:<!\[CDATA\[)?\s*([^<\]\s]+)/g);
+        collect(/href=["']([^"']+)["']/g);
+    }
+
+    if (contentType.includes('css')) {
+        collect(/url\(\s*["']?([^"')]+)["']?\s*\)/g);
+    }
+
+    return links;
+}
+
+/**
+ * Points absolute urls to where the static site is deployed. Root relative urls (e.g. theme assets) are changed too
+ * when the static site is served from a different path than Ghost.
+ *
+ * @param {string} body
+ * @param {string} baseUrl
+ * @returns {string}
+ */
+function rewriteUrls(body, baseUrl) {
+    const siteUrl = urlUtils.urlFor('home', true).replace(/\/$/, '');
+    const targetUrl = baseUrl.replace(/\/$/, '');
+    const escape = url => url.replace(/\//g, '\\/');
+    const sitePath = new URL(urlUtils.urlFor('home', true)).pathname;
+    const targetPath = new URL(baseUrl).pathname;
+
+    body = body
+        .split(siteUrl).join(targetUrl)
+        .split(escape(siteUrl)).join(escape(targetUrl));
+
+    if (sitePath === targetPath) {
+        return body;
+    }
+
+    const rootRelative = new RegExp(`^${_.escapeRegExp(sitePath)}(?!/)`);
+    const rewritePath = url => url.replace(rootRelative, targetPath);
+
+    return body
+        .replace(/((?:href|src|action|poster)=["'])([^"']*)/g, (match, attr, url) => attr + rewritePath(url))
+        .replace(/(srcset=["'])([^"']*)/g, (match, attr, srcset) => {
+            return attr + srcset.split(',').map(candidate => candidate.replace(/^(\s*)(\S+)/, (m, space, url) => space + rewritePath(url))).join(',');
+        })
+        .replace(/(url\(\s*["']?)([^"')]*)/g, (match, prefix, url) => prefix + rewritePath(url));
+}
+
+/**
+ * Members features need a running Ghost. Portal links go to the live site, forms which can't be submitted are hidden.
+ *
+ * @param {string} html
+ * @param {string} membersUrl
+ * @returns {string}
+ */
+function degradeMembersFeatures(html, membersUrl) {
+    const $ = cheerio.load(html, {decodeEntities: false});
+
+    $('script[src*="/portal"], script[src*="js.stripe.com"]').remove();
+
+    $('a[href^="#/portal"]').each((i, el) => {
+        $(el).attr('href', `${membersUrl.replace(/\/$/, '')}/${$(el).attr('href')}`);
+        $(el).removeAttr('data-portal');
+    });
+
+    $('[data-portal]').removeAttr('data-portal');
+    $('form[data-members-form]').attr('hidden', 'hidden');
+
+    return $.html();
+}
+
+/**
+ * @param {string} sitePath
+ * @returns {string|null} - path of the file relative to the output directory, null if the url can't be decoded
+ */
+function getFilePath(sitePath) {
+    let filePath;
+
+    try {
+        filePath = decodeURIComponent(sitePath);
+    } catch (err) {
+        // CASE: malformed escape sequences, e.g. `/%E0%A4%A/`
+        return null;
+    }
+
+    if (filePath.endsWith('/')) {
+        filePath += 'index.html';
+    }
+
+    return filePath.replace(/^\//, '');
+}
+
+/**
+ * Changes to the theme, settings or routes can change every page, incremental builds are only done when
+ * none of these changed since the last build
+ *
+ * @param {string} baseUrl
+ * @returns {Promise<string>}
+ */
+async function getFingerprint(baseUrl) {
+    const routesHash = await frontendSettings.getCurrentHash('routes');
+
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([ghostVersion.full, baseUrl, routesHash, settingsCache.get('active_theme'), settingsCache.getPublic()]))
+        .digest('hex');
+}
+
+/**
+ * Urls to start from, everything else is found by following links
+ * These are relative to the site, without the subdirectory
+ *
+ * @param {string[]} extraUrls
+ * @returns {string[]}
+ */
+function getSeedPaths(extraUrls) {
+    const routes = frontendSettings.get('routes');
+    const routePaths = Object.keys(routes.routes || {})
+        .concat(Object.keys(routes.collections || {}))
+        .filter(routePath => !routePath.includes('{'));
+
+    return ['/', '/sitemap.xml', '/robots.txt', '/rss/']
+        .concat(routePaths)
+        .concat(urlService.getAllUrls().map(({url}) => url))
+        .concat(extraUrls);
+}
+
+/**
+ * @param {string} outputPath
+ * @returns {Promise<Object>}
+ */
+async function readManifest(outputPath) {
+    try {
+        return await fs.readJson(path.join(outputPath, MANIFEST_FILE));
+    } catch (err) {
+        return {fingerprint: null, pages: {}};
+    }
+}
+
+/**
+ * Renders every url the UrlService knows, the homepage, collections, custom routes, sitemaps, feeds
+ * and everything linked from them (pagination, assets, sized images) into a directory which can be served statically.
+ *
+ * Rebuilds are incremental: posts and pages which weren't updated and uploaded files aren't fetched again
+ * unless the theme, settings or routes changed. Archives (home, collections, tags, authors) are always rendered again. Files are only written when their content changed and files for
+ * urls which disappeared are removed.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.outputPath]
+ * @param {string} [options.baseUrl] - where the static site is served from
+ * @param {boolean} [options.full] - render everything again
+ * @returns {Promise<Object>} - report
+ */
+async function build(options = {}) {
+    if (!urlService.hasFinished()) {
+        throw new errors.InternalServerError({
+            message: tpl(messages.urlServiceNotReady)
+        });
+    }
+
+    const staticSiteConfig = Object.assign(getConfig(), options.outputPath ? {outputPath: path.resolve(options.outputPath)} : {});
+    const {outputPath, membersUrl} = staticSiteConfig;
+    const baseUrl = options.baseUrl ? urlUtils.urlJoin(options.baseUrl, '/') : staticSiteConfig.baseUrl;
+    const siteUrl = urlUtils.urlFor('home', true);
+    const subdir = urlUtils.getSubdir();
+
+    const previous = await readManifest(outputPath);
+    const fingerprint = await getFingerprint(baseUrl);
+    const incremental = !options.full && previous.fingerprint === fingerprint;
+    const resourceUpdates = new Map(urlService.getAllUrls()
+        .filter(({resource}) => INCREMENTAL_RESOURCE_TYPES.includes(resource.config.type))
+        .map(({url, resource}) => [url, resource.data.updated_at]));
+
+    const pages = {};
+    const report = {output_path: outputPath, base_url: baseUrl, incremental, written: 0, unchanged: 0, skipped: 0, removed: 0, failed: []};
+    const queue = getSeedPaths(staticSiteConfig.extraUrls)
+        .map(seedPath => toSitePath(urlUtils.urlJoin(siteUrl, seedPath), siteUrl))
+        .filter(Boolean);
+    const seen = new Set();
+
+    const enqueue = (links, pageUrl) => {
+        links.forEach((link) => {
+            const sitePath = toSitePath(link, pageUrl);
+
+            if (sitePath && !seen.has(sitePath)) {
+                queue.push(sitePath);
+            }
+        });
+    };
+
+    while (queue.length) {
+        const sitePath = queue.shift();
+
+        if (seen.has(sitePath)) {
+            continue;
+        }
+
+        seen.add(sitePath);
+
+        const fileName = getFilePath(sitePath);
+
+        if (fileName === null) {
+            logging.warn(tpl(messages.malformedUrl, {url: sitePath}));
+            continue;
+        }
+
+        const pageUrl = urlUtils.urlJoin(siteUrl, sitePath);
+        const filePath = path.join(outputPath, fileName);
+        const previousPage = previous.pages[sitePath];
+        const updatedAt = resourceUpdates.has(sitePath) ? String(resourceUpdates.get(sitePath)) : null;
+
+        if (!filePath.startsWith(outputPath + path.sep)) {
+            logging.warn(tpl(messages.outsideOfOutputPath, {url: sitePath}));
+            continue;
+        }
+
+        const isUnchanged = incremental && previousPage && (IMMUTABLE_PATHS.test(sitePath) || (updatedAt && previousPage.updated_at === updatedAt));
+
+        if (isUnchanged && await fs.pathExists(filePath)) {
+            pages[sitePath] = previousPage;
+            enqueue(previousPage.links, pageUrl);
+            report.skipped += 1;
+            continue;
+        }
+
+        const response = await fetchUrl(`${subdir}${sitePath}`);
+
+        if ([301, 302, 307, 308].includes(response.statusCode) && response.headers.location) {
+            // e.g. missing trailing slashes
+            enqueue([response.headers.location], pageUrl);
+            continue;
+        }
+
+        if (response.statusCode !== 200) {
+            logging.warn(tpl(messages.requestFailed, {url: sitePath, statusCode: response.statusCode}));
+            report.failed.push({url: sitePath, status_code: response.statusCode});
+            continue;
+        }
+
+        const contentType = response.headers['content-type'] || '';
+        let body = response.body;
+        let links = [];
+
+        if (TEXT_CONTENT_TYPES.test(contentType)) {
+            const text = body.toString('utf8');
+            let rewritten = rewriteUrls(text, baseUrl);
+
+            if (contentType.includes('html')) {
+                rewritten = degradeMembersFeatures(rewritten, membersUrl);
+            }
+
+            links = [...new Set(extractLinks(text, contentType))];
+            body = Buffer.from(rewritten, 'utf8');
+        }
+
+        const hash = crypto.createHash('sha256').update(body).digest('hex');
+
+        if (previousPage && previousPage.hash === hash && await fs.pathExists(filePath)) {
+            report.unchanged += 1;
+        } else {
+            await fs.outputFile(filePath, body);
+            report.written += 1;
+        }
+
+        pages[sitePath] = {updated_at: updatedAt, hash, links};
+        enqueue(links, pageUrl);
+    }
+
+    for (const sitePath of Object.keys(previous.pages)) {
+        const fileName = getFilePath(sitePath);
+
+        if (!pages[sitePath] && fileName !== null) {
+            await fs.remove(path.join(outputPath, fileName));
+            report.removed += 1;
+        }
+    }
+
+    await fs.outputJson(path.join(outputPath, MANIFEST_FILE), {fingerprint, pages});
+
+    logging.info(`Static site written to ${outputPath}: ${report.written} written, ${report.unchanged} unchanged, ${report.skipped} skipped, ${report.removed} removed, ${report.failed.length} failed`);
+
+    return report;
+}
+
+module.exports = {
+    getConfig,
+    toSitePath,
+    extractLinks,
+    rewriteUrls,
+    degradeMembersFeatures,
+    getFilePath,
+    build
+};
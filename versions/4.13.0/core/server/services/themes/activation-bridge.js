@@ -1,5 +1,6 @@
 const debug = require('@tryghost/debug')('themes');
 const bridge = require('../../../bridge');
+const report = require('./report');
 
 /**
  * These helper methods mean that the bridge is only required in one place
@@ -9,13 +10,16 @@ module.exports = {
     activateFromBoot: (themeName, theme, checkedTheme) => {
         debug('Activating theme (method A on boot)', themeName);
         bridge.activateTheme(theme, checkedTheme);
+        report.setActive(themeName, checkedTheme);
     },
     activateFromAPI: (themeName, theme, checkedTheme) => {
         debug('Activating theme (method B on API "activate")', themeName);
         bridge.activateTheme(theme, checkedTheme);
+        report.setActive(themeName, checkedTheme);
     },
     activateFromAPIOverride: (themeName, theme, checkedTheme) => {
         debug('Activating theme (method C on API "override")', themeName);
         bridge.activateTheme(theme, checkedTheme);
+        report.setActive(themeName, checkedTheme);
     }
 };
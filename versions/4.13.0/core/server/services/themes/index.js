@@ -2,6 +2,8 @@ const activate = require('./activate');
 const themeLoader = require('./loader');
 const storage = require('./storage');
 const getJSON = require('./to-json');
+const validate = require('./validate');
+const report = require('./report');
 
 const settingsCache = require('../../../shared/settings-cache');
 
@@ -26,6 +28,8 @@ module.exports = {
         activate: activate.activate,
         getZip: storage.getZip,
         setFromZip: storage.setFromZip,
-        destroy: storage.destroy
+        destroy: storage.destroy,
+        validateZip: validate.getZipReport,
+        getActiveReport: report.getActive
     }
 };
@@ -0,0 +1,84 @@
+const _ = require('lodash');
+const ghostVersion = require('@tryghost/version');
+
+// gscan codes of rules which flag helpers and properties that are deprecated in the checked version
+const DEPRECATION_CODE = /-DEPR-/;
+
+// full reports of checked themes, kept alongside the (possibly filtered) gscan result used for activation
+const reports = new WeakMap();
+let activeThemeReport = null;
+
+/**
+ * Formats a raw gscan result into a report which always contains warnings and recommendations.
+ * The results used to activate a theme only contain fatal errors in production, see validate.check.
+ *
+ * @param {Object} gscan
+ * @param {Object} rawTheme - unformatted gscan result, it is not modified
+ * @param {string} checkVersion
+ * @returns {Object}
+ */
+const create = function create(gscan, rawTheme, checkVersion) {
+    const formatted = gscan.format(_.cloneDeep(rawTheme), {
+        onlyFatalErrors: false,
+        checkVersion
+    });
+    const {error, warning, recommendation, score, hasFatalErrors} = formatted.results;
+
+    return {
+        name: formatted.name,
+        version: formatted.version || null,
+        checked_version: formatted.checkedVersion,
+        ghost_version: ghostVersion.full,
+        gscan_version: require('gscan/package.json').version,
+        checked_at: new Date().toISOString(),
+        has_fatal_errors: hasFatalErrors,
+        score,
+        errors: error,
+        warnings: warning,
+        recommendations: recommendation,
+        deprecations: error.concat(warning).filter(result => DEPRECATION_CODE.test(result.code))
+    };
+};
+
+/**
+ * @param {Object} checkedTheme - result of validate.check
+ * @param {Object} report
+ */
+const set = function set(checkedTheme, report) {
+    reports.set(checkedTheme, report);
+};
+
+/**
+ * @param {Object} checkedTheme - result of validate.check
+ * @returns {Object|null}
+ */
+const get = function get(checkedTheme) {
+    return (checkedTheme && reports.get(checkedTheme)) || null;
+};
+
+/**
+ * Remembers the report of the theme which was just activated
+ *
+ * @param {string} themeName
+ * @param {Object} checkedTheme - result of validate.check
+ */
+const setActive = function setActive(themeName, checkedTheme) {
+    const report = get(checkedTheme);
+
+    activeThemeReport = report && Object.assign({}, report, {name: themeName});
+};
+
+/**
+ * @returns {Object|null} - report of the last check of the active theme
+ */
+const getActive = function getActive() {
+    return activeThemeReport;
+};
+
+module.exports = {
+    create,
+    set,
+    get,
+    setActive,
+    getActive
+};
@@ -4,6 +4,7 @@ const fs = require('fs-extra');
 const config = require('../../../shared/config');
 const tpl = require('@tryghost/tpl');
 const errors = require('@tryghost/errors');
+const report = require('./report');
 
 const messages = {
     themeHasErrors: 'Theme "{theme}" is not compatible or contains errors.',
@@ -36,11 +37,16 @@ const check = async function check(theme, isZip) {
         });
     }
 
+    // NOTE: format modifies the gscan result, the full report has to be created first
+    const fullReport = report.create(gscan, checkedTheme, 'canary');
+
     checkedTheme = gscan.format(checkedTheme, {
         onlyFatalErrors: config.get('env') === 'production',
         checkVersion: 'canary'
     });
 
+    report.set(checkedTheme, fullReport);
+
     debug('End: Check');
     return checkedTheme;
 };
@@ -65,6 +71,24 @@ const checkSafe = async function checkSafe(themeName, theme, isZip) {
     throw getThemeValidationError('themeHasErrors', themeName, checkedTheme);
 };
 
+/**
+ * Checks a theme zip without installing it. The extracted files are removed again.
+ *
+ * @param {Object} zip
+ * @param {string} zip.path
+ * @param {string} zip.name
+ * @returns {Promise<Object>} - full gscan report, including warnings in production
+ */
+const getZipReport = async function getZipReport(zip) {
+    const checkedTheme = await check(zip, true);
+
+    try {
+        return report.get(checkedTheme);
+    } finally {
+        await fs.remove(checkedTheme.path);
+    }
+};
+
 const getThemeValidationError = (message, themeName, checkedTheme) => {
     return new errors.ThemeValidationError({
         message: tpl(messages[message], {theme: themeName}),
@@ -78,5 +102,6 @@ const getThemeValidationError = (message, themeName, checkedTheme) => {
 
 module.exports.check = check;
 module.exports.checkSafe = checkSafe;
+module.exports.getZipReport = getZipReport;
 module.exports.canActivate = canActivate;
 module.exports.getThemeValidationError = getThemeValidationError;
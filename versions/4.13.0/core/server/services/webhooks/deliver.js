@@ -0,0 +1,116 @@
+const logging = require('@tryghost/logging');
+const models = require('../../models');
+const sender = require('./sender');
+const retryJobs = require('./jobs');
+
+const internalContext = {context: {internal: true}};
+
+const webhooks = {
+    update(webhook, data) {
+        models
+            .Webhook
+            .edit({
+                last_triggered_at: Date.now(),
+                last_triggered_status: data.statusCode,
+                last_triggered_error: data.error || null
+            }, {id: webhook.id})
+            .catch(() => {
+                logging.warn(`Unable to update "last_triggered" for webhook: ${webhook.id}`);
+            });
+    },
+
+    destroy(webhook) {
+        return models
+            .Webhook
+            .destroy({id: webhook.id}, internalContext)
+            .catch(() => {
+                logging.warn(`Unable to destroy webhook ${webhook.id}.`);
+            });
+    }
+};
+
+/**
+ * Stores a new delivery for the webhook, the payload is kept as-is so retries and redeliveries send the same body.
+ * Finished deliveries are removed after `webhooks:deliveryRetentionDays` (see jobs/prune-deliveries.js)
+ *
+ * @param {Object} webhook - Webhook model instance
+ * @param {string} requestBody - JSON encoded payload
+ * @returns {Promise<Object>} - WebhookDelivery model instance
+ */
+function createDelivery(webhook, requestBody) {
+    return models.WebhookDelivery.add({
+        webhook_id: webhook.id,
+        event: webhook.get('event'),
+        target_url: webhook.get('target_url'),
+        request_body: requestBody
+    }, internalContext);
+}
+
+/**
+ * Makes a delivery attempt and records the outcome on both the delivery and the webhook.
+ * Failed deliveries are picked up by the retry job until they run out of attempts.
+ *
+ * @param {Object} webhook - Webhook model instance
+ * @param {Object} delivery - WebhookDelivery model instance
+ * @returns {Promise<Object|null>} - updated WebhookDelivery or null when the webhook was removed
+ */
+async function deliver(webhook, delivery) {
+    const url = delivery.get('target_url');
+
+    logging.info(`Triggering webhook for "${delivery.get('event')}" with url "${url}"`);
+
+    const result = await sender.send({
+        url,
+        body: delivery.get('request_body'),
+        secret: webhook.get('secret')
+    });
+
+    if (result.statusCode === 410) {
+        logging.info(`Webhook destroyed (410 response) for "${webhook.get('event')}" with url "${webhook.get('target_url')}".`);
+
+        // NOTE: deliveries are removed together with the webhook
+        await webhooks.destroy(webhook);
+        return null;
+    }
+
+    const attempts = delivery.get('attempts') + 1;
+    const data = {
+        attempts,
+        response_status_code: result.statusCode,
+        response_body: result.responseBody,
+        error: result.error || null,
+        duration: result.duration,
+        next_retry_at: null
+    };
+
+    if (result.success) {
+        data.status = 'delivered';
+
+        webhooks.update(webhook, {
+            statusCode: result.statusCode
+        });
+    } else {
+        data.next_retry_at = sender.getNextRetryAt(attempts);
+        data.status = data.next_retry_at ? 'retrying' : 'failed';
+
+        webhooks.update(webhook, {
+            statusCode: result.statusCode,
+            error: `Request failed: ${result.errorCode || 'unknown'}`
+        });
+
+        logging.warn(`Request to ${url || null} failed because of: ${result.errorCode || ''}.`);
+    }
+
+    const updatedDelivery = await models.WebhookDelivery.edit(data, Object.assign({id: delivery.id}, internalContext));
+
+    if (data.status === 'retrying') {
+        await retryJobs.scheduleRecurringJobs();
+    }
+
+    return updatedDelivery;
+}
+
+module.exports = {
+    createDelivery,
+    deliver
+};
@@ -1,5 +1,13 @@
 module.exports = {
     get listen() {
         return require('./listen');
+    },
+
+    get deliver() {
+        return require('./deliver');
+    },
+
+    get jobs() {
+        return require('./jobs');
     }
 };
@@ -0,0 +1,53 @@
+const path = require('path');
+const models = require('../../../models');
+const jobsService = require('../../jobs');
+
+let hasScheduled = false;
+let hasScheduledPruning = false;
+
+module.exports = {
+    async scheduleRecurringJobs() {
+        if (
+            !hasScheduled &&
+            !process.env.NODE_ENV.match(/^testing/)
+        ) {
+            // Don't spin up a worker every minute unless there is something to retry,
+            // a failed delivery re-runs this scheduling task
+            const retryingCount = await models.WebhookDelivery
+                .where('status', 'retrying')
+                .count();
+
+            if (retryingCount > 0) {
+                jobsService.addJob({
+                    at: '0 * * * * *',
+                    job: path.resolve(__dirname, 'retry-failed.js'),
+                    name: 'webhooks-retry-failed'
+                });
+
+                hasScheduled = true;
+            }
+        }
+
+        return hasScheduled;
+    },
+
+    schedulePruneJob() {
+        if (
+            !hasScheduledPruning &&
+            !process.env.NODE_ENV.match(/^testing/)
+        ) {
+            // use a random minutes value to avoid spikes in database usage on the hour
+            const m = Math.floor(Math.random() * 60); // 0-59
+
+            jobsService.addJob({
+                at: `0 ${m} 4 * * *`, // Every day, at night
+                job: path.resolve(__dirname, 'prune-deliveries.js'),
+                name: 'webhooks-prune-deliveries'
+            });
+
+            hasScheduledPruning = true;
+        }
+
+        return hasScheduledPruning;
+    }
+};
@@ -0,0 +1,53 @@
+const {parentPort} = require('bthreads');
+const debug = require('@tryghost/debug')('jobs:webhooks:prune-deliveries');
+
+// recurring job to remove finished webhook deliveries once they are older than the retention period,
+// their request bodies contain the payload of the event e.g. member data
+
+// Exit early when cancelled to prevent stalling shutdown. No cleanup needed when cancelling as the removal
+// is a single query, remaining deliveries are picked up on next run
+function cancel() {
+    if (parentPort) {
+        parentPort.postMessage('Webhooks prune-deliveries job cancelled before completion');
+        parentPort.postMessage('cancelled');
+    } else {
+        setTimeout(() => {
+            process.exit(0);
+        }, 1000);
+    }
+}
+
+if (parentPort) {
+    parentPort.once('message', (message) => {
+        if (message === 'cancel') {
+            return cancel();
+        }
+    });
+}
+
+(async () => {
+    const moment = require('moment');
+    const config = require('../../../../shared/config');
+    const db = require('../../../data/db');
+
+    const retentionDays = config.get('webhooks:deliveryRetentionDays');
+    const cutoff = moment.utc().subtract(retentionDays, 'days').format('YYYY-MM-DD HH:mm:ss');
+
+    // NOTE: pending and retrying deliveries still need their body
+    const deletedCount = await db.knex('webhook_deliveries')
+        .whereIn('status', ['delivered', 'failed'])
+        .where('created_at', '<', cutoff)
+        .del();
+
+    debug(`Removed ${deletedCount} webhook deliveries older than ${retentionDays} days`);
+
+    if (parentPort) {
+        parentPort.postMessage(`Removed ${deletedCount} webhook deliveries older than ${retentionDays} days`);
+        parentPort.postMessage('done');
+    } else {
+        // give the logging pipes time finish writing before exit
+        setTimeout(() => {
+            process.exit(0);
+        }, 1000);
+    }
+})();
@@ -0,0 +1,104 @@
+const {parentPort} = require('bthreads');
+const debug = require('@tryghost/debug')('jobs:webhooks:retry-failed');
+
+// recurring job to retry webhook deliveries which are due for their next attempt
+
+// Exit early when cancelled to prevent stalling shutdown. No cleanup needed when cancelling as a delivery
+// is only marked as attempted once its request has finished, remaining ones are picked up on next run
+function cancel() {
+    if (parentPort) {
+        parentPort.postMessage('Webhooks retry-failed job cancelled before completion');
+        parentPort.postMessage('cancelled');
+    } else {
+        setTimeout(() => {
+            process.exit(0);
+        }, 1000);
+    }
+}
+
+if (parentPort) {
+    parentPort.once('message', (message) => {
+        if (message === 'cancel') {
+            return cancel();
+        }
+    });
+}
+
+(async () => {
+    const moment = require('moment');
+    const db = require('../../../data/db');
+    const sender = require('../sender');
+
+    const formatDate = date => (date ? moment.utc(date).format('YYYY-MM-DD HH:mm:ss') : null);
+
+    const dueDeliveries = await db.knex('webhook_deliveries')
+        .join('webhooks', 'webhook_deliveries.webhook_id', 'webhooks.id')
+        .where('webhook_deliveries.status', 'retrying')
+        .where('webhook_deliveries.next_retry_at', '<=', formatDate(new Date()))
+        .select(
+            'webhook_deliveries.id',
+            'webhook_deliveries.webhook_id',
+            'webhook_deliveries.target_url',
+            'webhook_deliveries.request_body',
+            'webhook_deliveries.attempts',
+            'webhooks.secret'
+        );
+
+    debug(`Retrying ${dueDeliveries.length} webhook deliveries`);
+
+    let deliveredCount = 0;
+
+    for (const delivery of dueDeliveries) {
+        const result = await sender.send({
+            url: delivery.target_url,
+            body: delivery.request_body,
+            secret: delivery.secret
+        });
+
+        const now = new Date();
+
+        if (result.statusCode === 410) {
+            await db.knex('webhook_deliveries').where('webhook_id', delivery.webhook_id).del();
+            await db.knex('webhooks').where('id', delivery.webhook_id).del();
+            continue;
+        }
+
+        const attempts = delivery.attempts + 1;
+        const nextRetryAt = result.success ? null : sender.getNextRetryAt(attempts, now);
+        let status = 'retrying';
+
+        if (result.success) {
+            status = 'delivered';
+            deliveredCount += 1;
+        } else if (!nextRetryAt) {
+            status = 'failed';
+        }
+
+        await db.knex('webhook_deliveries').where('id', delivery.id).update({
+            status,
+            attempts,
+            response_status_code: result.statusCode,
+            response_body: result.responseBody,
+            error: result.error || null,
+            duration: result.duration,
+            next_retry_at: formatDate(nextRetryAt),
+            updated_at: formatDate(now)
+        });
+
+        await db.knex('webhooks').where('id', delivery.webhook_id).update({
+            last_triggered_at: formatDate(now),
+            last_triggered_status: result.statusCode,
+            last_triggered_error: result.success ? null : `Request failed: ${result.errorCode || 'unknown'}`
+        });
+    }
+
+    if (parentPort) {
+        parentPort.postMessage(`Retried ${dueDeliveries.length} webhook deliveries, ${deliveredCount} delivered`);
+        parentPort.postMessage('done');
+    } else {
+        // give the logging pipes time finish writing before exit
+        setTimeout(() => {
+            process.exit(0);
+        }, 1000);
+    }
+})();
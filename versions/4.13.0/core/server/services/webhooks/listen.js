@@ -2,6 +2,7 @@ const _ = require('lodash');
 const limitService = require('../../services/limits');
 const logging = require('@tryghost/logging');
 const trigger = require('./trigger');
+const retryJobs = require('./jobs');
 
 // The webhook system is fundamentally built on top of our model event system
 const events = require('../../lib/common/events');
@@ -65,6 +66,9 @@ const listen = async () => {
             trigger(event, model);
         });
     });
+
+    // CASE: resume retrying deliveries which failed before a restart
+    await retryJobs.scheduleRecurringJobs();
 };
 
 module.exports = listen;
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const request = require('@tryghost/request');
+
+// NOTE: this module is also used from the retry job running in a worker thread,
+//       it must not depend on models or any other state initialized during boot
+
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_DELAY = 60 * 1000;
+const RESPONSE_BODY_MAX_LENGTH = 2000;
+const ERROR_MAX_LENGTH = 2000;
+
+/**
+ * Signature sent in the `X-Ghost-Signature` header, receivers can verify the payload by computing
+ * the same HMAC over the raw request body with the timestamp appended
+ *
+ * @param {string} secret - webhook secret
+ * @param {string} body - raw request body
+ * @param {number} timestamp - unix timestamp in milliseconds
+ * @returns {string} - e.g. `sha256=5f7a..., t=1631234567890`
+ */
+function createSignature(secret, body, timestamp) {
+    const hmac = crypto.createHmac('sha256', secret).update(`${body}${timestamp}`).digest('hex');
+    return `sha256=${hmac}, t=${timestamp}`;
+}
+
+/**
+ * Exponential backoff: 1, 2, 4, 8 and 16 minutes after the failed attempt
+ *
+ * @param {number} attempts - number of attempts made so far
+ * @param {Date} [now]
+ * @returns {Date|null} - time of the next attempt or null when no more attempts should be made
+ */
+function getNextRetryAt(attempts, now = new Date()) {
+    if (attempts >= MAX_ATTEMPTS) {
+        return null;
+    }
+
+    return new Date(now.getTime() + (RETRY_BASE_DELAY * Math.pow(2, attempts - 1)));
+}
+
+function truncate(str, length) {
+    if (!str) {
+        return null;
+    }
+
+    return str.length > length ? str.substring(0, length) : str;
+}
+
+/**
+ * Makes a single delivery attempt
+ *
+ * @param {Object} options
+ * @param {string} options.url - target url
+ * @param {string} options.body - JSON encoded payload
+ * @param {string} [options.secret] - webhook secret, signature header is only sent when present
+ *
+ * @returns {Promise<DeliveryResult>}
+ */
+async function send({url, body, secret}) {
+    const headers = {
+        'Content-Length': Buffer.byteLength(body),
+        'Content-Type': 'application/json'
+    };
+
+    if (secret) {
+        headers['X-Ghost-Signature'] = createSignature(secret, body, Date.now());
+    }
+
+    const startTime = Date.now();
+
+    try {
+        const res = await request(url, {
+            body,
+            headers,
+            timeout: 2 * 1000,
+            // failed deliveries are retried with a backoff by the retry job instead
+            retry: 0
+        });
+
+        return {
+            success: true,
+            statusCode: res.statusCode,
+            responseBody: truncate(res.body, RESPONSE_BODY_MAX_LENGTH),
+            duration: Date.now() - startTime
+        };
+    } catch (err) {
+        return {
+            success: false,
+            statusCode: err.statusCode || null,
+            responseBody: truncate(err.body, RESPONSE_BODY_MAX_LENGTH),
+            error: truncate(`Request failed: ${err.code || err.message || 'unknown'}`, ERROR_MAX_LENGTH),
+            errorCode: err.code,
+            duration: Date.now() - startTime
+        };
+    }
+}
+
+module.exports = {
+    MAX_ATTEMPTS,
+    createSignature,
+    getNextRetryAt,
+    send
+};
+
+/**
+ * @typedef {Object} DeliveryResult
+ * @prop {boolean} success
+ * @prop {number|null} statusCode
+ * @prop {string|null} responseBody - excerpt of the response body
+ * @prop {string} [error]
+ * @prop {string} [errorCode]
+ * @prop {number} duration - request time in milliseconds
+ */
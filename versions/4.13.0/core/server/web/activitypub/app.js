@@ -0,0 +1,44 @@
+const debug = require('@tryghost/debug')('activitypub');
+const cors = require('cors');
+const bodyParser = require('body-parser');
+const express = require('../../../shared/express');
+const labs = require('../../../shared/labs');
+const activityPubService = require('../../services/activitypub');
+const middleware = activityPubService.middleware;
+const shared = require('../shared');
+
+// ActivityPub servers send activities with their own content types
+const ACTIVITY_TYPES = ['application/activity+json', 'application/ld+json', 'application/json'];
+
+module.exports = function setupActivityPubApp() {
+    debug('ActivityPub App setup start');
+    const activityPubApp = express('activitypub');
+    const labsEnabled = labs.enabledMiddleware('activitypub');
+
+    // the digest of signed activities is checked against the unparsed body
+    const parseActivity = bodyParser.json({
+        limit: '1mb',
+        type: ACTIVITY_TYPES,
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        }
+    });
+
+    // Routing
+
+    // WebFinger has to be served from the root of the domain, which is only the case when Ghost isn't in a subdirectory
+    activityPubApp.get('/.well-known/webfinger', labsEnabled, cors(), shared.middlewares.cacheControl('public', {maxAge: 60}), middleware.getWebFinger);
+
+    activityPubApp.get('/activitypub/actors/:username', labsEnabled, shared.middlewares.cacheControl('public', {maxAge: 60}), middleware.getActor);
+    activityPubApp.get('/activitypub/actors/:username/outbox', labsEnabled, shared.middlewares.cacheControl('public', {maxAge: 60}), middleware.getOutbox);
+    activityPubApp.get('/activitypub/actors/:username/followers', labsEnabled, shared.middlewares.cacheControl('private'), middleware.getFollowers);
+    activityPubApp.post('/activitypub/actors/:username/inbox', labsEnabled, shared.middlewares.cacheControl('private'), parseActivity, middleware.postInbox);
+    activityPubApp.get('/activitypub/posts/:id', labsEnabled, shared.middlewares.cacheControl('public', {maxAge: 60}), middleware.getObject);
+
+    // Error handling, other urls fall through to the site
+    activityPubApp.use(['/activitypub', '/.well-known/webfinger'], shared.middlewares.errorHandler.handleJSONResponseV2);
+
+    debug('ActivityPub App setup end');
+
+    return activityPubApp;
+};
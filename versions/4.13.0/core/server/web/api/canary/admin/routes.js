@@ -29,6 +29,9 @@ module.exports = function apiRoutes() {
     router.get('/posts/slug/:slug', mw.authAdminApi, http(api.posts.read));
     router.put('/posts/:id', mw.authAdminApi, http(api.posts.edit));
     router.del('/posts/:id', mw.authAdminApi, http(api.posts.destroy));
+    router.get('/posts/:id/revisions', mw.authAdminApi, http(api.postRevisions.browse));
+    router.get('/posts/:id/revisions/:revision_id', mw.authAdminApi, http(api.postRevisions.read));
+    router.post('/posts/:id/revisions/:revision_id/restore', mw.authAdminApi, http(api.postRevisions.restore));
 
     // ## Pages
     router.get('/pages', mw.authAdminApi, http(api.pages.browse));
@@ -78,6 +81,10 @@ module.exports = function apiRoutes() {
     router.put('/users/owner', mw.authAdminApi, http(api.users.transferOwnership));
     router.put('/users/:id', mw.authAdminApi, http(api.users.edit));
     router.put('/users/:id/token', mw.authAdminApi, http(api.users.regenerateToken));
+    router.post('/users/:id/2fa', mw.authAdminApi, http(api.users.setupTwoFactor));
+    router.put('/users/:id/2fa', mw.authAdminApi, http(api.users.enableTwoFactor));
+    router.put('/users/:id/2fa/recovery_codes', mw.authAdminApi, http(api.users.regenerateRecoveryCodes));
+    router.del('/users/:id/2fa', mw.authAdminApi, http(api.users.disableTwoFactor));
     router.del('/users/:id', mw.authAdminApi, http(api.users.destroy));
 
     // ## Tags
@@ -94,6 +101,19 @@ module.exports = function apiRoutes() {
     router.get('/products/:id', mw.authAdminApi, http(api.products.read));
     router.put('/products/:id', mw.authAdminApi, http(api.products.edit));
 
+    // ## Newsletters
+    router.get('/newsletters', mw.authAdminApi, http(api.newsletters.browse));
+    router.post('/newsletters', mw.authAdminApi, http(api.newsletters.add));
+    router.get('/newsletters/:id', mw.authAdminApi, http(api.newsletters.read));
+    router.put('/newsletters/:id', mw.authAdminApi, http(api.newsletters.edit));
+
+    // ## Offers
+    router.get('/offers', mw.authAdminApi, http(api.offers.browse));
+    router.post('/offers', mw.authAdminApi, http(api.offers.add));
+    router.get('/offers/:id', mw.authAdminApi, http(api.offers.read));
+    router.put('/offers/:id', mw.authAdminApi, http(api.offers.edit));
+    router.get('/offers/:id/redemptions', mw.authAdminApi, http(api.offers.browseRedemptions));
+
     // ## Members
     router.get('/members', mw.authAdminApi, http(api.members.browse));
     router.post('/members', mw.authAdminApi, http(api.members.add));
@@ -157,6 +177,15 @@ module.exports = function apiRoutes() {
         http(api.themes.upload)
     );
 
+    router.post('/themes/validate',
+        mw.authAdminApi,
+        apiMw.upload.single('file'),
+        apiMw.upload.validation({type: 'themes'}),
+        http(api.themes.validate)
+    );
+
+    router.get('/themes/active/report', mw.authAdminApi, http(api.themes.readActiveReport));
+
     router.post('/themes/install', mw.authAdminApi, http(api.themes.install));
 
     router.put('/themes/:name/activate',
@@ -187,6 +216,18 @@ module.exports = function apiRoutes() {
         mw.authAdminApi,
         http(api.db.backupContent)
     );
+    router.get('/db/site', mw.authAdminApi, http(api.db.exportSite));
+    router.post('/db/site',
+        mw.authAdminApi,
+        apiMw.upload.single('importfile'),
+        apiMw.upload.validation({type: 'site'}),
+        http(api.db.importSite)
+    );
+
+    // ## Backups
+    router.get('/backups', mw.authAdminApi, http(api.backups.browse));
+    router.get('/backups/:name/download', mw.authAdminApi, http(api.backups.download));
+    router.post('/backups/:name/restore', mw.authAdminApi, http(api.backups.restore));
 
     // ## Mail
     router.post('/mail', mw.authAdminApi, http(api.mail.send));
@@ -203,6 +244,11 @@ module.exports = function apiRoutes() {
         shared.middlewares.brute.userLogin,
         http(api.session.add)
     );
+    router.post('/session/verify',
+        shared.middlewares.brute.globalBlock,
+        shared.middlewares.brute.userLogin,
+        http(api.session.verify)
+    );
     router.del('/session', mw.authAdminApi, http(api.session.delete));
 
     // ## Identity
@@ -230,6 +276,22 @@ module.exports = function apiRoutes() {
         apiMw.normalizeImage,
         http(api.images.upload)
     );
+    router.get('/images/unused', mw.authAdminApi, http(api.unusedImages.browse));
+
+    // ## Media & Files
+    router.post('/media/upload',
+        mw.authAdminApi,
+        apiMw.upload.single('file'),
+        apiMw.upload.validation({type: 'media'}),
+        http(api.media.upload)
+    );
+
+    router.post('/files/upload',
+        mw.authAdminApi,
+        apiMw.upload.single('file'),
+        apiMw.upload.validation({type: 'files'}),
+        http(api.files.upload)
+    );
 
     // ## Invites
     router.get('/invites', mw.authAdminApi, http(api.invites.browse));
@@ -245,11 +307,19 @@ module.exports = function apiRoutes() {
         apiMw.upload.validation({type: 'redirects'}),
         http(api.redirects.upload)
     );
+    router.get('/redirects', mw.authAdminApi, http(api.redirects.browse));
+    router.get('/redirects/:id', mw.authAdminApi, http(api.redirects.read));
+    router.post('/redirects', mw.authAdminApi, http(api.redirects.add));
+    router.put('/redirects/:id', mw.authAdminApi, http(api.redirects.edit));
+    router.del('/redirects/:id', mw.authAdminApi, http(api.redirects.destroy));
 
     // ## Webhooks (RESTHooks)
     router.post('/webhooks', mw.authAdminApi, http(api.webhooks.add));
     router.put('/webhooks/:id', mw.authAdminApi, http(api.webhooks.edit));
     router.del('/webhooks/:id', mw.authAdminApi, http(api.webhooks.destroy));
+    router.get('/webhooks/:webhook_id/deliveries', mw.authAdminApi, http(api.webhookDeliveries.browse));
+    router.get('/webhooks/:webhook_id/deliveries/:id', mw.authAdminApi, http(api.webhookDeliveries.read));
+    router.post('/webhooks/:webhook_id/deliveries/:id/redeliver', mw.authAdminApi, http(api.webhookDeliveries.redeliver));
 
     // ## Oembed (fetch response from oembed provider)
     router.get('/oembed', mw.authAdminApi, http(api.oembed.read));
@@ -265,6 +335,7 @@ module.exports = function apiRoutes() {
     router.get('/emails', mw.authAdminApi, http(api.emails.browse));
     router.get('/emails/:id', mw.authAdminApi, http(api.emails.read));
     router.put('/emails/:id/retry', mw.authAdminApi, http(api.emails.retry));
+    router.post('/emails/events', mw.authAdminApi, http(api.emails.addEvents));
 
     // ## Snippets
     router.get('/snippets', mw.authAdminApi, http(api.snippets.browse));
@@ -30,6 +30,9 @@ module.exports = function apiRoutes() {
     router.get('/tags/:id', mw.authenticatePublic, http(api.tagsPublic.read));
     router.get('/tags/slug/:slug', mw.authenticatePublic, http(api.tagsPublic.read));
 
+    // ## Search
+    router.get('/search', mw.authenticatePublic, http(api.searchPublic.browse));
+
     // ## Settings
     router.get('/settings', mw.authenticatePublic, http(api.publicSettings.browse));
 
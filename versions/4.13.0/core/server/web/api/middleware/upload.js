@@ -57,6 +57,18 @@ const checkFileIsValid = (fileData, types, extensions) => {
     return false;
 };
 
+const checkFileSize = (fileData, maxFileSize) => {
+    return !maxFileSize || fileData.size <= maxFileSize;
+};
+
+const formatFileSize = (bytes) => {
+    if (bytes >= 1024 * 1024) {
+        return `${Math.round(bytes / 1024 / 1024 * 10) / 10}MB`;
+    }
+
+    return `${Math.round(bytes / 1024 * 10) / 10}KB`;
+};
+
 const validation = function (options) {
     const type = options.type;
 
@@ -64,6 +76,7 @@ const validation = function (options) {
     return function uploadValidation(req, res, next) {
         const extensions = (config.get('uploads')[type] && config.get('uploads')[type].extensions) || [];
         const contentTypes = (config.get('uploads')[type] && config.get('uploads')[type].contentTypes) || [];
+        const maxFileSize = config.get('uploads')[type] && config.get('uploads')[type].maxFileSize;
 
         req.file = req.file || {};
         req.file.name = req.file.originalname;
@@ -85,6 +98,13 @@ const validation = function (options) {
             }));
         }
 
+        // Check if the file is within the configured size limit
+        if (!checkFileSize(req.file, maxFileSize)) {
+            return next(new errors.RequestEntityTooLargeError({
+                message: i18n.t('errors.api.upload.fileTooLarge', {maxFileSize: formatFileSize(maxFileSize)})
+            }));
+        }
+
         next();
     };
 };
@@ -97,5 +117,6 @@ module.exports = {
 // Exports for testing only
 module.exports._test = {
     checkFileExists,
-    checkFileIsValid
+    checkFileIsValid,
+    checkFileSize
 };
@@ -5,6 +5,7 @@ const bodyParser = require('body-parser');
 const express = require('../../../shared/express');
 const urlUtils = require('../../../shared/url-utils');
 const membersService = require('../../services/members');
+const offersService = require('../../services/offers');
 const middleware = membersService.middleware;
 const shared = require('../shared');
 
@@ -27,6 +28,10 @@ module.exports = function setupMembersApp() {
 
     // Routing
 
+    // Account deletion links, the token is part of the path as `?token=` would create a session instead
+    membersApp.get('/delete-account/:token', middleware.showDeleteAccountConfirmation);
+    membersApp.post('/delete-account/:token', middleware.deleteAccountFromMagicLink);
+
     // Webhooks
     membersApp.post('/webhooks/stripe', middleware.stripeWebhooks);
 
@@ -34,13 +39,15 @@ module.exports = function setupMembersApp() {
     // We don't want to add global bodyParser middleware as that interfers with stripe webhook requests on - `/webhooks`.
     membersApp.get('/api/member', middleware.getMemberData);
     membersApp.put('/api/member', bodyParser.json({limit: '1mb'}), middleware.updateMemberData);
+    membersApp.get('/api/member/export', middleware.exportMemberData);
+    membersApp.post('/api/member/delete', middleware.requestAccountDeletion);
     membersApp.get('/api/session', middleware.getIdentityToken);
     membersApp.delete('/api/session', middleware.deleteSession);
     membersApp.get('/api/site', middleware.getMemberSiteData);
 
     // NOTE: this is wrapped in a function to ensure we always go via the getter
     membersApp.post('/api/send-magic-link', bodyParser.json(), shared.middlewares.brute.membersAuth, (req, res, next) => membersService.api.middleware.sendMagicLink(req, res, next));
-    membersApp.post('/api/create-stripe-checkout-session', (req, res, next) => membersService.api.middleware.createCheckoutSession(req, res, next));
+    membersApp.post('/api/create-stripe-checkout-session', bodyParser.json(), offersService.middleware.createCheckoutSession, (req, res, next) => membersService.api.middleware.createCheckoutSession(req, res, next));
     membersApp.post('/api/create-stripe-update-session', (req, res, next) => membersService.api.middleware.createCheckoutSetupSession(req, res, next));
     membersApp.put('/api/subscriptions/:id', (req, res, next) => membersService.api.middleware.updateSubscription(req, res, next));
 
@@ -8,23 +8,143 @@ const shared = require('../shared');
 const settingsCache = require('../../../shared/settings-cache');
 const models = require('../../models');
 const auth = require('../../services/auth');
+const limitService = require('../../services/limits');
 const labs = require('../../../shared/labs');
 
+const LOGIN_FAILED_URL = '/ghost/#/signin?message=login-failed';
+const LINKING_FAILED_URL = '/ghost/#/staff/?message=oauth-linking-failed';
+const TWO_FACTOR_URL = '/ghost/#/signin/verify';
+
 function randomPassword() {
     return require('crypto').randomBytes(128).toString('hex');
 }
 
-module.exports = function setupOAuthApp() {
-    debug('OAuth App setup start');
-    const oauthApp = express('oauth');
+function getCallbackUrl(provider) {
+    // TODO: use url config instead of the string /ghost
+    const callbackUrl = new URL(urlUtils.getSiteUrl());
+    callbackUrl.pathname = `/ghost/oauth/${provider}/callback`;
+    return callbackUrl.href;
+}
+
+/**
+ * Creates a staff user for a provider account that doesn't match a user or an invite
+ *
+ * @param {Object} data
+ * @param {string} data.email
+ * @param {string} data.name
+ * @param {string} data.roleName
+ * @returns {Promise<Object>} - the new user
+ */
+async function provisionUser({email, name, roleName}) {
+    const options = {context: {internal: true}};
+    const role = await models.Role.findOne({name: roleName}, options);
+
+    if (!role) {
+        return null;
+    }
+
+    if (limitService.isLimited('staff') && roleName !== 'Contributor') {
+        // CASE: if your site is limited to a certain number of staff users
+        await limitService.errorIfWouldGoOverLimit('staff');
+    }
+
+    return models.User.add({
+        email,
+        name: name || email,
+        password: randomPassword(),
+        roles: [role.id]
+    }, options);
+}
 
-    function labsMiddleware(req, res, next) {
-        if (labs.isSet('oauthLogin')) {
-            return next();
+/**
+ * Checks that a provider-authenticated account is matching one of our users (or invite)
+ * and signs them in. Shared by all providers.
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} account
+ * @param {string[]} account.emails - verified email addresses of the account
+ * @param {string} account.name
+ * @param {string|null} [account.provisioningRoleName] - role for new staff users, they're only created when set
+ */
+async function signInStaffUser(req, res, {emails, name, provisioningRoleName = null}) {
+    if (req.user) {
+        // CASE: the user already has an active Ghost session
+        if (!emails.includes(req.user.get('email'))) {
+            return res.redirect(LINKING_FAILED_URL);
         }
-        res.sendStatus(404);
+
+        // TODO: configure the oauth data for this user (row in the oauth table)
+
+        //Associate logged-in user with oauth account
+        req.user.set('password', randomPassword());
+        await req.user.save();
+    } else {
+        // CASE: the user is logging-in or accepting an invite
+
+        //Find user in DB and log-in
+        //TODO: instead find the oauth row with the email use the provider id
+        if (emails.length < 1) {
+            return res.redirect(LOGIN_FAILED_URL);
+        }
+        const email = emails[0];
+
+        let user = await models.User.findOne({
+            email: email
+        });
+
+        if (!user) {
+            // CASE: the user is accepting an invite
+            // TODO: move this code in the invitations service
+            const options = {context: {internal: true}};
+            let invite = await models.Invite.findOne({email, status: 'sent'}, options);
+
+            if (invite && invite.get('expires') >= Date.now()) {
+                //Accept invite
+                user = await models.User.add({
+                    email: email,
+                    name: name,
+                    password: randomPassword(),
+                    roles: [invite.toJSON().role_id]
+                }, options);
+
+                await invite.destroy(options);
+
+                // TODO: create an oauth model link to user
+            } else if (provisioningRoleName) {
+                // CASE: the provider is trusted to create staff users on first login
+                user = await provisionUser({email, name, roleName: provisioningRoleName});
+            }
+
+            if (!user) {
+                return res.redirect(LOGIN_FAILED_URL);
+            }
+        }
+
+        if (user.isInactive()) {
+            return res.redirect(LOGIN_FAILED_URL);
+        }
+
+        // CASE: the provider only replaces the password, the second step is the same as for password logins.
+        // The challenge is passed in the url fragment, it's never sent to a server and Admin continues with `POST /session/verify`
+        const twoFactor = await auth.twoFactor.getLoginChallenge(user.id);
+
+        if (twoFactor) {
+            const query = new URLSearchParams(twoFactor);
+            return res.redirect(`${TWO_FACTOR_URL}?${query.toString()}`);
+        }
+
+        req.user = user;
     }
-    oauthApp.use(labsMiddleware);
+
+    await auth.session.sessionService.createSessionForUser(req, res, req.user);
+
+    return res.redirect('/ghost/');
+}
+
+module.exports = function setupOAuthApp() {
+    debug('OAuth App setup start');
+    const oauthApp = express('oauth');
 
     // send 503 json response in case of maintenance
     oauthApp.use(shared.middlewares.maintenance);
@@ -36,119 +156,101 @@ module.exports = function setupOAuthApp() {
      */
     function googleOAuthMiddleware(clientId, secret) {
         return (req, res, next) => {
-            // TODO: use url config instead of the string /ghost
-
-            //Create the callback url to be sent to Google
-            const callbackUrl = new URL(urlUtils.getSiteUrl());
-            callbackUrl.pathname = '/ghost/oauth/google/callback';
-
             passport.authenticate(new GoogleStrategy({
                 clientID: clientId,
                 clientSecret: secret,
-                callbackURL: callbackUrl.href
-            }, async function (accessToken, refreshToken, profile) {
+                callbackURL: getCallbackUrl('google')
+            }, function (accessToken, refreshToken, profile, done) {
                 // This is the verify function that checks that a Google-authenticated user
                 // is matching one of our users (or invite).
+                const emails = profile.emails.filter(email => email.verified === true).map(email => email.value);
 
-                if (req.user) {
-                    // CASE: the user already has an active Ghost session
-                    const emails = profile.emails.filter(email => email.verified === true).map(email => email.value);
-
-                    if (!emails.includes(req.user.get('email'))) {
-                        return res.redirect('/ghost/#/staff/?message=oauth-linking-failed');
-                    }
+                signInStaffUser(req, res, {
+                    emails,
+                    name: profile.displayName
+                }).catch(done);
+            }), {
+                scope: ['profile', 'email'],
+                session: false,
+                prompt: 'consent',
+                accessType: 'offline'
+            })(req, res, next);
+        };
+    }
 
-                    // TODO: configure the oauth data for this user (row in the oauth table)
+    /**
+     * OpenID Connect is configured in config (see services/auth/oidc), the provider
+     * metadata is loaded from the discovery document
+     */
+    function oidcMiddleware(oidcConfig) {
+        return async (req, res, next) => {
+            let discovery;
 
-                    //Associate logged-in user with oauth account
-                    req.user.set('password', randomPassword());
-                    await req.user.save();
-                } else {
-                    // CASE: the user is logging-in or accepting an invite
+            try {
+                discovery = await auth.oidc.getDiscoveryDocument(oidcConfig);
+                // the state parameter is kept in the admin session to protect against login CSRF
+                await auth.session.getSession(req, res);
+            } catch (err) {
+                return next(err);
+            }
 
-                    //Find user in DB and log-in
-                    //TODO: instead find the oauth row with the email use the provider id
-                    const emails = profile.emails.filter(email => email.verified === true);
-                    if (emails.length < 1) {
-                        return res.redirect('/ghost/#/signin?message=login-failed');
-                    }
-                    const email = emails[0].value;
+            passport.authenticate(new auth.oidc.OIDCStrategy({
+                discovery,
+                clientID: oidcConfig.clientId,
+                clientSecret: oidcConfig.clientSecret,
+                callbackURL: getCallbackUrl('oidc'),
+                scope: oidcConfig.scope
+            }, function (accessToken, refreshToken, params, profile, done) {
+                // passport-oauth2 only passes the token response (with the id_token) to verify functions with 5 arguments
+                Promise.resolve().then(() => {
+                    const claims = Object.assign(
+                        {},
+                        profile,
+                        auth.oidc.getIdTokenClaims(params.id_token, oidcConfig, discovery)
+                    );
+                    const email = auth.oidc.getEmail(claims, oidcConfig);
 
-                    let user = await models.User.findOne({
-                        email: email
+                    return signInStaffUser(req, res, {
+                        emails: email ? [email] : [],
+                        name: claims.name || claims.preferred_username,
+                        provisioningRoleName: auth.oidc.getProvisioningRoleName(claims, oidcConfig)
                     });
-
-                    if (!user) {
-                        // CASE: the user is accepting an invite
-                        // TODO: move this code in the invitations service
-                        const options = {context: {internal: true}};
-                        let invite = await models.Invite.findOne({email, status: 'sent'}, options);
-
-                        if (!invite || invite.get('expires') < Date.now()) {
-                            return res.redirect('/ghost/#/signin?message=login-failed');
-                        }
-
-                        //Accept invite
-                        user = await models.User.add({
-                            email: email,
-                            name: profile.displayName,
-                            password: randomPassword(),
-                            roles: [invite.toJSON().role_id]
-                        }, options);
-
-                        await invite.destroy(options);
-
-                        // TODO: create an oauth model link to user
-                    }
-
-                    req.user = user;
-                }
-
-                await auth.session.sessionService.createSessionForUser(req, res, req.user);
-
-                return res.redirect('/ghost/');
+                }).catch(done);
             }), {
-                scope: ['profile', 'email'],
                 session: false,
-                prompt: 'consent',
-                accessType: 'offline'
+                failureRedirect: LOGIN_FAILED_URL
             })(req, res, next);
         };
     }
 
-    oauthApp.get('/:provider', auth.authenticate.authenticateAdminApi, (req, res, next) => {
-        if (req.params.provider !== 'google') {
-            return res.sendStatus(404);
+    function providerMiddleware(req, res, next) {
+        if (req.params.provider === 'google' && labs.isSet('oauthLogin')) {
+            const clientId = settingsCache.get('oauth_client_id');
+            const secret = settingsCache.get('oauth_client_secret');
+
+            if (clientId && secret) {
+                return googleOAuthMiddleware(clientId, secret)(req, res, next);
+            }
         }
 
-        const clientId = settingsCache.get('oauth_client_id');
-        const secret = settingsCache.get('oauth_client_secret');
+        if (req.params.provider === 'oidc') {
+            const oidcConfig = auth.oidc.getConfig();
 
-        if (clientId && secret) {
-            return googleOAuthMiddleware(clientId, secret)(req, res, next);
+            if (oidcConfig) {
+                return oidcMiddleware(oidcConfig)(req, res, next);
+            }
         }
 
         res.sendStatus(404);
-    });
+    }
+
+    oauthApp.get('/:provider', auth.authenticate.authenticateAdminApi, providerMiddleware);
 
     oauthApp.get('/:provider/callback', (req, res, next) => {
         // Set the referrer as the ghost instance domain so that the session is linked to the ghost instance domain
         req.headers.referrer = urlUtils.getSiteUrl();
         next();
-    }, auth.authenticate.authenticateAdminApi, (req, res, next) => {
-        if (req.params.provider !== 'google') {
-            return res.sendStatus(404);
-        }
-
-        const clientId = settingsCache.get('oauth_client_id');
-        const secret = settingsCache.get('oauth_client_secret');
-
-        if (clientId && secret) {
-            return googleOAuthMiddleware(clientId, secret)(req, res, next);
-        }
-
-        res.sendStatus(404);
-    });
+    }, auth.authenticate.authenticateAdminApi, providerMiddleware);
 
     debug('OAuth App setup end');
 
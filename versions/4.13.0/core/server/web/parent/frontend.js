@@ -19,6 +19,7 @@ module.exports = (options) => {
     frontendApp.use(shared.middlewares.urlRedirects.frontendSSLRedirect);
 
     frontendApp.use('/members', require('../members')());
+    frontendApp.use(require('../activitypub')());
     frontendApp.use('/', require('../site')(options));
 
     return frontendApp;
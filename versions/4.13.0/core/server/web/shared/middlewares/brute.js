@@ -48,6 +48,10 @@ module.exports = {
                     return _next(`${_req.body.refresh_token}login`);
                 }
 
+                if (_req.body.token) {
+                    return _next(`${_req.body.token}login`);
+                }
+
                 return _next();
             }
         })(req, res, next);
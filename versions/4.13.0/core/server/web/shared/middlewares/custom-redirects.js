@@ -1,3 +1,4 @@
+const _ = require('lodash');
 const express = require('../../../../shared/express');
 const url = require('url');
 const querystring = require('querystring');
@@ -7,59 +8,72 @@ const urlUtils = require('../../../../shared/url-utils');
 const errors = require('@tryghost/errors');
 const i18n = require('../../../../shared/i18n');
 const logging = require('@tryghost/logging');
-const redirectsService = require('../../../../frontend/services/redirects');
+const redirectsService = require('../../../services/redirects');
 
 const _private = {};
 
-let customRedirectsRouter;
+let customRedirectsRouter = express.Router('redirects');
 
-_private.registerRoutes = () => {
+/**
+ * Turns a stored redirect into the pattern the router matches on
+ *
+ * - exact redirects match the path literally
+ * - regex redirects support the case insensitive `/ ... /i` notation
+ * - trailing slashes are always optional
+ *   Example:
+ *     - you define /my-blog-post-1/ as from property
+ *     - /my-blog-post-1 or /my-blog-post-1/ should work
+ */
+_private.getPattern = (redirect) => {
+    let from = redirect.from;
+    let options = '';
+
+    if (redirect.match_type === 'exact') {
+        from = from.replace(/\/$/, '');
+        return new RegExp(`^${_.escapeRegExp(from)}/?$`);
+    }
+
+    if (from.match(/^\/.*\/i$/)) {
+        from = from.slice(1, -2);
+        options = 'i';
+    }
+
+    if (from.match(/\/$/)) {
+        from = from.slice(0, -1);
+    }
+
+    if (from[from.length - 1] !== '$') {
+        from += '/?$';
+    }
+
+    return new RegExp(from, options);
+};
+
+_private.registerRoutes = async () => {
     debug('redirects loading');
 
-    customRedirectsRouter = express.Router('redirects');
+    const router = express.Router('redirects');
 
     try {
-        const redirects = redirectsService.settings.loadRedirectsFile();
-
-        redirectsService.validation.validate(redirects);
+        const redirects = await redirectsService.getAllForRouting();
 
         redirects.forEach((redirect) => {
-            /**
-             * Detect case insensitive modifier when regex is enclosed by
-             * / ... /i
-             */
-            let options = '';
-            if (redirect.from.match(/^\/.*\/i$/)) {
-                redirect.from = redirect.from.slice(1, -2);
-                options = 'i';
-            }
-
-            /**
-             * always delete trailing slashes, doesn't matter if regex or not
-             * Example:
-             *   - you define /my-blog-post-1/ as from property
-             *   - /my-blog-post-1 or /my-blog-post-1/ should work
-             */
-
-            if (redirect.from.match(/\/$/)) {
-                redirect.from = redirect.from.slice(0, -1);
-            }
-
-            if (redirect.from[redirect.from.length - 1] !== '$') {
-                redirect.from += '/?$';
-            }
-
-            debug('register', redirect.from);
-            customRedirectsRouter.get(new RegExp(redirect.from, options), function (req, res) {
+            const pattern = _private.getPattern(redirect);
+
+            debug('register', pattern);
+            router.get(pattern, function (req, res) {
                 const maxAge = redirect.permanent ? config.get('caching:customRedirects:maxAge') : 0;
                 const toURL = url.parse(redirect.to);
                 const toURLParams = querystring.parse(toURL.query);
                 const currentURL = url.parse(req.url);
-                const currentURLParams = querystring.parse(currentURL.query);
+                const currentURLParams = redirect.preserve_query ? querystring.parse(currentURL.query) : {};
                 const params = Object.assign({}, currentURLParams, toURLParams);
                 const search = querystring.stringify(params);
 
-                toURL.pathname = currentURL.pathname.replace(new RegExp(redirect.from, options), toURL.pathname);
+                if (redirect.match_type !== 'exact') {
+                    toURL.pathname = currentURL.pathname.replace(pattern, toURL.pathname);
+                }
+
                 toURL.search = search !== '' ? `?${search}` : null;
 
                 /**
@@ -74,6 +88,11 @@ _private.registerRoutes = () => {
                     'Cache-Control': `public, max-age=${maxAge}`
                 });
 
+                // NOTE: redirects loaded from the fallback file are not stored, there is nothing to count
+                if (redirect.id) {
+                    redirectsService.recordHit(redirect.id);
+                }
+
                 res.redirect(redirect.permanent ? 301 : 302, url.format(toURL));
             });
         });
@@ -88,26 +107,33 @@ _private.registerRoutes = () => {
                 err
             }));
         }
+
+        // CASE: keep serving the redirects which were registered before
+        return;
     }
 
+    customRedirectsRouter = router;
+
     debug('redirects loaded');
 };
 
 /**
- * - you can extend Ghost with a custom redirects file
+ * - you can extend Ghost with custom redirects, managed through the Admin API or imported from a redirects file
  * - see https://github.com/TryGhost/Ghost/issues/7707 and https://ghost.org/docs/themes/routing/#redirects
- * - file loads synchronously, because we need to register the routes before anything else
+ * - requests wait for the initial load, because the redirects have to be registered before anything else
  */
 exports.use = function use(siteApp) {
-    _private.registerRoutes();
+    const loaded = _private.registerRoutes();
 
     // Recommended approach by express, see https://github.com/expressjs/express/issues/2596#issuecomment-81353034.
     // As soon as the express router get's re-instantiated, the old router instance is not used anymore.
     siteApp.use(function customRedirect(req, res, next) {
-        customRedirectsRouter(req, res, next);
+        loaded.then(() => {
+            customRedirectsRouter(req, res, next);
+        });
     });
 };
 
 exports.reload = function reload() {
-    _private.registerRoutes();
+    return _private.registerRoutes();
 };
@@ -9,6 +9,7 @@ const errors = require('@tryghost/errors');
 const config = require('../../../shared/config');
 const constants = require('@tryghost/constants');
 const storage = require('../../adapters/storage');
+const storageUtils = require('../../adapters/storage/utils');
 const urlService = require('../../../frontend/services/url');
 const urlUtils = require('../../../shared/url-utils');
 const sitemapHandler = require('../../../frontend/services/sitemap/handler');
@@ -16,11 +17,15 @@ const appService = require('../../../frontend/services/apps');
 const themeEngine = require('../../../frontend/services/theme-engine');
 const themeMiddleware = themeEngine.middleware;
 const membersService = require('../../services/members');
+const linkTrackingService = require('../../services/link-tracking');
+const offersService = require('../../services/offers');
 const siteRoutes = require('./routes');
 const shared = require('../shared');
 const mw = require('./middleware');
 
 const STATIC_IMAGE_URL_PREFIX = `/${urlUtils.STATIC_IMAGE_URL_PREFIX}`;
+const STATIC_MEDIA_URL_PREFIX = `/${storageUtils.STATIC_MEDIA_URL_PREFIX}`;
+const STATIC_FILES_URL_PREFIX = `/${storageUtils.STATIC_FILES_URL_PREFIX}`;
 
 let router;
 
@@ -110,6 +115,10 @@ module.exports = function setupSiteApp(options = {}) {
     // Serve blog images using the storage adapter
     siteApp.use(STATIC_IMAGE_URL_PREFIX, mw.handleImageSizes, storage.getStorage().serve());
 
+    // Serve uploaded media and files using their storage adapters
+    siteApp.use(STATIC_MEDIA_URL_PREFIX, storage.getStorage('media').serve());
+    siteApp.use(STATIC_FILES_URL_PREFIX, storage.getStorage('files').serve());
+
     // @TODO find this a better home
     // We do this here, at the top level, because helpers require so much stuff.
     // Moving this to being inside themes, where it probably should be requires the proxy to be refactored
@@ -123,6 +132,13 @@ module.exports = function setupSiteApp(options = {}) {
     // /member/.well-known/* serves files (e.g. jwks.json) so it needs to be mounted before the prettyUrl mw to avoid trailing slashes
     siteApp.use('/members/.well-known', (req, res, next) => membersService.api.middleware.wellKnown(req, res, next));
 
+    // Tracked links in emails record the member's click and redirect to the original url
+    siteApp.get('/email/click/:linkId/', shared.middlewares.cacheControl('private'), linkTrackingService.middleware.handleClick);
+
+    // Landing urls of offers show the offer and start the checkout
+    siteApp.get('/offers/:code/', shared.middlewares.cacheControl('private'), offersService.middleware.showOffer);
+    siteApp.post('/offers/:code/', shared.middlewares.cacheControl('private'), offersService.middleware.startCheckout);
+
     // setup middleware for internal apps
     // @TODO: refactor this to be a proper app middleware hook for internal apps
     config.get('apps:internal').forEach((appName) => {
@@ -3,10 +3,14 @@ const path = require('path');
 const {GhostError} = require('@tryghost/errors');
 const imageTransform = require('@tryghost/image-transform');
 const storage = require('../../../adapters/storage');
+const imageFormats = require('../../../lib/image/image-formats');
 const activeTheme = require('../../../../frontend/services/theme-engine/active');
 const config = require('../../../../shared/config');
 
-const SIZE_PATH_REGEX = /^\/size\/([^/]+)\//;
+// matches `/size/w600/` and `/size/w600/format/webp/`
+const SIZE_PATH_REGEX = /^\/size\/([^/]+)\/(?:format\/([^/.]+)\/)?/;
+// originals we serve a modern format for when the browser accepts it
+const NEGOTIABLE_FILE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
 const TRAILING_SLASH_REGEX = /\/+$/;
 
 module.exports = function (req, res, next) {
@@ -18,9 +22,9 @@ module.exports = function (req, res, next) {
         return next();
     }
 
-    const [sizeImageDir, requestedDimension] = req.url.match(SIZE_PATH_REGEX);
+    const [sizeImageDir, requestedDimension, requestedFormat] = req.url.match(SIZE_PATH_REGEX);
     const redirectToOriginal = () => {
-        const url = req.originalUrl.replace(`/size/${requestedDimension}`, '');
+        const url = req.originalUrl.replace(sizeImageDir, '/');
         return res.redirect(url);
     };
 
@@ -36,6 +40,11 @@ module.exports = function (req, res, next) {
         return redirectToOriginal();
     }
 
+    // CASE: unknown format
+    if (requestedFormat && !imageFormats.canConvertToFormat(requestedFormat)) {
+        return redirectToOriginal();
+    }
+
     const contentImageSizes = config.get('imageOptimization:contentImageSizes');
     const themeImageSizes = activeTheme.get().config('image_sizes');
     const imageSizes = _.merge({}, themeImageSizes, contentImageSizes);
@@ -69,6 +78,21 @@ module.exports = function (req, res, next) {
         return redirectToOriginal();
     }
 
+    const imagePath = path.relative(sizeImageDir, req.url);
+    let format = requestedFormat;
+
+    // CASE: no format in the path, serve the best format the browser accepts from the same url
+    const negotiateFormats = config.get('imageOptimization:negotiateFormats') || [];
+    if (!format && negotiateFormats.length && NEGOTIABLE_FILE_EXTENSIONS.includes(requestUrlFileExtension.toLowerCase())) {
+        res.vary('Accept');
+        format = imageFormats.negotiateFormat(req.get('accept'), negotiateFormats);
+
+        if (format) {
+            // converted images are stored and served from their explicit format path
+            req.url = req.url.replace(sizeImageDir, `${sizeImageDir}format/${format}/`);
+        }
+    }
+
     storageInstance.exists(req.url).then((exists) => {
         if (exists) {
             return;
@@ -79,7 +103,6 @@ module.exports = function (req, res, next) {
             return redirectToOriginal();
         }
 
-        const imagePath = path.relative(sizeImageDir, req.url);
         const {dir, name, ext} = path.parse(imagePath);
         const [imageNameMatched, imageName, imageNumber] = name.match(/^(.+?)(-\d+)?$/) || [null];
 
@@ -109,15 +132,29 @@ module.exports = function (req, res, next) {
                 }
                 return imageTransform.resizeFromBuffer(originalImageBuffer, imageDimensionConfig);
             })
+            .then((resizedImageBuffer) => {
+                if (!format) {
+                    return resizedImageBuffer;
+                }
+                return imageFormats.convertFromBuffer(resizedImageBuffer, format);
+            })
             .then((resizedImageBuffer) => {
                 return storageInstance.saveRaw(resizedImageBuffer, req.url);
             });
     }).then(() => {
+        if (format) {
+            // the stored file keeps the extension of the original
+            res.type(imageFormats.getMimeType(format));
+        }
         next();
     }).catch(function (err) {
         if (err.code === 'SHARP_INSTALLATION' || err.errorType === 'NoContentError') {
             return redirectToOriginal();
         }
+        // CASE: the installed version of libvips can't encode the format
+        if (format && err.code === 'IMAGE_PROCESSING') {
+            return redirectToOriginal();
+        }
         next(err);
     });
 };
@@ -14,6 +14,10 @@ const mode = argv[2];
 
 // Switch between boot modes
 switch (mode) {
+case 'static':
+    // Build a static copy of the site, e.g. `node ghost static --output docs`
+    require('./core/server/services/static-site/cli')(argv.slice(3));
+    break;
 default:
     // New boot sequence
     require('./core/boot')();